@@ -0,0 +1,212 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const datasetDetector = require('../security/datasetDetector');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'attachmentScanner' });
+
+// 첨부 파일 보안 검사
+// 업로드 시: 허용된 형식인지 내용(매직 바이트)으로 확인하고, 실행 파일, malware_patterns.json의 위험 확장자,
+// 해시 차단 목록에 해당하면 저장하지 않는다.
+// 메시지 전송 시: 파일 이름과 해시를 다시 검사해 텍스트와 같은 방 정책(block, warn 등)을 적용할 결과를 만든다.
+
+const MAX_ATTACHMENT_BYTES = (parseFloat(process.env.ATTACHMENT_MAX_MB) || 5) * 1024 * 1024;
+const MAX_FILENAME_LENGTH = 200;
+
+// 허용하는 형식 (내용으로 확인한 형식 기준)
+const ALLOWED_TYPES = {
+  'image/png': { kind: 'image', extensions: ['.png'] },
+  'image/jpeg': { kind: 'image', extensions: ['.jpg', '.jpeg'] },
+  'image/gif': { kind: 'image', extensions: ['.gif'] },
+  'image/webp': { kind: 'image', extensions: ['.webp'] },
+  'application/pdf': { kind: 'file', extensions: ['.pdf'] },
+  'text/plain': { kind: 'file', extensions: ['.txt'] }
+};
+
+// 실행 파일 시그니처 (확장자와 관계없이 거부)
+const EXECUTABLE_SIGNATURES = [
+  { name: 'Windows PE', bytes: [0x4d, 0x5a] },
+  { name: 'ELF', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { name: 'Mach-O', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { name: 'Mach-O', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+  { name: 'Mach-O', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+  { name: 'script', bytes: [0x23, 0x21] } // #!
+];
+
+const HASH_REGEX = /^[a-f0-9]{64}$/;
+
+// 해시 차단 목록 (ATTACHMENT_HASH_BLOCKLIST 파일, 한 줄에 SHA-256 하나, #은 주석)
+const HASH_BLOCKLIST_FILE = process.env.ATTACHMENT_HASH_BLOCKLIST || null;
+let hashBlocklist = new Set();
+
+// 해시 차단 목록 (재)로드 - 실패 시 기존 목록 유지
+function loadHashBlocklist(filePath = HASH_BLOCKLIST_FILE) {
+  if (!filePath) return true;
+
+  try {
+    const hashes = fs.readFileSync(filePath, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.split('#')[0].trim().toLowerCase())
+      .filter(line => HASH_REGEX.test(line));
+    hashBlocklist = new Set(hashes);
+    logger.info(`첨부 파일 해시 차단 목록 로드 완료: ${hashBlocklist.size}개`);
+    return true;
+  } catch (error) {
+    logger.error('첨부 파일 해시 차단 목록 로드 실패', { error: error.message });
+    return false;
+  }
+}
+
+function isBlockedHash(hash) {
+  return hashBlocklist.has(hash);
+}
+
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+// 내용으로 형식 확인 - 알 수 없으면 null
+function sniffType(buffer) {
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (buffer.subarray(0, 6).toString('latin1').match(/^GIF8[79]a$/)) return 'image/gif';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'application/pdf';
+
+  // NUL 바이트가 없고 UTF-8로 해석되는 내용은 텍스트
+  if (!buffer.includes(0) && Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer)) return 'text/plain';
+  return null;
+}
+
+function findExecutableSignature(buffer) {
+  const signature = EXECUTABLE_SIGNATURES.find(candidate => startsWith(buffer, candidate.bytes));
+  return signature ? signature.name : null;
+}
+
+// 파일 이름 정리 (경로와 제어 문자 제거)
+function sanitizeFilename(name) {
+  if (typeof name !== 'string') return '';
+  return name
+    .split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim()
+    .slice(0, MAX_FILENAME_LENGTH);
+}
+
+// 파일 이름의 모든 확장자 후보 ("a.tar.gz" → ['.tar.gz', '.gz'], "a.exe.png" → ['.exe.png', '.png', '.exe'])
+function getExtensions(filename) {
+  const parts = filename.toLowerCase().split('.').slice(1);
+  const suffixes = parts.map((_, index) => `.${parts.slice(index).join('.')}`);
+  const segments = parts.slice(0, -1).map(part => `.${part}`); // 이름 중간에 숨긴 확장자
+  return [...new Set([...suffixes, ...segments])];
+}
+
+// 파일 이름 검사 (malware_patterns.json의 위험 확장자와 알려진 악성 파일 이름)
+// 결과: { finalExtension: 마지막 확장자가 위험한지, extensions, signatures }
+function inspectFilename(filename) {
+  const patterns = datasetDetector.getDatasets().malwarePatterns || {};
+  const lowerName = filename.toLowerCase();
+  const dangerous = (patterns.malware_extensions || []).map(extension => extension.toLowerCase());
+
+  const extensions = getExtensions(filename).filter(extension => dangerous.includes(extension));
+  const finalExtension = extensions.some(extension => lowerName.endsWith(extension));
+  const signatures = (patterns.malware_signatures || []).filter(signature => lowerName.includes(signature.toLowerCase()));
+
+  return { finalExtension, extensions, signatures };
+}
+
+// 업로드 검사
+// 결과: { ok: false, status, code, message } 또는 { ok: true, hash, mimeType, kind, size, name }
+function scanUpload({ buffer, filename, declaredType }) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { ok: false, status: 400, code: 'empty_upload', message: '업로드할 파일 내용이 없습니다.' };
+  }
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    return { ok: false, status: 413, code: 'attachment_too_large', message: `첨부 파일은 ${MAX_ATTACHMENT_BYTES / 1024 / 1024}MB 이하여야 합니다.` };
+  }
+
+  const name = sanitizeFilename(filename);
+  if (!name) {
+    return { ok: false, status: 400, code: 'invalid_filename', message: '파일 이름(name)이 필요합니다.' };
+  }
+
+  const hash = hashContent(buffer);
+  if (isBlockedHash(hash)) {
+    return { ok: false, status: 422, code: 'attachment_blocked', message: '차단 목록에 있는 파일입니다.', hash };
+  }
+
+  const executable = findExecutableSignature(buffer);
+  if (executable) {
+    return { ok: false, status: 422, code: 'attachment_blocked', message: `실행 파일(${executable})은 업로드할 수 없습니다.`, hash };
+  }
+
+  const filenameCheck = inspectFilename(name);
+  if (filenameCheck.finalExtension) {
+    return { ok: false, status: 422, code: 'attachment_blocked', message: `위험한 확장자의 파일은 업로드할 수 없습니다: ${filenameCheck.extensions.join(', ')}`, hash };
+  }
+
+  const mimeType = sniffType(buffer);
+  const allowed = mimeType && ALLOWED_TYPES[mimeType];
+  if (!allowed) {
+    return { ok: false, status: 415, code: 'unsupported_type', message: '지원하지 않는 파일 형식입니다.' };
+  }
+
+  // 선언한 형식이나 확장자가 실제 내용과 다르면 거부 (이미지로 위장한 파일 방지)
+  const declared = (declaredType || '').split(';')[0].trim().toLowerCase();
+  const extensionMatches = allowed.extensions.some(extension => name.toLowerCase().endsWith(extension));
+  if ((declared && declared !== 'application/octet-stream' && declared !== mimeType) || !extensionMatches) {
+    return { ok: false, status: 415, code: 'type_mismatch', message: `파일 형식(${mimeType})이 이름이나 Content-Type과 일치하지 않습니다.` };
+  }
+
+  return { ok: true, hash, mimeType, kind: allowed.kind, size: buffer.length, name };
+}
+
+// 메시지에 첨부된 파일 검사 (텍스트 보안 검사 결과와 같은 형식)
+// attachments: [{ attachmentId, name, hash }] - 업로드 후 차단 목록이 갱신되었을 수 있으므로 해시도 다시 확인
+function assessAttachments(attachments) {
+  const result = {
+    isThreat: false,
+    threatLevel: 'safe',
+    threatType: 'safe',
+    confidenceScore: 0,
+    detectedKeywords: [],
+    reason: '안전한 첨부 파일입니다.'
+  };
+
+  for (const attachment of attachments) {
+    const { finalExtension, extensions, signatures } = inspectFilename(attachment.name || '');
+    const blockedHash = isBlockedHash(attachment.hash);
+    if (!blockedHash && extensions.length === 0 && signatures.length === 0) continue;
+
+    // 차단 목록 해시 > 위험한 확장자로 끝나거나 알려진 악성 파일 이름 > 이름 중간에 숨긴 위험 확장자 순으로 위험도 부여
+    const confidenceScore = blockedHash ? 1.0 : (finalExtension || signatures.length > 0 ? 0.7 : 0.5);
+    result.isThreat = true;
+    result.threatType = 'malware';
+    result.detectedKeywords.push(...extensions, ...signatures);
+    if (confidenceScore > result.confidenceScore) {
+      result.confidenceScore = confidenceScore;
+      result.threatLevel = datasetDetector.determineThreatLevel(confidenceScore);
+      result.reason = blockedHash
+        ? '차단 목록에 있는 첨부 파일입니다.'
+        : '첨부 파일 이름에 위험한 확장자나 악성 파일 이름이 포함되어 있습니다.';
+    }
+  }
+
+  result.detectedKeywords = [...new Set(result.detectedKeywords)];
+  return result;
+}
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  ALLOWED_TYPES,
+  loadHashBlocklist,
+  isBlockedHash,
+  sanitizeFilename,
+  inspectFilename,
+  scanUpload,
+  assessAttachments
+};
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'attachmentStorage' });
+
+// 첨부 파일 저장소
+// 저장소 인터페이스: { name, put(key, buffer), exists(key), createReadStream(key), remove(key) }
+// key는 내용의 SHA-256 해시이므로 같은 파일은 한 번만 저장된다.
+// 다른 저장소(S3 등)를 쓰려면 같은 함수를 제공하는 객체를 만들어 createAttachmentStorage에 추가하면 된다.
+
+const ATTACHMENT_DIR = process.env.ATTACHMENT_DIR || path.resolve(__dirname, '../uploads');
+const KEY_REGEX = /^[a-f0-9]{64}$/;
+
+// 로컬 디스크 저장소 (해시 앞 두 글자로 하위 디렉터리를 나눠 한 디렉터리에 파일이 몰리지 않게 함)
+function createLocalDiskStorage({ root = ATTACHMENT_DIR } = {}) {
+  function resolvePath(key) {
+    if (!KEY_REGEX.test(key)) {
+      throw new Error(`잘못된 저장소 키입니다: ${key}`);
+    }
+    return path.join(root, key.slice(0, 2), key);
+  }
+
+  // 임시 파일에 쓴 뒤 이름을 바꿔 쓰다 만 파일이 읽히지 않게 함
+  async function put(key, buffer) {
+    const filePath = resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async function exists(key) {
+    try {
+      await fs.promises.access(resolvePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function createReadStream(key) {
+    return fs.createReadStream(resolvePath(key));
+  }
+
+  async function remove(key) {
+    await fs.promises.rm(resolvePath(key), { force: true });
+  }
+
+  return {
+    name: 'local',
+    root,
+    put,
+    exists,
+    createReadStream,
+    remove
+  };
+}
+
+// ATTACHMENT_STORAGE 설정에 맞는 저장소 생성 (현재는 local만 지원)
+function createAttachmentStorage(type = process.env.ATTACHMENT_STORAGE || 'local') {
+  if (type !== 'local') {
+    logger.warn(`지원하지 않는 첨부 파일 저장소(${type})입니다. 로컬 디스크 저장소를 사용합니다.`);
+  }
+  return createLocalDiskStorage();
+}
+
+module.exports = {
+  ATTACHMENT_DIR,
+  createLocalDiskStorage,
+  createAttachmentStorage
+};
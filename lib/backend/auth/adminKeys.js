@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'adminKeys' });
+
+// 관리자 API 키와 감사 로그
+// 키는 "tha_<keyId>_<secret>" 형식으로 발급 시 한 번만 보여주고, 서버에는 secret의 SHA-256 해시만 저장한다.
+// 요청은 X-Admin-Key 헤더로 키를 보내며, 키에 부여된 범위(scope)가 라우트에 필요한 범위를 포함해야 한다.
+// 키로 인증된 모든 요청(권한 부족으로 거부된 요청 포함)은 AdminAuditLog에 기록한다.
+
+const ADMIN_KEY_HEADER = 'x-admin-key';
+const KEY_PREFIX = 'tha';
+const KEY_ID_BYTES = 8; // hex 16자
+const KEY_SECRET_BYTES = 32; // base64url 43자
+const KEY_REGEX = /^tha_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+
+// 범위 목록 ('*'는 모든 범위)
+const ADMIN_SCOPES = [
+  'status:read', // 서버 상태와 전체 통계
+  'stats:read', // 보안 로그 통계, PhishTank 캐시 상태
+  'cache:write', // PhishTank 캐시 초기화
+  'users:read',
+  'users:write', // 사용자 삭제, 메시지 일괄 삭제
+  'rooms:read',
+  'rooms:write', // 채팅방 삭제
+  'config:read', // 데이터셋과 URL 평판 제공자 설정 조회
+  'config:write', // 데이터셋 다시 로드, 제공자 설정 변경
+  'keys:write', // 관리자 API 키 발급과 폐기
+  'audit:read'
+];
+const ALL_SCOPES = '*';
+
+const MAX_KEY_NAME_LENGTH = 100;
+const MAX_KEY_DAYS = 365;
+const AUDIT_RETENTION_DAYS = parseInt(process.env.ADMIN_AUDIT_RETENTION_DAYS) || 365;
+
+// 관리자 API 키 스키마 (서버와 키 발급 스크립트에서 함께 사용)
+const adminApiKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  secretHash: { type: String, required: true },
+  scopes: [{ type: String }],
+  createdBy: { type: String }, // 발급한 키의 keyId (스크립트로 발급했으면 'cli')
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date }, // 없으면 만료 없음
+  lastUsedAt: { type: Date },
+  revokedAt: { type: Date }
+});
+
+// 관리자 작업 감사 로그 스키마
+const adminAuditLogSchema = new mongoose.Schema({
+  auditId: { type: String, required: true, unique: true },
+  keyId: { type: String, required: true },
+  keyName: { type: String },
+  action: { type: String, required: true }, // 예: users.delete, GET /api/status
+  scope: { type: String }, // 라우트에 필요한 범위
+  targetType: { type: String }, // user, room, key, config 등
+  targetId: { type: String },
+  details: { type: mongoose.Schema.Types.Mixed },
+  method: { type: String },
+  path: { type: String },
+  status: { type: Number }, // 응답 상태 코드
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+adminAuditLogSchema.index({ keyId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ action: 1, createdAt: -1 });
+adminAuditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUDIT_RETENTION_DAYS * 24 * 60 * 60 });
+
+const AdminApiKey = mongoose.models.AdminApiKey || mongoose.model('AdminApiKey', adminApiKeySchema);
+const AdminAuditLog = mongoose.models.AdminAuditLog || mongoose.model('AdminAuditLog', adminAuditLogSchema);
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// 범위 목록 검증 - 오류 메시지 반환, 문제없으면 null
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes는 비어 있지 않은 배열이어야 합니다.';
+  }
+  const unknown = scopes.filter(scope => scope !== ALL_SCOPES && !ADMIN_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `알 수 없는 범위입니다: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+function hasScope(key, scope) {
+  return key.scopes.includes(ALL_SCOPES) || key.scopes.includes(scope);
+}
+
+// 키 발급 요청 검증 - { errors, name, scopes, expiresInDays }
+function parseKeyOptions({ name, scopes, expiresInDays = null } = {}) {
+  const errors = [];
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_KEY_NAME_LENGTH) {
+    errors.push(`name은 1~${MAX_KEY_NAME_LENGTH}자의 문자열이어야 합니다.`);
+  }
+
+  const scopeError = validateScopes(scopes);
+  if (scopeError) errors.push(scopeError);
+
+  if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_KEY_DAYS)) {
+    errors.push(`expiresInDays는 1에서 ${MAX_KEY_DAYS} 사이의 정수 또는 null이어야 합니다.`);
+  }
+
+  return { errors, name: typeof name === 'string' ? name.trim() : name, scopes, expiresInDays };
+}
+
+// 키 발급 - 결과: { key: 저장된 문서, token: 한 번만 보여줄 키 문자열 }
+async function createApiKey({ name, scopes, expiresInDays = null, createdBy }) {
+  const keyId = crypto.randomBytes(KEY_ID_BYTES).toString('hex');
+  const secret = crypto.randomBytes(KEY_SECRET_BYTES).toString('base64url');
+
+  const key = await AdminApiKey.create({
+    keyId,
+    name,
+    secretHash: hashSecret(secret),
+    scopes: [...new Set(scopes)],
+    createdBy,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+  });
+
+  return { key, token: `${KEY_PREFIX}_${keyId}_${secret}` };
+}
+
+// 키 확인 - 유효하지 않거나 폐기/만료된 키는 null
+async function resolveApiKey(token) {
+  const match = typeof token === 'string' ? token.match(KEY_REGEX) : null;
+  if (!match) return null;
+
+  const [, keyId, secret] = match;
+  const key = await AdminApiKey.findOne({ keyId });
+  if (!key || key.revokedAt || (key.expiresAt && key.expiresAt <= new Date())) return null;
+
+  const expected = Buffer.from(key.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? key : null;
+}
+
+// 응답에 포함할 키 정보 (해시 제외)
+function describeApiKey(key) {
+  return {
+    keyId: key.keyId,
+    name: key.name,
+    scopes: key.scopes,
+    createdBy: key.createdBy,
+    createdAt: key.createdAt,
+    expiresAt: key.expiresAt || null,
+    lastUsedAt: key.lastUsedAt || null,
+    revokedAt: key.revokedAt || null
+  };
+}
+
+// 감사 로그 저장 (실패해도 요청 처리에는 영향 없음)
+async function recordAudit(entry) {
+  try {
+    await AdminAuditLog.create({ auditId: crypto.randomUUID(), ...entry });
+  } catch (error) {
+    logger.error('관리자 감사 로그 저장 실패', { error });
+  }
+}
+
+// 관리자 라우트 미들웨어 - requireAdminKey('users:write')
+// 통과하면 req.adminKey에 키 문서를 저장한다. 핸들러는 res.locals.audit = { action, targetType, targetId, details }로
+// 감사 로그 내용을 지정할 수 있고, 지정하지 않으면 "메서드 경로"를 action으로 기록한다.
+function requireAdminKey(scope) {
+  return async (req, res, next) => {
+    try {
+      const key = await resolveApiKey(req.headers[ADMIN_KEY_HEADER]);
+      if (!key) {
+        logger.warn(`관리자 API 키 인증 실패: ${req.method} ${req.originalUrl}, IP ${req.ip}`);
+        return res.status(401).json({ success: false, code: 'admin_key_required', message: '유효한 관리자 API 키가 필요합니다.' });
+      }
+
+      // 응답이 끝난 뒤 결과 상태 코드와 함께 감사 로그 기록
+      res.on('finish', () => {
+        const audit = res.locals.audit || {};
+        recordAudit({
+          keyId: key.keyId,
+          keyName: key.name,
+          action: audit.action || `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+          scope,
+          targetType: audit.targetType,
+          targetId: audit.targetId,
+          details: audit.details,
+          method: req.method,
+          path: req.originalUrl,
+          status: res.statusCode,
+          ip: req.ip
+        });
+      });
+
+      if (!hasScope(key, scope)) {
+        return res.status(403).json({ success: false, code: 'insufficient_scope', message: `이 작업에는 ${scope} 범위가 필요합니다.` });
+      }
+
+      AdminApiKey.updateOne({ keyId: key.keyId }, { lastUsedAt: new Date() }).catch(() => {});
+      req.adminKey = key;
+      next();
+    } catch (error) {
+      logger.error('관리자 API 키 확인 실패', { error });
+      res.status(500).json({ success: false, message: '관리자 API 키 확인 실패' });
+    }
+  };
+}
+
+// 관리자 API 키와 다른 인증(세션 등)을 함께 허용하는 미들웨어
+// 예: requireAdminKeyOr(requireAdminKey('stats:read'), requireSession, requireModerator)
+// X-Admin-Key 헤더가 있으면 키로만 인증하고, 없으면 나머지 미들웨어를 차례로 실행한다.
+// 통과하면 어느 쪽이든 req.actor에 요청 주체를 기록한다 ({ type: 'admin_key', id: keyId } 또는 { type: 'user', id: userId })
+function requireAdminKeyOr(adminKeyMiddleware, ...fallbacks) {
+  return (req, res, next) => {
+    const chain = req.headers[ADMIN_KEY_HEADER] ? [adminKeyMiddleware] : fallbacks;
+    let index = 0;
+    const run = (error) => {
+      if (error) return next(error);
+      if (index < chain.length) {
+        const middleware = chain[index++];
+        return middleware(req, res, run);
+      }
+      if (req.adminKey) {
+        req.actor = { type: 'admin_key', id: req.adminKey.keyId };
+      } else if (req.user) {
+        req.actor = { type: 'user', id: req.user.userId };
+      }
+      next();
+    };
+    run();
+  };
+}
+
+module.exports = {
+  ADMIN_KEY_HEADER,
+  ADMIN_SCOPES,
+  ALL_SCOPES,
+  AdminApiKey,
+  AdminAuditLog,
+  validateScopes,
+  parseKeyOptions,
+  createApiKey,
+  resolveApiKey,
+  describeApiKey,
+  requireAdminKey,
+  requireAdminKeyOr
+};
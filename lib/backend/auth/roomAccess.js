@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// 채팅방 공개 범위, 방 비밀번호, 초대 코드
+// public: 목록에 표시, unlisted: 목록에 숨김(방 ID를 알면 참가), private: 초대 코드로만 참가
+// 비밀번호는 scrypt 해시로만 저장하고, 유효한 초대 코드가 있으면 비밀번호 없이 참가할 수 있다.
+
+const scrypt = promisify(crypto.scrypt);
+
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+const PASSWORD_MIN_LENGTH = 4;
+const PASSWORD_MAX_LENGTH = 128;
+const PASSWORD_KEY_LENGTH = 64;
+const PASSWORD_HASH_PREFIX = 'scrypt';
+
+const INVITE_CODE_BYTES = 9; // base64url 12자
+const INVITE_DEFAULT_HOURS = 24;
+const INVITE_MAX_HOURS = 24 * 30;
+const INVITE_MAX_USES = 1000;
+
+// 비밀번호 형식 확인 - 오류 메시지 반환, 문제없으면 null
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+    return `비밀번호는 ${PASSWORD_MIN_LENGTH}~${PASSWORD_MAX_LENGTH}자의 문자열이어야 합니다.`;
+  }
+  return null;
+}
+
+// 비밀번호 해시 생성 ("scrypt$salt$hash" 형식)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return [PASSWORD_HASH_PREFIX, salt.toString('base64'), derived.toString('base64')].join('$');
+}
+
+// 비밀번호 확인 (형식이 맞지 않는 입력이나 해시는 false)
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || password.length > PASSWORD_MAX_LENGTH || typeof storedHash !== 'string') {
+    return false;
+  }
+
+  const [prefix, salt, hash] = storedHash.split('$');
+  if (prefix !== PASSWORD_HASH_PREFIX || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const derived = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+// 초대 코드 생성
+function generateInviteCode() {
+  return crypto.randomBytes(INVITE_CODE_BYTES).toString('base64url');
+}
+
+// 초대 코드 생성 요청 검증 - { errors, expiresInHours, maxUses }
+// maxUses가 null이면 만료 전까지 횟수 제한 없음
+function parseInviteOptions({ expiresInHours = INVITE_DEFAULT_HOURS, maxUses = 1 } = {}) {
+  const errors = [];
+
+  if (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > INVITE_MAX_HOURS) {
+    errors.push(`expiresInHours는 1에서 ${INVITE_MAX_HOURS} 사이의 정수여야 합니다.`);
+  }
+
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > INVITE_MAX_USES)) {
+    errors.push(`maxUses는 1에서 ${INVITE_MAX_USES} 사이의 정수 또는 null이어야 합니다.`);
+  }
+
+  return { errors, expiresInHours, maxUses };
+}
+
+// 사용할 수 있는 초대 코드 조회 조건 - 만료되지 않았고 사용 횟수가 남은 코드 (maxUses가 null이면 횟수 제한 없음)
+function usableInviteFilter(code, roomId, now = new Date()) {
+  return {
+    code,
+    roomId,
+    expiresAt: { $gt: now },
+    $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+  };
+}
+
+// 목록 조회 필터 - 공개 방(visibility가 없는 기존 방 포함)과 사용자가 이미 참가한 방
+function listFilter(tempId) {
+  return {
+    $or: [
+      { visibility: { $nin: ['unlisted', 'private'] } },
+      { participants: tempId }
+    ]
+  };
+}
+
+module.exports = {
+  VISIBILITIES,
+  INVITE_DEFAULT_HOURS,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  generateInviteCode,
+  parseInviteOptions,
+  usableInviteFilter,
+  listFilter
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'session' });
+
+// 세션 토큰 서명 키 (.env의 JWT_SECRET, 설정되지 않았으면 프로세스마다 임시 키 생성)
+const PLACEHOLDER_SECRET = 'your_jwt_secret_here';
+let sessionSecret = process.env.JWT_SECRET;
+if (!sessionSecret || sessionSecret === PLACEHOLDER_SECRET) {
+  logger.warn('JWT_SECRET이 설정되지 않아 임시 키를 사용합니다. 서버 재시작 시 모든 세션이 만료됩니다.');
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const SESSION_TTL_SECONDS = (parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60; // 기본 7일
+const SESSION_ISSUER = 'treehideout';
+
+// 세션 토큰 발급
+function issueSessionToken(user) {
+  return jwt.sign({ sub: user.userId }, sessionSecret, {
+    expiresIn: SESSION_TTL_SECONDS,
+    issuer: SESSION_ISSUER
+  });
+}
+
+// 세션 토큰 검증 - 유효하지 않으면 null
+function verifySessionToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  try {
+    return jwt.verify(token, sessionSecret, { issuer: SESSION_ISSUER });
+  } catch (error) {
+    return null;
+  }
+}
+
+// Authorization: Bearer <token> 헤더에서 토큰 추출
+function extractBearerToken(header) {
+  if (!header || typeof header !== 'string') return null;
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+// 토큰으로 사용자 조회 - 유효하지 않으면 null
+async function resolveSessionUser(User, token) {
+  const payload = verifySessionToken(token);
+  if (!payload) return null;
+  return User.findOne({ userId: payload.sub });
+}
+
+// REST 라우트용 인증 미들웨어 (req.user에 User 문서 저장)
+function createSessionMiddleware(User) {
+  return async (req, res, next) => {
+    try {
+      const user = await resolveSessionUser(User, extractBearerToken(req.headers.authorization));
+      if (!user) {
+        return res.status(401).json({ success: false, code: 'session_required', message: '유효한 세션이 필요합니다.' });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      logger.error('세션 확인 실패', { error });
+      res.status(500).json({ success: false, message: '세션 확인 실패' });
+    }
+  };
+}
+
+// Socket.io 핸드셰이크 인증 미들웨어 (socket.data.user에 User 문서 저장)
+function createSocketSessionMiddleware(User) {
+  return async (socket, next) => {
+    try {
+      const { auth = {}, headers = {} } = socket.handshake;
+      const token = auth.token || extractBearerToken(headers.authorization);
+      const user = await resolveSessionUser(User, token);
+      if (!user) {
+        return next(new Error('unauthorized'));
+      }
+
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      logger.error('소켓 세션 확인 실패', { error });
+      next(new Error('session_check_failed'));
+    }
+  };
+}
+
+module.exports = {
+  SESSION_TTL_SECONDS,
+  issueSessionToken,
+  verifySessionToken,
+  extractBearerToken,
+  resolveSessionUser,
+  createSessionMiddleware,
+  createSocketSessionMiddleware
+};
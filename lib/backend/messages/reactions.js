@@ -0,0 +1,138 @@
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'reactions' });
+
+// 메시지 반응 (이모지)
+// 메시지마다 이모지별로 반응한 사용자 ID 목록을 저장하고, 클라이언트에는 이모지별 개수와 함께 보낸다.
+// 반응이 바뀌면 방 전체에 reaction_updated { roomId, messageId, reactions }를 전송한다.
+
+const MAX_EMOJI_LENGTH = 32; // 피부색, ZWJ 조합 이모지 포함 (UTF-16 기준)
+const MAX_REACTION_TYPES = parseInt(process.env.MAX_REACTION_TYPES) || 20; // 메시지당 이모지 종류 수
+const REACTION_ACTIONS = ['add', 'remove'];
+
+// 이모지 하나(조합 포함)로만 이루어진 문자열인지 확인
+const EMOJI_REGEX = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f|\u20e3)+$/u;
+const PICTOGRAPH_REGEX = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u; // 숫자나 #만으로는 불가, 키캡(#️⃣)은 허용
+
+function isValidEmoji(emoji) {
+  return typeof emoji === 'string'
+    && emoji.length > 0
+    && emoji.length <= MAX_EMOJI_LENGTH
+    && EMOJI_REGEX.test(emoji)
+    && PICTOGRAPH_REGEX.test(emoji);
+}
+
+// 클라이언트에 보낼 반응 목록 [{ emoji, count, userIds }]
+function summarizeReactions(reactions) {
+  return (reactions || [])
+    .filter(reaction => reaction.userIds && reaction.userIds.length > 0)
+    .map(reaction => ({ emoji: reaction.emoji, count: reaction.userIds.length, userIds: reaction.userIds }));
+}
+
+// 실패 결과
+function failure(status, code, message) {
+  return { success: false, status, code, message };
+}
+
+// 반응 서비스 생성
+// deps: { Room, Message, sanctionService, io }
+function createReactionService({ Room, Message, sanctionService, io }) {
+  // 반응 추가 - 이미 있는 이모지는 사용자 ID만 추가하고, 없으면 종류 수 제한 안에서 새 이모지 추가
+  async function addReaction(messageId, emoji, userId) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const existing = await Message.updateOne(
+        { messageId, 'reactions.emoji': emoji },
+        { $addToSet: { 'reactions.$.userIds': userId } }
+      );
+      if (existing.matchedCount > 0) return true;
+
+      const created = await Message.updateOne(
+        {
+          messageId,
+          'reactions.emoji': { $ne: emoji },
+          [`reactions.${MAX_REACTION_TYPES - 1}`]: { $exists: false }
+        },
+        { $push: { reactions: { emoji, userIds: [userId] } } }
+      );
+      if (created.matchedCount > 0) return true;
+      // 다른 요청이 같은 이모지를 먼저 추가했으면 다시 시도
+    }
+    return false;
+  }
+
+  // 반응 제거 - 반응한 사용자가 없어진 이모지는 목록에서 삭제
+  async function removeReaction(messageId, emoji, userId) {
+    await Message.updateOne(
+      { messageId, 'reactions.emoji': emoji },
+      { $pull: { 'reactions.$.userIds': userId } }
+    );
+    await Message.updateOne(
+      { messageId },
+      { $pull: { reactions: { emoji, userIds: { $size: 0 } } } }
+    );
+  }
+
+  // 반응 추가/제거 (REST와 소켓 react_message가 공통 사용)
+  // roomId를 지정하면 메시지가 그 방에 있어야 함
+  // 결과: { success, data: { roomId, messageId, reactions } } 또는 { success: false, status, code, message }
+  async function react(user, { roomId, messageId, emoji, action }) {
+    if (!isValidEmoji(emoji)) {
+      return failure(400, 'invalid_emoji', '반응은 이모지 하나여야 합니다.');
+    }
+    if (!REACTION_ACTIONS.includes(action)) {
+      return failure(400, 'invalid_action', 'action은 add 또는 remove여야 합니다.');
+    }
+
+    const message = await Message.findOne({ messageId }).select('messageId roomId type moderationStatus expiresAt');
+    if (!message || (roomId && message.roomId !== roomId)
+      || !['visible', 'redacted'].includes(message.moderationStatus)
+      || (message.expiresAt && message.expiresAt <= new Date())) {
+      return failure(404, 'message_not_found', '메시지를 찾을 수 없습니다.');
+    }
+    if (message.type === 'system') {
+      return failure(400, 'not_reactable', '시스템 메시지에는 반응할 수 없습니다.');
+    }
+
+    const room = await Room.findOne({ roomId: message.roomId }).select('roomId participants');
+    if (!room || !room.participants.includes(user.tempId)) {
+      return failure(403, 'not_participant', '채팅방에 참가한 사용자만 반응할 수 있습니다.');
+    }
+
+    // 메시지를 보낼 수 없는 사용자(뮤트, 강퇴, 차단)는 반응도 불가
+    const sanction = await sanctionService.findBlockingSanction(user.userId, room.roomId, 'send');
+    if (sanction) {
+      return failure(403, 'sanctioned', sanction.reason);
+    }
+
+    if (action === 'add') {
+      const added = await addReaction(messageId, emoji, user.userId);
+      if (!added) {
+        return failure(409, 'too_many_reactions', `메시지당 반응은 ${MAX_REACTION_TYPES}종류까지 가능합니다.`);
+      }
+    } else {
+      await removeReaction(messageId, emoji, user.userId);
+    }
+
+    const updated = await Message.findOne({ messageId }).select('reactions').lean();
+    const result = {
+      roomId: room.roomId,
+      messageId,
+      reactions: summarizeReactions(updated && updated.reactions)
+    };
+    logger.debug(`메시지 반응 ${action === 'add' ? '추가' : '제거'}: ${messageId}, 사용자 ${user.userId}`);
+    io.to(room.roomId).emit('reaction_updated', result);
+
+    return { success: true, data: result };
+  }
+
+  return { react };
+}
+
+module.exports = {
+  MAX_EMOJI_LENGTH,
+  MAX_REACTION_TYPES,
+  REACTION_ACTIONS,
+  isValidEmoji,
+  summarizeReactions,
+  createReactionService
+};
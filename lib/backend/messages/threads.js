@@ -0,0 +1,160 @@
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'threads' });
+
+// 답장과 스레드
+// 답장은 대상 메시지의 요약(replyTo)을 함께 저장해 원문을 불러오지 않아도 인용 미리보기를 보여줄 수 있다.
+// 답장의 답장도 같은 스레드에 속하며, threadId는 항상 스레드를 시작한 메시지 ID다.
+// 스레드 첫 메시지에는 보이는 답장 수와 마지막 답장 시각을 저장하고, 바뀌면 thread_updated를 전송한다.
+
+const REPLY_PREVIEW_LENGTH = 100;
+const THREAD_PAGE_DEFAULT_LIMIT = 50;
+const THREAD_PAGE_MAX_LIMIT = 200;
+const VISIBLE_STATUSES = ['visible', 'redacted'];
+
+// 인용 미리보기 (E2EE 메시지는 서버가 내용을 모르므로 null)
+function buildReplyPreview(message) {
+  if (message.envelope || !message.content) return null;
+  const text = message.content.replace(/\s+/g, ' ').trim();
+  return text.length > REPLY_PREVIEW_LENGTH ? `${text.slice(0, REPLY_PREVIEW_LENGTH)}…` : text;
+}
+
+// 답장에 저장할 대상 메시지 요약
+function buildReplyReference(message) {
+  return {
+    messageId: message.messageId,
+    sender: message.sender,
+    senderAnonymousId: message.senderAnonymousId,
+    senderNickname: message.senderNickname,
+    preview: buildReplyPreview(message),
+    attachmentCount: (message.attachments || []).length,
+    encrypted: Boolean(message.envelope),
+    unavailable: false
+  };
+}
+
+// 다른 사용자에게 보이는 메시지 조건 (검토 대기/거절, 보관 기간이 지난 메시지 제외)
+function visibleFilter(filter, now = new Date()) {
+  return { ...filter, moderationStatus: { $in: VISIBLE_STATUSES }, expiresAt: { $not: { $lte: now } } };
+}
+
+// 스레드 서비스 생성
+// deps: { Message, io }
+function createThreadService({ Message, io }) {
+  // 답장 대상 확인 - 결과: { replyTo, threadId } 또는 { error: { code, message } }
+  async function resolveReplyTarget(roomId, replyToId) {
+    const target = await Message.findOne(visibleFilter({ messageId: replyToId, roomId })).lean();
+    if (!target) {
+      return { error: { code: 'reply_target_not_found', message: '답장할 메시지를 찾을 수 없습니다.' } };
+    }
+    if (target.type === 'system') {
+      return { error: { code: 'reply_target_invalid', message: '시스템 메시지에는 답장할 수 없습니다.' } };
+    }
+
+    return { replyTo: buildReplyReference(target), threadId: target.threadId || target.messageId };
+  }
+
+  // 스레드 요약 갱신 - 답장 수는 매번 다시 세므로 삭제나 검토 결과가 반영됨
+  async function refreshThreadSummary(roomId, threadId) {
+    const filter = visibleFilter({ threadId });
+    const [replyCount, lastReply] = await Promise.all([
+      Message.countDocuments(filter),
+      Message.findOne(filter).sort({ createdAt: -1 }).select('createdAt').lean()
+    ]);
+    const summary = { threadReplyCount: replyCount, threadLastReplyAt: lastReply ? lastReply.createdAt : null };
+
+    const root = await Message.findOneAndUpdate({ messageId: threadId, roomId }, summary, { new: true }).select('messageId');
+    if (!root) return;
+
+    io.to(roomId).emit('thread_updated', {
+      roomId,
+      threadId,
+      replyCount: summary.threadReplyCount,
+      lastReplyAt: summary.threadLastReplyAt
+    });
+  }
+
+  // 답장 저장/삭제/검토 후 호출 (답장이 아니면 아무것도 하지 않음, 실패해도 메시지 처리에는 영향 없음)
+  async function handleReplyChange(message) {
+    if (!message || !message.threadId) return;
+    try {
+      await refreshThreadSummary(message.roomId, message.threadId);
+    } catch (error) {
+      logger.error('스레드 요약 갱신 실패', { error, threadId: message.threadId });
+    }
+  }
+
+  // 대상 메시지가 수정되면 이 메시지를 인용한 답장의 미리보기도 갱신
+  async function refreshReplyPreviews(message) {
+    await Message.updateMany(
+      { 'replyTo.messageId': message.messageId },
+      { $set: { 'replyTo.preview': buildReplyPreview(message), 'replyTo.unavailable': false } }
+    );
+  }
+
+  // 대상 메시지가 삭제되거나 숨겨지면 인용 미리보기를 지움 (삭제된 내용이 인용으로 남지 않도록)
+  async function hideReplyPreviews(messageIds) {
+    if (messageIds.length === 0) return;
+    await Message.updateMany(
+      { 'replyTo.messageId': { $in: messageIds } },
+      { $set: { 'replyTo.preview': null, 'replyTo.unavailable': true } }
+    );
+  }
+
+  // 스레드 조회 - 답장의 ID를 지정하면 그 답장이 속한 스레드를 조회
+  // options: { after: 이 답장 이후부터, limit }
+  // 결과: { root, replies, hasMore } 또는 { error: { status, code, message } }
+  async function getThread(roomId, messageId, { after, limit = THREAD_PAGE_DEFAULT_LIMIT } = {}) {
+    const now = new Date();
+    const target = await Message.findOne(visibleFilter({ messageId, roomId }, now)).lean();
+    if (!target) {
+      return { error: { status: 404, code: 'message_not_found', message: '메시지를 찾을 수 없습니다.' } };
+    }
+
+    const threadId = target.threadId || target.messageId;
+    const root = target.threadId
+      ? await Message.findOne(visibleFilter({ messageId: threadId, roomId }, now)).lean()
+      : target;
+
+    const filter = visibleFilter({ roomId, threadId }, now);
+    if (after) {
+      const cursor = await Message.findOne({ roomId, threadId, messageId: after }).select('createdAt');
+      if (!cursor) {
+        return { error: { status: 400, code: 'cursor_not_found', message: '커서 메시지를 찾을 수 없습니다.' } };
+      }
+      filter.$or = [
+        { createdAt: { $gt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $gt: cursor._id } }
+      ];
+    }
+
+    const pageLimit = Math.min(Math.max(limit, 1), THREAD_PAGE_MAX_LIMIT);
+    const replies = await Message.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(pageLimit + 1)
+      .lean();
+
+    const hasMore = replies.length > pageLimit;
+    if (hasMore) replies.pop();
+
+    // 스레드 첫 메시지가 삭제되었어도 남은 답장은 조회 가능 (root는 null)
+    return { threadId, root, replies, hasMore, limit: pageLimit };
+  }
+
+  return {
+    resolveReplyTarget,
+    handleReplyChange,
+    refreshReplyPreviews,
+    hideReplyPreviews,
+    getThread
+  };
+}
+
+module.exports = {
+  REPLY_PREVIEW_LENGTH,
+  THREAD_PAGE_DEFAULT_LIMIT,
+  THREAD_PAGE_MAX_LIMIT,
+  buildReplyPreview,
+  buildReplyReference,
+  createThreadService
+};
@@ -0,0 +1,200 @@
+// 소켓 이벤트 속도 제한 및 도배 방지
+// 사용자별/방별 토큰 버킷으로 이벤트 속도를 제한하고, 같은(또는 거의 같은) 메시지를 짧은 시간에 반복하는 도배를 탐지한다.
+// 위반이 반복되면 일정 시간 연결을 끊는다.
+// 상태는 프로세스 메모리에 있으므로 여러 인스턴스에서는 인스턴스별로 제한된다.
+
+const SECOND = 1000;
+
+const DEFAULT_OPTIONS = {
+  userBurst: parseInt(process.env.SOCKET_USER_BURST) || 8, // 사용자별 최대 연속 이벤트 수
+  userRatePerSecond: parseFloat(process.env.SOCKET_USER_RATE) || 1, // 사용자별 초당 회복량
+  roomBurst: parseInt(process.env.SOCKET_ROOM_BURST) || 30, // 방별 최대 연속 메시지 수
+  roomRatePerSecond: parseFloat(process.env.SOCKET_ROOM_RATE) || 5, // 방별 초당 회복량
+  duplicateWindowMs: 30 * SECOND, // 중복 메시지를 비교할 기간
+  duplicateLimit: 3, // 기간 안에 허용하는 비슷한 메시지 수
+  similarityThreshold: 0.85, // 이 값 이상이면 거의 같은 메시지로 판단
+  violationWindowMs: 60 * SECOND,
+  disconnectAfter: parseInt(process.env.FLOOD_DISCONNECT_AFTER) || 5, // 기간 안의 위반 횟수가 이 값에 이르면 연결 해제
+  disconnectMs: (parseInt(process.env.FLOOD_DISCONNECT_SECONDS) || 60) * SECOND,
+  idleMs: 10 * 60 * SECOND // 이 기간 동안 활동이 없으면 상태 삭제
+};
+
+// 속도 제한 없이 허용하는 이벤트
+const FREE_EVENTS = ['leave_room', 'typing_start', 'typing_stop'];
+
+// 토큰 버킷 - 토큰이 부족하면 다시 시도할 수 있을 때까지의 ms 반환, 통과하면 0
+function takeToken(bucket, capacity, ratePerSecond, now, cost = 1) {
+  const elapsed = (now - bucket.updatedAt) / SECOND;
+  bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * ratePerSecond);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens >= cost) {
+    bucket.tokens -= cost;
+    return 0;
+  }
+  return Math.ceil(((cost - bucket.tokens) / ratePerSecond) * SECOND);
+}
+
+// 비교용 메시지 정규화 (대소문자, 공백, 문장 부호, 반복 문자 무시)
+// 검증 전 이벤트 데이터도 들어오므로 문자열이 아니면 빈 내용으로 취급
+function normalizeForComparison(content) {
+  return (typeof content === 'string' ? content : '')
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]+/gu, '')
+    .replace(/(.)\1{2,}/gu, '$1$1');
+}
+
+// 글자 2-gram 다이스 계수 (0~1)
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const gram = a.slice(i, i + 2);
+    bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const gram = b.slice(i, i + 2);
+    const count = bigrams.get(gram) || 0;
+    if (count > 0) {
+      bigrams.set(gram, count - 1);
+      overlap++;
+    }
+  }
+
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+// 도배 방지기 생성
+function createFloodGuard(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const users = new Map(); // userId → { bucket, recentMessages, violations, disconnectedUntil, lastSeen }
+  const rooms = new Map(); // roomId → { bucket, lastSeen }
+
+  function getUserState(userId, now) {
+    let state = users.get(userId);
+    if (!state) {
+      state = {
+        bucket: { tokens: options.userBurst, updatedAt: now },
+        recentMessages: [],
+        violations: [],
+        disconnectedUntil: 0,
+        lastSeen: now
+      };
+      users.set(userId, state);
+    }
+    state.lastSeen = now;
+    return state;
+  }
+
+  function getRoomState(roomId, now) {
+    let state = rooms.get(roomId);
+    if (!state) {
+      state = { bucket: { tokens: options.roomBurst, updatedAt: now }, lastSeen: now };
+      rooms.set(roomId, state);
+    }
+    state.lastSeen = now;
+    return state;
+  }
+
+  // 최근 메시지 중 비슷한 메시지 조회
+  function findSimilarMessages(state, normalized, now) {
+    state.recentMessages = state.recentMessages.filter(entry => now - entry.sentAt < options.duplicateWindowMs);
+    if (!normalized) return [];
+    return state.recentMessages.filter(entry => similarity(entry.normalized, normalized) >= options.similarityThreshold);
+  }
+
+  // 위반 기록 후 결과 생성
+  function deny(state, reason, retryAfterMs, now) {
+    state.violations = state.violations.filter(time => now - time < options.violationWindowMs);
+    state.violations.push(now);
+
+    if (state.violations.length >= options.disconnectAfter) {
+      state.violations = [];
+      state.disconnectedUntil = now + options.disconnectMs;
+      return { allowed: false, reason, retryAfterMs: options.disconnectMs, disconnect: true };
+    }
+
+    return { allowed: false, reason, retryAfterMs, disconnect: false };
+  }
+
+  // 이벤트 허용 여부 확인
+  // 결과: { allowed, reason: 'disconnected'|'user_rate'|'room_rate'|'duplicate', retryAfterMs, disconnect }
+  function check({ userId, event, roomId, content, messageId }, now = Date.now()) {
+    if (FREE_EVENTS.includes(event)) {
+      return { allowed: true };
+    }
+
+    const state = getUserState(userId, now);
+    if (state.disconnectedUntil > now) {
+      return { allowed: false, reason: 'disconnected', retryAfterMs: state.disconnectedUntil - now, disconnect: true };
+    }
+
+    const userWait = takeToken(state.bucket, options.userBurst, options.userRatePerSecond, now);
+    if (userWait > 0) {
+      return deny(state, 'user_rate', userWait, now);
+    }
+
+    if (event !== 'send_message') {
+      return { allowed: true };
+    }
+
+    // 같은 messageId 재전송은 도배가 아닌 재시도로 취급
+    const normalized = normalizeForComparison(content);
+    const similar = findSimilarMessages(state, normalized, now);
+    if (messageId && similar.some(entry => entry.messageId === messageId)) {
+      return { allowed: true };
+    }
+
+    // 같은 메시지 반복 확인 (거부된 메시지는 기록하지 않아 기간이 지나면 다시 보낼 수 있음)
+    if (similar.length >= options.duplicateLimit) {
+      const retryAfterMs = similar[0].sentAt + options.duplicateWindowMs - now;
+      return deny(state, 'duplicate', retryAfterMs, now);
+    }
+
+    if (roomId) {
+      const roomWait = takeToken(getRoomState(roomId, now).bucket, options.roomBurst, options.roomRatePerSecond, now);
+      if (roomWait > 0) {
+        return deny(state, 'room_rate', roomWait, now);
+      }
+    }
+
+    state.recentMessages.push({ normalized, messageId, sentAt: now });
+    return { allowed: true };
+  }
+
+  // 연결 해제 중인 사용자의 남은 시간 (ms, 없으면 0)
+  function getDisconnectRemaining(userId, now = Date.now()) {
+    const state = users.get(userId);
+    return state && state.disconnectedUntil > now ? state.disconnectedUntil - now : 0;
+  }
+
+  // 오래 활동이 없는 상태 정리
+  function prune(now = Date.now()) {
+    for (const [userId, state] of users) {
+      if (now - state.lastSeen > options.idleMs && state.disconnectedUntil <= now) users.delete(userId);
+    }
+    for (const [roomId, state] of rooms) {
+      if (now - state.lastSeen > options.idleMs) rooms.delete(roomId);
+    }
+  }
+
+  const pruneTimer = setInterval(prune, options.idleMs);
+  pruneTimer.unref();
+
+  return {
+    check,
+    getDisconnectRemaining,
+    prune
+  };
+}
+
+module.exports = {
+  FREE_EVENTS,
+  normalizeForComparison,
+  similarity,
+  createFloodGuard
+};
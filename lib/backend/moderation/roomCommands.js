@@ -0,0 +1,353 @@
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'roomCommands' });
+
+// 채팅방 역할(owner, moderator, member)과 방 관리 명령
+// REST API와 소켓 room_command 이벤트가 같은 명령 실행 함수를 사용한다.
+// 모든 명령은 권한을 확인한 뒤 방에 시스템 메시지를 남긴다.
+
+const MINUTE = 60 * 1000;
+
+const ROLES = ['owner', 'moderator', 'member'];
+const ROLE_RANK = { member: 1, moderator: 2, owner: 3, admin: 4 }; // admin: 전역 모더레이터
+
+// 명령별 최소 역할
+const COMMAND_ROLES = {
+  promote: 'owner',
+  kick: 'moderator',
+  mute: 'moderator',
+  ban: 'moderator',
+  pin: 'moderator',
+  rename: 'moderator',
+  delete: 'owner'
+};
+const COMMANDS = Object.keys(COMMAND_ROLES);
+
+// 제재 명령 기본 기간 (null이면 영구), 최대 30일
+const DEFAULT_DURATION_MS = {
+  kick: 10 * MINUTE, // 강퇴 후 다시 참가할 수 없는 기간
+  mute: 10 * MINUTE,
+  ban: null
+};
+const MAX_DURATION_MINUTES = 30 * 24 * 60;
+
+const MAX_ROOM_NAME_LENGTH = 100;
+const MAX_PINNED_MESSAGES = parseInt(process.env.MAX_PINNED_MESSAGES) || 50;
+
+const SANCTION_REASONS = {
+  kick: '채팅방 관리자가 강퇴했습니다.',
+  mute: '채팅방 관리자가 메시지 전송을 제한했습니다.',
+  ban: '채팅방 관리자가 이 채팅방 참가를 차단했습니다.'
+};
+
+// 방에서 사용자의 역할 (참가하지 않았으면 null, ownerTempId가 없는 기존 방은 생성자가 소유자)
+function getRoomRole(room, tempId) {
+  if (!room || !tempId) return null;
+  if ((room.ownerTempId || room.creatorTempId) === tempId) return 'owner';
+  if ((room.moderatorTempIds || []).includes(tempId)) return 'moderator';
+  if ((room.participants || []).includes(tempId)) return 'member';
+  return null;
+}
+
+// 사용자가 관리자(owner 또는 moderator)인 방 조회 필터
+function managedRoomsFilter(tempId) {
+  return {
+    $or: [
+      { ownerTempId: tempId },
+      { ownerTempId: null, creatorTempId: tempId },
+      { moderatorTempIds: tempId }
+    ]
+  };
+}
+
+// 다른 사용자에게 공개해도 되는 사용자 정보
+function toPublicUser(user) {
+  return {
+    userId: user.userId,
+    anonymousId: user.anonymousId,
+    nickname: user.nickname
+  };
+}
+
+function displayName(user) {
+  return user.nickname || `익명${user.anonymousId}`;
+}
+
+// 실패 결과
+function failure(status, code, message) {
+  return { success: false, status, code, message };
+}
+
+// 제재 기간 파싱 (분 단위) - 잘못된 값이면 undefined
+function parseDuration(command, durationMinutes) {
+  if (durationMinutes === undefined) return DEFAULT_DURATION_MS[command];
+  if (durationMinutes === null) return command === 'ban' ? null : undefined;
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) return undefined;
+  return durationMinutes * MINUTE;
+}
+
+// 방 관리 명령 서비스 생성
+// deps: { User, Room, Message, RoomInvite, sanctionService, io, userRoom, isGlobalModerator, postSystemMessage }
+// postSystemMessage(room, content, systemEvent, { persist }) - 시스템 메시지 저장 후 방에 전송
+function createRoomCommandService(deps) {
+  const { User, Room, Message, RoomInvite, sanctionService, io, userRoom, isGlobalModerator, postSystemMessage } = deps;
+
+  // 명령을 실행하는 사용자의 역할 (전역 모더레이터는 모든 방에서 admin)
+  function getActorRole(room, actor) {
+    if (isGlobalModerator(actor)) return 'admin';
+    return getRoomRole(room, actor.tempId);
+  }
+
+  // 대상 사용자 조회 및 권한 확인 (자신보다 낮은 역할에게만 사용 가능)
+  async function resolveTarget(room, actorRole, actor, targetUserId) {
+    if (typeof targetUserId !== 'string' || targetUserId.length === 0) {
+      return { error: failure(400, 'invalid_target', 'targetUserId가 필요합니다.') };
+    }
+    if (targetUserId === actor.userId) {
+      return { error: failure(400, 'invalid_target', '자기 자신에게는 사용할 수 없습니다.') };
+    }
+
+    const target = await User.findOne({ userId: targetUserId });
+    if (!target) {
+      return { error: failure(404, 'target_not_found', '대상 사용자를 찾을 수 없습니다.') };
+    }
+
+    const targetRole = getRoomRole(room, target.tempId);
+    if (ROLE_RANK[targetRole] >= ROLE_RANK[actorRole]) {
+      return { error: failure(403, 'forbidden', '자신보다 높거나 같은 역할의 사용자에게는 사용할 수 없습니다.') };
+    }
+
+    return { target, targetRole };
+  }
+
+  // 역할 변경 (owner 전용, role이 owner이면 소유권 이전 후 기존 소유자는 moderator)
+  async function promote(room, actor, actorRole, { targetUserId, role }) {
+    if (!ROLES.includes(role)) {
+      return failure(400, 'invalid_role', 'role은 owner, moderator, member 중 하나여야 합니다.');
+    }
+
+    const { target, targetRole, error } = await resolveTarget(room, actorRole, actor, targetUserId);
+    if (error) return error;
+    if (!targetRole) {
+      return failure(400, 'not_participant', '채팅방에 참가한 사용자만 역할을 바꿀 수 있습니다.');
+    }
+    if (targetRole === role) {
+      return failure(409, 'role_unchanged', '이미 같은 역할입니다.');
+    }
+
+    let previousOwner = null;
+    if (role === 'owner') {
+      previousOwner = room.ownerTempId || room.creatorTempId;
+      await Room.updateOne({ roomId: room.roomId }, {
+        $set: { ownerTempId: target.tempId },
+        $pull: { moderatorTempIds: target.tempId }
+      });
+      await Room.updateOne({ roomId: room.roomId }, { $addToSet: { moderatorTempIds: previousOwner } });
+    } else if (role === 'moderator') {
+      await Room.updateOne({ roomId: room.roomId }, { $addToSet: { moderatorTempIds: target.tempId } });
+    } else {
+      await Room.updateOne({ roomId: room.roomId }, { $pull: { moderatorTempIds: target.tempId } });
+    }
+
+    const messages = {
+      owner: `${displayName(actor)}님이 ${displayName(target)}님에게 방장을 넘겼습니다.`,
+      moderator: `${displayName(actor)}님이 ${displayName(target)}님을 관리자로 지정했습니다.`,
+      member: `${displayName(actor)}님이 ${displayName(target)}님의 관리자 권한을 해제했습니다.`
+    };
+    await postSystemMessage(room, messages[role], {
+      command: 'promote',
+      actor: toPublicUser(actor),
+      target: toPublicUser(target),
+      role
+    });
+
+    io.to(userRoom(target.userId)).emit('room_role_updated', { roomId: room.roomId, role });
+    if (previousOwner) {
+      const previous = await User.findOne({ tempId: previousOwner }).select('userId');
+      if (previous) {
+        io.to(userRoom(previous.userId)).emit('room_role_updated', { roomId: room.roomId, role: 'moderator' });
+      }
+    }
+
+    return { success: true, data: { roomId: room.roomId, target: toPublicUser(target), role } };
+  }
+
+  // 강퇴, 뮤트, 차단 (방 범위 제재)
+  async function sanction(command, room, actor, actorRole, { targetUserId, durationMinutes, reason }) {
+    const durationMs = parseDuration(command, durationMinutes);
+    if (durationMs === undefined) {
+      return failure(400, 'invalid_duration', `durationMinutes는 1에서 ${MAX_DURATION_MINUTES} 사이의 정수여야 합니다.`);
+    }
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+      return failure(400, 'invalid_reason', '사유는 200자 이하의 문자열이어야 합니다.');
+    }
+
+    const { target, targetRole, error } = await resolveTarget(room, actorRole, actor, targetUserId);
+    if (error) return error;
+    if (command === 'kick' && !targetRole) {
+      return failure(400, 'not_participant', '채팅방에 참가한 사용자만 강퇴할 수 있습니다.');
+    }
+
+    // 강퇴와 차단은 관리자 권한도 함께 해제
+    if (command !== 'mute') {
+      await Room.updateOne({ roomId: room.roomId }, { $pull: { moderatorTempIds: target.tempId } });
+    }
+
+    const applied = await sanctionService.applySanction(target, command, {
+      roomId: room.roomId,
+      scope: 'room',
+      durationMs,
+      reason: reason || SANCTION_REASONS[command],
+      issuedBy: actor.userId
+    });
+
+    const verbs = { kick: '강퇴했습니다', mute: '메시지 전송을 제한했습니다', ban: '차단했습니다' };
+    const content = command === 'mute'
+      ? `${displayName(actor)}님이 ${displayName(target)}님의 ${verbs.mute}.`
+      : `${displayName(actor)}님이 ${displayName(target)}님을 ${verbs[command]}.`;
+    await postSystemMessage(room, content, {
+      command,
+      actor: toPublicUser(actor),
+      target: toPublicUser(target),
+      expiresAt: applied.expiresAt
+    });
+
+    return {
+      success: true,
+      data: {
+        roomId: room.roomId,
+        target: toPublicUser(target),
+        sanctionId: applied.sanctionId,
+        expiresAt: applied.expiresAt
+      }
+    };
+  }
+
+  // 메시지 고정 및 해제 (pinned: false이면 해제)
+  async function pin(room, actor, { messageId, pinned = true }) {
+    if (typeof messageId !== 'string' || typeof pinned !== 'boolean') {
+      return failure(400, 'invalid_message', 'messageId와 pinned(true/false)가 필요합니다.');
+    }
+
+    const message = await Message.findOne({ messageId, roomId: room.roomId, moderationStatus: { $in: ['visible', 'redacted'] } });
+    if (!message) {
+      return failure(404, 'message_not_found', '메시지를 찾을 수 없습니다.');
+    }
+    if (Boolean(message.pinnedAt) === pinned) {
+      return failure(409, 'pin_unchanged', pinned ? '이미 고정된 메시지입니다.' : '고정되지 않은 메시지입니다.');
+    }
+
+    if (pinned) {
+      const pinnedCount = await Message.countDocuments({ roomId: room.roomId, pinnedAt: { $ne: null } });
+      if (pinnedCount >= MAX_PINNED_MESSAGES) {
+        return failure(409, 'too_many_pins', `메시지는 최대 ${MAX_PINNED_MESSAGES}개까지 고정할 수 있습니다.`);
+      }
+      await Message.updateOne({ messageId }, { pinnedAt: new Date(), pinnedBy: actor.userId });
+    } else {
+      await Message.updateOne({ messageId }, { $unset: { pinnedAt: 1, pinnedBy: 1 } });
+    }
+
+    await postSystemMessage(room, pinned
+      ? `${displayName(actor)}님이 메시지를 고정했습니다.`
+      : `${displayName(actor)}님이 메시지 고정을 해제했습니다.`, {
+      command: 'pin',
+      actor: toPublicUser(actor),
+      messageId,
+      pinned
+    });
+
+    return { success: true, data: { roomId: room.roomId, messageId, pinned } };
+  }
+
+  // 방 이름 변경
+  async function rename(room, actor, { name }) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (trimmed.length === 0 || trimmed.length > MAX_ROOM_NAME_LENGTH) {
+      return failure(400, 'invalid_name', `방 이름은 1~${MAX_ROOM_NAME_LENGTH}자여야 합니다.`);
+    }
+
+    await Room.updateOne({ roomId: room.roomId }, { name: trimmed });
+    await postSystemMessage(room, `${displayName(actor)}님이 방 이름을 '${trimmed}'(으)로 바꿨습니다.`, {
+      command: 'rename',
+      actor: toPublicUser(actor),
+      name: trimmed
+    });
+
+    return { success: true, data: { roomId: room.roomId, name: trimmed } };
+  }
+
+  // 방 삭제 (메시지와 초대 코드 포함, 시스템 메시지는 저장하지 않고 전송만)
+  async function remove(room, actor) {
+    return deleteRoom(room, `${displayName(actor)}님이 채팅방을 삭제했습니다.`, {
+      command: 'delete',
+      actor: toPublicUser(actor)
+    });
+  }
+
+  // 방과 메시지, 초대 코드를 삭제하고 참가자에게 알림 (관리자 API에서도 사용)
+  async function deleteRoom(room, notice, systemEvent) {
+    await postSystemMessage(room, notice, systemEvent, { persist: false });
+
+    await Promise.all([
+      Room.deleteOne({ roomId: room.roomId }),
+      Message.deleteMany({ roomId: room.roomId }),
+      RoomInvite.deleteMany({ roomId: room.roomId })
+    ]);
+
+    io.to(room.roomId).emit('room_deleted', { roomId: room.roomId });
+    io.in(room.roomId).socketsLeave(room.roomId);
+
+    return { success: true, data: { roomId: room.roomId } };
+  }
+
+  // 명령 실행 - 결과: { success: true, data } 또는 { success: false, status, code, message }
+  async function execute(actor, roomId, command, params = {}) {
+    if (!COMMANDS.includes(command)) {
+      return failure(400, 'unknown_command', `알 수 없는 명령입니다: ${command}`);
+    }
+
+    const room = typeof roomId === 'string' ? await Room.findOne({ roomId }) : null;
+    if (!room) {
+      return failure(404, 'room_not_found', '채팅방을 찾을 수 없습니다.');
+    }
+
+    const actorRole = getActorRole(room, actor);
+    if (!actorRole || ROLE_RANK[actorRole] < ROLE_RANK[COMMAND_ROLES[command]]) {
+      return failure(403, 'forbidden', '이 명령을 실행할 권한이 없습니다.');
+    }
+
+    logger.info(`방 관리 명령: 방 ID ${roomId}, 명령 ${command}, 사용자 ${actor.userId} (${actorRole})`);
+
+    switch (command) {
+      case 'promote':
+        return promote(room, actor, actorRole, params);
+      case 'kick':
+      case 'mute':
+      case 'ban':
+        return sanction(command, room, actor, actorRole, params);
+      case 'pin':
+        return pin(room, actor, params);
+      case 'rename':
+        return rename(room, actor, params);
+      case 'delete':
+        return remove(room, actor);
+      default:
+        return failure(400, 'unknown_command', `알 수 없는 명령입니다: ${command}`);
+    }
+  }
+
+  return {
+    getActorRole,
+    execute,
+    deleteRoom
+  };
+}
+
+module.exports = {
+  ROLES,
+  COMMANDS,
+  MAX_ROOM_NAME_LENGTH,
+  getRoomRole,
+  managedRoomsFilter,
+  createRoomCommandService
+};
@@ -0,0 +1,143 @@
+const { v4: uuidv4 } = require('uuid');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'sanctions' });
+
+// 누적 경고(strike) 기반 자동 제재
+// 차단된 메시지와 신고가 경고를 쌓고, 경고 수에 따라 일시 뮤트 → 방 강퇴 → 전체 차단으로 단계가 올라간다.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// 마지막 경고 이후 이 기간이 지나면 경고 수 초기화
+const STRIKE_RESET_MS = (parseInt(process.env.STRIKE_RESET_DAYS) || 30) * DAY;
+
+// 경고 수별 제재 단계 (높은 단계부터 검사)
+const SANCTION_LEVELS = [
+  { strikes: parseInt(process.env.SANCTION_BAN_STRIKES) || 8, type: 'ban', durationMs: null },
+  { strikes: parseInt(process.env.SANCTION_KICK_STRIKES) || 5, type: 'kick', durationMs: DAY },
+  { strikes: parseInt(process.env.SANCTION_MUTE_STRIKES) || 3, type: 'mute', durationMs: 10 * MINUTE }
+];
+
+const SANCTION_REASONS = {
+  mute: '반복된 보안 위반으로 일시적으로 메시지를 보낼 수 없습니다.',
+  kick: '반복된 보안 위반으로 채팅방에서 강퇴되었습니다.',
+  ban: '반복된 보안 위반으로 서비스 이용이 차단되었습니다.'
+};
+
+// 경고 수에 해당하는 제재 단계 조회
+function getSanctionLevel(strikeCount) {
+  return SANCTION_LEVELS.find(level => strikeCount >= level.strikes) || null;
+}
+
+// 제재 서비스 생성
+// deps: { User, Room, Sanction, io, userRoom }
+function createSanctionService({ User, Room, Sanction, io, userRoom }) {
+  // 현재 유효한 제재 목록
+  async function getActiveSanctions(userId) {
+    const now = new Date();
+    return Sanction.find({
+      userId,
+      liftedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).sort({ createdAt: -1 });
+  }
+
+  // 동작(send, join)을 막는 제재 조회 - 없으면 null
+  // roomId가 있는 제재(강퇴, 방 관리자의 뮤트/차단)는 해당 방에만 적용
+  async function findBlockingSanction(userId, roomId, operation = 'send') {
+    const sanctions = await getActiveSanctions(userId);
+    return sanctions.find(sanction => {
+      if (sanction.roomId && sanction.roomId !== roomId) return false;
+      if (sanction.type === 'ban' || sanction.type === 'kick') return true;
+      if (sanction.type === 'mute') return operation === 'send';
+      return false;
+    }) || null;
+  }
+
+  // 제재 적용 (기록 저장, 강퇴 처리, 사용자 알림)
+  // scope: 'room'이면 roomId 방에만 적용 (강퇴는 항상 방 범위)
+  async function applySanction(user, type, { roomId, scope, durationMs, reason, strikeCount, issuedBy = 'system' }) {
+    const roomScoped = type === 'kick' || scope === 'room';
+    const sanction = await Sanction.create({
+      sanctionId: uuidv4(),
+      userId: user.userId,
+      type,
+      roomId: roomScoped ? roomId : undefined,
+      reason: reason || SANCTION_REASONS[type],
+      strikeCount,
+      issuedBy,
+      expiresAt: durationMs ? new Date(Date.now() + durationMs) : null
+    });
+
+    // 강퇴 또는 방 차단이면 참가자 목록에서 제외
+    if ((type === 'kick' || type === 'ban') && roomScoped && roomId) {
+      await Room.updateOne({ roomId }, { $pull: { participants: user.tempId } });
+      io.in(userRoom(user.userId)).socketsLeave(roomId);
+    }
+
+    io.to(userRoom(user.userId)).emit('sanction_applied', {
+      sanctionId: sanction.sanctionId,
+      type: sanction.type,
+      roomId: sanction.roomId,
+      reason: sanction.reason,
+      expiresAt: sanction.expiresAt
+    });
+
+    if (type === 'ban' && !roomScoped) {
+      io.in(userRoom(user.userId)).disconnectSockets(true);
+    }
+
+    logger.info(`제재 적용: 사용자 ${user.userId}, 유형 ${type}${roomScoped ? `, 방 ${roomId}` : ''}, 경고 ${strikeCount || 0}회`);
+    return sanction;
+  }
+
+  // 경고 추가 후 단계에 맞는 제재 적용
+  // source: 'block'(차단된 메시지) 또는 'report'(신고 누적)
+  async function addStrike(userId, { roomId, source }) {
+    const user = await User.findOne({ userId });
+    if (!user) return null;
+
+    // 오래된 경고는 초기화
+    const expired = !user.lastStrikeAt || Date.now() - user.lastStrikeAt.getTime() > STRIKE_RESET_MS;
+    const update = expired
+      ? { $set: { strikeCount: 1, lastStrikeAt: new Date() } }
+      : { $inc: { strikeCount: 1 }, $set: { lastStrikeAt: new Date() } };
+
+    const updated = await User.findOneAndUpdate({ userId }, update, { new: true });
+    logger.info(`경고 추가: 사용자 ${userId}, 출처 ${source}, 누적 ${updated.strikeCount}회`);
+
+    const level = getSanctionLevel(updated.strikeCount);
+    if (!level) return null;
+
+    // 방 정보가 없으면 강퇴 대신 뮤트
+    const type = level.type === 'kick' && !roomId ? 'mute' : level.type;
+    const durationMs = type === level.type ? level.durationMs : SANCTION_LEVELS[SANCTION_LEVELS.length - 1].durationMs;
+
+    return applySanction(updated, type, { roomId, durationMs, strikeCount: updated.strikeCount });
+  }
+
+  // 제재 해제
+  async function liftSanction(sanctionId, liftedBy) {
+    return Sanction.findOneAndUpdate(
+      { sanctionId, liftedAt: null },
+      { liftedAt: new Date(), liftedBy },
+      { new: true }
+    );
+  }
+
+  return {
+    getActiveSanctions,
+    findBlockingSanction,
+    applySanction,
+    addStrike,
+    liftSanction
+  };
+}
+
+module.exports = {
+  SANCTION_LEVELS,
+  getSanctionLevel,
+  createSanctionService
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// 구조화 로거
+// 한 줄에 JSON 하나씩 출력하고(LOG_FORMAT=pretty면 사람이 읽기 쉬운 형식), LOG_LEVEL 미만은 출력하지 않는다.
+// HTTP 요청과 소켓 이벤트 처리 중에 남긴 로그에는 requestId, socketId 등 실행 문맥이 자동으로 붙는다.
+// 메시지 내용, 비밀번호, 토큰 등은 필드 이름으로, Bearer 토큰과 관리자 API 키는 문자열 패턴으로 가린다.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 5;
+
+// 값을 가릴 필드 이름 (소문자로 비교)
+const REDACT_KEYS = new Set([
+  'content',
+  'storedcontent',
+  'envelope',
+  'ciphertext',
+  'password',
+  'passwordhash',
+  'secret',
+  'secrethash',
+  'token',
+  'apikey',
+  'app_key',
+  'authorization',
+  'x-admin-key',
+  'cookie',
+  'tempid',
+  'uniqueidentifier',
+  'signature'
+]);
+
+// 문자열 안에서 가릴 비밀 값 패턴
+const SECRET_PATTERNS = [
+  /Bearer\s+[A-Za-z0-9._~+/-]+=*/gi,
+  /tha_[a-f0-9]{16}_[A-Za-z0-9_-]{43}/g, // 관리자 API 키
+  /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g // JWT
+];
+
+const REQUEST_ID_HEADER = 'x-request-id';
+const REQUEST_ID_REGEX = /^[A-Za-z0-9._-]{1,64}$/;
+
+// 요청/소켓 이벤트별 실행 문맥 ({ requestId, socketId, userId, event })
+const logContext = new AsyncLocalStorage();
+
+function scrubString(text) {
+  return SECRET_PATTERNS.reduce((result, pattern) => result.replace(pattern, REDACTED), text);
+}
+
+// 로그에 남길 값 정리 (비밀 필드와 패턴 가리기, Error는 이름/메시지/스택만)
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return scrubString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[Object]';
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: scrubString(value.message || ''),
+      code: value.code,
+      stack: value.stack ? scrubString(value.stack) : undefined
+    };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = REDACT_KEYS.has(key.toLowerCase()) && item !== undefined && item !== null
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+function write(level, bindings, message, fields) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...bindings,
+    ...logContext.getStore(),
+    ...fields
+  });
+
+  const line = LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(line + '\n');
+}
+
+// 로거 생성 - bindings는 모든 로그에 붙는 필드 (예: { module: 'sanctions' })
+function createLogger(bindings = {}) {
+  return {
+    debug: (message, fields) => write('debug', bindings, message, fields),
+    info: (message, fields) => write('info', bindings, message, fields),
+    warn: (message, fields) => write('warn', bindings, message, fields),
+    error: (message, fields) => write('error', bindings, message, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+  };
+}
+
+const logger = createLogger();
+
+// 문맥을 추가해 함수 실행 (바깥 문맥의 필드는 유지)
+function runWithContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+// 요청 ID 미들웨어 - X-Request-Id 헤더가 올바르면 그대로, 없으면 새로 발급해 응답 헤더로 돌려줌
+// 요청이 끝나면 메서드, 라우트, 상태 코드, 처리 시간을 기록한다 (쿼리 문자열과 본문은 기록하지 않음).
+function requestContext(requestLogger = logger) {
+  return (req, res, next) => {
+    const incoming = req.headers[REQUEST_ID_HEADER];
+    req.id = typeof incoming === 'string' && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
+      requestLogger[level]('HTTP 요청 처리', {
+        requestId: req.id,
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        userId: req.user ? req.user.userId : undefined,
+        adminKeyId: req.adminKey ? req.adminKey.keyId : undefined
+      });
+    });
+
+    runWithContext({ requestId: req.id }, next);
+  };
+}
+
+module.exports = {
+  LEVELS,
+  logger,
+  createLogger,
+  redact,
+  runWithContext,
+  requestContext
+};
@@ -0,0 +1,187 @@
+// Prometheus 텍스트 형식 지표
+// 카운터, 게이지, 히스토그램을 기본 레지스트리에 등록하고 /metrics에서 render() 결과를 응답한다.
+// 게이지에 collect를 지정하면 수집할 때마다 현재 값을 계산한다 (활성 소켓 수, MongoDB 준비 상태 등).
+// 같은 이름으로 다시 등록하면 기존 지표를 돌려주므로 여러 모듈에서 같은 지표를 선언해도 된다.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const METRIC_NAME_REGEX = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// 레이블 값으로 시계열 키 생성 (선언한 레이블 이름 순서)
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function keyToLabels(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+  const values = new Map();
+
+  return {
+    name,
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    collect() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(keyToLabels(labelNames, key))} ${formatValue(value)}`);
+      }
+      return lines;
+    }
+  };
+}
+
+// collect: () => 숫자 또는 [{ labels, value }] - 지정하면 set() 대신 수집 시 계산한 값 사용
+function createGauge({ name, help, labelNames = [], collect: compute }) {
+  const values = new Map();
+
+  return {
+    name,
+    set(labels, value) {
+      values.set(labelKey(labelNames, labels), value);
+    },
+    collect() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      if (compute) {
+        const result = compute();
+        const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+        for (const sample of samples) {
+          lines.push(`${name}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+        }
+        return lines;
+      }
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(keyToLabels(labelNames, key))} ${formatValue(value)}`);
+      }
+      return lines;
+    }
+  };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const sortedBuckets = [...buckets].sort((a, b) => a - b);
+  const series = new Map(); // key → { counts, sum, count }
+
+  function observe(labels = {}, value) {
+    const key = labelKey(labelNames, labels);
+    if (!series.has(key)) {
+      series.set(key, { counts: sortedBuckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const entry = series.get(key);
+    sortedBuckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  return {
+    name,
+    observe,
+    // 타이머 시작 - 반환한 함수를 호출하면 경과 시간(초)을 기록
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    collect() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        const labels = keyToLabels(labelNames, key);
+        sortedBuckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(entry.sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+      }
+      return lines;
+    }
+  };
+}
+
+// 지표 레지스트리 생성
+function createRegistry() {
+  const metrics = new Map();
+
+  function register(factory, options) {
+    if (!METRIC_NAME_REGEX.test(options.name)) {
+      throw new Error(`잘못된 지표 이름입니다: ${options.name}`);
+    }
+    if (!metrics.has(options.name)) {
+      metrics.set(options.name, factory(options));
+    }
+    return metrics.get(options.name);
+  }
+
+  return {
+    counter: options => register(createCounter, options),
+    gauge: options => register(createGauge, options),
+    histogram: options => register(createHistogram, options),
+    // 등록된 모든 지표를 Prometheus 텍스트 형식으로 출력 (수집에 실패한 지표는 건너뜀)
+    render() {
+      const lines = [];
+      for (const metric of metrics.values()) {
+        try {
+          lines.push(...metric.collect());
+        } catch (error) {
+          lines.push(`# ${metric.name} 수집 실패: ${error.message.replace(/\n/g, ' ')}`);
+        }
+      }
+      return lines.join('\n') + '\n';
+    }
+  };
+}
+
+const registry = createRegistry();
+
+// 프로세스 기본 지표
+registry.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes.',
+  collect: () => process.memoryUsage().rss
+});
+registry.gauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'Node.js heap used in bytes.',
+  collect: () => process.memoryUsage().heapUsed
+});
+const processStartTime = Math.floor(Date.now() / 1000 - process.uptime());
+registry.gauge({
+  name: 'process_start_time_seconds',
+  help: 'Start time of the process since unix epoch in seconds.',
+  collect: () => processStartTime
+});
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  DEFAULT_BUCKETS,
+  createRegistry,
+  registry,
+  counter: options => registry.counter(options),
+  gauge: options => registry.gauge(options),
+  histogram: options => registry.histogram(options)
+};
@@ -0,0 +1,162 @@
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'presence' });
+
+// 채팅방 접속 상태(presence)와 입력 중 표시
+// 접속 상태는 Socket.io 룸 자체를 기준으로 계산하므로 어댑터를 쓰면 여러 인스턴스에 걸쳐 동작한다.
+// 같은 사용자가 여러 소켓으로 접속할 수 있으므로 마지막 소켓이 나갈 때만 user_left를 보낸다.
+
+const TYPING_TIMEOUT_MS = parseInt(process.env.TYPING_TIMEOUT_MS) || 5000;
+
+// 다른 사용자에게 공개해도 되는 정보만 담은 접속자 정보 (tempId, userId 제외)
+function toPublicProfile(presence) {
+  return {
+    anonymousId: presence.anonymousId,
+    nickname: presence.nickname
+  };
+}
+
+// 접속 상태 서비스 생성
+// deps: { io }
+function createPresenceService({ io }) {
+  const typingTimers = new Map(); // socket.id → Map(roomId → timer)
+
+  // 소켓에 접속자 정보 기록 (fetchSockets로 다른 인스턴스에서도 읽을 수 있도록 일반 객체로 저장)
+  function attach(socket, user) {
+    socket.data.presence = {
+      userId: user.userId,
+      anonymousId: user.anonymousId,
+      nickname: user.nickname
+    };
+  }
+
+  // 방에 접속한 사용자 목록 (사용자별 하나로 합침)
+  async function getOnlineUsers(roomId) {
+    const sockets = await io.in(roomId).fetchSockets();
+    const users = new Map();
+    for (const remoteSocket of sockets) {
+      const { presence } = remoteSocket.data;
+      if (presence && !users.has(presence.userId)) {
+        users.set(presence.userId, presence);
+      }
+    }
+    return [...users.values()];
+  }
+
+  // 공개용 접속자 목록
+  async function getParticipants(roomId) {
+    const users = await getOnlineUsers(roomId);
+    return users.map(toPublicProfile);
+  }
+
+  // 여러 방의 접속자 수 ({ roomId: count })
+  async function getOnlineCounts(roomIds) {
+    const counts = await Promise.all(roomIds.map(async roomId => (await getOnlineUsers(roomId)).length));
+    return Object.fromEntries(roomIds.map((roomId, index) => [roomId, counts[index]]));
+  }
+
+  // 같은 사용자의 다른 소켓이 방에 남아 있는지 확인
+  async function hasOtherSocket(socket, roomId) {
+    const sockets = await io.in(roomId).fetchSockets();
+    return sockets.some(remoteSocket => remoteSocket.id !== socket.id
+      && remoteSocket.data.presence
+      && remoteSocket.data.presence.userId === socket.data.presence.userId);
+  }
+
+  // 방 입장 - 사용자의 첫 소켓이면 user_joined 브로드캐스트
+  async function join(socket, roomId) {
+    if (socket.rooms.has(roomId)) return;
+
+    socket.join(roomId);
+    if (await hasOtherSocket(socket, roomId)) return;
+
+    const users = await getOnlineUsers(roomId);
+    socket.to(roomId).emit('user_joined', {
+      roomId,
+      user: toPublicProfile(socket.data.presence),
+      onlineCount: users.length
+    });
+  }
+
+  // 방 퇴장 - 사용자의 마지막 소켓이면 user_left 브로드캐스트
+  async function leave(socket, roomId) {
+    if (!socket.rooms.has(roomId)) return;
+    await announceLeave(socket, roomId);
+  }
+
+  // 퇴장 처리 (연결 해제 중에는 socket.rooms가 먼저 비워질 수 있어 방 목록을 따로 받음)
+  async function announceLeave(socket, roomId) {
+    stopTyping(socket, roomId);
+    socket.leave(roomId);
+    if (await hasOtherSocket(socket, roomId)) return;
+
+    const users = await getOnlineUsers(roomId);
+    io.to(roomId).emit('user_left', {
+      roomId,
+      user: toPublicProfile(socket.data.presence),
+      onlineCount: users.length
+    });
+  }
+
+  // 입력 시작 - 일정 시간 안에 다시 알리지 않으면 자동으로 typing_stop 처리
+  function startTyping(socket, roomId) {
+    if (!socket.rooms.has(roomId)) return;
+
+    let timers = typingTimers.get(socket.id);
+    if (!timers) {
+      timers = new Map();
+      typingTimers.set(socket.id, timers);
+    }
+
+    const existing = timers.get(roomId);
+    if (existing) {
+      clearTimeout(existing);
+    } else {
+      socket.to(roomId).emit('typing_start', { roomId, user: toPublicProfile(socket.data.presence) });
+    }
+
+    timers.set(roomId, setTimeout(() => stopTyping(socket, roomId), TYPING_TIMEOUT_MS));
+  }
+
+  // 입력 종료
+  function stopTyping(socket, roomId) {
+    const timers = typingTimers.get(socket.id);
+    const timer = timers && timers.get(roomId);
+    if (!timer) return;
+
+    clearTimeout(timer);
+    timers.delete(roomId);
+    if (timers.size === 0) typingTimers.delete(socket.id);
+
+    socket.to(roomId).emit('typing_stop', { roomId, user: toPublicProfile(socket.data.presence) });
+  }
+
+  // 연결이 끊어지는 소켓 정리 ('disconnecting' 이벤트에서 호출해야 socket.rooms가 남아 있음)
+  async function handleDisconnecting(socket, excludedRooms = []) {
+    const rooms = [...socket.rooms].filter(roomId => roomId !== socket.id && !excludedRooms.includes(roomId));
+    for (const roomId of rooms) {
+      try {
+        await announceLeave(socket, roomId);
+      } catch (error) {
+        logger.error(`접속 상태 정리 실패 (${roomId})`, { error });
+      }
+    }
+    typingTimers.delete(socket.id);
+  }
+
+  return {
+    attach,
+    getParticipants,
+    getOnlineCounts,
+    join,
+    leave,
+    startTyping,
+    stopTyping,
+    handleDisconnecting
+  };
+}
+
+module.exports = {
+  TYPING_TIMEOUT_MS,
+  createPresenceService
+};
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'rateLimitStore' });
+
+// express-rate-limit용 MongoDB 저장소
+// 여러 서버 인스턴스가 같은 카운터를 공유하도록 요청 수를 MongoDB에 저장한다.
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // 저장소 prefix + 클라이언트 키
+  hits: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+});
+
+// 창이 끝난 카운터는 TTL 인덱스로 자동 삭제
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.models.RateLimitCounter || mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+class MongoRateLimitStore {
+  constructor({ prefix = 'rl:' } = {}) {
+    this.prefix = prefix;
+    this.windowMs = 60 * 1000;
+  }
+
+  // rateLimit() 생성 시 호출됨
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  // 요청 수 증가 - 창이 지났으면 1부터 다시 시작 (단일 원자적 업데이트)
+  async increment(key) {
+    const now = new Date();
+    const nextResetAt = new Date(now.getTime() + this.windowMs);
+    const active = { $gt: ['$resetAt', now] };
+
+    try {
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key: this.prefix + key },
+        [{
+          $set: {
+            hits: { $cond: [active, { $add: ['$hits', 1] }, 1] },
+            resetAt: { $cond: [active, '$resetAt', nextResetAt] }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+
+      return { totalHits: counter.hits, resetTime: counter.resetAt };
+    } catch (error) {
+      // 저장소 장애로 모든 요청이 막히지 않도록 통과시킴
+      logger.error('요청 제한 카운터 갱신 실패', { error: error.message });
+      return { totalHits: 1, resetTime: nextResetAt };
+    }
+  }
+
+  // 요청 수 감소 (skipSuccessfulRequests 등에서 사용)
+  async decrement(key) {
+    await RateLimitCounter.updateOne({ key: this.prefix + key, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+  }
+
+  // 특정 클라이언트 카운터 초기화
+  async resetKey(key) {
+    await RateLimitCounter.deleteOne({ key: this.prefix + key });
+  }
+}
+
+module.exports = {
+  RateLimitCounter,
+  MongoRateLimitStore
+};
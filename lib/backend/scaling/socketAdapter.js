@@ -0,0 +1,36 @@
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'socketAdapter' });
+
+// Socket.io 어댑터 설정
+// memory: 단일 프로세스 (기본값)
+// mongo: MongoDB change stream으로 인스턴스 간 이벤트 전달 (여러 서버를 로드 밸런서 뒤에서 실행할 때 사용, 레플리카 셋 필요)
+const SOCKET_ADAPTERS = ['memory', 'mongo'];
+const SOCKET_ADAPTER = SOCKET_ADAPTERS.includes(process.env.SOCKET_ADAPTER) ? process.env.SOCKET_ADAPTER : 'memory';
+
+const ADAPTER_COLLECTION = process.env.SOCKET_ADAPTER_COLLECTION || 'socket_io_adapter_events';
+const ADAPTER_EVENT_TTL_SECONDS = 60 * 60; // 전달이 끝난 이벤트 문서는 1시간 뒤 삭제
+
+// io에 어댑터 연결 - 적용된 어댑터 이름 반환
+// mongo 어댑터는 MongoDB 연결이 끝난 뒤에 연결해야 하므로 서버 시작 전에 호출한다.
+async function attachSocketAdapter(io, connection, adapter = SOCKET_ADAPTER) {
+  if (adapter !== 'mongo') {
+    return 'memory';
+  }
+
+  await connection.asPromise();
+
+  const collection = connection.db.collection(ADAPTER_COLLECTION);
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: ADAPTER_EVENT_TTL_SECONDS });
+
+  io.adapter(createAdapter(collection, { addCreatedAtField: true }));
+  logger.info(`Socket.io MongoDB 어댑터 연결됨: ${ADAPTER_COLLECTION}`);
+  return 'mongo';
+}
+
+module.exports = {
+  SOCKET_ADAPTERS,
+  SOCKET_ADAPTER,
+  attachSocketAdapter
+};
@@ -0,0 +1,50 @@
+// 관리자 API 키 발급
+// 사용법: node scripts/createAdminKey.js --name 이름 --scopes 범위1,범위2 [--expires-days 일수]
+//   범위: auth/adminKeys.js의 ADMIN_SCOPES 또는 * (모든 범위)
+//   발급한 키는 다시 볼 수 없으므로 출력된 값을 안전한 곳에 보관해야 한다.
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const adminKeys = require('../auth/adminKeys');
+
+const USAGE = 'node scripts/createAdminKey.js --name 이름 --scopes 범위1,범위2 [--expires-days 일수]';
+
+function parseArgs(argv) {
+  const args = { name: undefined, scopes: [], expiresInDays: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--name') {
+      args.name = argv[++i];
+    } else if (argv[i] === '--scopes') {
+      args.scopes = (argv[++i] || '').split(',').map(scope => scope.trim()).filter(Boolean);
+    } else if (argv[i] === '--expires-days') {
+      args.expiresInDays = Number(argv[++i]);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const options = adminKeys.parseKeyOptions(parseArgs(process.argv.slice(2)));
+  if (options.errors.length > 0) {
+    console.error(options.errors.join('\n'));
+    console.error(`사용법: ${USAGE}`);
+    console.error(`범위: ${adminKeys.ADMIN_SCOPES.join(', ')}, ${adminKeys.ALL_SCOPES}`);
+    process.exit(1);
+  }
+
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/anonymous-chat';
+  await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 5000 });
+
+  try {
+    const { key, token } = await adminKeys.createApiKey({ ...options, createdBy: 'cli' });
+    console.log(`관리자 API 키 발급 완료: ${key.keyId} (${key.name}), 범위 ${key.scopes.join(', ')}`);
+    console.log(`X-Admin-Key: ${token}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('관리자 API 키 발급 실패:', error);
+  process.exit(1);
+});
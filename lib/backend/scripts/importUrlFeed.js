@@ -0,0 +1,45 @@
+// URL 차단 목록 피드 가져오기
+// 사용법: node scripts/importUrlFeed.js <피드 파일> [--feed 이름] [--replace]
+//   피드 파일: 한 줄에 URL 하나씩 적힌 목록 또는 PhishTank 형식 JSON 덤프 (online-valid.json)
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const { importFeedFile } = require('../security/providers/localBlocklist');
+
+function parseArgs(argv) {
+  const args = { file: null, feed: null, replace: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--feed') {
+      args.feed = argv[++i];
+    } else if (argv[i] === '--replace') {
+      args.replace = true;
+    } else if (!args.file) {
+      args.file = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('사용법: node scripts/importUrlFeed.js <피드 파일> [--feed 이름] [--replace]');
+    process.exit(1);
+  }
+
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/anonymous-chat';
+  await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 5000 });
+
+  try {
+    const feed = args.feed || path.basename(args.file);
+    const result = await importFeedFile(args.file, { feed, replace: args.replace });
+    console.log(`피드 가져오기 완료: ${result.feed}, 저장 ${result.imported}개, 건너뜀 ${result.skipped}개`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('피드 가져오기 실패:', error);
+  process.exit(1);
+});
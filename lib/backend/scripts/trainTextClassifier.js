@@ -0,0 +1,153 @@
+// 문자 n-gram 분류 모델 학습
+// 사용법: node scripts/trainTextClassifier.js [학습 데이터.jsonl] [--out 모델 파일] [--holdout 0.2] [--seed 42]
+//         [--min-count 2] [--max-features 50000] [--threshold 0.9999]
+//   학습 데이터: 한 줄에 { "text": "...", "label": "phishing" } 하나씩 (위협이 아닌 메시지는 label "safe")
+//   파일을 지정하지 않으면 data/classifier_corpus.jsonl(직접 작성한 예문, safe/phishing/scam/malware)을 사용하므로
+//   `npm run train-classifier`만으로 배포된 모델을 같은 결과로 다시 만들 수 있다.
+//   배포 모델(시드 42, 평가용 103개): 위협 판정 정밀도 94.4%, 재현율 53.1% (오탐 1/71, 미탐 15/32).
+//   예문이 511개뿐이라 수치는 참고용이며, 악성코드 예문은 평가용 7개를 하나도 잡지 못했다.
+//   키워드 목록을 보완하는 용도로 기준 확률을 높게 잡았으므로 재현율보다 오탐률을 우선해서 본다.
+//   데이터를 섞어 holdout 비율만큼 평가용으로 떼어 두고 나머지로 학습한 뒤, 평가 결과(정밀도/재현율)를 출력하고
+//   모델 파일의 evaluation에 함께 저장한다. 서버는 데이터셋 디렉터리의 text_classifier.json을 읽는다.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const textClassifier = require('../security/textClassifier');
+const { DATASET_DIR } = require('../security/datasetDetector');
+
+const DEFAULT_CORPUS = path.join(__dirname, '..', 'data', 'classifier_corpus.jsonl');
+
+function parseArgs(argv) {
+  let file = null;
+  const args = {
+    file: DEFAULT_CORPUS,
+    out: path.join(DATASET_DIR, 'text_classifier.json'),
+    holdout: 0.2,
+    seed: 42,
+    minCount: textClassifier.DEFAULT_OPTIONS.minCount,
+    maxFeatures: textClassifier.DEFAULT_OPTIONS.maxFeatures,
+    threshold: textClassifier.DEFAULT_OPTIONS.threshold
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--out': args.out = argv[++i]; break;
+      case '--holdout': args.holdout = parseFloat(argv[++i]); break;
+      case '--seed': args.seed = parseInt(argv[++i]); break;
+      case '--min-count': args.minCount = parseInt(argv[++i]); break;
+      case '--max-features': args.maxFeatures = parseInt(argv[++i]); break;
+      case '--threshold': args.threshold = parseFloat(argv[++i]); break;
+      default:
+        if (!file) file = argv[i];
+    }
+  }
+  if (file) args.file = file;
+  return args;
+}
+
+// 학습 데이터 읽기 (형식이 잘못된 줄은 건너뜀)
+async function readExamples(file) {
+  const examples = [];
+  let skipped = 0;
+  const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const { text, label } = JSON.parse(line);
+      if (typeof text !== 'string' || typeof label !== 'string' || !text.trim() || !label.trim()) {
+        skipped++;
+        continue;
+      }
+      examples.push({ text, label: label.trim().toLowerCase() });
+    } catch (error) {
+      skipped++;
+    }
+  }
+  return { examples, skipped };
+}
+
+// 시드를 지정할 수 있는 난수 생성기 (같은 시드면 같은 학습/평가 분할)
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 라벨 비율을 유지하며 학습/평가 데이터 분할
+function splitExamples(examples, holdout, random) {
+  const byLabel = new Map();
+  for (const example of examples) {
+    if (!byLabel.has(example.label)) byLabel.set(example.label, []);
+    byLabel.get(example.label).push(example);
+  }
+
+  const trainSet = [];
+  const testSet = [];
+  for (const group of byLabel.values()) {
+    for (let i = group.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [group[i], group[j]] = [group[j], group[i]];
+    }
+    const testCount = Math.round(group.length * holdout);
+    testSet.push(...group.slice(0, testCount));
+    trainSet.push(...group.slice(testCount));
+  }
+  return { trainSet, testSet };
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function printEvaluation(evaluation) {
+  const { threat } = evaluation;
+  console.log(`평가 데이터 ${evaluation.total}개 (기준 확률 ${evaluation.threshold})`);
+  console.log(`  위협 판정: 정밀도 ${formatPercent(threat.precision)}, 재현율 ${formatPercent(threat.recall)}, F1 ${formatPercent(threat.f1)}`);
+  console.log(`            TP ${threat.tp}, FP ${threat.fp}, FN ${threat.fn}, TN ${threat.tn}, 정확도 ${formatPercent(evaluation.accuracy)}`);
+  for (const [label, result] of Object.entries(evaluation.labels)) {
+    console.log(`  ${label}: 정밀도 ${formatPercent(result.precision)}, 재현율 ${formatPercent(result.recall)} (${result.support}개)`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!fs.existsSync(args.file)) {
+    console.error(`학습 데이터 파일이 없습니다: ${args.file}`);
+    console.error('사용법: node scripts/trainTextClassifier.js [학습 데이터.jsonl] [--out 모델 파일] [--holdout 0.2] [--seed 42] [--min-count 2] [--max-features 50000] [--threshold 0.9999]');
+    process.exit(1);
+  }
+  if (!(args.holdout > 0 && args.holdout < 1)) {
+    console.error('--holdout은 0과 1 사이여야 합니다.');
+    process.exit(1);
+  }
+
+  const { examples, skipped } = await readExamples(args.file);
+  console.log(`학습 데이터 ${examples.length}개 읽음${skipped ? `, 형식 오류 ${skipped}줄 건너뜀` : ''}`);
+
+  const { trainSet, testSet } = splitExamples(examples, args.holdout, seededRandom(args.seed));
+  if (testSet.length === 0) {
+    console.error('평가 데이터가 없습니다. 학습 데이터를 늘리거나 --holdout을 키워주세요.');
+    process.exit(1);
+  }
+
+  const model = textClassifier.train(trainSet, {
+    minCount: args.minCount,
+    maxFeatures: args.maxFeatures,
+    threshold: args.threshold
+  });
+  const evaluation = textClassifier.evaluate(textClassifier.createClassifier(model), testSet);
+  printEvaluation(evaluation);
+
+  model.evaluation = { ...evaluation, trainCount: trainSet.length, holdout: args.holdout, seed: args.seed };
+  fs.writeFileSync(args.out, JSON.stringify(model));
+  console.log(`모델 저장 완료: ${args.out} (특징 ${Object.keys(model.features).length}개)`);
+}
+
+main().catch(error => {
+  console.error('모델 학습 실패:', error);
+  process.exit(1);
+});
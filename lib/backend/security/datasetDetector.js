@@ -0,0 +1,351 @@
+const fs = require('fs');
+const path = require('path');
+const urlUtils = require('./urlUtils');
+const textClassifier = require('./textClassifier');
+const textNormalizer = require('./textNormalizer');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'datasetDetector' });
+
+// 데이터셋 디렉터리 (Flutter 앱과 같은 assets/datasets 파일을 사용)
+const DATASET_DIR = process.env.DATASET_DIR || path.resolve(__dirname, '../../../assets/datasets');
+
+// 학습한 분류 모델 파일 (없으면 분류 모델 없이 키워드 검사만 수행)
+const CLASSIFIER_MODEL_FILE = 'text_classifier.json';
+// 분류 모델의 위협 확률이 1일 때 더할 점수 (점수 10이 신뢰도 1)
+const CLASSIFIER_WEIGHT = parseFloat(process.env.TEXT_CLASSIFIER_WEIGHT) || 5.0;
+
+const DATASET_FILES = {
+  vocabulary: 'vocabulary.json',
+  phishingKeywords: 'phishing_keywords.json',
+  malwarePatterns: 'malware_patterns.json',
+  scamKeywords: 'scam_keywords.json'
+};
+
+// 카테고리별 가중치 (AIDetectorModel._detectWithBasicDatasets와 동일하게 유지)
+const PHISHING_WEIGHTS = {
+  high_risk_keywords: 3.0,
+  medium_risk_keywords: 1.5,
+  financial_keywords: 1.0
+};
+
+const MALWARE_WEIGHTS = {
+  malware_extensions: 2.5,
+  suspicious_domains: 2.0,
+  command_injection_patterns: 4.0,
+  sql_injection_patterns: 4.0,
+  xss_patterns: 3.5
+};
+
+const SCAM_WEIGHTS = {
+  romance_scam_keywords: 2.0,
+  financial_emergency_scams: 2.5,
+  lottery_prize_scams: 2.0,
+  investment_fraud_keywords: 3.0,
+  government_impersonation: 3.5
+};
+
+const URL_PATTERN_WEIGHT = 2.0;
+const SHORT_URL_WEIGHT = 1.5;
+const LOOKALIKE_DOMAIN_WEIGHT = 4.0;
+const MIXED_SCRIPT_DOMAIN_WEIGHT = 3.0;
+const IP_HOST_WEIGHT = 2.0;
+
+const SOCIAL_ENGINEERING_WEIGHT = 1.5;
+const URGENCY_PATTERNS = ['즉시', '긴급', '지금', '빨리', 'urgent', 'immediately', 'now', 'quick'];
+const URGENCY_WEIGHT = 0.5;
+const EMOJI_REGEX = /\p{Extended_Pictographic}/u;
+const EMOJI_THRESHOLD = 5;
+const EMOJI_WEIGHT = 0.5;
+
+// 데이터셋 로드 실패 시 사용할 빈 데이터셋
+const EMPTY_DATASETS = {
+  vocabulary: { vocabulary: [], word_to_index: {} },
+  phishingKeywords: { high_risk_keywords: [], medium_risk_keywords: [] },
+  malwarePatterns: { malware_extensions: [], suspicious_domains: [] },
+  scamKeywords: { romance_scam_keywords: [], financial_emergency_scams: [] }
+};
+
+let datasets = EMPTY_DATASETS;
+let loadedAt = null;
+let datasetDir = DATASET_DIR; // 마지막으로 로드에 성공한 디렉터리 (관리 API로 바꿀 수 있음)
+let classifier = null;
+let classifierInfo = null; // 모델 학습 시각과 평가 결과
+
+// 데이터셋 파일 읽기 (하나라도 실패하면 예외)
+function readDatasets(dir) {
+  const result = {};
+  for (const [key, fileName] of Object.entries(DATASET_FILES)) {
+    const raw = fs.readFileSync(path.join(dir, fileName), 'utf8');
+    result[key] = JSON.parse(raw);
+  }
+  return result;
+}
+
+// 분류 모델 (재)로드 - TEXT_CLASSIFIER_MODEL 또는 데이터셋 디렉터리의 text_classifier.json
+// 분류 모델은 선택 사항이므로 파일이 없거나 형식이 잘못되었으면 경고만 남기고 키워드 검사만 사용
+function loadClassifier(dir) {
+  const file = process.env.TEXT_CLASSIFIER_MODEL || path.join(dir, CLASSIFIER_MODEL_FILE);
+  classifier = null;
+  classifierInfo = null;
+
+  let model;
+  try {
+    model = textClassifier.loadModelFile(file);
+    if (!model) {
+      logger.info(`분류 모델 파일이 없어 키워드 검사만 사용: ${file}`);
+      return;
+    }
+    classifier = textClassifier.createClassifier(model);
+  } catch (error) {
+    logger.warn(`분류 모델을 읽지 못해 키워드 검사만 사용: ${file}`, { error: error.message });
+    return;
+  }
+
+  classifierInfo = {
+    file,
+    trainedAt: model.trainedAt,
+    labels: model.labels,
+    featureCount: Object.keys(model.features || {}).length,
+    evaluation: model.evaluation || null
+  };
+  logger.info(`분류 모델 로드 완료: ${file}`, { featureCount: classifierInfo.featureCount });
+}
+
+// 데이터셋 (재)로드 - 실패 시 기존 데이터셋 유지 (처음 로드에 실패하면 빈 데이터셋이므로 서버가 시작을 중단함)
+function loadDatasets(dir = datasetDir) {
+  let loaded;
+  try {
+    loaded = readDatasets(dir);
+  } catch (error) {
+    logger.error('데이터셋 로드 실패', { error: error.message });
+    return false;
+  }
+
+  datasets = loaded;
+  datasetDir = dir;
+  loadedAt = new Date();
+  logger.info(`데이터셋 로드 완료: ${dir}`);
+  loadClassifier(dir);
+  return true;
+}
+
+// 문자열 목록 중 메시지에 포함된 항목 탐지 (원문과 정규화한 텍스트 모두 검사)
+function matchList(matcher, list) {
+  const matched = [];
+  for (const item of list || []) {
+    const keyword = item.toString();
+    if (matcher.has(keyword)) {
+      matched.push(keyword);
+    }
+  }
+  return matched;
+}
+
+// 가중치 표에 따라 데이터셋 목록 검사
+function scoreWeightedLists(matcher, dataset, weights) {
+  const keywords = [];
+  let score = 0;
+
+  for (const [listName, weight] of Object.entries(weights)) {
+    const matched = matchList(matcher, dataset[listName]);
+    keywords.push(...matched);
+    score += matched.length * weight;
+  }
+
+  return { keywords, score };
+}
+
+// 피싱 키워드 검사
+function checkPhishingKeywords(matcher) {
+  return scoreWeightedLists(matcher, datasets.phishingKeywords, PHISHING_WEIGHTS);
+}
+
+// 멀웨어 패턴 검사
+function checkMalwarePatterns(matcher) {
+  return scoreWeightedLists(matcher, datasets.malwarePatterns, MALWARE_WEIGHTS);
+}
+
+// 사기 키워드 검사
+function checkScamKeywords(matcher) {
+  return scoreWeightedLists(matcher, datasets.scamKeywords, SCAM_WEIGHTS);
+}
+
+// 호스트가 도메인 패턴과 같거나 그 하위 도메인인지 확인
+function hostMatches(hostname, pattern) {
+  const domain = pattern.toString().toLowerCase();
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+// 의심스러운 URL 검사 - 본문 문자열이 아니라 추출한 URL의 호스트 기준으로 비교
+// (reddit.com이 t.co 단축 URL로 탐지되는 식의 오탐 방지)
+// URL은 정규화하지 않은 원문에서 추출
+function checkSuspiciousUrls(matcher, urls = urlUtils.extractUrls(matcher.content)) {
+  const keywords = [];
+  let score = 0;
+
+  for (const url of urls) {
+    const analysis = urlUtils.analyzeUrl(url);
+    if (!analysis) continue;
+
+    // 데이터셋의 의심 도메인 목록
+    for (const pattern of datasets.phishingKeywords.url_patterns || []) {
+      if (hostMatches(analysis.hostname, pattern)) {
+        keywords.push(pattern);
+        score += URL_PATTERN_WEIGHT;
+      }
+    }
+
+    // URL 단축 서비스
+    if (analysis.isShortener) {
+      keywords.push(analysis.hostname);
+      score += SHORT_URL_WEIGHT;
+    }
+
+    // 유명 서비스를 흉내 낸 유사 문자 도메인 (раураl.com, paypa1.com)
+    if (analysis.lookalikeOf) {
+      keywords.push(analysis.unicodeHostname);
+      score += LOOKALIKE_DOMAIN_WEIGHT;
+    } else if (analysis.mixedScript) {
+      keywords.push(analysis.unicodeHostname);
+      score += MIXED_SCRIPT_DOMAIN_WEIGHT;
+    }
+
+    // 도메인 대신 IP 주소를 쓴 URL
+    if (analysis.isIpLiteral) {
+      keywords.push(analysis.hostname);
+      score += IP_HOST_WEIGHT;
+    }
+  }
+
+  return { keywords: [...new Set(keywords)], score };
+}
+
+// 감정 조작 패턴 검사
+function checkEmotionalManipulation(matcher) {
+  const keywords = matchList(matcher, datasets.phishingKeywords.social_engineering_phrases);
+  let score = keywords.length * SOCIAL_ENGINEERING_WEIGHT;
+
+  // 긴급성을 강조하는 패턴 (키워드로는 기록하지 않음)
+  for (const pattern of URGENCY_PATTERNS) {
+    if (matcher.has(pattern)) {
+      score += URGENCY_WEIGHT;
+    }
+  }
+
+  // 과도한 이모지 사용
+  const emojis = new Set(Array.from(matcher.lowered).filter(char => EMOJI_REGEX.test(char)));
+  if (emojis.size > EMOJI_THRESHOLD) {
+    score += EMOJI_WEIGHT;
+  }
+
+  return { keywords, score };
+}
+
+// 분류 모델 검사 - 키워드 목록에 없는 변형(띄어쓰기, 오타)도 탐지
+// 위협 확률이 모델 기준값 이상일 때만 점수를 더함 (마스킹할 키워드는 없음)
+function checkClassifier(matcher) {
+  if (!classifier) return { keywords: [], score: 0 };
+
+  const { label, probability } = classifier.predict(matcher.content);
+  const details = { label, probability: Math.round(probability * 10000) / 10000 };
+  if (label === textClassifier.SAFE_LABEL) {
+    return { keywords: [], score: 0, details };
+  }
+  return { keywords: [], score: probability * CLASSIFIER_WEIGHT, threatType: label, details };
+}
+
+// 위협 레벨 결정
+function determineThreatLevel(score) {
+  if (score >= 0.8) return 'critical';
+  if (score >= 0.6) return 'high';
+  if (score >= 0.4) return 'medium';
+  if (score >= 0.2) return 'low';
+  return 'safe';
+}
+
+// 카테고리 검사 순서 - 점수가 있는 마지막 카테고리가 threatType이 됨
+// 분류 모델은 맨 앞에 두어 키워드로 탐지된 카테고리가 있으면 그쪽을 threatType으로 사용
+const CATEGORIES = [
+  { name: 'classifier', threatType: null, check: checkClassifier, reason: '분류 모델 탐지. ' },
+  { name: 'phishing', threatType: 'phishing', check: checkPhishingKeywords, reason: '피싱 키워드 탐지. ' },
+  { name: 'malware', threatType: 'malware', check: checkMalwarePatterns, reason: '멀웨어 패턴 탐지. ' },
+  { name: 'scam', threatType: 'scam', check: checkScamKeywords, reason: '사기 키워드 탐지. ' },
+  { name: 'suspicious_url', threatType: 'suspicious_url', check: checkSuspiciousUrls, reason: '의심스러운 URL 탐지. ' },
+  { name: 'emotional_manipulation', threatType: null, check: checkEmotionalManipulation, reason: '감정 조작 패턴 탐지. ' }
+];
+
+// 데이터셋 기반 위협 탐지
+// options.urls: URL 검사에 사용할 URL 목록 (단축 URL의 목적지 등, 없으면 본문에서 추출)
+// 키워드는 원문과 정규화한 텍스트(textNormalizer) 모두에서 찾고, 원문 위치는 keywordSpans로 반환
+function detectThreat(content, options = {}) {
+  const matcher = textNormalizer.createMatcher(content || '');
+
+  const detectedKeywords = [];
+  const categories = {};
+  let totalScore = 0;
+  let threatType = 'safe';
+  let reason = '';
+
+  for (const category of CATEGORIES) {
+    const result = category.name === 'suspicious_url' && options.urls
+      ? category.check(matcher, options.urls)
+      : category.check(matcher);
+    categories[category.name] = {
+      score: result.score,
+      detectedKeywords: result.keywords,
+      ...result.details
+    };
+
+    detectedKeywords.push(...result.keywords);
+    totalScore += result.score;
+
+    if (result.score > 0) {
+      const type = result.threatType || category.threatType;
+      if (type) threatType = type;
+      reason += category.reason;
+    }
+  }
+
+  // 점수 정규화 (0~1 사이)
+  const confidenceScore = Math.min(totalScore / 10, 1);
+  const isThreat = confidenceScore >= 0.3;
+
+  return {
+    isThreat,
+    threatLevel: determineThreatLevel(confidenceScore),
+    threatType: isThreat ? threatType : 'safe',
+    confidenceScore,
+    detectedKeywords: [...new Set(detectedKeywords)],
+    keywordSpans: textNormalizer.findKeywordSpans(matcher.content, detectedKeywords, matcher),
+    reason: isThreat && reason ? reason.trim() : '안전한 메시지입니다.',
+    categories
+  };
+}
+
+// 데이터셋 통계 (AIDetectorModel.getModelStatistics와 같은 항목)
+function getDatasetStats() {
+  return {
+    datasetDir,
+    loadedAt,
+    vocabulary_size: (datasets.vocabulary.vocabulary || []).length,
+    phishing_keywords: (datasets.phishingKeywords.high_risk_keywords || []).length,
+    malware_patterns: (datasets.malwarePatterns.malware_extensions || []).length,
+    scam_keywords: (datasets.scamKeywords.romance_scam_keywords || []).length,
+    classifier: classifierInfo
+  };
+}
+
+// 현재 로드된 데이터셋 조회 (다른 검사 모듈에서 사용)
+function getDatasets() {
+  return datasets;
+}
+
+module.exports = {
+  DATASET_DIR,
+  loadDatasets,
+  detectThreat,
+  determineThreatLevel,
+  getDatasetStats,
+  getDatasets
+};
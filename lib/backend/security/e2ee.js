@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+// 종단간 암호화(E2EE) 방 지원
+// 서버는 암호문 봉투(envelope)의 형식만 확인하고 내용은 읽지 않는다.
+// 키워드 검사는 클라이언트가 수행하고, 그 결과를 서명한 증명(attestation)을 함께 보낸다.
+
+const ENVELOPE_VERSION = 1;
+const MAX_PUBLIC_KEY_LENGTH = 4096;
+const MAX_CIPHERTEXT_LENGTH = 64 * 1024; // base64 문자열 기준
+const MAX_RECIPIENTS = 256;
+const ATTESTATION_CONTEXT = 'treehideout-scan-v1';
+const ATTESTATION_VERDICTS = ['passed'];
+const ATTESTATION_MAX_AGE_MS = 10 * 60 * 1000; // 검사 후 10분 안에 전송해야 함
+const SIGNING_KEY_TYPES = ['ed25519', 'ec'];
+
+const BASE64_REGEX = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+function isBase64(value, maxLength) {
+  return typeof value === 'string' && value.length > 0 && value.length <= maxLength && BASE64_REGEX.test(value);
+}
+
+// 공개키 식별자 (봉투의 수신자 지정에 사용, 익명 ID는 중복될 수 있으므로 키 해시 사용)
+function computeKeyId(publicKey) {
+  return crypto.createHash('sha256').update(publicKey).digest('base64url').slice(0, 22);
+}
+
+// 업로드한 키 검증 - 오류 메시지 목록 반환
+// publicKey: 암호화용 공개키 (형식은 클라이언트가 정함), signingKey: 증명 서명 검증용 SPKI PEM (Ed25519 또는 ECDSA)
+function validateUserKeys({ publicKey, signingKey } = {}) {
+  const errors = [];
+
+  if (typeof publicKey !== 'string' || publicKey.trim() === '' || publicKey.length > MAX_PUBLIC_KEY_LENGTH) {
+    errors.push(`publicKey는 ${MAX_PUBLIC_KEY_LENGTH}자 이하의 문자열이어야 합니다.`);
+  }
+
+  if (typeof signingKey !== 'string' || signingKey.length > MAX_PUBLIC_KEY_LENGTH || signingKey.includes('PRIVATE KEY')) {
+    // createPublicKey는 개인키도 받아들이므로 개인키가 실수로 업로드되지 않도록 거부
+    errors.push('signingKey는 PEM 형식의 공개키여야 합니다.');
+  } else {
+    try {
+      const key = crypto.createPublicKey(signingKey);
+      if (!SIGNING_KEY_TYPES.includes(key.asymmetricKeyType)) {
+        errors.push('signingKey는 Ed25519 또는 ECDSA 키여야 합니다.');
+      }
+    } catch (error) {
+      errors.push('signingKey를 해석할 수 없습니다.');
+    }
+  }
+
+  return errors;
+}
+
+// 암호문 봉투 검증 - 오류 메시지 목록 반환
+// { version, algorithm, ciphertext, iv, recipients: [{ keyId, encryptedKey }] }
+function validateEnvelope(envelope) {
+  if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+    return ['envelope는 객체여야 합니다.'];
+  }
+
+  const errors = [];
+  if (envelope.version !== ENVELOPE_VERSION) {
+    errors.push(`지원하지 않는 봉투 버전입니다: ${envelope.version}`);
+  }
+  if (typeof envelope.algorithm !== 'string' || envelope.algorithm.length === 0 || envelope.algorithm.length > 64) {
+    errors.push('algorithm이 올바르지 않습니다.');
+  }
+  if (!isBase64(envelope.ciphertext, MAX_CIPHERTEXT_LENGTH)) {
+    errors.push('ciphertext는 base64 문자열이어야 합니다.');
+  }
+  if (!isBase64(envelope.iv, 256)) {
+    errors.push('iv는 base64 문자열이어야 합니다.');
+  }
+
+  if (!Array.isArray(envelope.recipients) || envelope.recipients.length === 0 || envelope.recipients.length > MAX_RECIPIENTS) {
+    errors.push(`recipients는 1~${MAX_RECIPIENTS}개의 수신자 목록이어야 합니다.`);
+  } else if (envelope.recipients.some(recipient => !recipient
+    || typeof recipient.keyId !== 'string'
+    || !isBase64(recipient.encryptedKey, MAX_PUBLIC_KEY_LENGTH))) {
+    errors.push('recipients 항목에는 keyId와 base64 encryptedKey가 필요합니다.');
+  }
+
+  return errors;
+}
+
+// 저장할 봉투 (알려진 필드만 유지)
+function sanitizeEnvelope(envelope) {
+  return {
+    version: envelope.version,
+    algorithm: envelope.algorithm,
+    ciphertext: envelope.ciphertext,
+    iv: envelope.iv,
+    recipients: envelope.recipients.map(({ keyId, encryptedKey }) => ({ keyId, encryptedKey }))
+  };
+}
+
+// 증명이 가리키는 암호문 해시
+function hashCiphertext(envelope) {
+  return crypto.createHash('sha256').update(envelope.ciphertext).digest('hex');
+}
+
+// 서명 대상 문자열 (클라이언트도 같은 순서로 만들어 서명)
+function buildAttestationPayload({ messageId, roomId, ciphertextHash, verdict, scanner, scannedAt }) {
+  return [ATTESTATION_CONTEXT, messageId, roomId, ciphertextHash, verdict, scanner, scannedAt].join('\n');
+}
+
+// 클라이언트 검사 증명 검증
+// attestation: { verdict, scanner, scannedAt, signature(base64) }
+// 결과: { valid, reason, record } - record는 SecurityLog에 저장할 값
+function verifyAttestation(signingKey, attestation, { messageId, roomId, envelope }, now = Date.now()) {
+  if (!signingKey) {
+    return { valid: false, reason: '서명 검증용 키(signingKey)를 먼저 등록해야 합니다.' };
+  }
+  if (!attestation || typeof attestation !== 'object') {
+    return { valid: false, reason: '클라이언트 검사 증명(attestation)이 필요합니다.' };
+  }
+
+  const { verdict, scanner, scannedAt, signature } = attestation;
+  if (!ATTESTATION_VERDICTS.includes(verdict)) {
+    return { valid: false, reason: '클라이언트 검사를 통과하지 않은 메시지입니다.' };
+  }
+  if (typeof scanner !== 'string' || scanner.length === 0 || scanner.length > 100) {
+    return { valid: false, reason: 'scanner가 올바르지 않습니다.' };
+  }
+
+  const scannedTime = Date.parse(scannedAt);
+  if (typeof scannedAt !== 'string' || Number.isNaN(scannedTime) || Math.abs(now - scannedTime) > ATTESTATION_MAX_AGE_MS) {
+    return { valid: false, reason: '검사 시각이 올바르지 않거나 너무 오래되었습니다.' };
+  }
+  if (!isBase64(signature, 1024)) {
+    return { valid: false, reason: '서명은 base64 문자열이어야 합니다.' };
+  }
+
+  const ciphertextHash = hashCiphertext(envelope);
+  const payload = buildAttestationPayload({ messageId, roomId, ciphertextHash, verdict, scanner, scannedAt });
+
+  let verified = false;
+  try {
+    const key = crypto.createPublicKey(signingKey);
+    const algorithm = key.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+    verified = crypto.verify(algorithm, Buffer.from(payload), key, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    verified = false;
+  }
+
+  if (!verified) {
+    return { valid: false, reason: '클라이언트 검사 증명의 서명이 올바르지 않습니다.' };
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    record: { verdict, scanner, scannedAt: new Date(scannedTime), ciphertextHash, signature }
+  };
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  ATTESTATION_CONTEXT,
+  computeKeyId,
+  validateUserKeys,
+  validateEnvelope,
+  sanitizeEnvelope,
+  hashCiphertext,
+  buildAttestationPayload,
+  verifyAttestation
+};
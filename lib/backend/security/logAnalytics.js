@@ -0,0 +1,363 @@
+// 보안 로그 통계와 내보내기
+// 통계는 MongoDB 집계 파이프라인($facet) 한 번으로 계산하고, 내보내기는 커서로 한 건씩 읽어 스트리밍한다.
+
+const { createLogger } = require('../observability/logger');
+
+const moduleLogger = createLogger({ module: 'logAnalytics' });
+
+const THREAT_LEVELS = ['safe', 'low', 'medium', 'high', 'critical'];
+const LOG_ACTIONS = ['allow', 'warn', 'hold', 'redact', 'block', 'throttle', 'disconnect'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// 시간 구간별 버킷 형식과 기간을 지정하지 않았을 때의 기본 조회 범위
+const INTERVALS = {
+  hour: { format: '%Y-%m-%dT%H:00:00.000Z', defaultRangeMs: 2 * DAY_MS, maxRangeMs: 31 * DAY_MS },
+  day: { format: '%Y-%m-%dT00:00:00.000Z', defaultRangeMs: 30 * DAY_MS, maxRangeMs: 366 * DAY_MS }
+};
+
+const TOP_DEFAULT_LIMIT = 10;
+const TOP_MAX_LIMIT = 100;
+const EXPORT_MAX_ROWS = parseInt(process.env.SECURITY_LOG_EXPORT_MAX_ROWS) || 100000;
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// 내보내기 필드 (CSV 열 순서)
+const EXPORT_FIELDS = [
+  'logId',
+  'timestamp',
+  'roomId',
+  'userId',
+  'messageId',
+  'threatDetected',
+  'threatLevel',
+  'threatType',
+  'action',
+  'detectedKeywords',
+  'moderatorId',
+  'reviewDecision'
+];
+
+function parseDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function parseLimit(value, defaultValue, maxValue) {
+  if (value === undefined) return defaultValue;
+  const limit = parseInt(value);
+  return Number.isInteger(limit) && limit >= 1 ? Math.min(limit, maxValue) : null;
+}
+
+// 조회 조건 파싱 (roomId, userId, threatType, action, threatLevel, startDate, endDate)
+// 결과: { errors, match }
+function parseLogFilter(query = {}) {
+  const errors = [];
+  const match = {};
+
+  for (const field of ['roomId', 'userId', 'threatType']) {
+    if (query[field] !== undefined) {
+      if (typeof query[field] !== 'string' || query[field] === '') {
+        errors.push(`${field}가 올바르지 않습니다.`);
+      } else {
+        match[field] = query[field];
+      }
+    }
+  }
+
+  if (query.action !== undefined) {
+    if (!LOG_ACTIONS.includes(query.action)) {
+      errors.push(`알 수 없는 조치입니다: ${query.action}`);
+    } else {
+      match.action = query.action;
+    }
+  }
+
+  if (query.threatLevel !== undefined) {
+    if (!THREAT_LEVELS.includes(query.threatLevel)) {
+      errors.push(`알 수 없는 위협 레벨입니다: ${query.threatLevel}`);
+    } else {
+      match.threatLevel = query.threatLevel;
+    }
+  }
+
+  const startDate = query.startDate !== undefined ? parseDate(query.startDate) : undefined;
+  const endDate = query.endDate !== undefined ? parseDate(query.endDate) : undefined;
+  if (startDate === null) errors.push('startDate가 올바른 날짜가 아닙니다.');
+  if (endDate === null) errors.push('endDate가 올바른 날짜가 아닙니다.');
+  if (startDate && endDate && startDate > endDate) errors.push('startDate는 endDate보다 앞서야 합니다.');
+
+  if (startDate || endDate) {
+    match.timestamp = {};
+    if (startDate) match.timestamp.$gte = startDate;
+    if (endDate) match.timestamp.$lte = endDate;
+  }
+
+  return { errors, match };
+}
+
+// 통계 조회 옵션 파싱 (interval, page, limit)
+// 결과: { errors, options: { interval, page, limit, seriesStart, seriesEnd } }
+function parseStatsOptions(query = {}, match = {}, now = new Date()) {
+  const errors = [];
+  const interval = query.interval || 'hour';
+  const intervalConfig = INTERVALS[interval];
+  if (!intervalConfig) {
+    errors.push(`interval은 ${Object.keys(INTERVALS).join(', ')} 중 하나여야 합니다.`);
+  }
+
+  const page = parseLimit(query.page, 1, Number.MAX_SAFE_INTEGER);
+  const limit = parseLimit(query.limit, TOP_DEFAULT_LIMIT, TOP_MAX_LIMIT);
+  if (page === null) errors.push('page는 1 이상의 정수여야 합니다.');
+  if (limit === null) errors.push(`limit은 1에서 ${TOP_MAX_LIMIT} 사이의 정수여야 합니다.`);
+
+  if (errors.length > 0) return { errors, options: null };
+
+  // 시계열은 버킷 수가 너무 많아지지 않도록 기간을 제한 (기간이 없으면 최근 기본 범위)
+  const range = match.timestamp || {};
+  const seriesEnd = range.$lte || now;
+  let seriesStart = range.$gte || new Date(seriesEnd.getTime() - intervalConfig.defaultRangeMs);
+  if (seriesEnd - seriesStart > intervalConfig.maxRangeMs) {
+    seriesStart = new Date(seriesEnd.getTime() - intervalConfig.maxRangeMs);
+  }
+
+  return { errors, options: { interval, page, limit, seriesStart, seriesEnd } };
+}
+
+// 상위 항목 집계 단계 (count 내림차순, 페이지 적용, 전체 항목 수 포함)
+// $facet 안에서는 $facet을 다시 쓸 수 없으므로 정렬한 항목을 한 문서로 모은 뒤 $slice로 페이지를 자름
+function topStages(groupField, { page, limit }) {
+  return [
+    { $group: { _id: groupField, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $group: { _id: null, items: { $push: { _id: '$_id', count: '$count' } }, total: { $sum: 1 } } },
+    { $project: { _id: 0, total: 1, items: { $slice: ['$items', (page - 1) * limit, limit] } } }
+  ];
+}
+
+// 통계 집계 파이프라인
+function buildStatsPipeline(match, options) {
+  const { format } = INTERVALS[options.interval];
+  const threatsOnly = { $match: { threatDetected: true } };
+
+  return [
+    { $match: match },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            totalChecks: { $sum: 1 },
+            threatsDetected: { $sum: { $cond: ['$threatDetected', 1, 0] } }
+          }
+        }],
+        byLevel: [{ $group: { _id: '$threatLevel', count: { $sum: 1 } } }],
+        byAction: [{ $group: { _id: '$action', count: { $sum: 1 } } }],
+        byThreatType: [threatsOnly, { $group: { _id: '$threatType', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+        timeSeries: [
+          { $match: { timestamp: { $gte: options.seriesStart, $lte: options.seriesEnd } } },
+          {
+            $group: {
+              _id: { $dateToString: { format, date: '$timestamp', timezone: 'UTC' } },
+              total: { $sum: 1 },
+              threats: { $sum: { $cond: ['$threatDetected', 1, 0] } },
+              blocked: { $sum: { $cond: [{ $eq: ['$action', 'block'] }, 1, 0] } }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        topKeywords: [{ $unwind: '$detectedKeywords' }, ...topStages('$detectedKeywords', options)],
+        topUsers: [threatsOnly, ...topStages('$userId', options)],
+        topRooms: [threatsOnly, ...topStages('$roomId', options)]
+      }
+    }
+  ];
+}
+
+// 목록을 { key: count } 형태로 (지정한 키는 0으로 채움)
+function toCounts(groups, keys = []) {
+  const counts = Object.fromEntries(keys.map(key => [key, 0]));
+  for (const group of groups) {
+    counts[group._id] = group.count;
+  }
+  return counts;
+}
+
+function toTopList(result, keyName, options) {
+  const [top] = result;
+  const items = top ? top.items : [];
+  const total = top ? top.total : 0;
+  return {
+    items: items.map(item => ({ [keyName]: item._id, count: item.count })),
+    total,
+    page: options.page,
+    limit: options.limit,
+    hasMore: options.page * options.limit < total
+  };
+}
+
+// 집계 결과를 응답 형식으로 변환 (기존 totalChecks, threatsByLevel, actionsTaken 필드 유지)
+function formatStats(result, options) {
+  const totals = result.totals[0] || { totalChecks: 0, threatsDetected: 0 };
+  return {
+    totalChecks: totals.totalChecks,
+    threatsDetected: totals.threatsDetected,
+    threatsByLevel: toCounts(result.byLevel, THREAT_LEVELS),
+    actionsTaken: toCounts(result.byAction, LOG_ACTIONS),
+    threatsByType: toCounts(result.byThreatType),
+    timeSeries: {
+      interval: options.interval,
+      startDate: options.seriesStart,
+      endDate: options.seriesEnd,
+      buckets: result.timeSeries.map(bucket => ({
+        bucket: new Date(bucket._id),
+        total: bucket.total,
+        threats: bucket.threats,
+        blocked: bucket.blocked
+      }))
+    },
+    topKeywords: toTopList(result.topKeywords, 'keyword', options),
+    topUsers: toTopList(result.topUsers, 'userId', options),
+    topRooms: toTopList(result.topRooms, 'roomId', options)
+  };
+}
+
+// 보안 로그 통계 조회
+async function getSecurityStats(SecurityLog, match, options) {
+  const [result] = await SecurityLog.aggregate(buildStatsPipeline(match, options));
+  return formatStats(result, options);
+}
+
+// 내보낼 로그 한 건 (일반 객체)
+function toExportRecord(log) {
+  return Object.fromEntries(EXPORT_FIELDS.map(field => [field, log[field] === undefined ? null : log[field]]));
+}
+
+// CSV 셀 변환 (스프레드시트 수식으로 해석되지 않도록 =, +, -, @로 시작하면 '를 붙임)
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join('|') : (value instanceof Date ? value.toISOString() : String(value));
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(record) {
+  return EXPORT_FIELDS.map(field => toCsvCell(record[field])).join(',') + '\r\n';
+}
+
+// 내보내기 형식별 시작, 행, 끝 문자열
+function createExportWriter(format) {
+  if (format === 'csv') {
+    return {
+      contentType: 'text/csv; charset=utf-8',
+      head: '\uFEFF' + EXPORT_FIELDS.join(',') + '\r\n', // 엑셀에서 한글이 깨지지 않도록 BOM 추가
+      row: (record) => toCsvRow(record),
+      tail: ''
+    };
+  }
+
+  let first = true;
+  return {
+    contentType: 'application/json; charset=utf-8',
+    head: '[',
+    row: (record) => {
+      const chunk = (first ? '\n' : ',\n') + JSON.stringify(record);
+      first = false;
+      return chunk;
+    },
+    tail: '\n]\n'
+  };
+}
+
+// 요청 주체 표시 (로그용) - requireAdminKeyOr가 기록한 req.actor
+function describeActor(req) {
+  if (req.actor) return `${req.actor.type}:${req.actor.id}`;
+  if (req.adminKey) return `admin_key:${req.adminKey.keyId}`;
+  return req.user ? `user:${req.user.userId}` : 'unknown';
+}
+
+// 보안 로그 내보내기 라우트 핸들러 (format=csv|json, 통계와 같은 필터, limit)
+// 커서로 한 건씩 읽어 응답에 바로 쓰므로 로그가 많아도 메모리에 모으지 않는다.
+function createExportHandler(SecurityLog, { logger = moduleLogger } = {}) {
+  return async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, code: 'invalid_query', message: `format은 ${EXPORT_FORMATS.join(', ')} 중 하나여야 합니다.` });
+    }
+
+    const filter = parseLogFilter(req.query);
+    if (filter.errors.length > 0) {
+      return res.status(400).json({ success: false, code: 'invalid_query', message: filter.errors.join(' ') });
+    }
+
+    const limit = req.query.limit === undefined ? EXPORT_MAX_ROWS : parseInt(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ success: false, code: 'invalid_query', message: 'limit은 1 이상의 정수여야 합니다.' });
+    }
+
+    const writer = createExportWriter(format);
+    const cursor = SecurityLog.find(filter.match)
+      .sort({ timestamp: -1 })
+      .limit(Math.min(limit, EXPORT_MAX_ROWS))
+      .lean()
+      .cursor();
+
+    // 클라이언트가 연결을 끊으면 커서를 닫아 읽기 중단
+    let aborted = false;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        aborted = true;
+        cursor.close().catch(() => {});
+      }
+    });
+
+    const fileName = `security-logs-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+    res.status(200);
+    res.setHeader('Content-Type', writer.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.write(writer.head);
+
+    let count = 0;
+    try {
+      for await (const log of cursor) {
+        if (aborted) break;
+        // 응답 버퍼가 가득 차면 비워질 때까지 대기
+        if (!res.write(writer.row(toExportRecord(log)))) {
+          await new Promise(resolve => {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+          });
+        }
+        count++;
+      }
+    } catch (error) {
+      // 헤더를 이미 보냈으므로 오류 응답 대신 연결을 끊어 불완전한 파일임을 알림
+      logger.error('보안 로그 내보내기 실패', { error });
+      res.destroy(error);
+      return;
+    }
+
+    if (!aborted) {
+      res.end(writer.tail);
+      logger.info(`보안 로그 내보내기: ${describeActor(req)}, ${format}, ${count}건`);
+    }
+  };
+}
+
+module.exports = {
+  THREAT_LEVELS,
+  LOG_ACTIONS,
+  INTERVALS,
+  EXPORT_FORMATS,
+  EXPORT_MAX_ROWS,
+  parseLogFilter,
+  parseStatsOptions,
+  buildStatsPipeline,
+  getSecurityStats,
+  toExportRecord,
+  toCsvCell,
+  createExportWriter,
+  describeActor,
+  createExportHandler
+};
@@ -0,0 +1,306 @@
+// 방별 검열 정책 엔진
+// Room.securityLevel(basic, strict, custom)을 실제 정책 객체로 변환하고
+// 보안 검사 결과에 대해 최종 조치(allow, warn, hold, redact, block)를 결정한다.
+
+const urlReputation = require('./urlReputation');
+const textNormalizer = require('./textNormalizer');
+
+const THREAT_LEVELS = ['safe', 'low', 'medium', 'high', 'critical'];
+const ACTIONS = ['allow', 'warn', 'hold', 'redact', 'block'];
+const SECURITY_LEVELS = ['basic', 'strict', 'custom'];
+
+// 임계값을 지정할 수 있는 위협 유형
+const THREAT_TYPES = ['phishing', 'malware', 'scam', 'suspicious_url', 'phishing_url'];
+
+const REDACTION_MASK = '***';
+
+// 프리셋 정책
+const PRESETS = {
+  basic: {
+    thresholds: {
+      default: 0.3
+    },
+    levelActions: {
+      safe: 'allow',
+      low: 'warn',
+      medium: 'hold',
+      high: 'block',
+      critical: 'block'
+    },
+    allowKeywords: [],
+    denyKeywords: [],
+    denyAction: 'block'
+  },
+  strict: {
+    thresholds: {
+      default: 0.2,
+      phishing_url: 0
+    },
+    levelActions: {
+      safe: 'allow',
+      low: 'hold',
+      medium: 'hold',
+      high: 'block',
+      critical: 'block'
+    },
+    allowKeywords: [],
+    denyKeywords: [],
+    denyAction: 'block'
+  }
+};
+
+// 프리셋 정책 복사본 생성 (custom은 basic에서 시작)
+function createPolicy(securityLevel = 'basic') {
+  const preset = PRESETS[securityLevel] || PRESETS.basic;
+  return {
+    thresholds: { ...preset.thresholds },
+    levelActions: { ...preset.levelActions },
+    allowKeywords: [...preset.allowKeywords],
+    denyKeywords: [...preset.denyKeywords],
+    denyAction: preset.denyAction,
+    urlProviders: null, // null이면 배포 기본 제공자 사용
+    urlFailMode: null
+  };
+}
+
+// 키워드 목록 정리 (문자열만, 공백 제거, 중복 제거)
+function normalizeKeywordList(list) {
+  const keywords = list
+    .map(keyword => keyword.trim())
+    .filter(keyword => keyword.length > 0);
+  return [...new Set(keywords)];
+}
+
+// 정책 변경 요청 검증 - 오류 메시지 목록 반환
+function validatePolicyUpdate(update) {
+  const errors = [];
+  if (!update || typeof update !== 'object') {
+    return ['정책은 객체여야 합니다.'];
+  }
+
+  if (update.thresholds !== undefined) {
+    if (typeof update.thresholds !== 'object' || update.thresholds === null) {
+      errors.push('thresholds는 객체여야 합니다.');
+    } else {
+      for (const [type, value] of Object.entries(update.thresholds)) {
+        if (type !== 'default' && !THREAT_TYPES.includes(type)) {
+          errors.push(`알 수 없는 위협 유형입니다: ${type}`);
+        } else if (typeof value !== 'number' || value < 0 || value > 1) {
+          errors.push(`임계값은 0과 1 사이의 숫자여야 합니다: ${type}`);
+        }
+      }
+    }
+  }
+
+  if (update.levelActions !== undefined) {
+    if (typeof update.levelActions !== 'object' || update.levelActions === null) {
+      errors.push('levelActions는 객체여야 합니다.');
+    } else {
+      for (const [level, action] of Object.entries(update.levelActions)) {
+        if (!THREAT_LEVELS.includes(level)) {
+          errors.push(`알 수 없는 위협 레벨입니다: ${level}`);
+        } else if (!ACTIONS.includes(action)) {
+          errors.push(`알 수 없는 조치입니다: ${action}`);
+        }
+      }
+    }
+  }
+
+  for (const field of ['allowKeywords', 'denyKeywords']) {
+    if (update[field] !== undefined) {
+      if (!Array.isArray(update[field]) || update[field].some(keyword => typeof keyword !== 'string')) {
+        errors.push(`${field}는 문자열 배열이어야 합니다.`);
+      }
+    }
+  }
+
+  if (update.denyAction !== undefined && !ACTIONS.includes(update.denyAction)) {
+    errors.push(`알 수 없는 조치입니다: ${update.denyAction}`);
+  }
+
+  if (update.urlProviders !== undefined && update.urlProviders !== null) {
+    const known = urlReputation.getProviderNames();
+    if (!Array.isArray(update.urlProviders)) {
+      errors.push('urlProviders는 문자열 배열이어야 합니다.');
+    } else {
+      for (const name of update.urlProviders) {
+        if (!known.includes(name)) {
+          errors.push(`알 수 없는 URL 평판 제공자입니다: ${name}`);
+        }
+      }
+    }
+  }
+
+  if (update.urlFailMode !== undefined && update.urlFailMode !== null && !urlReputation.FAIL_MODES.includes(update.urlFailMode)) {
+    errors.push(`urlFailMode는 open 또는 closed여야 합니다: ${update.urlFailMode}`);
+  }
+
+  return errors;
+}
+
+// 기존 정책에 변경 사항 병합 (검증된 입력 가정)
+function mergePolicy(basePolicy, update) {
+  const base = toPlainPolicy(basePolicy);
+  return {
+    thresholds: { ...base.thresholds, ...(update.thresholds || {}) },
+    levelActions: { ...base.levelActions, ...(update.levelActions || {}) },
+    allowKeywords: update.allowKeywords ? normalizeKeywordList(update.allowKeywords) : base.allowKeywords,
+    denyKeywords: update.denyKeywords ? normalizeKeywordList(update.denyKeywords) : base.denyKeywords,
+    denyAction: update.denyAction || base.denyAction,
+    urlProviders: update.urlProviders !== undefined ? update.urlProviders : base.urlProviders,
+    urlFailMode: update.urlFailMode !== undefined ? update.urlFailMode : base.urlFailMode
+  };
+}
+
+// 저장된 정책(Mongoose 문서 포함)을 일반 객체로 변환, 누락된 값은 basic으로 채움
+function toPlainPolicy(policy) {
+  const defaults = createPolicy('basic');
+  if (!policy) return defaults;
+
+  const plain = typeof policy.toObject === 'function' ? policy.toObject() : policy;
+  const thresholds = plain.thresholds instanceof Map
+    ? Object.fromEntries(plain.thresholds)
+    : (plain.thresholds || {});
+
+  return {
+    thresholds: { ...defaults.thresholds, ...thresholds },
+    levelActions: { ...defaults.levelActions, ...(plain.levelActions || {}) },
+    allowKeywords: plain.allowKeywords ? [...plain.allowKeywords] : [],
+    denyKeywords: plain.denyKeywords ? [...plain.denyKeywords] : [],
+    denyAction: plain.denyAction || defaults.denyAction,
+    urlProviders: plain.urlProviders && plain.urlProviders.length > 0 ? [...plain.urlProviders] : null,
+    urlFailMode: plain.urlFailMode || null
+  };
+}
+
+// 방에 적용할 정책 조회 (저장된 정책이 없으면 securityLevel 프리셋 사용)
+function resolveRoomPolicy(room) {
+  if (room && room.securityPolicy && room.securityPolicy.levelActions) {
+    return toPlainPolicy(room.securityPolicy);
+  }
+  return createPolicy(room ? room.securityLevel : 'basic');
+}
+
+// 방 정책의 URL 평판 검사 설정 (비어 있으면 배포 기본값)
+function getUrlReputationOptions(policy) {
+  return urlReputation.resolveOptions({
+    providers: policy.urlProviders,
+    failMode: policy.urlFailMode
+  });
+}
+
+// 위협 유형별 임계값
+function getThreshold(policy, threatType) {
+  const value = policy.thresholds[threatType];
+  return typeof value === 'number' ? value : policy.thresholds.default;
+}
+
+// 보안 검사 결과에 정책을 적용해 최종 조치 결정
+function evaluatePolicy(policy, securityResult, content = '') {
+  const matcher = textNormalizer.createMatcher(content);
+
+  // 거부 키워드가 있으면 검사 결과와 관계없이 denyAction 적용 (띄어쓰기, 자모 분리 등 변형 포함)
+  const deniedKeywords = policy.denyKeywords.filter(keyword => matcher.has(keyword));
+  if (deniedKeywords.length > 0) {
+    return {
+      action: policy.denyAction,
+      isThreat: true,
+      threatType: 'custom_keyword',
+      detectedKeywords: [...new Set([...securityResult.detectedKeywords, ...deniedKeywords])],
+      reason: '방에서 금지한 키워드가 포함되어 있습니다.'
+    };
+  }
+
+  // 허용 키워드로만 탐지된 경우 안전한 메시지로 취급 (PhishTank 결과는 예외)
+  const allowed = policy.allowKeywords.map(textNormalizer.keywordKey);
+  const remainingKeywords = securityResult.detectedKeywords.filter(keyword => !allowed.includes(textNormalizer.keywordKey(keyword)));
+  const allowListed = securityResult.detectedKeywords.length > 0
+    && remainingKeywords.length === 0
+    && securityResult.threatType !== 'phishing_url';
+
+  if (!securityResult.isThreat || allowListed) {
+    return {
+      action: 'allow',
+      isThreat: false,
+      threatType: securityResult.isThreat ? 'safe' : securityResult.threatType,
+      detectedKeywords: remainingKeywords,
+      reason: allowListed ? '방에서 허용한 키워드만 탐지되었습니다.' : securityResult.reason
+    };
+  }
+
+  // 위협 유형별 임계값 미만이면 허용
+  if (securityResult.confidenceScore < getThreshold(policy, securityResult.threatType)) {
+    return {
+      action: 'allow',
+      isThreat: false,
+      threatType: securityResult.threatType,
+      detectedKeywords: remainingKeywords,
+      reason: securityResult.reason
+    };
+  }
+
+  return {
+    action: policy.levelActions[securityResult.threatLevel] || 'allow',
+    isThreat: true,
+    threatType: securityResult.threatType,
+    detectedKeywords: remainingKeywords,
+    reason: securityResult.reason
+  };
+}
+
+// 탐지된 키워드를 마스킹한 내용 생성 (변형된 표기도 원문 구간을 찾아 마스킹, 겹치는 구간은 합침)
+function redactContent(content, keywords) {
+  const merged = [];
+  for (const span of textNormalizer.findKeywordSpans(content, keywords)) {
+    const last = merged[merged.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ start: span.start, end: span.end });
+    }
+  }
+
+  let redacted = '';
+  let position = 0;
+  for (const { start, end } of merged) {
+    redacted += content.slice(position, start) + REDACTION_MASK;
+    position = end;
+  }
+  return redacted + content.slice(position);
+}
+
+// 저장된 메시지에 현재 방 정책을 다시 적용 (표시하지 않을 메시지는 null)
+// 모더레이터가 검토한 메시지는 검토 결과를 따르고, 이미 전달된 메시지를 검토 대기(hold)로 되돌리지는 않음
+// (나중에 강화된 정책의 block, redact만 반영)
+function presentStoredMessage(policy, message) {
+  if (!policy || !message.securityChecked || !message.securityResult || message.reviewedAt) return message;
+
+  const decision = evaluatePolicy(policy, message.securityResult, message.content);
+  if (decision.action === 'block') return null;
+
+  if (decision.action === 'redact') {
+    return {
+      ...message,
+      content: redactContent(message.content, decision.detectedKeywords),
+      moderationStatus: 'redacted'
+    };
+  }
+
+  return message;
+}
+
+module.exports = {
+  THREAT_LEVELS,
+  ACTIONS,
+  SECURITY_LEVELS,
+  THREAT_TYPES,
+  createPolicy,
+  validatePolicyUpdate,
+  mergePolicy,
+  toPlainPolicy,
+  resolveRoomPolicy,
+  getUrlReputationOptions,
+  evaluatePolicy,
+  redactContent,
+  presentStoredMessage
+};
@@ -0,0 +1,198 @@
+const { createLogger } = require('../observability/logger');
+const urlUtils = require('./urlUtils');
+const textNormalizer = require('./textNormalizer');
+
+const logger = createLogger({ module: 'securityPipeline' });
+
+// 단계별 보안 검사
+// 1단계(바로 실행): 키워드와 URL 구조 검사 - 네트워크를 쓰지 않으므로 메시지 전달 전에 항상 끝난다.
+// 2단계(네트워크): 단축 URL 추적과 URL 평판 조회 - URL마다 동시에 조회하고, 전체 시간 예산(budgetMs) 안에
+// 끝나면 1단계 결과와 합쳐서 돌려준다. 예산을 넘기면 1단계 결과(pending: true)를 먼저 돌려주고,
+// 최종 결과는 pending Promise로 전달해 호출 측이 메시지를 보낸 뒤에 반영하도록 한다.
+// 각 단계 소요 시간(ms)은 결과의 timings에 담고 onStage 콜백으로도 알린다.
+
+const DEFAULT_BUDGET_MS = parseInt(process.env.SECURITY_URL_BUDGET_MS) || 1500;
+const DEFAULT_CONCURRENCY = parseInt(process.env.SECURITY_URL_CONCURRENCY) || 4;
+
+function createSafeResult() {
+  return {
+    isThreat: false,
+    threatLevel: 'safe',
+    threatType: 'safe',
+    confidenceScore: 0,
+    detectedKeywords: [],
+    keywordSpans: [],
+    reason: '안전한 메시지입니다.',
+    urlFlags: []
+  };
+}
+
+// 동시 실행 수를 제한해 목록 처리 (결과는 입력 순서 유지)
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// 시간 예산 안에 끝나면 { done: true, value }, 넘기면 { done: false }
+function withinBudget(promise, budgetMs) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ done: false }), budgetMs);
+  });
+  return Promise.race([promise.then(value => ({ done: true, value })), timeout])
+    .finally(() => clearTimeout(timer));
+}
+
+// URL 평판 결과를 검사 결과에 반영 (첫 번째로 탐지된 URL의 사유 사용)
+function applyUrlFlags(securityResult, flagged, rawUrls) {
+  if (flagged.length === 0) return securityResult;
+
+  const [first] = flagged;
+  securityResult.isThreat = true;
+  securityResult.threatLevel = 'critical';
+  securityResult.threatType = 'phishing_url';
+  securityResult.confidenceScore = 1.0;
+  for (const { url, resolvedFrom, urlResult } of flagged) {
+    securityResult.detectedKeywords.push(rawUrls.get(resolvedFrom || url) || url);
+    securityResult.urlFlags.push({
+      url,
+      provider: urlResult.provider,
+      failedClosed: urlResult.failedClosed,
+      resolvedFrom
+    });
+  }
+  securityResult.reason = first.urlResult.failedClosed
+    ? `URL 평판 조회(${first.urlResult.provider})에 실패해 안전을 확인할 수 없습니다.`
+    : `${first.urlResult.provider}에서 확인된 피싱 URL이 탐지되었습니다.`;
+  if (first.resolvedFrom) {
+    securityResult.reason += ` (단축 URL ${first.resolvedFrom}의 목적지)`;
+  }
+  return securityResult;
+}
+
+// 보안 검사 파이프라인 생성
+// deps: {
+//   detectThreat(content, { urls }) - 키워드/URL 구조 검사 (동기)
+//   resolveShortenedUrls(urls) - 단축 URL 목적지 확인
+//   checkUrl(url, options) - URL 평판 조회
+//   onStage(stage, ms) - 단계별 소요 시간 (지표 기록용, 선택)
+//   budgetMs, concurrency
+// }
+function createSecurityPipeline({
+  detectThreat,
+  resolveShortenedUrls,
+  checkUrl,
+  onStage = () => {},
+  budgetMs = DEFAULT_BUDGET_MS,
+  concurrency = DEFAULT_CONCURRENCY
+}) {
+  // 단계 실행 시간 측정
+  async function timeStage(timings, stage, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      const ms = Number(process.hrtime.bigint() - start) / 1e6;
+      timings[stage] = Math.round(ms * 10) / 10;
+      onStage(stage, ms);
+    }
+  }
+
+  // 2단계: 단축 URL 추적 후 원래 URL과 목적지 URL의 평판을 동시에 조회
+  async function runNetworkStage(content, urls, rawUrls, localResult, urlOptions, timings) {
+    const securityResult = { ...localResult, detectedKeywords: [...localResult.detectedKeywords], urlFlags: [] };
+    try {
+      const redirects = await timeStage(timings, 'redirects', () => resolveShortenedUrls(urls));
+      const destinations = redirects
+        .filter(redirect => redirect.finalUrl !== redirect.url)
+        .map(redirect => ({ url: redirect.finalUrl, resolvedFrom: redirect.url }));
+      securityResult.redirects = redirects;
+
+      // 목적지 URL이 있으면 URL 구조 검사를 목적지까지 포함해 다시 수행
+      if (destinations.length > 0) {
+        const withDestinations = await timeStage(timings, 'keywords_destinations', () => detectThreat(content, {
+          urls: [...urls, ...destinations.map(destination => destination.url)]
+        }));
+        Object.assign(securityResult, withDestinations, { urlFlags: [], redirects });
+      }
+
+      const targets = [...urls.map(url => ({ url })), ...destinations];
+      const results = await timeStage(timings, 'url_reputation', () =>
+        mapWithConcurrency(targets, concurrency, async target => ({ ...target, urlResult: await checkUrl(target.url, urlOptions) })));
+
+      const flagged = results.filter(result => result.urlResult.flagged);
+      applyUrlFlags(securityResult, flagged, rawUrls);
+      if (flagged.length > 0) {
+        securityResult.keywordSpans = textNormalizer.findKeywordSpans(content, securityResult.detectedKeywords);
+      }
+      return securityResult;
+    } catch (error) {
+      logger.error('URL 보안 검사 오류', { error });
+      return securityResult; // 오류 시 1단계 결과 사용
+    }
+  }
+
+  // 보안 검사 실행
+  // options: { urlOptions, budgetMs } - budgetMs가 null이면 네트워크 단계까지 모두 기다림
+  // 결과: { result, pending } - pending은 예산을 넘긴 경우 최종 결과 Promise, 아니면 null
+  async function run(content, { urlOptions = {}, budgetMs: budget = budgetMs } = {}) {
+    const timings = {};
+    const start = process.hrtime.bigint();
+    const elapsed = () => Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+
+    let localResult;
+    let urls;
+    let rawUrls;
+    try {
+      const spans = urlUtils.extractUrlSpans(content);
+      urls = [...new Set(spans.map(span => span.url).filter(Boolean))];
+      rawUrls = new Map(spans.map(span => [span.url, span.raw])); // 마스킹용 원문 표기
+      localResult = { ...createSafeResult(), ...await timeStage(timings, 'keywords', () => detectThreat(content, { urls })) };
+      localResult.urlFlags = [];
+      localResult.redirects = [];
+    } catch (error) {
+      logger.error('보안 검사 오류', { error });
+      return { result: { ...createSafeResult(), timings }, pending: null }; // 오류 시 기본값 반환
+    }
+
+    if (urls.length === 0) {
+      return { result: { ...localResult, timings: { ...timings, total: elapsed() } }, pending: null };
+    }
+
+    const network = runNetworkStage(content, urls, rawUrls, localResult, urlOptions, timings)
+      .then(result => ({ ...result, timings: { ...timings, total: elapsed() } }));
+
+    if (budget === null) {
+      return { result: await network, pending: null };
+    }
+
+    const settled = await withinBudget(network, budget);
+    if (settled.done) {
+      return { result: settled.value, pending: null };
+    }
+
+    logger.debug(`URL 보안 검사가 시간 예산(${budget}ms)을 넘겨 나중에 반영`, { urlCount: urls.length });
+    return {
+      result: { ...localResult, pending: true, timings: { ...timings, budgetExceeded: elapsed() } },
+      pending: network
+    };
+  }
+
+  return { run };
+}
+
+module.exports = {
+  DEFAULT_BUDGET_MS,
+  DEFAULT_CONCURRENCY,
+  createSafeResult,
+  mapWithConcurrency,
+  createSecurityPipeline
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { normalizeUrl } = require('../urlUtils');
+
+// 로컬 URL 차단 목록 스키마 (서버와 가져오기 스크립트에서 함께 사용)
+const urlBlocklistSchema = new mongoose.Schema({
+  url: { type: String, required: true, unique: true }, // 정규화된 URL
+  host: { type: String, required: true },
+  feed: { type: String, required: true }, // 가져온 피드 이름
+  phishId: { type: String }, // PhishTank 덤프의 phish_id
+  target: { type: String },
+  importedAt: { type: Date, default: Date.now }
+});
+
+urlBlocklistSchema.index({ host: 1 });
+urlBlocklistSchema.index({ feed: 1 });
+
+const UrlBlocklist = mongoose.models.UrlBlocklist || mongoose.model('UrlBlocklist', urlBlocklistSchema);
+
+const IMPORT_BATCH_SIZE = 1000;
+
+// 비교용 URL 정규화 (메시지 URL과 같은 urlUtils.normalizeUrl 규칙 사용)
+function normalizeFeedUrl(rawUrl) {
+  const url = normalizeUrl(rawUrl);
+  if (!url) return null;
+  return { url, host: new URL(url).hostname };
+}
+
+// 피드 파일 파싱 - 한 줄에 하나씩 적힌 목록 또는 PhishTank 형식 JSON 덤프
+function parseFeed(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    const entries = Array.isArray(data) ? data : (data.entries || data.data || []);
+    return entries
+      .filter(entry => entry && entry.url && entry.verified !== 'no' && entry.online !== 'no')
+      .map(entry => ({
+        url: entry.url,
+        phishId: entry.phish_id !== undefined ? String(entry.phish_id) : undefined,
+        target: entry.target
+      }));
+  }
+
+  return trimmed
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => ({ url: line }));
+}
+
+// 피드 파일을 Mongo에 가져오기 (replace면 같은 피드의 기존 항목 삭제 후 저장)
+async function importFeedFile(filePath, { feed, replace = false } = {}) {
+  const entries = parseFeed(fs.readFileSync(filePath, 'utf8'));
+  const feedName = feed || filePath;
+
+  if (replace) {
+    await UrlBlocklist.deleteMany({ feed: feedName });
+  }
+
+  let imported = 0;
+  let skipped = 0;
+  for (let i = 0; i < entries.length; i += IMPORT_BATCH_SIZE) {
+    const operations = [];
+    for (const entry of entries.slice(i, i + IMPORT_BATCH_SIZE)) {
+      const normalized = normalizeFeedUrl(entry.url);
+      if (!normalized) {
+        skipped++;
+        continue;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { url: normalized.url },
+          update: {
+            $set: {
+              host: normalized.host,
+              feed: feedName,
+              phishId: entry.phishId,
+              target: entry.target,
+              importedAt: new Date()
+            }
+          },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length > 0) {
+      await UrlBlocklist.bulkWrite(operations, { ordered: false });
+      imported += operations.length;
+    }
+  }
+
+  return { feed: feedName, imported, skipped };
+}
+
+// 로컬 차단 목록 URL 평판 제공자 (오프라인, URL 또는 호스트 단위 일치)
+// 호스트만 등록된 항목(경로 없는 URL)은 해당 호스트의 모든 URL을 차단
+function createLocalBlocklistProvider() {
+  async function check(url) {
+    const normalized = normalizeFeedUrl(url);
+    if (!normalized) {
+      return { flagged: false };
+    }
+
+    const match = await UrlBlocklist.findOne({
+      $or: [
+        { url: normalized.url },
+        { url: { $in: [`http://${normalized.host}`, `https://${normalized.host}`] } }
+      ]
+    }).select('feed phishId');
+
+    return match
+      ? { flagged: true, feed: match.feed, phishId: match.phishId }
+      : { flagged: false };
+  }
+
+  return {
+    name: 'local',
+    description: '로컬 URL 차단 목록 (가져온 피드 파일)',
+    check
+  };
+}
+
+module.exports = {
+  UrlBlocklist,
+  normalizeFeedUrl,
+  parseFeed,
+  importFeedFile,
+  createLocalBlocklistProvider
+};
@@ -0,0 +1,118 @@
+const axios = require('axios');
+const { createLogger } = require('../../observability/logger');
+const metrics = require('../../observability/metrics');
+
+const logger = createLogger({ module: 'phishTank' });
+
+// 캐시 적중률과 API 오류 지표 (result: hit, miss, error)
+const phishTankLookups = metrics.counter({
+  name: 'treehideout_phishtank_lookups_total',
+  help: 'PhishTank lookups by result (cache hit, cache miss answered by the API, API error).',
+  labelNames: ['result']
+});
+const phishTankApiDuration = metrics.histogram({
+  name: 'treehideout_phishtank_api_duration_seconds',
+  help: 'PhishTank checkurl API call latency in seconds.'
+});
+
+// PhishTank API 설정
+const PHISHTANK_BASE_URL = 'https://checkurl.phishtank.com/checkurl/';
+const PHISHTANK_CACHE_DURATION = (parseInt(process.env.PHISHTANK_CACHE_DURATION_HOURS) || 24) * 60 * 60 * 1000; // 기본 24시간
+const PHISHTANK_API_KEY = process.env.PHISHTANK_API_KEY;
+const PHISHTANK_TIMEOUT_MS = 10000;
+
+// PhishTank URL 평판 제공자
+// 결과는 PhishTankCache에 저장하고, API 오류는 예외로 전달해 호출 측의 fail-open/closed 정책을 따름
+function createPhishTankProvider({ PhishTankCache, apiKey = PHISHTANK_API_KEY }) {
+  let currentApiKey = apiKey;
+
+  async function check(url, options = {}) {
+    // 캐시 확인
+    const cached = await PhishTankCache.findOne({
+      url: url,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (cached) {
+      logger.debug(`PhishTank 캐시 히트: ${url}`);
+      phishTankLookups.inc({ result: 'hit' });
+      return { flagged: cached.isPhishing, cached: true };
+    }
+
+    // API 호출
+    const requestData = {
+      url: url,
+      format: 'json'
+    };
+
+    const key = options.apiKey || currentApiKey;
+    if (key) {
+      requestData.app_key = key;
+    }
+
+    const endTimer = phishTankApiDuration.startTimer();
+    let response;
+    try {
+      response = await axios.post(PHISHTANK_BASE_URL, requestData, {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'User-Agent': 'TreeHideout-AnonymousChat/1.0'
+        },
+        timeout: PHISHTANK_TIMEOUT_MS
+      });
+    } catch (error) {
+      phishTankLookups.inc({ result: 'error' });
+      throw error;
+    } finally {
+      endTimer();
+    }
+    phishTankLookups.inc({ result: 'miss' });
+
+    let isPhishing = false;
+    if (response.data && response.data.results && response.data.results.length > 0) {
+      isPhishing = response.data.results[0].in_database === true;
+    }
+
+    // 캐시에 저장
+    const expiresAt = new Date(Date.now() + PHISHTANK_CACHE_DURATION);
+    await PhishTankCache.findOneAndUpdate(
+      { url: url },
+      {
+        url: url,
+        isPhishing: isPhishing,
+        checkedAt: new Date(),
+        expiresAt: expiresAt
+      },
+      { upsert: true }
+    );
+
+    logger.debug(`PhishTank API 결과: ${url} -> ${isPhishing ? '피싱' : '안전'}`);
+    return { flagged: isPhishing, cached: false };
+  }
+
+  // API 키 교체 (null이면 키 없이 호출, 이 인스턴스에만 적용)
+  function setApiKey(key) {
+    currentApiKey = key || null;
+  }
+
+  // 설정 조회 (API 키는 끝 4자만)
+  function describeConfig() {
+    return {
+      apiKeyConfigured: Boolean(currentApiKey),
+      apiKeyHint: currentApiKey ? `...${currentApiKey.slice(-4)}` : null,
+      cacheDurationHours: PHISHTANK_CACHE_DURATION / (60 * 60 * 1000)
+    };
+  }
+
+  return {
+    name: 'phishtank',
+    description: 'PhishTank checkurl API',
+    check,
+    setApiKey,
+    describeConfig
+  };
+}
+
+module.exports = {
+  createPhishTankProvider
+};
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const textNormalizer = require('./textNormalizer');
+
+// 문자 n-gram 나이브 베이즈 분류기
+// 키워드 검사와 같은 정규화(textNormalizer)를 거친 뒤 띄어쓰기, 기호를 지운 문자열의 n-gram을 특징으로 사용하므로
+// "계 정 확 인"처럼 글자를 띄워 쓴 메시지도 "계정확인"과 같은 특징을 가진다. 한글은 초성 n-gram도 함께 사용해
+// 받침이나 모음을 바꾼 오타("게정 확인")에도 일부 특징이 겹치도록 한다.
+// 모델은 scripts/trainTextClassifier.js로 라벨이 있는 JSONL에서 학습해 JSON으로 저장한다.
+
+const MODEL_TYPE = 'char_ngram_naive_bayes';
+const MODEL_VERSION = 1;
+const SAFE_LABEL = 'safe';
+
+const DEFAULT_OPTIONS = {
+  minN: 1,
+  maxN: 3,
+  choseongMinN: 2,
+  choseongMaxN: 3,
+  alpha: 1, // 라플라스 평활화
+  minCount: 2, // 이보다 적은 메시지에 나온 특징은 버림
+  maxFeatures: 50000,
+  // 위협 확률이 이 이상이면 위협으로 판정. 나이브 베이즈 확률은 0이나 1 쪽으로 쏠리기 때문에
+  // 0.5로 두면 일상 대화도 위협으로 잡혀, 오탐을 줄이는 쪽으로 높게 잡는다
+  threshold: 0.9999
+};
+
+// 정규화 후 띄어쓰기와 기호를 지운 문자열
+function compactText(text) {
+  return textNormalizer.normalizeText(text).text.replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// 한글 음절의 초성 (한글 음절이 아니면 null)
+function choseongOf(char) {
+  const jamo = textNormalizer.decomposeSyllable(char);
+  return jamo ? jamo[0] : null;
+}
+
+function addNgrams(features, chars, minN, maxN, prefix = '') {
+  for (let n = minN; n <= maxN; n++) {
+    for (let i = 0; i + n <= chars.length; i++) {
+      features.add(prefix + chars.slice(i, i + n).join(''));
+    }
+  }
+}
+
+// 메시지 특징 집합 (같은 특징은 한 번만 셈)
+function extractFeatures(text, options = DEFAULT_OPTIONS) {
+  const chars = Array.from(compactText(text));
+  const features = new Set();
+  addNgrams(features, chars, options.minN, options.maxN);
+
+  // 연속된 한글 음절의 초성 n-gram ("c:ㄱㅈ")
+  let run = [];
+  for (const char of [...chars, '']) {
+    const choseong = char && choseongOf(char);
+    if (choseong) {
+      run.push(choseong);
+      continue;
+    }
+    addNgrams(features, run, options.choseongMinN, options.choseongMaxN, 'c:');
+    run = [];
+  }
+
+  return features;
+}
+
+// 학습 - examples: [{ text, label }] (위협이 아닌 메시지는 label 'safe')
+// 결과: JSON으로 저장할 수 있는 모델 객체
+function train(examples, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const labels = [...new Set(examples.map(example => example.label))].sort();
+  if (!labels.includes(SAFE_LABEL) || labels.length < 2) {
+    throw new Error(`학습 데이터에는 '${SAFE_LABEL}'과 위협 라벨이 모두 있어야 합니다.`);
+  }
+  const labelIndex = new Map(labels.map((label, index) => [label, index]));
+
+  const docCounts = new Array(labels.length).fill(0);
+  const featureCounts = new Map(); // 특징 → 라벨별 메시지 수
+  for (const { text, label } of examples) {
+    const index = labelIndex.get(label);
+    docCounts[index]++;
+    for (const feature of extractFeatures(text, options)) {
+      let counts = featureCounts.get(feature);
+      if (!counts) {
+        counts = new Array(labels.length).fill(0);
+        featureCounts.set(feature, counts);
+      }
+      counts[index]++;
+    }
+  }
+
+  // 자주 나온 특징만 사용
+  const total = counts => counts.reduce((sum, count) => sum + count, 0);
+  const selected = [...featureCounts.entries()]
+    .filter(([, counts]) => total(counts) >= options.minCount)
+    .sort((a, b) => total(b[1]) - total(a[1]))
+    .slice(0, options.maxFeatures);
+
+  // 라벨별 특징 로그 확률 (특징이 나온 메시지 수 기준, 라플라스 평활화)
+  const round = value => Math.round(value * 10000) / 10000;
+  const featureTotals = new Array(labels.length).fill(0);
+  for (const [, counts] of selected) {
+    counts.forEach((count, index) => { featureTotals[index] += count; });
+  }
+  const denominators = featureTotals.map(sum => sum + options.alpha * selected.length);
+  const features = {};
+  for (const [feature, counts] of selected) {
+    features[feature] = counts.map((count, index) => round(Math.log((count + options.alpha) / denominators[index])));
+  }
+
+  return {
+    type: MODEL_TYPE,
+    version: MODEL_VERSION,
+    trainedAt: new Date().toISOString(),
+    options: {
+      minN: options.minN,
+      maxN: options.maxN,
+      choseongMinN: options.choseongMinN,
+      choseongMaxN: options.choseongMaxN,
+      threshold: options.threshold
+    },
+    labels,
+    examples: docCounts,
+    priors: docCounts.map(count => round(Math.log(count / examples.length))),
+    features
+  };
+}
+
+// 모델로 분류기 생성
+// 결과: { predict(text) → { label, probability, probabilities } } - probability는 위협일 확률 (1 - P(safe))
+function createClassifier(model) {
+  if (!model || model.type !== MODEL_TYPE || model.version !== MODEL_VERSION) {
+    throw new Error('지원하지 않는 분류 모델 형식입니다.');
+  }
+  const { labels, priors, features } = model;
+  if (!Array.isArray(labels) || !labels.includes(SAFE_LABEL) || labels.length < 2 ||
+      !Array.isArray(priors) || priors.length !== labels.length ||
+      !features || typeof features !== 'object' || Array.isArray(features)) {
+    throw new Error('분류 모델의 labels, priors, features가 올바르지 않습니다.');
+  }
+  const options = { ...DEFAULT_OPTIONS, ...model.options };
+  const safeIndex = model.labels.indexOf(SAFE_LABEL);
+
+  function predict(text) {
+    const scores = [...model.priors];
+    for (const feature of extractFeatures(text, options)) {
+      const logProbs = model.features[feature];
+      if (!logProbs) continue;
+      logProbs.forEach((logProb, index) => { scores[index] += logProb; });
+    }
+
+    // 소프트맥스로 라벨별 확률 계산
+    const max = Math.max(...scores);
+    const exps = scores.map(score => Math.exp(score - max));
+    const sum = exps.reduce((total, value) => total + value, 0);
+    const probabilities = {};
+    model.labels.forEach((label, index) => { probabilities[label] = exps[index] / sum; });
+
+    const probability = 1 - probabilities[SAFE_LABEL];
+    let label = SAFE_LABEL;
+    if (probability >= options.threshold) {
+      // 위협 라벨 중 가장 확률이 높은 것
+      label = model.labels
+        .filter((_, index) => index !== safeIndex)
+        .reduce((best, candidate) => (probabilities[candidate] > probabilities[best] ? candidate : best));
+    }
+
+    return { label, probability, probabilities };
+  }
+
+  return { predict, threshold: options.threshold, labels: [...model.labels] };
+}
+
+// 평가 - 위협/안전 판정 기준 정밀도, 재현율과 라벨별 정밀도, 재현율
+function evaluate(classifier, examples) {
+  const binary = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  const perLabel = {};
+  for (const label of classifier.labels) {
+    perLabel[label] = { tp: 0, fp: 0, fn: 0 };
+  }
+
+  for (const { text, label } of examples) {
+    const predicted = classifier.predict(text).label;
+    const actualThreat = label !== SAFE_LABEL;
+    const predictedThreat = predicted !== SAFE_LABEL;
+    if (actualThreat && predictedThreat) binary.tp++;
+    else if (!actualThreat && predictedThreat) binary.fp++;
+    else if (actualThreat) binary.fn++;
+    else binary.tn++;
+
+    if (predicted === label) {
+      if (perLabel[label]) perLabel[label].tp++;
+    } else {
+      if (perLabel[predicted]) perLabel[predicted].fp++;
+      if (perLabel[label]) perLabel[label].fn++;
+    }
+  }
+
+  const ratio = (a, b) => (b === 0 ? 0 : Math.round((a / b) * 10000) / 10000);
+  const summarize = ({ tp, fp, fn }) => {
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+    return { precision, recall, f1: ratio(2 * precision * recall, precision + recall), support: tp + fn };
+  };
+
+  return {
+    total: examples.length,
+    threshold: classifier.threshold,
+    threat: { ...summarize(binary), ...binary },
+    accuracy: ratio(binary.tp + binary.tn, examples.length),
+    labels: Object.fromEntries(Object.entries(perLabel).map(([label, counts]) => [label, summarize(counts)]))
+  };
+}
+
+// 모델 파일 읽기 (파일이 없으면 null, 형식이 잘못되면 예외)
+function loadModelFile(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+  MODEL_TYPE,
+  MODEL_VERSION,
+  SAFE_LABEL,
+  DEFAULT_OPTIONS,
+  compactText,
+  extractFeatures,
+  train,
+  createClassifier,
+  evaluate,
+  loadModelFile
+};
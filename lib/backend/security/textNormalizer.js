@@ -0,0 +1,335 @@
+// 키워드 우회 방지용 텍스트 정규화
+// 키워드 검사 전에 메시지를 다음 순서로 정규화한다.
+//   1. 글자마다 NFKC 정규화와 소문자 변환 (전각 문자, 합자 등), 보이지 않는 문자(제로 폭 문자, 방향 제어 문자 등) 제거
+//   2. 키릴/그리스 문자처럼 라틴 문자로 혼동되는 문자 치환
+//   3. 한 글자씩 띄어 쓰거나 기호로 나눈 글자 붙이기 ("계 정", "v.e.r.i.f.y"), 연속된 공백은 하나로
+//   4. 라틴 문자 옆의 숫자/기호를 글자로 치환 ("v3rify acc0unt" → "verify account")
+//   5. 한글 자모 조합 ("ㄱㅖㅈㅓㅇ" → "계정", 첫가끝 자모는 호환 자모로 바꾼 뒤 조합)
+// 정규화한 글자마다 원문 위치(start, end)를 함께 기록해 탐지된 키워드를 원문 구간으로 되돌릴 수 있다.
+// 키워드 검색은 정규화한 텍스트에서 구분 문자를 모두 지운 형태(compact)로도 한다. 3단계는 한 글자씩 나눈
+// 경우만 붙이므로 "계정 확인"을 "계.정 확.인", "계정확인"처럼 두 글자 이상씩 나누거나 붙여 써도 찾기 위함이다.
+// 정규화는 원문 검사에 더하는 것이므로 원문(소문자)에서 찾은 키워드도 그대로 탐지된다.
+
+const { CONFUSABLE_MAP } = require('./urlUtils');
+
+// 보이지 않는 문자 (소프트 하이픈, 제로 폭 문자, 방향 제어, 이체 선택자, 한글 채움 문자, 태그 문자)
+const INVISIBLE_REGEX = /^(?:[\u00ad\u034f\u061c\u115f\u1160\u17b4\u17b5\u180b-\u180f\u200b-\u200f\u202a-\u202e\u2060-\u206f\u3164\ufe00-\ufe0f\ufeff\uffa0]|[\u{e0000}-\u{e007f}\u{e0100}-\u{e01ef}])$/u;
+
+// 글자 사이에 끼워 넣는 구분 문자
+const SEPARATOR_REGEX = /^[\s.\-_·•*~|/\\,]$/u;
+const WHITESPACE_REGEX = /^\s$/u;
+// 구분 문자를 지운 형태로 비교할 키워드 (글자, 숫자, 공백으로만 된 키워드 - ".exe", "bit.ly" 등은 제외)
+const COMPACTABLE_KEYWORD_REGEX = /^[\p{L}\p{N}\s]+$/u;
+
+// 라틴 문자로 혼동되는 문자 (숫자와 기호는 아래 LEET_MAP에서 문맥을 보고 치환)
+const LETTER_CONFUSABLES = Object.fromEntries(
+  Object.entries(CONFUSABLE_MAP).filter(([char]) => /\p{L}/u.test(char))
+);
+
+// 라틴 문자 옆에 있을 때만 글자로 치환하는 숫자와 기호 ("100만원"은 그대로 둠)
+const LEET_MAP = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's', '!': 'i' };
+const LEET_SYMBOLS = new Set(['@', '$', '!']); // 기호는 양쪽이 모두 라틴 문자일 때만 치환
+const LATIN_REGEX = /^[a-z]$/;
+
+// 한글 자모 (호환 자모 기준)
+const HANGUL_BASE = 0xac00;
+const HANGUL_LAST = 0xd7a3;
+const CHOSEONG = Array.from('ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ');
+const JUNGSEONG = Array.from('ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ');
+const JONGSEONG = ['', ...Array.from('ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ')];
+// 따로 입력한 모음 조합 ("ㅗㅏ" → "ㅘ")
+const VOWEL_PAIRS = { 'ㅗㅏ': 'ㅘ', 'ㅗㅐ': 'ㅙ', 'ㅗㅣ': 'ㅚ', 'ㅜㅓ': 'ㅝ', 'ㅜㅔ': 'ㅞ', 'ㅜㅣ': 'ㅟ', 'ㅡㅣ': 'ㅢ' };
+
+const KEYWORD_CACHE_LIMIT = 5000;
+const keywordCache = new Map();
+
+// 첫가끝(조합형) 자모를 호환 자모로 변환 (해당하지 않으면 null)
+function toCompatibilityJamo(char) {
+  const code = char.codePointAt(0);
+  if (code >= 0x1100 && code <= 0x1112) return CHOSEONG[code - 0x1100];
+  if (code >= 0x1161 && code <= 0x1175) return JUNGSEONG[code - 0x1161];
+  if (code >= 0x11a8 && code <= 0x11c2) return JONGSEONG[code - 0x11a8 + 1];
+  return null;
+}
+
+function isCompatibilityJamo(char) {
+  const code = char.codePointAt(0);
+  return code >= 0x3131 && code <= 0x318e;
+}
+
+// 한글 음절을 초성, 중성, 종성 호환 자모로 분해 (한글 음절이 아니면 null, 종성이 없으면 빈 문자열)
+function decomposeSyllable(char) {
+  const code = char.codePointAt(0);
+  if (code < HANGUL_BASE || code > HANGUL_LAST) return null;
+  const offset = code - HANGUL_BASE;
+  return [
+    CHOSEONG[Math.floor(offset / 588)],
+    JUNGSEONG[Math.floor((offset % 588) / 28)],
+    JONGSEONG[offset % 28]
+  ];
+}
+
+// 한글 음절을 자모로 분해한 문자열 ("계정" → "ㄱㅖㅈㅓㅇ")
+function decomposeHangul(text) {
+  return Array.from(text || '').map(char => (decomposeSyllable(char) || [char]).join('')).join('');
+}
+
+// 초성, 중성, 종성 자모로 한글 음절 조합
+function composeSyllable(choseong, jungseong, jongseong = '') {
+  const l = CHOSEONG.indexOf(choseong);
+  const v = JUNGSEONG.indexOf(jungseong);
+  const t = JONGSEONG.indexOf(jongseong);
+  if (l < 0 || v < 0 || t < 0) return null;
+  return String.fromCharCode(HANGUL_BASE + (l * 21 + v) * 28 + t);
+}
+
+// 원문을 글자 단위로 나눔 - { ch, start, end } (start/end는 원문 UTF-16 위치)
+function toUnits(text) {
+  const units = [];
+  let index = 0;
+  for (const char of text || '') {
+    units.push({ ch: char, start: index, end: index + char.length });
+    index += char.length;
+  }
+  return units;
+}
+
+// 1, 2단계: 글자별 NFKC, 소문자, 보이지 않는 문자 제거, 혼동 문자 치환
+function normalizeCharacters(units) {
+  const result = [];
+  for (const unit of units) {
+    if (INVISIBLE_REGEX.test(unit.ch)) continue;
+
+    const jamo = toCompatibilityJamo(unit.ch);
+    // 호환 자모는 NFKC를 거치면 첫가끝 자모가 되므로 그대로 둠
+    const normalized = jamo || (isCompatibilityJamo(unit.ch) ? unit.ch : unit.ch.normalize('NFKC').toLowerCase());
+    for (const char of normalized) {
+      if (INVISIBLE_REGEX.test(char)) continue;
+      result.push({ ch: LETTER_CONFUSABLES[char] || char, start: unit.start, end: unit.end });
+    }
+  }
+  return result;
+}
+
+// 3단계: 한 글자짜리 토큰 사이의 구분 문자 제거, 남은 공백은 하나로
+function collapseSeparators(units) {
+  const isSeparator = unit => SEPARATOR_REGEX.test(unit.ch);
+
+  // 구분 문자가 아닌 글자가 이어진 구간(토큰) 목록
+  const tokens = [];
+  for (let i = 0; i < units.length; i++) {
+    if (isSeparator(units[i])) continue;
+    const from = i;
+    while (i + 1 < units.length && !isSeparator(units[i + 1])) i++;
+    tokens.push({ from, to: i });
+  }
+
+  const removed = new Set();
+  for (let i = 0; i + 1 < tokens.length; i++) {
+    const current = tokens[i];
+    const next = tokens[i + 1];
+    if (current.from === current.to && next.from === next.to) {
+      for (let j = current.to + 1; j < next.from; j++) removed.add(j);
+    }
+  }
+
+  const result = [];
+  units.forEach((unit, index) => {
+    if (removed.has(index)) return;
+    if (WHITESPACE_REGEX.test(unit.ch)) {
+      const previous = result[result.length - 1];
+      if (previous && previous.ch === ' ') {
+        previous.end = unit.end;
+        return;
+      }
+      result.push({ ...unit, ch: ' ' });
+      return;
+    }
+    result.push(unit);
+  });
+  return result;
+}
+
+// 4단계: 라틴 문자 옆의 숫자/기호를 글자로 치환
+function replaceLeetspeak(units) {
+  const isLatin = unit => Boolean(unit) && LATIN_REGEX.test(unit.ch);
+  return units.map((unit, index) => {
+    const replacement = LEET_MAP[unit.ch];
+    if (!replacement) return unit;
+
+    const before = isLatin(units[index - 1]);
+    const after = isLatin(units[index + 1]);
+    const replace = LEET_SYMBOLS.has(unit.ch) ? before && after : before || after;
+    return replace ? { ...unit, ch: replacement } : unit;
+  });
+}
+
+// 5단계: 이어진 한글 호환 자모를 음절로 조합 (자음만 이어진 "ㅋㅋ" 등은 그대로 둠)
+function composeHangul(units) {
+  const result = [];
+  let i = 0;
+  while (i < units.length) {
+    const first = units[i];
+    if (!CHOSEONG.includes(first.ch)) {
+      result.push(first);
+      i++;
+      continue;
+    }
+
+    // 중성 (따로 입력한 모음 조합 포함)
+    let vowel = units[i + 1] && JUNGSEONG.includes(units[i + 1].ch) ? units[i + 1].ch : null;
+    if (!vowel) {
+      result.push(first);
+      i++;
+      continue;
+    }
+    let next = i + 2;
+    const pair = units[next] && VOWEL_PAIRS[vowel + units[next].ch];
+    if (pair) {
+      vowel = pair;
+      next++;
+    }
+
+    // 종성은 다음 글자가 모음이 아닐 때만 (다음 모음이 있으면 다음 음절의 초성)
+    let final = '';
+    const candidate = units[next];
+    const afterCandidate = units[next + 1];
+    if (candidate && JONGSEONG.includes(candidate.ch) && candidate.ch !== ''
+      && !(afterCandidate && JUNGSEONG.includes(afterCandidate.ch))) {
+      final = candidate.ch;
+      next++;
+    }
+
+    result.push({ ch: composeSyllable(first.ch, vowel, final), start: first.start, end: units[next - 1].end });
+    i = next;
+  }
+  return result;
+}
+
+// 글자 목록을 문자열과 위치 배열로 변환 (starts/ends는 결과 문자열의 UTF-16 위치별 원문 구간)
+function buildView(units) {
+  let text = '';
+  const starts = [];
+  const ends = [];
+  for (const unit of units) {
+    text += unit.ch;
+    for (let i = 0; i < unit.ch.length; i++) {
+      starts.push(unit.start);
+      ends.push(unit.end);
+    }
+  }
+  return { text, starts, ends };
+}
+
+function normalizeUnits(text) {
+  const units = normalizeCharacters(toUnits(text));
+  return composeHangul(replaceLeetspeak(collapseSeparators(units)));
+}
+
+// 텍스트 정규화 - 결과: { text, starts, ends }
+function normalizeText(text) {
+  return buildView(normalizeUnits(text));
+}
+
+// 키워드 정규화 (데이터셋 키워드는 반복해서 쓰이므로 캐시)
+function normalizeKeyword(keyword) {
+  let normalized = keywordCache.get(keyword);
+  if (normalized === undefined) {
+    normalized = normalizeText(keyword).text.trim();
+    if (keywordCache.size >= KEYWORD_CACHE_LIMIT) keywordCache.clear();
+    keywordCache.set(keyword, normalized);
+  }
+  return normalized;
+}
+
+// 구분 문자를 지운 형태로 비교할 키워드 ("계정 확인" → "계정확인", 해당하지 않는 키워드는 빈 문자열)
+function compactKeyword(keyword) {
+  const normalized = normalizeKeyword(keyword);
+  if (!COMPACTABLE_KEYWORD_REGEX.test(normalized)) return '';
+  return normalized.replace(/\s+/gu, '');
+}
+
+// 정규화한 텍스트에서 찾은 구간을 원문 구간으로 변환
+function findInView(view, needle, spans) {
+  if (!needle) return;
+  let index = view.text.indexOf(needle);
+  while (index !== -1) {
+    spans.push({ start: view.starts[index], end: view.ends[index + needle.length - 1] });
+    index = view.text.indexOf(needle, index + needle.length);
+  }
+}
+
+// 메시지 하나에 여러 키워드를 검사할 때 사용하는 검색기
+// 원문(소문자), 정규화한 텍스트, 정규화 후 구분 문자를 지운 텍스트에서 찾고, 결과는 원문 구간 [{ start, end }]
+function createMatcher(content) {
+  const text = content || '';
+  const lowered = buildView(toUnits(text).map(unit => ({ ...unit, ch: unit.ch.toLowerCase() })));
+  const units = normalizeUnits(text);
+  const normalized = buildView(units);
+  const compact = buildView(units.filter(unit => !SEPARATOR_REGEX.test(unit.ch)));
+
+  function find(keyword) {
+    const spans = [];
+    findInView(lowered, keyword.toLowerCase(), spans);
+    findInView(normalized, normalizeKeyword(keyword), spans);
+    findInView(compact, compactKeyword(keyword), spans);
+
+    const seen = new Set();
+    return spans
+      .filter(span => {
+        const key = `${span.start}:${span.end}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.start - b.start);
+  }
+
+  function has(keyword) {
+    if (!keyword) return false;
+    const normalizedKeyword = normalizeKeyword(keyword);
+    const compactedKeyword = compactKeyword(keyword);
+    return lowered.text.includes(keyword.toLowerCase())
+      || (normalizedKeyword !== '' && normalized.text.includes(normalizedKeyword))
+      || (compactedKeyword !== '' && compact.text.includes(compactedKeyword));
+  }
+
+  return {
+    content: text,
+    lowered: lowered.text,
+    normalized: normalized.text,
+    compact: compact.text,
+    find,
+    has
+  };
+}
+
+// 탐지된 키워드의 원문 구간 (클라이언트 강조 표시와 마스킹에 사용)
+// 결과: [{ keyword, start, end }] - 원문에서 찾을 수 없는 키워드(분류 모델 결과 등)는 제외
+function findKeywordSpans(content, keywords, matcher = createMatcher(content)) {
+  const spans = [];
+  for (const keyword of new Set(keywords || [])) {
+    if (!keyword) continue;
+    for (const span of matcher.find(keyword.toString())) {
+      spans.push({ keyword, ...span });
+    }
+  }
+  return spans.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+// 같은 키워드 목록인지 비교할 때 사용하는 형태
+function keywordKey(keyword) {
+  return normalizeKeyword(keyword.toString()) || keyword.toString().toLowerCase();
+}
+
+module.exports = {
+  decomposeSyllable,
+  decomposeHangul,
+  composeSyllable,
+  normalizeText,
+  normalizeKeyword,
+  compactKeyword,
+  keywordKey,
+  createMatcher,
+  findKeywordSpans
+};
@@ -0,0 +1,113 @@
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'urlReputation' });
+
+// URL 평판 검사 제공자 레지스트리
+// 제공자는 { name, description, check(url, options) } 형태이며 check는 { flagged, ... }를 반환하거나
+// 조회에 실패하면 예외를 던진다. 실패 처리 방식(failMode)은 호출 측(방 또는 배포 설정)이 정한다.
+
+const FAIL_MODES = ['open', 'closed'];
+
+// 배포 기본값 (방 정책에 설정이 없을 때 사용)
+const DEFAULT_PROVIDERS = (process.env.URL_REPUTATION_PROVIDERS || 'local')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+const DEFAULT_FAIL_MODE = FAIL_MODES.includes(process.env.URL_REPUTATION_FAIL_MODE)
+  ? process.env.URL_REPUTATION_FAIL_MODE
+  : 'open';
+
+const providers = new Map();
+
+// 현재 배포 기본값 (관리 API로 바꾸면 이 인스턴스에만 적용되고, 재시작하면 환경 변수 값으로 돌아감)
+let defaults = { providers: DEFAULT_PROVIDERS, failMode: DEFAULT_FAIL_MODE };
+
+// 제공자 등록
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.check !== 'function') {
+    throw new Error('URL 평판 제공자는 name과 check 함수가 필요합니다.');
+  }
+  providers.set(provider.name, provider);
+}
+
+// 등록된 제공자 이름 목록
+function getProviderNames() {
+  return [...providers.keys()];
+}
+
+// 제공자 정보 목록
+function describeProviders() {
+  return [...providers.values()].map(provider => ({
+    name: provider.name,
+    description: provider.description || ''
+  }));
+}
+
+// 배포 기본값 조회
+function getDefaults() {
+  return { providers: [...defaults.providers], failMode: defaults.failMode };
+}
+
+// 배포 기본값 변경 - 오류 메시지 반환, 문제없으면 null
+function setDefaults({ providers: names = defaults.providers, failMode = defaults.failMode } = {}) {
+  if (!Array.isArray(names) || names.length === 0 || names.some(name => !providers.has(name))) {
+    return `providers는 등록된 제공자(${getProviderNames().join(', ')}) 이름의 배열이어야 합니다.`;
+  }
+  if (!FAIL_MODES.includes(failMode)) {
+    return `failMode는 ${FAIL_MODES.join(', ')} 중 하나여야 합니다.`;
+  }
+
+  defaults = { providers: [...new Set(names)], failMode };
+  return null;
+}
+
+// 설정값 해석 (방 설정 → 배포 기본값)
+function resolveOptions(options = {}) {
+  const names = Array.isArray(options.providers) && options.providers.length > 0
+    ? options.providers
+    : defaults.providers;
+
+  return {
+    providers: names.filter(name => providers.has(name)),
+    failMode: FAIL_MODES.includes(options.failMode) ? options.failMode : defaults.failMode
+  };
+}
+
+// 단일 URL 검사 - 제공자를 순서대로 조회해 처음 탐지한 제공자를 반환
+// 결과: { url, flagged, provider, failedClosed, errors }
+async function checkUrl(url, options = {}) {
+  const { providers: names, failMode } = resolveOptions(options);
+  const errors = [];
+
+  for (const name of names) {
+    try {
+      const result = await providers.get(name).check(url, options);
+      if (result.flagged) {
+        return { url, flagged: true, provider: name, failedClosed: false, details: result, errors };
+      }
+    } catch (error) {
+      logger.error(`URL 평판 조회 실패 (${name})`, { error: error.message });
+      errors.push({ provider: name, message: error.message });
+    }
+  }
+
+  // 어떤 제공자도 탐지하지 않았지만 조회 실패가 있었다면 fail-closed 정책에 따라 차단
+  if (errors.length > 0 && failMode === 'closed') {
+    return { url, flagged: true, provider: errors[0].provider, failedClosed: true, errors };
+  }
+
+  return { url, flagged: false, provider: null, failedClosed: false, errors };
+}
+
+module.exports = {
+  FAIL_MODES,
+  DEFAULT_PROVIDERS,
+  DEFAULT_FAIL_MODE,
+  registerProvider,
+  getProviderNames,
+  describeProviders,
+  getDefaults,
+  setDefaults,
+  resolveOptions,
+  checkUrl
+};
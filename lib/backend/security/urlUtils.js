@@ -0,0 +1,317 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { domainToUnicode } = require('url');
+
+// URL 추출, 정규화, 분석 모듈
+// WHATWG URL 파서로 IDN(퓨니코드), 10진수/16진수 IPv4 표기, 기본 포트 등을 정규화하고
+// 유사 문자(homoglyph) 도메인, IP 주소 호스트, 단축 URL을 판별한다.
+
+// 스킴 없이 적힌 도메인으로 인정할 최상위 도메인 ("e.g.", "file.js" 같은 오탐 방지)
+const BARE_DOMAIN_TLDS = new Set([
+  'com', 'net', 'org', 'info', 'biz', 'io', 'co', 'me', 'tv', 'cc', 'ly', 'gl', 'gd', 'to', 'ai', 'app', 'dev',
+  'xyz', 'top', 'site', 'online', 'club', 'shop', 'store', 'live', 'link', 'click', 'email', 'zip', 'mov',
+  'kr', 'jp', 'cn', 'tw', 'hk', 'ru', 'de', 'uk', 'us', 'fr', 'it', 'es', 'nl', 'eu', 'in', 'vn', 'th', 'ph',
+  'br', 'ca', 'au', 'gov', 'edu', 'mil', 'int', 'tk', 'ml', 'ga', 'cf', 'gq', 'pw', 'su', 'ws', 'at', 'la',
+  '한국'
+]);
+
+// 알려진 URL 단축 서비스 호스트
+const KNOWN_SHORTENERS = new Set([
+  'bit.ly', 'bitly.com', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'adf.ly', 'tiny.cc',
+  'short.link', 'rebrand.ly', 'cutt.ly', 'shorturl.at', 't.ly', 'rb.gy', 'bit.do', 'lnkd.in', 'me2.kr',
+  'han.gy', 'vo.la', 'url.kr', 'naver.me', 'kko.to'
+]);
+
+// 사칭 대상이 되기 쉬운 도메인 (등록 도메인의 첫 레이블 기준)
+const PROTECTED_BRANDS = [
+  'google', 'apple', 'microsoft', 'amazon', 'paypal', 'facebook', 'instagram', 'netflix', 'github',
+  'naver', 'kakao', 'daum', 'coupang', 'toss', 'kbstar', 'shinhan', 'wooribank', 'hanabank', 'ibk', 'nonghyup'
+];
+
+// 라틴 문자로 혼동되는 문자 매핑 (키릴/그리스 문자와 숫자 치환)
+const CONFUSABLE_MAP = {
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's',
+  'һ': 'h', 'ԁ': 'd', 'ɡ': 'g', 'ո': 'n', 'ѵ': 'v', 'ԝ': 'w', 'ӏ': 'l',
+  'α': 'a', 'ο': 'o', 'ρ': 'p', 'ν': 'v', 'κ': 'k', 'ι': 'i', 'τ': 't', 'υ': 'u',
+  '0': 'o', '1': 'l', '3': 'e', '5': 's', '@': 'a'
+};
+const CONFUSABLE_SEQUENCES = [['rn', 'm'], ['vv', 'w'], ['cl', 'd']];
+
+// 스킴이 있는 URL, www로 시작하는 주소, 스킴 없는 IPv4 주소/도메인 후보
+// (앞 글자가 문자, 숫자, @, 점이면 제외해 이메일 주소나 단어 중간은 추출하지 않음)
+const URL_CANDIDATE_REGEX = /(?<![\p{L}\p{N}_@.-])(?:https?:\/\/[^\s<>"'`]+|www\.[^\s<>"'`]+|\d{1,3}(?:\.\d{1,3}){3}(?::\d{2,5})?(?:[/?#][^\s<>"'`]*)?|(?:[\p{L}\p{N}-]+\.)+[\p{L}\p{N}-]{2,}(?::\d{2,5})?(?:[/?#][^\s<>"'`]*)?)/giu;
+
+const TRAILING_PUNCTUATION = /[.,;:!?'"。、，！？…]+$/u;
+const BRACKET_PAIRS = { ')': '(', ']': '[', '}': '{', '>': '<' };
+// 경로 없이 끝나는 호스트 뒤에 붙은 한글 조사 ("naver.com에서" → "naver.com")
+const HOST_HANGUL_SUFFIX = /^((?:https?:\/\/)?[^/?#]*[a-z0-9])\p{Script=Hangul}+$/iu;
+
+// 후보 문자열 끝의 문장 부호와 짝이 맞지 않는 닫는 괄호 제거
+function trimCandidate(candidate) {
+  let value = candidate;
+  let changed = true;
+
+  while (changed && value.length > 0) {
+    changed = false;
+    const trimmed = value.replace(TRAILING_PUNCTUATION, '');
+    if (trimmed !== value) {
+      value = trimmed;
+      changed = true;
+    }
+
+    const last = value[value.length - 1];
+    const open = BRACKET_PAIRS[last];
+    if (open) {
+      const opens = value.split(open).length - 1;
+      const closes = value.split(last).length - 1;
+      if (closes > opens) {
+        value = value.slice(0, -1);
+        changed = true;
+      }
+    }
+  }
+
+  return value.replace(HOST_HANGUL_SUFFIX, '$1');
+}
+
+// 스킴이 없으면 http:// 를 붙여 URL 객체 생성 (실패 시 null)
+function parseUrl(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  const value = raw.trim();
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`;
+
+  try {
+    const parsed = new URL(withScheme);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    if (!parsed.hostname) return null;
+    return parsed;
+  } catch (error) {
+    return null;
+  }
+}
+
+// IP 주소 호스트 판별 (4 또는 6, 아니면 0)
+function getIpVersion(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  return net.isIP(host);
+}
+
+// 스킴 없는 후보가 실제 도메인인지 확인
+function isPlausibleBareHost(raw, hostname) {
+  // 숫자로만 된 호스트는 점 네 개짜리 IPv4 표기만 인정 ("1.5" 같은 숫자 제외)
+  const rawHost = raw.split(/[/?#:]/)[0];
+  if (/^[\d.]+$/.test(rawHost)) return net.isIPv4(rawHost);
+
+  const labels = hostname.split('.');
+  if (labels.length < 2 || labels.some(label => label.length === 0)) return false;
+
+  const tld = domainToUnicode(labels[labels.length - 1]) || labels[labels.length - 1];
+  return BARE_DOMAIN_TLDS.has(tld) || labels[labels.length - 1].startsWith('xn--');
+}
+
+// 텍스트에서 URL 추출 - { raw, index, url } 목록 (url은 정규화된 문자열)
+function extractUrlSpans(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const spans = [];
+  for (const match of text.matchAll(URL_CANDIDATE_REGEX)) {
+    const raw = trimCandidate(match[0]);
+    if (!raw) continue;
+
+    const parsed = parseUrl(raw);
+    if (!parsed) continue;
+
+    const hasScheme = /^https?:\/\//i.test(raw);
+    if (!hasScheme && !/^www\./i.test(raw) && !isPlausibleBareHost(raw, parsed.hostname)) continue;
+
+    spans.push({ raw, index: match.index, url: normalizeUrl(raw) });
+  }
+
+  return spans;
+}
+
+// 텍스트에서 URL 추출 (중복 제거된 정규화 URL 목록)
+function extractUrls(text) {
+  return [...new Set(extractUrlSpans(text).map(span => span.url).filter(Boolean))];
+}
+
+// URL 정규화 - 캐시 키와 차단 목록 비교에 사용
+// 스킴/호스트 소문자, IDN은 퓨니코드, IPv4 표기 통일, 기본 포트/프래그먼트/루트 경로 끝 슬래시 제거
+function normalizeUrl(raw) {
+  const parsed = parseUrl(raw);
+  if (!parsed) return null;
+
+  parsed.hash = '';
+  if (parsed.hostname.endsWith('.')) {
+    parsed.hostname = parsed.hostname.slice(0, -1);
+  }
+
+  let normalized = parsed.toString();
+  if (parsed.pathname === '/' && !parsed.search) {
+    normalized = normalized.replace(/\/$/, '');
+  }
+  return normalized;
+}
+
+// 혼동 문자를 라틴 문자로 바꾼 비교용 문자열
+function toSkeleton(label) {
+  let skeleton = Array.from(label.toLowerCase()).map(char => CONFUSABLE_MAP[char] || char).join('');
+  for (const [sequence, replacement] of CONFUSABLE_SEQUENCES) {
+    skeleton = skeleton.split(sequence).join(replacement);
+  }
+  return skeleton;
+}
+
+// 레이블에 사용된 문자 체계 (latin, cyrillic, greek, hangul, other)
+function getScripts(label) {
+  const scripts = new Set();
+  for (const char of label) {
+    if (/[a-z]/i.test(char)) scripts.add('latin');
+    else if (/\p{Script=Cyrillic}/u.test(char)) scripts.add('cyrillic');
+    else if (/\p{Script=Greek}/u.test(char)) scripts.add('greek');
+    else if (/\p{Script=Hangul}/u.test(char)) scripts.add('hangul');
+    else if (!/[0-9-]/.test(char)) scripts.add('other');
+  }
+  return scripts;
+}
+
+// 등록 도메인의 첫 레이블 (sub.paypal.com → paypal, paypal.co.kr → paypal)
+function getBrandLabel(unicodeHostname) {
+  const labels = unicodeHostname.split('.');
+  if (labels.length < 2) return labels[0];
+  const secondLevel = labels[labels.length - 2];
+  if (labels.length >= 3 && ['co', 'or', 'go', 'ac', 'ne', 'com', 'net', 'org'].includes(secondLevel)) {
+    return labels[labels.length - 3];
+  }
+  return secondLevel;
+}
+
+// 유사 문자 도메인 판별 - 사칭 대상 브랜드 이름 또는 null
+function findLookalikeBrand(unicodeHostname) {
+  const label = getBrandLabel(unicodeHostname);
+  if (!label || PROTECTED_BRANDS.includes(label)) return null;
+
+  const skeleton = toSkeleton(label);
+  return PROTECTED_BRANDS.find(brand => brand === skeleton) || null;
+}
+
+// 단축 URL 서비스 호스트인지 확인 (하위 도메인 포함)
+function isShortenerHost(hostname, shorteners = KNOWN_SHORTENERS) {
+  const host = hostname.toLowerCase();
+  for (const shortener of shorteners) {
+    if (host === shortener || host.endsWith(`.${shortener}`)) return true;
+  }
+  return false;
+}
+
+// URL 분석 결과
+function analyzeUrl(raw, options = {}) {
+  const parsed = parseUrl(raw);
+  if (!parsed) return null;
+
+  const hostname = parsed.hostname.replace(/\.$/, '');
+  const ipVersion = getIpVersion(hostname);
+  const unicodeHostname = ipVersion ? hostname : (domainToUnicode(hostname) || hostname);
+  const isPunycode = hostname.split('.').some(label => label.startsWith('xn--'));
+
+  const mixedScriptLabels = ipVersion ? [] : unicodeHostname.split('.').filter(label => {
+    const scripts = getScripts(label);
+    scripts.delete('hangul');
+    return scripts.size > 1;
+  });
+
+  return {
+    original: raw,
+    normalized: normalizeUrl(raw),
+    hostname,
+    unicodeHostname,
+    isIpLiteral: ipVersion !== 0,
+    ipVersion,
+    isPunycode,
+    mixedScript: mixedScriptLabels.length > 0,
+    lookalikeOf: ipVersion ? null : findLookalikeBrand(unicodeHostname),
+    isShortener: isShortenerHost(hostname, options.shorteners)
+  };
+}
+
+// 기본 리다이렉트 조회기 - HEAD 요청으로 상태 코드와 Location 헤더만 읽음
+function createHttpFetcher({ timeoutMs = 3000, userAgent = 'TreeHideout-AnonymousChat/1.0' } = {}) {
+  return function fetchRedirect(url) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const request = client.request(url, {
+        method: 'HEAD',
+        headers: { 'User-Agent': userAgent },
+        timeout: timeoutMs
+      }, (response) => {
+        response.resume();
+        resolve({ statusCode: response.statusCode, location: response.headers.location || null });
+      });
+
+      request.on('timeout', () => request.destroy(new Error('리다이렉트 조회 시간 초과')));
+      request.on('error', reject);
+      request.end();
+    });
+  };
+}
+
+const defaultFetcher = createHttpFetcher();
+
+// 단축 URL 리다이렉트 체인 추적
+// 단축 서비스 호스트에만 요청을 보내고, 최종 목적지에는 요청하지 않는다.
+// 결과: { finalUrl, chain, resolved, error }
+async function resolveRedirects(url, { fetcher = defaultFetcher, maxHops = 5, shorteners = KNOWN_SHORTENERS } = {}) {
+  const chain = [normalizeUrl(url) || url];
+  let current = chain[0];
+
+  for (let hop = 0; hop < maxHops; hop++) {
+    const parsed = parseUrl(current);
+    if (!parsed || !isShortenerHost(parsed.hostname, shorteners)) {
+      return { finalUrl: current, chain, resolved: true, error: null };
+    }
+
+    let response;
+    try {
+      response = await fetcher(current);
+    } catch (error) {
+      return { finalUrl: current, chain, resolved: false, error: error.message };
+    }
+
+    if (!response || response.statusCode < 300 || response.statusCode >= 400 || !response.location) {
+      return { finalUrl: current, chain, resolved: true, error: null };
+    }
+
+    let next = null;
+    try {
+      next = normalizeUrl(new URL(response.location, current).toString());
+    } catch (error) {
+      return { finalUrl: current, chain, resolved: false, error: '잘못된 리다이렉트 주소' };
+    }
+    if (!next) {
+      return { finalUrl: current, chain, resolved: false, error: '지원하지 않는 리다이렉트 주소' };
+    }
+    if (chain.includes(next)) {
+      return { finalUrl: current, chain, resolved: false, error: '리다이렉트 순환' };
+    }
+
+    chain.push(next);
+    current = next;
+  }
+
+  return { finalUrl: current, chain, resolved: false, error: '리다이렉트 횟수 초과' };
+}
+
+module.exports = {
+  KNOWN_SHORTENERS,
+  PROTECTED_BRANDS,
+  CONFUSABLE_MAP,
+  extractUrlSpans,
+  extractUrls,
+  normalizeUrl,
+  analyzeUrl,
+  isShortenerHost,
+  toSkeleton,
+  createHttpFetcher,
+  resolveRedirects
+};
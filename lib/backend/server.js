@@ -4,15 +4,90 @@ const mongoose = require('mongoose');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const crypto = require('crypto');
-const axios = require('axios'); // PhishTank API 호출용
 const { v4: uuidv4 } = require('uuid');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const datasetDetector = require('./security/datasetDetector');
+const moderationPolicy = require('./security/moderationPolicy');
+const session = require('./auth/session');
+const roomAccess = require('./auth/roomAccess');
+const adminKeys = require('./auth/adminKeys');
+const { createSanctionService } = require('./moderation/sanctions');
+const { createFloodGuard } = require('./moderation/floodGuard');
+const roomCommands = require('./moderation/roomCommands');
+const { createPresenceService } = require('./realtime/presence');
+const { createReactionService, summarizeReactions } = require('./messages/reactions');
+const { createThreadService } = require('./messages/threads');
+const urlReputation = require('./security/urlReputation');
+const urlUtils = require('./security/urlUtils');
+const e2ee = require('./security/e2ee');
+const logAnalytics = require('./security/logAnalytics');
+const { createSecurityPipeline } = require('./security/pipeline');
+const textNormalizer = require('./security/textNormalizer');
+const { createPhishTankProvider } = require('./security/providers/phishTank');
+const { UrlBlocklist, createLocalBlocklistProvider } = require('./security/providers/localBlocklist');
+const attachmentScanner = require('./attachments/scanner');
+const { createAttachmentStorage } = require('./attachments/storage');
+const socketAdapter = require('./scaling/socketAdapter');
+const { MongoRateLimitStore } = require('./scaling/mongoRateLimitStore');
+const { logger, requestContext, runWithContext } = require('./observability/logger');
+const metrics = require('./observability/metrics');
+const { createSchemas } = require('./validation/schemas');
+const { validate, validateBody, validationError } = require('./validation/validator');
+const apiErrors = require('./validation/errors');
+
+// 지표 정의 (/metrics에서 Prometheus 형식으로 제공)
+const httpRequestsTotal = metrics.counter({
+  name: 'treehideout_http_requests_total',
+  help: 'HTTP requests by method, route and status code.',
+  labelNames: ['method', 'route', 'status']
+});
+const httpRequestDuration = metrics.histogram({
+  name: 'treehideout_http_request_duration_seconds',
+  help: 'HTTP request latency in seconds.',
+  labelNames: ['method', 'route']
+});
+const apiErrorsTotal = metrics.counter({
+  name: 'treehideout_api_errors_total',
+  help: 'HTTP responses with a 5xx status code by route.',
+  labelNames: ['method', 'route', 'status']
+});
+const messagesTotal = metrics.counter({
+  name: 'treehideout_messages_total',
+  help: 'Messages sent by moderation action (allow, warn, hold, redact, block).',
+  labelNames: ['action']
+});
+const securityCheckDuration = metrics.histogram({
+  name: 'treehideout_security_check_duration_seconds',
+  help: 'Security check latency in seconds by stage.',
+  labelNames: ['stage']
+});
+const deferredSecurityTotal = metrics.counter({
+  name: 'treehideout_security_deferred_total',
+  help: 'Security results applied after delivery by outcome (retracted, marked, clean, stale).',
+  labelNames: ['status']
+});
 
 // 익스프레스 앱 설정
 const app = express();
 
+// 요청 ID 발급과 요청 로그, HTTP 지표 (라우트를 찾지 못한 요청은 route="unmatched")
+app.use(requestContext(logger));
+app.use(apiErrors.ensureErrorCode);
+app.use((req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    endTimer({ method: req.method, route });
+    httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+    if (res.statusCode >= 500) {
+      apiErrorsTotal.inc({ method: req.method, route, status: res.statusCode });
+    }
+  });
+  next();
+});
+
 // 보안 미들웨어 설정
 app.use(helmet({
   contentSecurityPolicy: {
@@ -32,26 +107,29 @@ app.use(helmet({
 }));
 
 // Rate Limiting 설정
+// RATE_LIMIT_STORE=mongo 이면 여러 서버 인스턴스가 MongoDB에 저장된 카운터를 공유
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE === 'mongo' ? 'mongo' : 'memory';
+
+function createRateLimitStore(prefix) {
+  return RATE_LIMIT_STORE === 'mongo' ? new MongoRateLimitStore({ prefix }) : undefined;
+}
+
 const generalLimiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15분
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // 최대 100 요청
-  message: {
-    error: '너무 많은 요청이 감지되었습니다. 잠시 후 다시 시도해주세요.',
-    retryAfter: '15분'
-  },
+  message: apiErrors.errorBody('rate_limited', '너무 많은 요청이 감지되었습니다. 잠시 후 다시 시도해주세요.', { retryAfter: '15분' }),
   standardHeaders: true,
   legacyHeaders: false,
+  store: createRateLimitStore('general:'),
 });
 
 const messageLimiter = rateLimit({
   windowMs: parseInt(process.env.MESSAGE_RATE_LIMIT_WINDOW_MS) || 60 * 1000, // 1분
   max: parseInt(process.env.MESSAGE_RATE_LIMIT_MAX_REQUESTS) || 20, // 최대 20 메시지
-  message: {
-    error: '메시지 전송 속도가 너무 빠릅니다. 잠시 후 다시 시도해주세요.',
-    retryAfter: '1분'
-  },
+  message: apiErrors.errorBody('rate_limited', '메시지 전송 속도가 너무 빠릅니다. 잠시 후 다시 시도해주세요.', { retryAfter: '1분' }),
   standardHeaders: true,
   legacyHeaders: false,
+  store: createRateLimitStore('message:'),
 });
 
 // 미들웨어 적용
@@ -75,20 +153,20 @@ mongoose.connect(mongoUri, {
   maxPoolSize: 10,
   serverSelectionTimeoutMS: 5000,
   socketTimeoutMS: 45000,
-}).then(() => console.log('MongoDB 연결 성공'))
-  .catch(err => console.error('MongoDB 연결 실패:', err));
+}).then(() => logger.info('MongoDB 연결 성공'))
+  .catch(error => logger.error('MongoDB 연결 실패', { error }));
 
 // MongoDB 연결 상태 모니터링
 mongoose.connection.on('connected', () => {
-  console.log('MongoDB에 연결되었습니다.');
+  logger.info('MongoDB에 연결되었습니다.');
 });
 
 mongoose.connection.on('error', (err) => {
-  console.error('MongoDB 연결 오류:', err);
+  logger.error('MongoDB 연결 오류', { error: err });
 });
 
 mongoose.connection.on('disconnected', () => {
-  console.log('MongoDB 연결이 끊어졌습니다.');
+  logger.info('MongoDB 연결이 끊어졌습니다.');
 });
 
 // 스키마 정의
@@ -98,39 +176,141 @@ const userSchema = new mongoose.Schema({
   tempId: { type: String, required: true, unique: true },
   anonymousId: { type: Number },
   uniqueIdentifier: { type: String, required: true },
-  publicKey: { type: String },
+  publicKey: { type: String }, // E2EE 방 암호화용 공개키
+  signingKey: { type: String }, // 클라이언트 검사 증명 서명 검증용 공개키 (PEM)
+  keysUpdatedAt: { type: Date },
+  strikeCount: { type: Number, default: 0 }, // 누적 경고 수
+  lastStrikeAt: { type: Date },
   createdAt: { type: Date, default: Date.now }
 });
 
+// 방 검열 정책 스키마
+const securityPolicySchema = new mongoose.Schema({
+  thresholds: { type: Map, of: Number }, // 위협 유형별 최소 신뢰도 (default 포함)
+  levelActions: {
+    safe: { type: String, enum: moderationPolicy.ACTIONS },
+    low: { type: String, enum: moderationPolicy.ACTIONS },
+    medium: { type: String, enum: moderationPolicy.ACTIONS },
+    high: { type: String, enum: moderationPolicy.ACTIONS },
+    critical: { type: String, enum: moderationPolicy.ACTIONS }
+  },
+  allowKeywords: [{ type: String }],
+  denyKeywords: [{ type: String }],
+  denyAction: { type: String, enum: moderationPolicy.ACTIONS, default: 'block' },
+  urlProviders: { type: [String], default: undefined }, // 비어 있으면 배포 기본 제공자
+  urlFailMode: { type: String, enum: [...urlReputation.FAIL_MODES, null] }
+}, { _id: false });
+
 const roomSchema = new mongoose.Schema({
   roomId: { type: String, required: true, unique: true },
   name: { type: String, required: true },
   createdAt: { type: Date, default: Date.now },
+  creatorTempId: { type: String },
+  ownerTempId: { type: String }, // 방장 (없으면 생성자)
+  moderatorTempIds: [{ type: String }], // 방 관리자
   participants: [{ type: String }],
   securityEnabled: { type: Boolean, default: true },
-  securityLevel: { type: String, default: 'basic' } // basic, strict, custom
+  securityLevel: { type: String, enum: moderationPolicy.SECURITY_LEVELS, default: 'basic' },
+  securityPolicy: { type: securityPolicySchema },
+  messageSeq: { type: Number, default: 0 }, // 마지막으로 배정한 메시지 순번
+  retentionHours: { type: Number, default: null }, // 메시지 보관 시간 (null이면 계속 보관)
+  e2ee: { type: Boolean, default: false }, // 종단간 암호화 방 (생성 시에만 지정)
+  visibility: { type: String, enum: roomAccess.VISIBILITIES, default: 'public' },
+  passwordHash: { type: String, select: false } // 방 비밀번호 해시 (없으면 비밀번호 없음)
 });
 
 const messageSchema = new mongoose.Schema({
   messageId: { type: String, required: true, unique: true },
   roomId: { type: String, required: true },
   sender: { type: String, required: true },
-  content: { type: String, required: true },
+  type: { type: String, enum: ['user', 'system'], default: 'user' }, // system: 방 관리 명령 알림 (sender는 'system')
+  systemEvent: { type: mongoose.Schema.Types.Mixed }, // 시스템 메시지의 명령 정보
+  content: { type: String, required: function () { return !this.envelope && !(this.attachments && this.attachments.length > 0); } },
+  envelope: { type: mongoose.Schema.Types.Mixed }, // E2EE 방의 암호문 봉투 (서버는 읽지 않음)
+  attachments: [{
+    _id: false,
+    attachmentId: { type: String },
+    name: { type: String }, // 보낸 사람이 지정한 파일 이름
+    mimeType: { type: String },
+    size: { type: Number },
+    kind: { type: String }, // image, file
+    hash: { type: String }
+  }],
   senderAnonymousId: { type: Number },
   senderNickname: { type: String },
   senderUniqueId: { type: String },
+  seq: { type: Number }, // 방 안에서 전달된 순서 (검토 대기 메시지는 승인될 때 배정)
   securityChecked: { type: Boolean, default: false },
+  moderationStatus: { type: String, enum: ['visible', 'held', 'redacted', 'rejected'], default: 'visible' },
+  moderationAction: { type: String, enum: moderationPolicy.ACTIONS, default: 'allow' },
+  editedAt: { type: Date },
+  // 답장 대상 메시지 요약 (인용 미리보기용, 대상이 삭제되거나 숨겨지면 preview는 null)
+  replyTo: {
+    type: new mongoose.Schema({
+      messageId: { type: String },
+      sender: { type: String },
+      senderAnonymousId: { type: Number },
+      senderNickname: { type: String },
+      preview: { type: String },
+      attachmentCount: { type: Number, default: 0 },
+      encrypted: { type: Boolean, default: false },
+      unavailable: { type: Boolean, default: false }
+    }, { _id: false }),
+    default: undefined
+  },
+  threadId: { type: String }, // 답장이 속한 스레드의 첫 메시지 ID
+  threadReplyCount: { type: Number }, // 스레드 첫 메시지에만 저장 (보이는 답장 수)
+  threadLastReplyAt: { type: Date },
+  reactions: [{
+    _id: false,
+    emoji: { type: String },
+    userIds: [{ type: String }]
+  }],
+  pinnedAt: { type: Date }, // 방 관리자가 고정한 시각
+  pinnedBy: { type: String },
+  expiresAt: { type: Date }, // 방 보관 기간이 지나면 TTL 인덱스로 삭제
+  reviewedBy: { type: String }, // 검토한 모더레이터 userId
+  reviewedAt: { type: Date },
   securityResult: {
     isThreat: { type: Boolean, default: false },
     threatLevel: { type: String, default: 'safe' },
     threatType: { type: String, default: 'none' },
     confidenceScore: { type: Number, default: 0 },
     detectedKeywords: [{ type: String }],
-    reason: { type: String, default: '' }
+    reason: { type: String, default: '' },
+    categories: { type: mongoose.Schema.Types.Mixed },
+    urlFlags: [{
+      _id: false,
+      url: { type: String },
+      provider: { type: String }, // 탐지한 URL 평판 제공자
+      failedClosed: { type: Boolean, default: false },
+      resolvedFrom: { type: String } // 단축 URL을 따라가 찾은 목적지라면 원래 단축 URL
+    }],
+    keywordSpans: [{ // 탐지된 키워드의 원문 위치 (클라이언트 강조 표시용)
+      _id: false,
+      keyword: { type: String },
+      start: { type: Number },
+      end: { type: Number }
+    }],
+    pending: { type: Boolean, default: false }, // URL 검사가 시간 예산을 넘겨 결과를 기다리는 중
+    timings: { type: mongoose.Schema.Types.Mixed } // 검사 단계별 소요 시간(ms)
   },
   createdAt: { type: Date, default: Date.now }
 });
 
+// 방별 시간순 페이지 조회와 방 내 검색용 인덱스
+messageSchema.index({ roomId: 1, createdAt: 1 });
+messageSchema.index({ roomId: 1, seq: 1 });
+messageSchema.index({ roomId: 1, pinnedAt: 1 });
+messageSchema.index({ 'attachments.attachmentId': 1 });
+// 스레드 조회와 인용 미리보기 갱신용 인덱스
+messageSchema.index({ threadId: 1, createdAt: 1 });
+messageSchema.index({ 'replyTo.messageId': 1 }, { sparse: true });
+messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+messageSchema.index({ roomId: 1, content: 'text' }, { default_language: 'none' });
+// 검토 대기열 조회용 인덱스
+messageSchema.index({ moderationStatus: 1, roomId: 1, createdAt: 1 });
+
 // 보안 로그 스키마
 const securityLogSchema = new mongoose.Schema({
   logId: { type: String, required: true, unique: true },
@@ -141,8 +321,87 @@ const securityLogSchema = new mongoose.Schema({
   threatLevel: { type: String, default: 'safe' },
   threatType: { type: String, default: 'none' },
   detectedKeywords: [{ type: String }],
-  action: { type: String, default: 'allow' }, // allow, warn, block
-  timestamp: { type: Date, default: Date.now }
+  action: { type: String, default: 'allow' }, // allow, warn, hold, redact, block, throttle, disconnect (도배)
+  moderatorId: { type: String }, // 검토 결정을 내린 모더레이터 userId
+  reviewDecision: { type: String }, // approved, rejected
+  deferred: { type: Boolean, default: false }, // 메시지 전달 후 반영된 URL 검사 결과
+  timings: { type: mongoose.Schema.Types.Mixed }, // 검사 단계별 소요 시간(ms)
+  timestamp: { type: Date, default: Date.now },
+  expiresAt: { type: Date }, // 방 보관 기간 또는 SECURITY_LOG_RETENTION_DAYS
+  attestation: { // E2EE 방에서 클라이언트가 서명한 검사 결과
+    verdict: { type: String },
+    scanner: { type: String },
+    scannedAt: { type: Date },
+    ciphertextHash: { type: String },
+    signature: { type: String }
+  }
+});
+
+securityLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// 통계 집계와 내보내기용 인덱스
+securityLogSchema.index({ timestamp: -1 });
+securityLogSchema.index({ roomId: 1, timestamp: -1 });
+securityLogSchema.index({ userId: 1, timestamp: -1 });
+
+// 신고 스키마
+const REPORT_REASONS = ['spam', 'phishing', 'scam', 'harassment', 'other'];
+
+const reportSchema = new mongoose.Schema({
+  reportId: { type: String, required: true, unique: true },
+  reporterId: { type: String, required: true },
+  targetUserId: { type: String, required: true },
+  messageId: { type: String },
+  roomId: { type: String },
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  description: { type: String, default: '' },
+  status: { type: String, enum: ['open', 'resolved', 'dismissed'], default: 'open' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+reportSchema.index({ targetUserId: 1, createdAt: -1 });
+reportSchema.index({ messageId: 1, reporterId: 1 });
+
+// 제재 스키마
+const sanctionSchema = new mongoose.Schema({
+  sanctionId: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  type: { type: String, enum: ['mute', 'kick', 'ban'], required: true },
+  roomId: { type: String }, // 강퇴 또는 방 관리자가 내린 제재의 대상 방
+  reason: { type: String, default: '' },
+  strikeCount: { type: Number },
+  issuedBy: { type: String, default: 'system' },
+  expiresAt: { type: Date, default: null }, // null이면 영구
+  liftedAt: { type: Date, default: null },
+  liftedBy: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+sanctionSchema.index({ userId: 1, liftedAt: 1, expiresAt: 1 });
+
+// 채팅방 초대 코드 스키마
+const roomInviteSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  roomId: { type: String, required: true },
+  createdBy: { type: String, required: true }, // 초대 코드를 만든 userId
+  maxUses: { type: Number, default: null }, // null이면 만료 전까지 횟수 제한 없음
+  uses: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+roomInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// 첨부 파일 스키마 (내용 해시가 같은 파일은 하나의 기록과 저장 파일을 공유)
+const attachmentSchema = new mongoose.Schema({
+  attachmentId: { type: String, required: true, unique: true },
+  hash: { type: String, required: true, unique: true }, // 내용 SHA-256 (저장소 키)
+  name: { type: String }, // 처음 업로드된 파일 이름
+  mimeType: { type: String, required: true },
+  kind: { type: String, enum: ['image', 'file'], required: true },
+  size: { type: Number, required: true },
+  storage: { type: String, default: 'local' },
+  uploaders: [{ type: String }], // 같은 파일을 업로드한 userId (메시지에 첨부할 수 있는 사용자)
+  createdAt: { type: Date, default: Date.now }
 });
 
 // PhishTank 캐시 스키마
@@ -159,6 +418,21 @@ const Room = mongoose.model('Room', roomSchema);
 const Message = mongoose.model('Message', messageSchema);
 const SecurityLog = mongoose.model('SecurityLog', securityLogSchema);
 const PhishTankCache = mongoose.model('PhishTankCache', phishTankCacheSchema);
+const Report = mongoose.model('Report', reportSchema);
+const Sanction = mongoose.model('Sanction', sanctionSchema);
+const RoomInvite = mongoose.model('RoomInvite', roomInviteSchema);
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+// URL 평판 제공자 등록
+urlReputation.registerProvider(createLocalBlocklistProvider());
+const phishTankProvider = createPhishTankProvider({ PhishTankCache });
+urlReputation.registerProvider(phishTankProvider);
+
+// 세션 인증 미들웨어
+const requireSession = session.createSessionMiddleware(User);
+
+// 관리자 API 키 인증 미들웨어 (requireAdminKey('범위'))
+const { requireAdminKey } = adminKeys;
 
 // HTTP 서버 생성
 const server = http.createServer(app);
@@ -172,140 +446,371 @@ const io = socketIo(server, {
   allowEIO3: true
 });
 
-// PhishTank API 설정
-const PHISHTANK_BASE_URL = 'https://checkurl.phishtank.com/checkurl/';
-const PHISHTANK_CACHE_DURATION = (parseInt(process.env.PHISHTANK_CACHE_DURATION_HOURS) || 24) * 60 * 60 * 1000; // 기본 24시간
-const PHISHTANK_API_KEY = process.env.PHISHTANK_API_KEY;
+// 소켓 핸드셰이크 시 세션 토큰 검증
+io.use(session.createSocketSessionMiddleware(User));
+
+// 경고 누적 및 자동 제재
+const sanctionService = createSanctionService({ User, Room, Sanction, io, userRoom });
+
+// 방 역할 및 관리 명령 (강퇴, 뮤트, 차단, 고정, 이름 변경, 삭제)
+const roomCommandService = roomCommands.createRoomCommandService({
+  User,
+  Room,
+  Message,
+  RoomInvite,
+  sanctionService,
+  io,
+  userRoom,
+  isGlobalModerator: user => MODERATOR_USER_IDS.includes(user.userId),
+  postSystemMessage
+});
 
-// PhishTank URL 검사 함수
-async function checkPhishTankUrl(url, apiKey = PHISHTANK_API_KEY) {
-  try {
-    // 캐시 확인
-    const cached = await PhishTankCache.findOne({
-      url: url,
-      expiresAt: { $gt: new Date() }
-    });
+// 메시지 반응과 답장 스레드
+const reactionService = createReactionService({ Room, Message, sanctionService, io });
+const threadService = createThreadService({ Message, io });
 
-    if (cached) {
-      console.log(`PhishTank 캐시 히트: ${url}`);
-      return cached.isPhishing;
-    }
+// 소켓 이벤트 속도 제한 및 도배 방지
+const floodGuard = createFloodGuard();
 
-    // API 호출
-    const requestData = {
-      url: url,
-      format: 'json'
-    };
+// 채팅방 접속 상태 및 입력 중 표시
+const presence = createPresenceService({ io });
 
-    if (apiKey) {
-      requestData.app_key = apiKey;
-    }
+// 도배로 일시 연결 해제된 사용자는 재접속 거부
+io.use((socket, next) => {
+  const remaining = floodGuard.getDisconnectRemaining(socket.data.user.userId);
+  if (remaining > 0) {
+    const error = new Error('rate_limited');
+    error.data = { retryAfter: Math.ceil(remaining / 1000) };
+    return next(error);
+  }
+  next();
+});
 
-    const response = await axios.post(PHISHTANK_BASE_URL, requestData, {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': 'TreeHideout-AnonymousChat/1.0'
-      },
-      timeout: 10000
-    });
+// 보안 데이터셋 로드 (SIGHUP 또는 관리 API로 재시작 없이 다시 로드 가능)
+// 처음 로드에 실패하면 키워드 목록이 비어 모든 메시지가 검사 없이 통과하므로 서버를 시작하지 않음
+// (다시 로드할 때 실패하면 마지막으로 읽은 데이터셋을 계속 사용)
+if (!datasetDetector.loadDatasets()) {
+  logger.error(`보안 데이터셋을 읽지 못해 서버를 시작하지 않습니다: ${datasetDetector.DATASET_DIR}`);
+  process.exit(1);
+}
+attachmentScanner.loadHashBlocklist();
 
-    let isPhishing = false;
-    if (response.data && response.data.results && response.data.results.length > 0) {
-      isPhishing = response.data.results[0].in_database === true;
-    }
+process.on('SIGHUP', () => {
+  logger.info('SIGHUP 수신: 보안 데이터셋 다시 로드');
+  datasetDetector.loadDatasets();
+  attachmentScanner.loadHashBlocklist();
+});
 
-    // 캐시에 저장
-    const expiresAt = new Date(Date.now() + PHISHTANK_CACHE_DURATION);
-    await PhishTankCache.findOneAndUpdate(
-      { url: url },
-      {
-        url: url,
-        isPhishing: isPhishing,
-        checkedAt: new Date(),
-        expiresAt: expiresAt
-      },
-      { upsert: true }
-    );
+// 단축 URL 리다이렉트 추적 설정
+const URL_REDIRECT_RESOLUTION = process.env.URL_REDIRECT_RESOLUTION !== 'false';
+const URL_REDIRECT_MAX_HOPS = parseInt(process.env.URL_REDIRECT_MAX_HOPS) || 5;
+const redirectFetcher = urlUtils.createHttpFetcher({
+  timeoutMs: parseInt(process.env.URL_REDIRECT_TIMEOUT_MS) || 3000
+});
 
-    console.log(`PhishTank API 결과: ${url} -> ${isPhishing ? '피싱' : '안전'}`);
-    return isPhishing;
+// 메시지의 단축 URL을 따라가 최종 목적지 확인
+// 결과: [{ url, finalUrl, chain, resolved, error }] (단축 URL만 포함)
+async function resolveShortenedUrls(urls) {
+  if (!URL_REDIRECT_RESOLUTION) return [];
 
-  } catch (error) {
-    console.error('PhishTank API 오류:', error.message);
-    return false; // 오류 시 안전하다고 가정
+  const shortened = urls.filter(url => {
+    const analysis = urlUtils.analyzeUrl(url);
+    return analysis && analysis.isShortener;
+  });
+
+  return Promise.all(shortened.map(async url => ({
+    url,
+    ...(await urlUtils.resolveRedirects(url, { fetcher: redirectFetcher, maxHops: URL_REDIRECT_MAX_HOPS }))
+  })));
+}
+
+// 기본 보안 키워드 검사 함수 (assets/datasets 기반)
+function checkBasicSecurity(content, options = {}) {
+  return datasetDetector.detectThreat(content, options);
+}
+
+// 보안 모드별 URL 평판 제공자 (클라이언트의 phishtank/hybrid 모드 요청용)
+const SECURITY_MODE_PROVIDERS = {
+  phishtank: ['phishtank'],
+  hybrid: ['local', 'phishtank']
+};
+
+// 단계별 보안 검사 (URL 검사는 시간 예산 안에서 동시에 수행, 단계별 소요 시간은 지표로 기록)
+const securityPipeline = createSecurityPipeline({
+  detectThreat: checkBasicSecurity,
+  resolveShortenedUrls,
+  checkUrl: (url, options) => urlReputation.checkUrl(url, options),
+  onStage: (stage, ms) => securityCheckDuration.observe({ stage }, ms / 1000)
+});
+
+// 보안 모드에 맞는 URL 평판 설정
+function resolveUrlOptions(securityMode, urlOptions = {}) {
+  const options = { ...urlOptions };
+  if (!options.providers && SECURITY_MODE_PROVIDERS[securityMode]) {
+    options.providers = SECURITY_MODE_PROVIDERS[securityMode];
   }
+  return options;
+}
+
+// 보안 검사 시작 - URL 검사가 시간 예산을 넘기면 1단계 결과와 최종 결과 Promise(pending)를 함께 반환
+// urlOptions: { providers, failMode, apiKey } - 방 정책 또는 요청별 URL 평판 설정
+function startSecurityCheck(content, securityMode = 'basic', urlOptions = {}) {
+  return securityPipeline.run(content, { urlOptions: resolveUrlOptions(securityMode, urlOptions) });
 }
 
-// URL 추출 함수
-function extractUrls(text) {
-  const urlRegex = /https?:\/\/[^\s]+|www\.[^\s]+|[a-zA-Z0-9-]+\.[a-zA-Z]{2,}[^\s]*/gi;
-  return text.match(urlRegex) || [];
+// 통합 보안 검사 함수 (네트워크 단계까지 모두 기다림)
+async function performSecurityCheck(content, securityMode = 'basic', urlOptions = {}) {
+  const { result } = await securityPipeline.run(content, {
+    urlOptions: resolveUrlOptions(securityMode, urlOptions),
+    budgetMs: null
+  });
+  return result;
 }
 
-// 기본 보안 키워드 검사 함수
-function checkBasicSecurity(content) {
-  const highRiskKeywords = [
-    '계정이 해킹되었습니다', '즉시 확인이 필요합니다', '계정이 정지됩니다',
-    '무료 비트코인', '투자 수익률 보장', '피싱 사이트', '가짜 웹사이트',
-    'account suspended', 'verify account', 'click here now', 'urgent action required',
-    'phishing attempt', 'malware detected', 'suspicious activity'
-  ];
+// 메시지 보관 기간 설정 (시간 단위, 최대 30일)
+const MAX_RETENTION_HOURS = 24 * 30;
+const HOUR_MS = 60 * 60 * 1000;
 
-  const mediumRiskKeywords = [
-    '계정 확인', '비밀번호 변경', '로그인 확인', '카드 번호', '계좌 번호',
-    'verify identity', 'update password', 'confirm account', 'credit card number'
-  ];
+// 방 설정과 관계없는 보안 로그 기본 보관 기간 (설정하지 않으면 계속 보관)
+const SECURITY_LOG_RETENTION_MS = parseInt(process.env.SECURITY_LOG_RETENTION_DAYS) * 24 * HOUR_MS || null;
 
-  const detectedKeywords = [];
-  let riskScore = 0;
+// 방 보관 기간에 따른 메시지 만료 시각 (보관 기간이 없으면 undefined)
+function getMessageExpiry(room, from = new Date()) {
+  return room && room.retentionHours ? new Date(from.getTime() + room.retentionHours * HOUR_MS) : undefined;
+}
 
-  // 고위험 키워드 검사
-  for (const keyword of highRiskKeywords) {
-    if (content.toLowerCase().includes(keyword.toLowerCase())) {
-      detectedKeywords.push(keyword);
-      riskScore += 3;
-    }
+// 보안 로그 만료 시각 (방 보관 기간 우선, 없으면 배포 기본값)
+function getSecurityLogExpiry(room, from = new Date()) {
+  const roomExpiry = getMessageExpiry(room, from);
+  if (roomExpiry) return roomExpiry;
+  return SECURITY_LOG_RETENTION_MS ? new Date(from.getTime() + SECURITY_LOG_RETENTION_MS) : undefined;
+}
+
+// 도배 방지 사유별 안내 문구
+const FLOOD_MESSAGES = {
+  user_rate: '요청이 너무 빠릅니다. 잠시 후 다시 시도해주세요.',
+  room_rate: '채팅방에 메시지가 너무 많이 전송되고 있습니다. 잠시 후 다시 시도해주세요.',
+  duplicate: '같은 메시지를 반복해서 보낼 수 없습니다.',
+  disconnected: '도배가 반복되어 잠시 연결이 끊어졌습니다.'
+};
+
+// 도배 탐지 로그 저장 (threatType: flood)
+async function saveFloodLog(userId, event, data, result) {
+  try {
+    await SecurityLog.create({
+      logId: uuidv4(),
+      messageId: (data && data.messageId) || uuidv4(),
+      roomId: (data && data.roomId) || 'none',
+      userId,
+      threatDetected: true,
+      threatLevel: result.disconnect ? 'high' : 'medium',
+      threatType: 'flood',
+      detectedKeywords: [event, result.reason],
+      action: result.disconnect ? 'disconnect' : 'throttle',
+      expiresAt: getSecurityLogExpiry(null)
+    });
+  } catch (error) {
+    logger.error('도배 로그 저장 실패', { error });
+  }
+}
+
+// 보안 로그 저장 함수
+// options: { moderatorId, decision, expiresAt, attestation, deferred }
+async function saveSecurityLog(messageId, roomId, userId, securityResult, action = 'allow', options = {}) {
+  try {
+    const securityLog = new SecurityLog({
+      logId: uuidv4(),
+      messageId,
+      roomId,
+      userId,
+      threatDetected: securityResult.isThreat,
+      threatLevel: securityResult.threatLevel,
+      threatType: securityResult.threatType,
+      detectedKeywords: securityResult.detectedKeywords,
+      action,
+      moderatorId: options.moderatorId,
+      reviewDecision: options.decision,
+      deferred: Boolean(options.deferred),
+      timings: securityResult.timings,
+      expiresAt: options.expiresAt,
+      attestation: options.attestation
+    });
+
+    await securityLog.save();
+    logger.info(`보안 로그 저장됨: ${messageId}`);
+  } catch (error) {
+    logger.error('보안 로그 저장 실패', { error });
   }
 
-  // 중위험 키워드 검사
-  for (const keyword of mediumRiskKeywords) {
-    if (content.toLowerCase().includes(keyword.toLowerCase())) {
-      detectedKeywords.push(keyword);
-      riskScore += 1.5;
+  // 차단 조치는 보낸 사람의 경고로 누적
+  if (action === 'block') {
+    try {
+      await sanctionService.addStrike(userId, { roomId, source: 'block' });
+    } catch (error) {
+      logger.error('경고 누적 실패', { error });
     }
   }
+}
 
-  // URL 단축 서비스 검사
-  const shortUrlPatterns = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl'];
-  for (const pattern of shortUrlPatterns) {
-    if (content.includes(pattern)) {
-      detectedKeywords.push(pattern);
-      riskScore += 1;
+// 같은 대상에 대해 이 수 이상의 서로 다른 사용자가 신고하면 경고 1회
+const REPORT_STRIKE_THRESHOLD = parseInt(process.env.REPORT_STRIKE_THRESHOLD) || 3;
+
+// 신고 처리 (REST와 소켓에서 공통 사용)
+// 입력 형식은 schemas.rest.createReport로 검증한 뒤 호출
+// 성공 시 { report }, 실패 시 { statusCode, code, message }
+async function submitReport(reporter, { messageId, targetUserId, roomId, reason, description = '' }) {
+  let target = { targetUserId, roomId };
+  if (messageId) {
+    const message = await Message.findOne({ messageId });
+    if (!message) {
+      return { statusCode: 404, code: 'message_not_found', message: '메시지를 찾을 수 없습니다.' };
     }
+    target = { targetUserId: message.sender, roomId: message.roomId };
+  } else if (!targetUserId) {
+    return { statusCode: 400, code: 'report_target_required', message: 'messageId 또는 targetUserId가 필요합니다.' };
+  } else if (!await User.exists({ userId: targetUserId })) {
+    return { statusCode: 404, code: 'user_not_found', message: '사용자를 찾을 수 없습니다.' };
+  }
+
+  if (target.targetUserId === reporter.userId) {
+    return { statusCode: 400, code: 'self_report', message: '자기 자신은 신고할 수 없습니다.' };
+  }
+
+  // 같은 대상에 대한 중복 신고 방지
+  const targetQuery = messageId
+    ? { messageId }
+    : { targetUserId: target.targetUserId, messageId: null, roomId: target.roomId };
+  if (await Report.exists({ ...targetQuery, reporterId: reporter.userId })) {
+    return { statusCode: 409, code: 'already_reported', message: '이미 신고한 대상입니다.' };
+  }
+
+  const report = await Report.create({
+    reportId: uuidv4(),
+    reporterId: reporter.userId,
+    targetUserId: target.targetUserId,
+    messageId,
+    roomId: target.roomId,
+    reason,
+    description
+  });
+  logger.info(`신고 접수: ${report.reportId}, 대상 ${report.targetUserId}, 사유 ${reason}`);
+
+  // 서로 다른 신고자 수가 기준에 도달하면 경고 누적 (한 대상당 한 번)
+  const reporterCount = (await Report.distinct('reporterId', targetQuery)).length;
+  if (reporterCount === REPORT_STRIKE_THRESHOLD) {
+    await sanctionService.addStrike(target.targetUserId, { roomId: target.roomId, source: 'report' });
   }
 
-  const confidenceScore = Math.min(riskScore / 10, 1); // 0-1 사이로 정규화
-  const isThreat = confidenceScore >= 0.3;
+  return { report };
+}
+
+// 클라이언트로 보낼 첨부 파일 정보 (내용은 /api/attachments/:attachmentId로 받음)
+function buildClientAttachment(attachment) {
+  return {
+    attachmentId: attachment.attachmentId,
+    name: attachment.name,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    kind: attachment.kind,
+    url: `/api/attachments/${attachment.attachmentId}`
+  };
+}
 
-  let threatLevel = 'safe';
-  if (confidenceScore >= 0.8) threatLevel = 'critical';
-  else if (confidenceScore >= 0.6) threatLevel = 'high';
-  else if (confidenceScore >= 0.4) threatLevel = 'medium';
-  else if (confidenceScore >= 0.2) threatLevel = 'low';
+// 클라이언트로 보낼 메시지 형식 (receive_message)
+function buildClientMessage(message) {
+  const action = message.moderationAction || 'allow';
+  const securityResult = message.securityResult || {};
 
   return {
-    isThreat,
-    threatLevel,
-    threatType: isThreat ? 'suspicious_content' : 'safe',
-    confidenceScore,
-    detectedKeywords,
-    reason: isThreat ? '의심스러운 키워드가 탐지되었습니다.' : '안전한 메시지입니다.'
+    messageId: message.messageId,
+    roomId: message.roomId,
+    sender: message.sender,
+    content: message.content,
+    envelope: message.envelope,
+    attachments: (message.attachments || []).map(buildClientAttachment),
+    senderAnonymousId: message.senderAnonymousId,
+    senderNickname: message.senderNickname,
+    senderUniqueId: message.senderUniqueId,
+    createdAt: message.createdAt,
+    editedAt: message.editedAt,
+    expiresAt: message.expiresAt,
+    seq: message.seq,
+    replyTo: message.replyTo || null,
+    threadId: message.threadId || null,
+    threadReplyCount: message.threadReplyCount || 0,
+    threadLastReplyAt: message.threadLastReplyAt || null,
+    reactions: summarizeReactions(message.reactions),
+    type: message.type || 'user',
+    systemEvent: message.systemEvent,
+    pinnedAt: message.pinnedAt,
+    securityInfo: message.securityChecked ? {
+      checked: true,
+      isThreat: securityResult.isThreat,
+      threatLevel: securityResult.threatLevel,
+      threatType: securityResult.threatType,
+      action,
+      hasWarning: action === 'warn' || action === 'hold',
+      redacted: message.moderationStatus === 'redacted',
+      // 마스킹된 메시지는 저장된 내용과 위치가 맞지 않으므로 제외
+      keywordSpans: message.moderationStatus === 'redacted' ? [] : (securityResult.keywordSpans || []),
+      reviewed: Boolean(message.reviewedAt),
+      pending: Boolean(securityResult.pending)
+    } : { checked: false }
+  };
+}
+
+// 텍스트 검사 결과에 첨부 파일 검사 결과 합치기 (더 위험한 쪽의 위협 정보 사용)
+function mergeAttachmentResult(textResult, attachmentResult) {
+  if (!attachmentResult || !attachmentResult.isThreat) return textResult;
+
+  const merged = {
+    ...textResult,
+    isThreat: true,
+    detectedKeywords: [...new Set([...textResult.detectedKeywords, ...attachmentResult.detectedKeywords])]
   };
+  if (attachmentResult.confidenceScore >= textResult.confidenceScore) {
+    merged.threatLevel = attachmentResult.threatLevel;
+    merged.threatType = attachmentResult.threatType;
+    merged.confidenceScore = attachmentResult.confidenceScore;
+    merged.reason = attachmentResult.reason;
+  }
+  return merged;
 }
 
-// 통합 보안 검사 함수
-async function performSecurityCheck(content, securityMode = 'basic', apiKey = null) {
+// 검사 결과에 방 검열 정책 적용 (첨부 파일은 마스킹할 수 없으므로 redact 대신 검토 대기)
+// 결과: { action, securityResult, storedContent }
+function applyRoomPolicy(policy, checkResult, attachmentResult, content) {
+  const endPolicy = securityCheckDuration.startTimer({ stage: 'policy' });
+  const decision = moderationPolicy.evaluatePolicy(policy, checkResult, content);
+  if (decision.action === 'redact' && attachmentResult && attachmentResult.isThreat) {
+    decision.action = 'hold';
+  }
+  endPolicy();
   const securityResult = {
+    ...checkResult,
+    isThreat: decision.isThreat,
+    threatType: decision.threatType,
+    detectedKeywords: decision.detectedKeywords,
+    keywordSpans: textNormalizer.findKeywordSpans(content, decision.detectedKeywords),
+    reason: decision.reason
+  };
+
+  return {
+    action: decision.action,
+    securityResult,
+    storedContent: decision.action === 'redact'
+      ? moderationPolicy.redactContent(content, securityResult.detectedKeywords)
+      : content
+  };
+}
+
+// 방 보안 설정에 따라 메시지 내용 검사 (전송과 수정에서 공통 사용)
+// attachments가 있으면 파일 이름과 해시도 검사해 같은 방 정책을 적용
+// 결과: { action, securityResult, storedContent, pending } - redact이면 storedContent는 마스킹된 내용
+// URL 검사가 시간 예산을 넘기면 빠른 검사 결과로 먼저 결정하고(securityResult.pending: true),
+// pending에 같은 형식의 최종 결정 Promise를 담는다 (이미 차단된 메시지는 기다리지 않음)
+async function moderateMessageContent(room, content, attachments = []) {
+  const safeResult = {
     isThreat: false,
     threatLevel: 'safe',
     threatType: 'safe',
@@ -314,63 +819,374 @@ async function performSecurityCheck(content, securityMode = 'basic', apiKey = nu
     reason: '안전한 메시지입니다.'
   };
 
-  try {
-    // 기본 키워드 검사
-    const basicResult = checkBasicSecurity(content);
-    Object.assign(securityResult, basicResult);
-
-    // PhishTank 검사 (URL이 있는 경우)
-    if (securityMode === 'phishtank' || securityMode === 'hybrid') {
-      const urls = extractUrls(content);
-      for (const url of urls) {
-        const isPhishing = await checkPhishTankUrl(url, apiKey);
-        if (isPhishing) {
-          securityResult.isThreat = true;
-          securityResult.threatLevel = 'critical';
-          securityResult.threatType = 'phishing_url';
-          securityResult.confidenceScore = 1.0;
-          securityResult.detectedKeywords.push(url);
-          securityResult.reason = 'PhishTank에서 확인된 피싱 URL이 탐지되었습니다.';
-          break;
-        }
-      }
-    }
+  if (!room.securityEnabled) {
+    return { action: 'allow', securityResult: safeResult, storedContent: content, pending: null };
+  }
 
-    return securityResult;
+  logger.debug(`보안 검사 수행: 모드=${room.securityLevel}`, { contentLength: content.length, attachmentCount: attachments.length });
+  const endTotal = securityCheckDuration.startTimer({ stage: 'total' });
+  const policy = moderationPolicy.resolveRoomPolicy(room);
+  let attachmentResult = null;
+  if (attachments.length > 0) {
+    const endAttachments = securityCheckDuration.startTimer({ stage: 'attachments' });
+    attachmentResult = attachmentScanner.assessAttachments(attachments);
+    endAttachments();
+  }
+  const check = await startSecurityCheck(content, room.securityLevel, moderationPolicy.getUrlReputationOptions(policy));
+  const moderation = applyRoomPolicy(policy, mergeAttachmentResult(check.result, attachmentResult), attachmentResult, content);
+  endTotal();
 
-  } catch (error) {
-    console.error('보안 검사 오류:', error);
-    return securityResult; // 오류 시 기본값 반환
+  if (!check.pending || moderation.action === 'block') {
+    return { ...moderation, pending: null };
   }
+
+  const endDeferred = securityCheckDuration.startTimer({ stage: 'deferred' });
+  const pending = check.pending.then(finalResult => {
+    endDeferred();
+    return applyRoomPolicy(policy, mergeAttachmentResult(finalResult, attachmentResult), attachmentResult, content);
+  });
+  // 저장 실패, 중복 messageId 등으로 메시지가 저장되지 않으면 pending을 기다리는 곳이 없으므로
+  // 처리되지 않은 거부(unhandled rejection)가 되지 않게 미리 처리기를 붙여 둔다
+  // (저장된 메시지는 scheduleDeferredSecurityResult에서 오류를 기록)
+  pending.catch(() => {});
+  return { ...moderation, pending };
 }
 
-// 보안 로그 저장 함수
-async function saveSecurityLog(messageId, roomId, userId, securityResult, action = 'allow') {
-  try {
-    const securityLog = new SecurityLog({
-      logId: uuidv4(),
+// 메시지에 첨부할 파일 확인 (직접 업로드한 파일만 첨부 가능)
+// list: [{ attachmentId, name }] - name을 생략하면 업로드할 때의 이름 사용
+// 결과: { attachments } 또는 { error: { code, message } }
+async function resolveMessageAttachments(user, list) {
+  if (list === undefined) return { attachments: [] };
+
+  if (!Array.isArray(list) || list.length === 0 || list.length > ATTACHMENT_MAX_PER_MESSAGE
+    || list.some(item => !item || typeof item.attachmentId !== 'string')) {
+    return { error: { code: 'invalid_attachments', message: `attachments는 1~${ATTACHMENT_MAX_PER_MESSAGE}개의 { attachmentId, name } 목록이어야 합니다.` } };
+  }
+
+  const requested = new Map(list.map(item => [item.attachmentId, item]));
+  const found = await Attachment.find({ attachmentId: { $in: [...requested.keys()] }, uploaders: user.userId });
+  if (found.length !== requested.size) {
+    return { error: { code: 'attachment_not_found', message: '업로드하지 않은 첨부 파일이 포함되어 있습니다.' } };
+  }
+
+  // 요청한 순서 유지
+  const byId = new Map(found.map(attachment => [attachment.attachmentId, attachment]));
+  return {
+    attachments: [...requested.values()].map(item => {
+      const attachment = byId.get(item.attachmentId);
+      return {
+        attachmentId: attachment.attachmentId,
+        name: attachmentScanner.sanitizeFilename(item.name) || attachment.name,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        kind: attachment.kind,
+        hash: attachment.hash
+      };
+    })
+  };
+}
+
+// E2EE 방 메시지 확인 (봉투 형식과 클라이언트 검사 증명)
+// 결과: { error: { code, message } } 또는 { envelope, attestation } - 보안 검사를 끈 방은 증명 없이 허용
+async function prepareEncryptedMessage(user, room, messageId, data) {
+  if (data.content !== undefined) {
+    return { error: { code: 'invalid_message', message: 'E2EE 방에는 평문 content를 보낼 수 없습니다.' } };
+  }
+
+  const errors = e2ee.validateEnvelope(data.envelope);
+  if (errors.length > 0) {
+    return { error: { code: 'invalid_envelope', message: errors[0] } };
+  }
+
+  const envelope = e2ee.sanitizeEnvelope(data.envelope);
+  if (!room.securityEnabled) {
+    return { envelope, attestation: null };
+  }
+
+  // 연결 이후에 키를 바꿨을 수 있으므로 최신 키로 검증
+  const keys = await User.findOne({ userId: user.userId }).select('signingKey');
+  const result = e2ee.verifyAttestation(keys && keys.signingKey, data.attestation, {
+    messageId,
+    roomId: room.roomId,
+    envelope
+  });
+  if (!result.valid) {
+    return { error: { code: 'attestation_invalid', message: result.reason } };
+  }
+
+  return { envelope, attestation: result.record };
+}
+
+// 클라이언트 검사 증명 기록 (E2EE 방에서는 서버 키워드 검사 대신 저장)
+async function saveAttestationLog(messageId, room, userId, attestation) {
+  await saveSecurityLog(messageId, room.roomId, userId, {
+    isThreat: false,
+    threatLevel: 'safe',
+    threatType: 'none',
+    detectedKeywords: []
+  }, 'allow', {
+    expiresAt: getSecurityLogExpiry(room),
+    attestation
+  });
+}
+
+// 차단 알림 내용 (message_blocked 이벤트와 ack에서 사용)
+function buildBlockedNotice(messageId, securityResult) {
+  return {
+    messageId,
+    reason: securityResult.reason,
+    threatLevel: securityResult.threatLevel,
+    threatType: securityResult.threatType,
+    detectedKeywords: securityResult.detectedKeywords,
+    keywordSpans: securityResult.keywordSpans || []
+  };
+}
+
+// send_message ack 응답 (저장된 메시지 기준)
+function buildSendAck(message, duplicate) {
+  const statuses = { held: 'held', rejected: 'rejected' };
+  const status = statuses[message.moderationStatus] || 'delivered';
+  return {
+    success: true,
+    status,
+    duplicate,
+    messageId: message.messageId,
+    data: status === 'delivered' ? buildClientMessage(message) : undefined
+  };
+}
+
+// 시간 예산을 넘긴 URL 검사 결과를 메시지 전달 후 반영
+// 최종 결정이 block/hold이면 메시지를 회수하고, warn/redact이면 표시를 바꾼 뒤
+// 방에 message_security_update { messageId, roomId, status, action, reason, message }를 전송한다.
+//   status: retracted(회수, message 없음), marked(경고 또는 마스킹), clean(문제 없음)
+// 그 사이 수정, 삭제 또는 검토된 메시지에는 반영하지 않음 (수정은 새 검사 결과를 따름)
+async function applyDeferredSecurityResult(message, room, pending) {
+  const { action, securityResult, storedContent } = await pending;
+  const { messageId, roomId, sender } = message;
+  const finalResult = { ...securityResult, pending: false };
+  const wasHeld = message.moderationStatus === 'held';
+  const retract = action === 'block' || (action === 'hold' && !wasHeld);
+
+  const update = { moderationAction: action, securityResult: finalResult };
+  if (action === 'block') {
+    update.moderationStatus = 'rejected';
+  } else if (action === 'hold') {
+    update.moderationStatus = 'held';
+  } else if (!wasHeld) {
+    update.moderationStatus = action === 'redact' ? 'redacted' : 'visible';
+    update.content = storedContent;
+  }
+
+  const updated = await Message.findOneAndUpdate(
+    {
+      messageId,
+      moderationStatus: message.moderationStatus,
+      editedAt: message.editedAt || null,
+      'securityResult.pending': true
+    },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    logger.debug(`지연된 보안 검사 결과 무시 (메시지가 변경됨): ${messageId}`);
+    deferredSecurityTotal.inc({ status: 'stale' });
+    return;
+  }
+
+  await saveSecurityLog(messageId, roomId, sender, finalResult, action, {
+    expiresAt: getSecurityLogExpiry(room),
+    deferred: true
+  });
+
+  // 검토 대기 중이던 메시지는 다른 사용자에게 보인 적이 없으므로 보낸 사람에게만 알림
+  const status = retract ? 'retracted' : (action === 'allow' ? 'clean' : 'marked');
+  logger.info(`지연된 보안 검사 반영: ${messageId}, 조치 ${action}`, { status, timings: finalResult.timings });
+  deferredSecurityTotal.inc({ status });
+
+  if (retract) {
+    await threadService.hideReplyPreviews([messageId]);
+    await threadService.handleReplyChange(updated);
+  } else if (update.content !== undefined && update.content !== message.content) {
+    await threadService.refreshReplyPreviews(updated);
+  }
+
+  if (!wasHeld) {
+    io.to(roomId).emit('message_security_update', {
       messageId,
       roomId,
-      userId,
-      threatDetected: securityResult.isThreat,
-      threatLevel: securityResult.threatLevel,
-      threatType: securityResult.threatType,
-      detectedKeywords: securityResult.detectedKeywords,
-      action
+      status,
+      action,
+      reason: finalResult.reason,
+      message: retract ? undefined : buildClientMessage(updated)
+    });
+  }
+
+  if (action === 'block') {
+    io.to(userRoom(sender)).emit('message_blocked', buildBlockedNotice(messageId, finalResult));
+  } else if (retract) {
+    io.to(userRoom(sender)).emit('message_held', {
+      messageId,
+      reason: finalResult.reason,
+      threatLevel: finalResult.threatLevel,
+      threatType: finalResult.threatType,
+      keywordSpans: finalResult.keywordSpans || []
     });
+  }
+}
 
-    await securityLog.save();
-    console.log(`보안 로그 저장됨: ${messageId}`);
-  } catch (error) {
-    console.error('보안 로그 저장 실패:', error);
+// 지연된 보안 검사 반영 예약 (실패해도 이미 전달된 메시지 처리에는 영향 없음)
+function scheduleDeferredSecurityResult(message, room, pending) {
+  applyDeferredSecurityResult(message, room, pending).catch(error => {
+    logger.error('지연된 보안 검사 반영 실패', { error, messageId: message.messageId });
+  });
+}
+
+// 시스템 메시지 저장 후 방 전체에 전송 (방 관리 명령 알림)
+// persist: false이면 저장하지 않고 전송만 함 (삭제되는 방)
+async function postSystemMessage(room, content, systemEvent, { persist = true } = {}) {
+  const message = new Message({
+    messageId: uuidv4(),
+    roomId: room.roomId,
+    sender: 'system',
+    type: 'system',
+    systemEvent,
+    content,
+    expiresAt: getMessageExpiry(room)
+  });
+
+  if (persist) {
+    message.seq = await nextMessageSeq(room.roomId);
+    if (message.seq === null) {
+      logger.warn(`시스템 메시지 저장 중단: 채팅방 ${room.roomId}가 삭제됨`);
+      return null;
+    }
+    await message.save();
+  }
+
+  io.to(room.roomId).emit('receive_message', buildClientMessage(message));
+  return message;
+}
+
+// 이전에 같은 messageId로 보낸 결과 조회 - 없으면 null
+// 다른 사용자나 다른 방의 메시지 ID라면 { conflict: true }
+async function findPreviousSend(messageId, sender, roomId) {
+  const existing = await Message.findOne({ messageId });
+  if (existing) {
+    if (existing.sender !== sender || existing.roomId !== roomId) return { conflict: true };
+    return { response: buildSendAck(existing, true) };
+  }
+
+  // 차단된 메시지는 저장되지 않으므로 보안 로그로 확인 (경고가 다시 쌓이지 않도록)
+  const blockedLog = await SecurityLog.findOne({ messageId, userId: sender, action: 'block', moderatorId: null });
+  if (blockedLog) {
+    if (blockedLog.roomId !== roomId) return { conflict: true };
+    return {
+      response: {
+        success: false,
+        code: 'message_blocked',
+        message: '보안 정책에 의해 차단된 메시지입니다.',
+        duplicate: true,
+        messageId,
+        threatLevel: blockedLog.threatLevel,
+        threatType: blockedLog.threatType,
+        detectedKeywords: blockedLog.detectedKeywords
+      }
+    };
+  }
+
+  return null;
+}
+
+// 방의 다음 메시지 순번 배정 (재접속 시 sync_room이 놓친 메시지를 정확히 찾는 기준) - 방이 삭제되었으면 null
+async function nextMessageSeq(roomId) {
+  const room = await Room.findOneAndUpdate({ roomId }, { $inc: { messageSeq: 1 } }, { new: true }).select('messageSeq');
+  return room ? room.messageSeq : null;
+}
+
+// 사용자별 소켓 룸 (사용자의 모든 연결에 개별 알림 전송용)
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+// 전역 모더레이터 목록 (쉼표로 구분된 userId)
+const MODERATOR_USER_IDS = (process.env.MODERATOR_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// 방 검열 권한 확인 (방장, 방 관리자 또는 전역 모더레이터)
+function canModerateRoom(user, room) {
+  const role = roomCommands.getRoomRole(room, user.tempId);
+  return role === 'owner' || role === 'moderator' || MODERATOR_USER_IDS.includes(user.userId);
+}
+
+// 방장 확인
+function isRoomOwner(user, room) {
+  return roomCommands.getRoomRole(room, user.tempId) === 'owner';
+}
+
+// 전역 모더레이터 전용 라우트 미들웨어 (requireSession 다음에 사용)
+function requireModerator(req, res, next) {
+  if (!MODERATOR_USER_IDS.includes(req.user.userId)) {
+    return res.status(403).json({ success: false, code: 'moderator_required', message: '관리자 권한이 필요합니다.' });
+  }
+  next();
+}
+
+// 보안 로그 조회 권한 (통계, 내보내기 공통)
+// 운영 도구는 관리자 API 키(stats:read)로, 앱의 모더레이터는 세션으로 호출하므로 둘 중 하나면 허용
+const requireSecurityLogAccess = adminKeys.requireAdminKeyOr(requireAdminKey('stats:read'), requireSession, requireModerator);
+
+// 제재 정보 응답 형식
+function describeSanction(sanction) {
+  return {
+    sanctionId: sanction.sanctionId,
+    type: sanction.type,
+    roomId: sanction.roomId,
+    reason: sanction.reason,
+    expiresAt: sanction.expiresAt
+  };
+}
+
+// 초대 코드 사용 (만료되지 않았고 남은 횟수가 있을 때만 사용 횟수 증가) - 사용할 수 없으면 null
+function consumeInvite(code, roomId) {
+  if (typeof code !== 'string' || code.length === 0) return null;
+
+  return RoomInvite.findOneAndUpdate(roomAccess.usableInviteFilter(code, roomId), { $inc: { uses: 1 } }, { new: true });
+}
+
+// 아직 참가하지 않은 사용자의 참가 가능 여부 확인 (room은 passwordHash 포함 조회)
+// 결과: { allowed } 또는 { allowed: false, status, code, message }
+async function checkJoinAccess(room, { password, inviteCode } = {}) {
+  // 유효한 초대 코드가 있으면 공개 범위와 비밀번호에 관계없이 참가
+  if (inviteCode !== undefined) {
+    const invite = await consumeInvite(inviteCode, room.roomId);
+    if (!invite) {
+      return { allowed: false, status: 403, code: 'invalid_invite', message: '초대 코드가 올바르지 않거나 만료되었습니다.' };
+    }
+    return { allowed: true, invite };
+  }
+
+  if (room.visibility === 'private') {
+    return { allowed: false, status: 403, code: 'invite_required', message: '비공개 채팅방은 초대 코드로만 참가할 수 있습니다.' };
+  }
+
+  if (room.passwordHash) {
+    if (password === undefined) {
+      return { allowed: false, status: 403, code: 'password_required', message: '채팅방 비밀번호가 필요합니다.' };
+    }
+    if (!(await roomAccess.verifyPassword(password, room.passwordHash))) {
+      return { allowed: false, status: 403, code: 'invalid_password', message: '채팅방 비밀번호가 올바르지 않습니다.' };
+    }
   }
+
+  return { allowed: true };
 }
 
+// 요청 본문과 소켓 이벤트 데이터 스키마
+const schemas = createSchemas({ reportReasons: REPORT_REASONS, maxRetentionHours: MAX_RETENTION_HOURS });
+
 // 라우트 설정
 // 익명 사용자 생성
-app.post('/api/users', messageLimiter, async (req, res) => {
+app.post('/api/users', messageLimiter, validateBody(schemas.rest.createUser), async (req, res) => {
   try {
-    console.log('사용자 생성 요청:', req.body);
     const nickname = req.body.nickname || '';
     let uniqueIdentifier = req.body.uniqueIdentifier;
 
@@ -399,7 +1215,7 @@ app.post('/api/users', messageLimiter, async (req, res) => {
 
     await newUser.save();
 
-    console.log(`사용자 생성 성공: ${userId}, 닉네임: ${nickname || '(익명)'}, 식별번호: ${uniqueIdentifier}`);
+    logger.info(`사용자 생성 성공: ${userId}, 닉네임: ${nickname || '(익명)'}`);
 
     res.status(201).json({
       success: true,
@@ -408,33 +1224,243 @@ app.post('/api/users', messageLimiter, async (req, res) => {
         nickname: newUser.nickname,
         tempId: newUser.tempId,
         anonymousId,
-        uniqueIdentifier
+        uniqueIdentifier,
+        sessionToken: session.issueSessionToken(newUser),
+        sessionExpiresIn: session.SESSION_TTL_SECONDS
       }
     });
   } catch (error) {
-    console.error('사용자 생성 실패:', error);
+    logger.error('사용자 생성 실패', { error });
     res.status(500).json({ success: false, message: '사용자 생성 실패' });
   }
 });
 
-// 채팅방 생성
-app.post('/api/rooms', messageLimiter, async (req, res) => {
+// 세션 재발급 (저장된 tempId로 새 세션 토큰 발급)
+app.post('/api/sessions', messageLimiter, validateBody(schemas.rest.createSession), async (req, res) => {
   try {
-    console.log('채팅방 생성 요청:', req.body);
-    const { name, creatorTempId, securityEnabled = true, securityLevel = 'basic' } = req.body;
-
-    const roomId = uuidv4();
+    const { tempId } = req.body;
+    const user = await User.findOne({ tempId });
+    if (!user) {
+      return res.status(401).json({ success: false, code: 'user_not_found', message: '사용자를 찾을 수 없습니다.' });
+    }
 
-    const newRoom = new Room({
-      roomId,
-      name,
-      participants: [creatorTempId],
+    res.status(200).json({
+      success: true,
+      data: {
+        userId: user.userId,
+        sessionToken: session.issueSessionToken(user),
+        sessionExpiresIn: session.SESSION_TTL_SECONDS
+      }
+    });
+  } catch (error) {
+    logger.error('세션 발급 실패', { error });
+    res.status(500).json({ success: false, message: '세션 발급 실패' });
+  }
+});
+
+// E2EE 공개키 등록 API
+// publicKey: 메시지 키 암호화용 공개키, signingKey: 클라이언트 검사 증명 서명 검증용 공개키 (PEM)
+app.put('/api/users/me/keys', messageLimiter, requireSession, validateBody(schemas.rest.updateKeys), async (req, res) => {
+  try {
+    const { publicKey, signingKey } = req.body;
+    const errors = e2ee.validateUserKeys({ publicKey, signingKey });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, code: 'invalid_keys', message: '잘못된 키입니다.', errors });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { userId: req.user.userId },
+      { publicKey, signingKey, keysUpdatedAt: new Date() },
+      { new: true }
+    );
+    logger.info(`공개키 등록: 사용자 ${user.userId}`);
+
+    // 참가 중인 E2EE 방 멤버에게 키 목록이 바뀌었음을 알림
+    const rooms = await Room.find({ participants: user.tempId, e2ee: true }).select('roomId');
+    for (const room of rooms) {
+      io.to(room.roomId).emit('room_keys_updated', { roomId: room.roomId });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        keyId: e2ee.computeKeyId(user.publicKey),
+        keysUpdatedAt: user.keysUpdatedAt
+      }
+    });
+  } catch (error) {
+    logger.error('공개키 등록 실패', { error });
+    res.status(500).json({ success: false, message: '공개키 등록 실패' });
+  }
+});
+
+// 첨부 파일 설정
+const ATTACHMENT_MAX_PER_MESSAGE = parseInt(process.env.ATTACHMENT_MAX_PER_MESSAGE) || 4;
+const attachmentStorage = createAttachmentStorage();
+
+// 업로드 본문은 파일 내용 그대로 받음 (Content-Type: 파일 형식, ?name=파일 이름)
+const parseAttachmentBody = express.raw({ type: () => true, limit: attachmentScanner.MAX_ATTACHMENT_BYTES });
+
+function readAttachmentBody(req, res, next) {
+  parseAttachmentBody(req, res, (error) => {
+    if (error) {
+      const tooLarge = error.type === 'entity.too.large';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        code: tooLarge ? 'attachment_too_large' : 'invalid_upload',
+        message: tooLarge
+          ? `첨부 파일은 ${attachmentScanner.MAX_ATTACHMENT_BYTES / 1024 / 1024}MB 이하여야 합니다.`
+          : '업로드 본문을 읽을 수 없습니다.'
+      });
+    }
+    next();
+  });
+}
+
+// 첨부 파일 업로드 API
+// 허용된 이미지와 파일만 저장하며, 같은 내용의 파일은 기존 첨부 파일을 그대로 사용
+app.post('/api/attachments', messageLimiter, requireSession, readAttachmentBody, async (req, res) => {
+  try {
+    const scan = attachmentScanner.scanUpload({
+      buffer: req.body,
+      filename: req.query.name,
+      declaredType: req.headers['content-type']
+    });
+    if (!scan.ok) {
+      logger.info(`첨부 파일 거부: 사용자 ${req.user.userId}, 사유 ${scan.code}${scan.hash ? `, 해시 ${scan.hash}` : ''}`);
+      return res.status(scan.status).json({ success: false, code: scan.code, message: scan.message });
+    }
+
+    let attachment = await Attachment.findOne({ hash: scan.hash });
+    const deduplicated = Boolean(attachment);
+
+    if (!attachment) {
+      if (!(await attachmentStorage.exists(scan.hash))) {
+        await attachmentStorage.put(scan.hash, req.body);
+      }
+
+      try {
+        attachment = await Attachment.create({
+          attachmentId: uuidv4(),
+          hash: scan.hash,
+          name: scan.name,
+          mimeType: scan.mimeType,
+          kind: scan.kind,
+          size: scan.size,
+          storage: attachmentStorage.name,
+          uploaders: [req.user.userId]
+        });
+      } catch (error) {
+        // 같은 파일이 동시에 업로드된 경우 먼저 저장된 기록 사용
+        if (error.code !== 11000) throw error;
+        attachment = await Attachment.findOne({ hash: scan.hash });
+      }
+    }
+
+    if (!attachment.uploaders.includes(req.user.userId)) {
+      await Attachment.updateOne({ attachmentId: attachment.attachmentId }, { $addToSet: { uploaders: req.user.userId } });
+    }
+    logger.info(`첨부 파일 업로드: ${attachment.attachmentId}, ${scan.mimeType}, ${scan.size}바이트${deduplicated ? ' (중복)' : ''}`);
+
+    res.status(deduplicated ? 200 : 201).json({
+      success: true,
+      data: {
+        ...buildClientAttachment({ ...attachment.toObject(), name: scan.name }),
+        deduplicated
+      }
+    });
+  } catch (error) {
+    logger.error('첨부 파일 업로드 실패', { error });
+    res.status(500).json({ success: false, message: '첨부 파일 업로드 실패' });
+  }
+});
+
+// 첨부 파일 내려받기 API (업로드한 사용자 또는 첨부된 메시지를 볼 수 있는 방 참가자)
+app.get('/api/attachments/:attachmentId', requireSession, async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const attachment = await Attachment.findOne({ attachmentId });
+    if (!attachment) {
+      return res.status(404).json({ success: false, code: 'attachment_not_found', message: '첨부 파일을 찾을 수 없습니다.' });
+    }
+
+    if (!attachment.uploaders.includes(req.user.userId)) {
+      const rooms = await Room.find({ participants: req.user.tempId }).select('roomId');
+      const visible = await Message.exists({
+        roomId: { $in: rooms.map(room => room.roomId) },
+        'attachments.attachmentId': attachmentId,
+        moderationStatus: { $in: ['visible', 'redacted'] },
+        expiresAt: { $not: { $lte: new Date() } }
+      });
+      if (!visible) {
+        return res.status(404).json({ success: false, code: 'attachment_not_found', message: '첨부 파일을 찾을 수 없습니다.' });
+      }
+    }
+
+    // 이미지가 아닌 파일은 브라우저에서 바로 열지 않고 내려받도록 함
+    const disposition = attachment.kind === 'image' ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name || attachment.attachmentId)}`,
+      'Cache-Control': 'private, max-age=86400'
+    });
+
+    const stream = attachmentStorage.createReadStream(attachment.hash);
+    stream.on('error', (error) => {
+      logger.error('첨부 파일 읽기 실패', { error });
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.status(404).json({ success: false, code: 'attachment_not_found', message: '첨부 파일을 찾을 수 없습니다.' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error('첨부 파일 조회 실패', { error });
+    res.status(500).json({ success: false, message: '첨부 파일 조회 실패' });
+  }
+});
+
+// 채팅방 생성
+app.post('/api/rooms', messageLimiter, requireSession, validateBody(schemas.rest.createRoom), async (req, res) => {
+  try {
+    const {
+      name,
+      securityEnabled = true,
+      securityLevel = 'basic',
+      retentionHours = null,
+      e2ee: e2eeEnabled = false,
+      visibility = 'public',
+      password = null
+    } = req.body;
+    const creatorTempId = req.user.tempId;
+
+    const passwordError = password !== null ? roomAccess.validatePassword(password) : null;
+    if (passwordError) {
+      return res.status(400).json({ success: false, code: 'invalid_password_format', message: passwordError });
+    }
+
+    const roomId = uuidv4();
+
+    const newRoom = new Room({
+      roomId,
+      name,
+      creatorTempId,
+      ownerTempId: creatorTempId,
+      participants: [creatorTempId],
       securityEnabled,
-      securityLevel
+      securityLevel,
+      securityPolicy: moderationPolicy.createPolicy(securityLevel),
+      retentionHours,
+      e2ee: e2eeEnabled,
+      visibility,
+      passwordHash: password !== null ? await roomAccess.hashPassword(password) : undefined
     });
 
     await newRoom.save();
-    console.log(`채팅방 생성 성공: ${roomId}, 이름: ${name}, 보안: ${securityEnabled}`);
+    logger.info(`채팅방 생성 성공: ${roomId}, 이름: ${name}, 보안: ${securityEnabled}, 공개 범위: ${visibility}`);
 
     res.status(201).json({
       success: true,
@@ -442,328 +1468,2004 @@ app.post('/api/rooms', messageLimiter, async (req, res) => {
         roomId: newRoom.roomId,
         name: newRoom.name,
         securityEnabled: newRoom.securityEnabled,
-        securityLevel: newRoom.securityLevel
+        securityLevel: newRoom.securityLevel,
+        securityPolicy: moderationPolicy.resolveRoomPolicy(newRoom),
+        retentionHours: newRoom.retentionHours,
+        e2ee: newRoom.e2ee,
+        visibility: newRoom.visibility,
+        hasPassword: Boolean(newRoom.passwordHash)
       }
     });
   } catch (error) {
-    console.error('채팅방 생성 실패:', error);
+    logger.error('채팅방 생성 실패', { error });
     res.status(500).json({ success: false, message: '채팅방 생성 실패' });
   }
 });
 
 // 채팅방 목록 조회
-app.get('/api/rooms', async (req, res) => {
+app.get('/api/rooms', requireSession, async (req, res) => {
   try {
-    console.log('채팅방 목록 조회 요청');
-    const rooms = await Room.find().sort({ createdAt: -1 });
-    console.log(`채팅방 목록 조회 성공: ${rooms.length}개의 방을 찾음`);
+    logger.info('채팅방 목록 조회 요청');
+    // 공개 방과 이미 참가한 방만 표시 (unlisted/private 방은 방 ID나 초대 코드로만 참가)
+    const rooms = await Room.find(roomAccess.listFilter(req.user.tempId))
+      .select('+passwordHash')
+      .sort({ createdAt: -1 });
+    logger.info(`채팅방 목록 조회 성공: ${rooms.length}개의 방을 찾음`);
+
+    // 현재 접속 중인 사용자 수
+    const onlineCounts = await presence.getOnlineCounts(rooms.map(room => room.roomId));
 
     res.status(200).json({
       success: true,
-      data: rooms
+      data: rooms.map(room => {
+        // 참가자 정보와 비밀번호 해시는 공개하지 않고 요청한 사용자의 역할만 표시
+        const { passwordHash, creatorTempId, ownerTempId, moderatorTempIds, participants, ...info } = room.toObject();
+        return {
+          ...info,
+          hasPassword: Boolean(passwordHash),
+          role: roomCommands.getRoomRole(room, req.user.tempId),
+          onlineCount: onlineCounts[room.roomId]
+        };
+      })
     });
   } catch (error) {
-    console.error('채팅방 목록 조회 실패:', error);
+    logger.error('채팅방 목록 조회 실패', { error });
     res.status(500).json({ success: false, message: '채팅방 목록 조회 실패' });
   }
 });
 
+// E2EE 방 멤버 공개키 목록 조회 API (메시지를 암호화할 수신자 목록)
+app.get('/api/rooms/:roomId/keys', requireSession, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const room = await Room.findOne({ roomId });
+    if (!room) {
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+
+    if (!room.e2ee) {
+      return res.status(400).json({ success: false, code: 'not_e2ee_room', message: '종단간 암호화 방이 아닙니다.' });
+    }
+
+    if (!room.participants.includes(req.user.tempId)) {
+      return res.status(403).json({ success: false, code: 'not_participant', message: '채팅방에 참가한 사용자만 키 목록을 볼 수 있습니다.' });
+    }
+
+    // tempId와 userId는 공개하지 않음
+    const members = await User.find({ tempId: { $in: room.participants }, publicKey: { $exists: true, $ne: null } })
+      .select('anonymousId nickname publicKey signingKey keysUpdatedAt');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roomId,
+        members: members.map(member => ({
+          keyId: e2ee.computeKeyId(member.publicKey),
+          anonymousId: member.anonymousId,
+          nickname: member.nickname,
+          publicKey: member.publicKey,
+          signingKey: member.signingKey,
+          keysUpdatedAt: member.keysUpdatedAt
+        })),
+        missingKeys: room.participants.length - members.length // 아직 키를 등록하지 않은 멤버 수
+      }
+    });
+  } catch (error) {
+    logger.error('공개키 목록 조회 실패', { error });
+    res.status(500).json({ success: false, message: '공개키 목록 조회 실패' });
+  }
+});
+
+// 채팅방 접속자 목록 조회 API (익명 ID와 닉네임만 공개)
+app.get('/api/rooms/:roomId/participants', requireSession, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const room = await Room.findOne({ roomId });
+    if (!room) {
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+
+    // 참가한 사용자만 조회 가능
+    if (!room.participants.includes(req.user.tempId)) {
+      return res.status(403).json({ success: false, code: 'not_participant', message: '채팅방에 참가한 사용자만 접속자 목록을 볼 수 있습니다.' });
+    }
+
+    const participants = await presence.getParticipants(roomId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roomId,
+        onlineCount: participants.length,
+        participants
+      }
+    });
+  } catch (error) {
+    logger.error('접속자 목록 조회 실패', { error });
+    res.status(500).json({ success: false, message: '접속자 목록 조회 실패' });
+  }
+});
+
+// 메시지 목록 페이지 크기
+const MESSAGE_PAGE_DEFAULT_LIMIT = 50;
+const MESSAGE_PAGE_MAX_LIMIT = 100;
+const SYNC_MAX_MESSAGES = 200; // sync_room 한 번에 돌려주는 최대 메시지 수
+
 // 채팅방의 이전 메시지 목록 조회 API
-app.get('/api/rooms/:roomId/messages', async (req, res) => {
+// before/after: 기준 메시지 ID, limit: 페이지 크기, q: 방 내 검색어
+app.get('/api/rooms/:roomId/messages', requireSession, async (req, res) => {
   try {
     const { roomId } = req.params;
-    console.log(`메시지 목록 조회 요청: 방 ID ${roomId}`);
+    logger.info(`메시지 목록 조회 요청: 방 ID ${roomId}`);
 
     // 채팅방 존재 여부 확인
     const room = await Room.findOne({ roomId });
     if (!room) {
-      console.log(`해당 채팅방을 찾을 수 없음: ${roomId}`);
-      return res.status(404).json({ success: false, message: '채팅방을 찾을 수 없습니다.' });
+      logger.info(`해당 채팅방을 찾을 수 없음: ${roomId}`);
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+
+    // 참가한 사용자만 메시지 조회 가능
+    if (!room.participants.includes(req.user.tempId)) {
+      return res.status(403).json({ success: false, code: 'not_participant', message: '채팅방에 참가한 사용자만 메시지를 볼 수 있습니다.' });
+    }
+
+    const { before, after, q } = req.query;
+    if (before && after) {
+      return res.status(400).json({ success: false, code: 'invalid_query', message: 'before와 after는 함께 사용할 수 없습니다.' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || MESSAGE_PAGE_DEFAULT_LIMIT, 1), MESSAGE_PAGE_MAX_LIMIT);
+
+    // 검토 대기 및 거절된 메시지, 보관 기간이 지난 메시지(TTL 삭제 전)는 조회 대상에서 제외
+    const filter = { roomId, moderationStatus: { $nin: ['held', 'rejected'] }, expiresAt: { $not: { $lte: new Date() } } };
+
+    // 방 내 전문 검색
+    if (q !== undefined) {
+      if (typeof q !== 'string' || q.trim() === '') {
+        return res.status(400).json({ success: false, code: 'invalid_query', message: '검색어가 올바르지 않습니다.' });
+      }
+      filter.$text = { $search: q.trim() };
+    }
+
+    // 커서 메시지 기준으로 이전(before) 또는 이후(after) 메시지 조회
+    const cursorId = before || after;
+    if (cursorId) {
+      const cursor = await Message.findOne({ roomId, messageId: cursorId }).select('createdAt');
+      if (!cursor) {
+        return res.status(400).json({ success: false, code: 'cursor_not_found', message: '커서 메시지를 찾을 수 없습니다.' });
+      }
+
+      const op = after ? '$gt' : '$lt';
+      filter.$or = [
+        { createdAt: { [op]: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+      ];
     }
 
-    // 해당 채팅방의 메시지 목록 조회
-    const messages = await Message.find({ roomId }).sort({ createdAt: 1 });
-    console.log(`메시지 목록 조회 성공: 방 ID ${roomId}, ${messages.length}개의 메시지 찾음`);
+    // after는 오래된 순, 그 외에는 최신 순으로 limit + 1개를 읽어 다음 페이지 여부 확인
+    const direction = after ? 1 : -1;
+    const page = await Message.find(filter)
+      .sort({ createdAt: direction, _id: direction })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = page.length > limit;
+    if (hasMore) page.pop();
+    if (!after) page.reverse(); // 응답은 항상 오래된 순
+
+    // 현재 방 보안 설정에 따라 차단 대상은 제외하고 마스킹 대상은 가림
+    const policy = room.securityEnabled ? moderationPolicy.resolveRoomPolicy(room) : null;
+    const messages = page
+      .map(message => moderationPolicy.presentStoredMessage(policy, message))
+      .filter(Boolean)
+      .map(buildClientMessage);
+
+    logger.info(`메시지 목록 조회 성공: 방 ID ${roomId}, ${messages.length}개의 메시지 찾음`);
 
     res.status(200).json({
       success: true,
-      data: messages
+      data: messages,
+      pagination: {
+        limit,
+        direction: after ? 'newer' : 'older',
+        hasMore,
+        oldestMessageId: page.length > 0 ? page[0].messageId : null,
+        newestMessageId: page.length > 0 ? page[page.length - 1].messageId : null
+      }
     });
   } catch (error) {
-    console.error('메시지 목록 조회 실패:', error);
+    logger.error('메시지 목록 조회 실패', { error });
     res.status(500).json({ success: false, message: '메시지 목록 조회 실패' });
   }
 });
 
+// 스레드 조회 API - 스레드 첫 메시지(root)와 답장 목록을 오래된 순으로 반환
+// 답장의 ID로 조회해도 그 답장이 속한 스레드를 반환, hasMore가 true이면 lastMessageId를 after로 다시 요청
+app.get('/api/rooms/:roomId/messages/:messageId/thread', requireSession, async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+
+    const room = await Room.findOne({ roomId });
+    if (!room) {
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+
+    if (!room.participants.includes(req.user.tempId)) {
+      return res.status(403).json({ success: false, code: 'not_participant', message: '채팅방에 참가한 사용자만 메시지를 볼 수 있습니다.' });
+    }
+
+    const { after } = req.query;
+    if (after !== undefined && (typeof after !== 'string' || after === '')) {
+      return res.status(400).json({ success: false, code: 'invalid_query', message: 'after는 메시지 ID여야 합니다.' });
+    }
+
+    const thread = await threadService.getThread(roomId, messageId, { after, limit: parseInt(req.query.limit) || undefined });
+    if (thread.error) {
+      return res.status(thread.error.status).json({ success: false, code: thread.error.code, message: thread.error.message });
+    }
+
+    // 현재 방 보안 설정에 따라 차단 대상은 제외하고 마스킹 대상은 가림
+    const policy = room.securityEnabled ? moderationPolicy.resolveRoomPolicy(room) : null;
+    const present = (message) => {
+      const shown = message && moderationPolicy.presentStoredMessage(policy, message);
+      return shown ? buildClientMessage(shown) : null;
+    };
+    const replies = thread.replies.map(present).filter(Boolean);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        threadId: thread.threadId,
+        root: present(thread.root),
+        replies
+      },
+      pagination: {
+        limit: thread.limit,
+        hasMore: thread.hasMore,
+        lastMessageId: thread.replies.length > 0 ? thread.replies[thread.replies.length - 1].messageId : null
+      }
+    });
+  } catch (error) {
+    logger.error('스레드 조회 실패', { error });
+    res.status(500).json({ success: false, message: '스레드 조회 실패' });
+  }
+});
+
+// 메시지 반응 라우트 (REST와 소켓 react_message가 같은 반응 서비스 사용)
+function reactionRoute(action) {
+  return async (req, res) => {
+    try {
+      const { roomId, messageId, emoji } = req.params;
+      const result = await reactionService.react(req.user, { roomId, messageId, emoji, action });
+      if (!result.success) {
+        return res.status(result.status).json({ success: false, code: result.code, message: result.message });
+      }
+
+      res.status(200).json({ success: true, data: result.data });
+    } catch (error) {
+      logger.error(`메시지 반응 처리 실패 (${action})`, { error });
+      res.status(500).json({ success: false, message: '메시지 반응 처리 실패' });
+    }
+  };
+}
+
+// 메시지 반응 추가 및 제거 API (emoji는 URL 인코딩한 이모지 하나)
+app.put('/api/rooms/:roomId/messages/:messageId/reactions/:emoji', messageLimiter, requireSession, reactionRoute('add'));
+app.delete('/api/rooms/:roomId/messages/:messageId/reactions/:emoji', messageLimiter, requireSession, reactionRoute('remove'));
+
 // 채팅방 참가
-app.post('/api/rooms/:roomId/join', messageLimiter, async (req, res) => {
+// password: 비밀번호가 설정된 방, inviteCode: 초대 코드 (비공개 방은 필수, 비밀번호 대신 사용 가능)
+app.post('/api/rooms/:roomId/join', messageLimiter, requireSession, validateBody(schemas.rest.joinRoom), async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { tempId } = req.body;
-    console.log(`채팅방 참가 요청: 방 ID ${roomId}, 사용자 tempId ${tempId}`);
+    const { tempId } = req.user;
+    logger.info(`채팅방 참가 요청: 방 ID ${roomId}, 사용자 ${req.user.userId}`);
 
-    const room = await Room.findOne({ roomId });
+    const room = await Room.findOne({ roomId }).select('+passwordHash');
 
     if (!room) {
-      console.log(`해당 채팅방을 찾을 수 없음: ${roomId}`);
-      return res.status(404).json({ success: false, message: '채팅방을 찾을 수 없습니다.' });
+      logger.info(`해당 채팅방을 찾을 수 없음: ${roomId}`);
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+
+    // 강퇴 또는 차단된 사용자는 참가 불가
+    const sanction = await sanctionService.findBlockingSanction(req.user.userId, roomId, 'join');
+    if (sanction) {
+      return res.status(403).json({ success: false, code: 'sanctioned', message: sanction.reason, sanction: describeSanction(sanction) });
     }
 
     // 이미 참가한 사용자인지 확인
     if (!room.participants.includes(tempId)) {
+      const access = await checkJoinAccess(room, req.body);
+      if (!access.allowed) {
+        logger.info(`채팅방 참가 거부: 방 ID ${roomId}, 사용자 ${req.user.userId}, 사유 ${access.code}`);
+        return res.status(access.status).json({ success: false, code: access.code, message: access.message });
+      }
+
       room.participants.push(tempId);
       await room.save();
-      console.log(`채팅방 참가 성공: 방 ID ${roomId}, 사용자 tempId ${tempId}`);
+      logger.info(`채팅방 참가 성공: 방 ID ${roomId}, 사용자 ${req.user.userId}`);
+
+      // 새 멤버의 키로도 암호화하도록 알림
+      if (room.e2ee) {
+        io.to(roomId).emit('room_keys_updated', { roomId });
+      }
     } else {
-      console.log(`채팅방에 이미 참가한 사용자: 방 ID ${roomId}, 사용자 tempId ${tempId}`);
+      logger.info(`채팅방에 이미 참가한 사용자: 방 ID ${roomId}, 사용자 ${req.user.userId}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: '채팅방 참가 성공',
+      roomInfo: {
+        securityEnabled: room.securityEnabled,
+        securityLevel: room.securityLevel,
+        e2ee: room.e2ee,
+        visibility: room.visibility,
+        role: roomCommands.getRoomRole(room, tempId)
+      }
+    });
+  } catch (error) {
+    logger.error('채팅방 참가 실패', { error });
+    res.status(500).json({ success: false, message: '채팅방 참가 실패' });
+  }
+});
+
+// 초대 코드 생성 API (참가한 사용자, 비공개 방은 방 관리자만)
+// expiresInHours: 유효 시간 (기본 24시간), maxUses: 사용 가능 횟수 (기본 1, null이면 제한 없음)
+app.post('/api/rooms/:roomId/invites', messageLimiter, requireSession, validateBody(schemas.rest.createInvite), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const room = await Room.findOne({ roomId });
+    if (!room) {
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+
+    if (!room.participants.includes(req.user.tempId)) {
+      return res.status(403).json({ success: false, code: 'not_participant', message: '채팅방에 참가한 사용자만 초대 코드를 만들 수 있습니다.' });
+    }
+
+    if (room.visibility === 'private' && !canModerateRoom(req.user, room)) {
+      return res.status(403).json({ success: false, code: 'moderator_only', message: '비공개 채팅방의 초대 코드는 방 관리자만 만들 수 있습니다.' });
+    }
+
+    const { errors, expiresInHours, maxUses } = roomAccess.parseInviteOptions(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, code: 'invalid_invite_options', message: '잘못된 초대 코드 설정입니다.', errors });
+    }
+
+    const invite = new RoomInvite({
+      code: roomAccess.generateInviteCode(),
+      roomId,
+      createdBy: req.user.userId,
+      maxUses,
+      expiresAt: new Date(Date.now() + expiresInHours * HOUR_MS)
+    });
+    await invite.save();
+    logger.info(`초대 코드 생성: 방 ID ${roomId}, 사용자 ${req.user.userId}, 최대 ${maxUses === null ? '제한 없음' : `${maxUses}회`}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        code: invite.code,
+        roomId,
+        maxUses: invite.maxUses,
+        uses: invite.uses,
+        expiresAt: invite.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('초대 코드 생성 실패', { error });
+    res.status(500).json({ success: false, message: '초대 코드 생성 실패' });
+  }
+});
+
+// 초대 코드 취소 API (코드를 만든 사용자 또는 방 관리자)
+app.delete('/api/rooms/:roomId/invites/:code', requireSession, async (req, res) => {
+  try {
+    const { roomId, code } = req.params;
+
+    const [room, invite] = await Promise.all([
+      Room.findOne({ roomId }),
+      RoomInvite.findOne({ code, roomId })
+    ]);
+    if (!room || !invite) {
+      return res.status(404).json({ success: false, code: 'invite_not_found', message: '초대 코드를 찾을 수 없습니다.' });
+    }
+
+    if (invite.createdBy !== req.user.userId && !canModerateRoom(req.user, room)) {
+      return res.status(403).json({ success: false, code: 'not_invite_owner', message: '초대 코드를 만든 사용자나 방 관리자만 취소할 수 있습니다.' });
+    }
+
+    await RoomInvite.deleteOne({ code });
+    logger.info(`초대 코드 취소: 방 ID ${roomId}, 사용자 ${req.user.userId}`);
+
+    res.status(200).json({ success: true, message: '초대 코드가 취소되었습니다.' });
+  } catch (error) {
+    logger.error('초대 코드 취소 실패', { error });
+    res.status(500).json({ success: false, message: '초대 코드 취소 실패' });
+  }
+});
+
+// 채팅방 공개 범위 및 비밀번호 수정 API (방장 전용)
+// password: 새 비밀번호, null이면 비밀번호 해제, 생략하면 유지
+app.put('/api/rooms/:roomId/access', messageLimiter, requireSession, validateBody(schemas.rest.updateAccess), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { visibility, password } = req.body;
+
+    const room = await Room.findOne({ roomId }).select('+passwordHash');
+    if (!room) {
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+
+    if (!isRoomOwner(req.user, room)) {
+      return res.status(403).json({ success: false, code: 'owner_only', message: '방장만 공개 범위를 수정할 수 있습니다.' });
+    }
+
+    const passwordError = password !== undefined && password !== null ? roomAccess.validatePassword(password) : null;
+    if (passwordError) {
+      return res.status(400).json({ success: false, code: 'invalid_password_format', message: passwordError });
+    }
+
+    if (visibility !== undefined) {
+      room.visibility = visibility;
+    }
+    if (password === null) {
+      room.passwordHash = undefined;
+    } else if (password !== undefined) {
+      room.passwordHash = await roomAccess.hashPassword(password);
+    }
+
+    await room.save();
+    logger.info(`공개 범위 수정 완료: 방 ID ${roomId}, ${room.visibility}, 비밀번호 ${room.passwordHash ? '있음' : '없음'}`);
+
+    const access = { roomId, visibility: room.visibility, hasPassword: Boolean(room.passwordHash) };
+    io.to(roomId).emit('room_access_updated', access);
+
+    res.status(200).json({
+      success: true,
+      data: access
+    });
+  } catch (error) {
+    logger.error('공개 범위 수정 실패', { error });
+    res.status(500).json({ success: false, message: '공개 범위 수정 실패' });
+  }
+});
+
+// 채팅방 보안 정책 조회 API
+app.get('/api/rooms/:roomId/security', requireSession, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const room = await Room.findOne({ roomId });
+    // 비공개 방은 참가한 사용자에게만 존재를 알림
+    if (!room || (room.visibility === 'private' && !room.participants.includes(req.user.tempId))) {
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        securityEnabled: room.securityEnabled,
+        securityLevel: room.securityLevel,
+        securityPolicy: moderationPolicy.resolveRoomPolicy(room)
+      }
+    });
+  } catch (error) {
+    logger.error('보안 정책 조회 실패', { error });
+    res.status(500).json({ success: false, message: '보안 정책 조회 실패' });
+  }
+});
+
+// 채팅방 보안 정책 수정 API (방장만 가능)
+// securityLevel이 basic/strict면 프리셋으로 초기화, policy가 있으면 custom으로 저장
+app.put('/api/rooms/:roomId/security', messageLimiter, requireSession, validateBody(schemas.rest.updateSecurity), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { securityEnabled, securityLevel, policy } = req.body;
+    logger.info(`보안 정책 수정 요청: 방 ID ${roomId}`);
+
+    const room = await Room.findOne({ roomId });
+    if (!room) {
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+
+    if (!isRoomOwner(req.user, room)) {
+      return res.status(403).json({ success: false, code: 'owner_only', message: '방장만 보안 정책을 수정할 수 있습니다.' });
+    }
+
+    if (policy !== undefined) {
+      const errors = moderationPolicy.validatePolicyUpdate(policy);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, code: 'invalid_policy', message: '잘못된 보안 정책입니다.', errors });
+      }
+    }
+
+    if (securityEnabled !== undefined) {
+      room.securityEnabled = securityEnabled;
+    }
+
+    if (policy !== undefined) {
+      // custom 정책은 요청한 프리셋(또는 현재 정책) 위에 변경 사항을 덮어씀
+      const basePolicy = securityLevel && securityLevel !== 'custom'
+        ? moderationPolicy.createPolicy(securityLevel)
+        : moderationPolicy.resolveRoomPolicy(room);
+      room.securityLevel = 'custom';
+      room.securityPolicy = moderationPolicy.mergePolicy(basePolicy, policy);
+    } else if (securityLevel !== undefined) {
+      room.securityLevel = securityLevel;
+      if (securityLevel !== 'custom') {
+        room.securityPolicy = moderationPolicy.createPolicy(securityLevel);
+      }
+    }
+
+    await room.save();
+    logger.info(`보안 정책 수정 완료: 방 ID ${roomId}, 레벨 ${room.securityLevel}`);
+
+    const roomInfo = {
+      securityEnabled: room.securityEnabled,
+      securityLevel: room.securityLevel,
+      securityPolicy: moderationPolicy.resolveRoomPolicy(room)
+    };
+
+    // 방에 있는 클라이언트에게 변경된 설정 알림
+    io.to(roomId).emit('room_info', roomInfo);
+
+    res.status(200).json({
+      success: true,
+      data: roomInfo
+    });
+  } catch (error) {
+    logger.error('보안 정책 수정 실패', { error });
+    res.status(500).json({ success: false, message: '보안 정책 수정 실패' });
+  }
+});
+
+// 채팅방 메시지 보관 기간 수정 API (방장 전용)
+// retentionHours: 1~720 정수 또는 null(계속 보관), 기존 메시지와 보안 로그의 만료 시각도 함께 갱신
+app.put('/api/rooms/:roomId/retention', messageLimiter, requireSession, validateBody(schemas.rest.updateRetention), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { retentionHours } = req.body;
+
+    const room = await Room.findOne({ roomId });
+    if (!room) {
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+
+    if (!isRoomOwner(req.user, room)) {
+      return res.status(403).json({ success: false, code: 'owner_only', message: '방장만 보관 기간을 수정할 수 있습니다.' });
+    }
+
+    room.retentionHours = retentionHours;
+    await room.save();
+
+    // 기존 메시지는 작성 시각 기준으로 만료 시각 재계산
+    if (retentionHours) {
+      const retentionMs = retentionHours * HOUR_MS;
+      await Message.updateMany({ roomId }, [{ $set: { expiresAt: { $add: ['$createdAt', retentionMs] } } }]);
+      await SecurityLog.updateMany({ roomId }, [{ $set: { expiresAt: { $add: ['$timestamp', retentionMs] } } }]);
+    } else {
+      await Message.updateMany({ roomId }, { $unset: { expiresAt: 1 } });
+      if (SECURITY_LOG_RETENTION_MS) {
+        await SecurityLog.updateMany({ roomId }, [{ $set: { expiresAt: { $add: ['$timestamp', SECURITY_LOG_RETENTION_MS] } } }]);
+      } else {
+        await SecurityLog.updateMany({ roomId }, { $unset: { expiresAt: 1 } });
+      }
+    }
+    logger.info(`보관 기간 수정 완료: 방 ID ${roomId}, ${retentionHours === null ? '계속 보관' : `${retentionHours}시간`}`);
+
+    io.to(roomId).emit('room_retention_updated', { roomId, retentionHours });
+
+    res.status(200).json({
+      success: true,
+      data: { roomId, retentionHours }
+    });
+  } catch (error) {
+    logger.error('보관 기간 수정 실패', { error });
+    res.status(500).json({ success: false, message: '보관 기간 수정 실패' });
+  }
+});
+
+// 방 관리 명령 라우트 (REST와 소켓 room_command가 같은 명령 서비스 사용)
+function roomCommandRoute(command, getParams = () => ({})) {
+  return async (req, res) => {
+    try {
+      const result = await roomCommandService.execute(req.user, req.params.roomId, command, getParams(req));
+      if (!result.success) {
+        return res.status(result.status).json({ success: false, code: result.code, message: result.message });
+      }
+
+      res.status(200).json({ success: true, data: result.data });
+    } catch (error) {
+      logger.error(`방 관리 명령 실패 (${command})`, { error });
+      res.status(500).json({ success: false, message: '방 관리 명령 실패' });
+    }
+  };
+}
+
+// 멤버 역할 변경 API (방장 전용, role: owner는 방장 위임)
+app.put('/api/rooms/:roomId/members/:userId/role', messageLimiter, requireSession, validateBody(schemas.rest.updateRole),
+  roomCommandRoute('promote', req => ({ targetUserId: req.params.userId, role: req.body.role })));
+
+// 멤버 강퇴/뮤트/차단 API (방 관리자, durationMinutes와 reason 선택)
+for (const command of ['kick', 'mute', 'ban']) {
+  app.post(`/api/rooms/:roomId/members/:userId/${command}`, messageLimiter, requireSession, validateBody(schemas.rest.sanction),
+    roomCommandRoute(command, req => ({
+      targetUserId: req.params.userId,
+      durationMinutes: req.body.durationMinutes,
+      reason: req.body.reason
+    })));
+}
+
+// 메시지 고정 및 해제 API (방 관리자)
+app.put('/api/rooms/:roomId/pins/:messageId', messageLimiter, requireSession,
+  roomCommandRoute('pin', req => ({ messageId: req.params.messageId, pinned: true })));
+
+app.delete('/api/rooms/:roomId/pins/:messageId', messageLimiter, requireSession,
+  roomCommandRoute('pin', req => ({ messageId: req.params.messageId, pinned: false })));
+
+// 고정된 메시지 목록 조회 API
+app.get('/api/rooms/:roomId/pins', requireSession, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const room = await Room.findOne({ roomId });
+    if (!room) {
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+
+    if (!room.participants.includes(req.user.tempId)) {
+      return res.status(403).json({ success: false, code: 'not_participant', message: '채팅방에 참가한 사용자만 메시지를 볼 수 있습니다.' });
+    }
+
+    const messages = await Message.find({
+      roomId,
+      pinnedAt: { $ne: null },
+      moderationStatus: { $in: ['visible', 'redacted'] },
+      expiresAt: { $not: { $lte: new Date() } }
+    }).sort({ pinnedAt: -1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: messages.map(buildClientMessage)
+    });
+  } catch (error) {
+    logger.error('고정 메시지 조회 실패', { error });
+    res.status(500).json({ success: false, message: '고정 메시지 조회 실패' });
+  }
+});
+
+// 방 이름 변경 API (방 관리자)
+app.put('/api/rooms/:roomId/name', messageLimiter, requireSession, validateBody(schemas.rest.renameRoom),
+  roomCommandRoute('rename', req => ({ name: req.body.name })));
+
+// 채팅방 삭제 API (방장 전용, 메시지와 초대 코드도 함께 삭제)
+app.delete('/api/rooms/:roomId', messageLimiter, requireSession, roomCommandRoute('delete'));
+
+// 메시지/사용자 신고 API
+app.post('/api/reports', messageLimiter, requireSession, validateBody(schemas.rest.createReport), async (req, res) => {
+  try {
+    const result = await submitReport(req.user, req.body);
+    if (!result.report) {
+      return res.status(result.statusCode).json({ success: false, code: result.code, message: result.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        reportId: result.report.reportId,
+        status: result.report.status
+      }
+    });
+  } catch (error) {
+    logger.error('신고 처리 실패', { error });
+    res.status(500).json({ success: false, message: '신고 처리 실패' });
+  }
+});
+
+// 사용자 경고/제재/신고 현황 조회 API (관리자)
+app.get('/api/admin/users/:userId/sanctions', requireSession, requireModerator, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = await User.findOne({ userId });
+    if (!user) {
+      return res.status(404).json({ success: false, code: 'user_not_found', message: '사용자를 찾을 수 없습니다.' });
+    }
+
+    const [activeSanctions, history, reports] = await Promise.all([
+      sanctionService.getActiveSanctions(userId),
+      Sanction.find({ userId }).sort({ createdAt: -1 }).limit(50),
+      Report.find({ targetUserId: userId }).sort({ createdAt: -1 }).limit(50)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userId,
+        strikeCount: user.strikeCount,
+        lastStrikeAt: user.lastStrikeAt,
+        activeSanctions,
+        history,
+        reports
+      }
+    });
+  } catch (error) {
+    logger.error('제재 현황 조회 실패', { error });
+    res.status(500).json({ success: false, message: '제재 현황 조회 실패' });
+  }
+});
+
+// 제재 목록 조회 API (관리자, active=true면 유효한 제재만)
+app.get('/api/admin/sanctions', requireSession, requireModerator, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active === 'true') {
+      query.liftedAt = null;
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    }
+
+    const sanctions = await Sanction.find(query).sort({ createdAt: -1 }).limit(200);
+    res.status(200).json({ success: true, data: sanctions });
+  } catch (error) {
+    logger.error('제재 목록 조회 실패', { error });
+    res.status(500).json({ success: false, message: '제재 목록 조회 실패' });
+  }
+});
+
+// 제재 해제 API (관리자)
+app.delete('/api/admin/sanctions/:sanctionId', requireSession, requireModerator, async (req, res) => {
+  try {
+    const sanction = await sanctionService.liftSanction(req.params.sanctionId, req.user.userId);
+    if (!sanction) {
+      return res.status(404).json({ success: false, code: 'sanction_not_found', message: '유효한 제재를 찾을 수 없습니다.' });
+    }
+
+    logger.info(`제재 해제: ${sanction.sanctionId}, 해제자 ${req.user.userId}`);
+    res.status(200).json({ success: true, data: sanction });
+  } catch (error) {
+    logger.error('제재 해제 실패', { error });
+    res.status(500).json({ success: false, message: '제재 해제 실패' });
+  }
+});
+
+// 검토 대기열 페이지 크기
+const MODERATION_QUEUE_DEFAULT_LIMIT = 50;
+const MODERATION_QUEUE_MAX_LIMIT = 200;
+
+// 검토 대기열 조회 API (검열 권한이 있는 방의 대기 메시지만)
+app.get('/api/moderation/queue', requireSession, async (req, res) => {
+  try {
+    const { roomId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || MODERATION_QUEUE_DEFAULT_LIMIT, 1), MODERATION_QUEUE_MAX_LIMIT);
+
+    const roomQuery = roomId ? { roomId } : {};
+    if (!MODERATOR_USER_IDS.includes(req.user.userId)) {
+      Object.assign(roomQuery, roomCommands.managedRoomsFilter(req.user.tempId));
+    }
+    const rooms = await Room.find(roomQuery).select('roomId name');
+    const roomIds = rooms.map(room => room.roomId);
+
+    if (roomId && roomIds.length === 0) {
+      return res.status(403).json({ success: false, code: 'not_reviewer', message: '이 채팅방의 검토 권한이 없습니다.' });
+    }
+
+    const messages = await Message.find({ roomId: { $in: roomIds }, moderationStatus: 'held' })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .lean();
+
+    const roomNames = Object.fromEntries(rooms.map(room => [room.roomId, room.name]));
+
+    res.status(200).json({
+      success: true,
+      data: messages.map(message => ({
+        messageId: message.messageId,
+        roomId: message.roomId,
+        roomName: roomNames[message.roomId],
+        sender: message.sender,
+        senderAnonymousId: message.senderAnonymousId,
+        senderNickname: message.senderNickname,
+        content: message.content,
+        createdAt: message.createdAt,
+        securityResult: message.securityResult
+      }))
+    });
+  } catch (error) {
+    logger.error('검토 대기열 조회 실패', { error });
+    res.status(500).json({ success: false, message: '검토 대기열 조회 실패' });
+  }
+});
+
+// 검토 대기 메시지 승인/거절 처리
+async function reviewHeldMessage(req, res, decision) {
+  const { messageId } = req.params;
+  const message = await Message.findOne({ messageId });
+  if (!message) {
+    return res.status(404).json({ success: false, code: 'message_not_found', message: '메시지를 찾을 수 없습니다.' });
+  }
+
+  const room = await Room.findOne({ roomId: message.roomId });
+  if (!room || !canModerateRoom(req.user, room)) {
+    return res.status(403).json({ success: false, code: 'not_reviewer', message: '이 메시지의 검토 권한이 없습니다.' });
+  }
+
+  // 동시에 여러 모더레이터가 결정하지 않도록 held 상태일 때만 갱신
+  const reviewed = await Message.findOneAndUpdate(
+    { messageId, moderationStatus: 'held' },
+    {
+      moderationStatus: decision === 'approved' ? 'visible' : 'rejected',
+      reviewedBy: req.user.userId,
+      reviewedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (!reviewed) {
+    return res.status(409).json({ success: false, code: 'already_reviewed', message: '이미 검토된 메시지입니다.' });
+  }
+
+  const finalAction = decision === 'approved' ? 'allow' : 'block';
+  await saveSecurityLog(messageId, reviewed.roomId, reviewed.sender, reviewed.securityResult || {}, finalAction, {
+    moderatorId: req.user.userId,
+    decision,
+    expiresAt: getSecurityLogExpiry(room)
+  });
+  logger.info(`메시지 검토 완료: ${messageId}, 결정 ${decision}, 모더레이터 ${req.user.userId}`);
+
+  if (decision === 'approved') {
+    // 승인된 메시지는 승인 시점의 순번을 받아 뒤늦게 방 전체에 전송
+    reviewed.seq = await nextMessageSeq(reviewed.roomId);
+    if (reviewed.seq === null) {
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
+    await Message.updateOne({ messageId }, { seq: reviewed.seq });
+    io.to(reviewed.roomId).emit('receive_message', buildClientMessage(reviewed));
+    await threadService.handleReplyChange(reviewed);
+  } else {
+    io.to(userRoom(reviewed.sender)).emit('message_rejected', {
+      messageId,
+      roomId: reviewed.roomId,
+      reason: '모더레이터가 메시지를 거절했습니다.'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      messageId,
+      decision,
+      action: finalAction,
+      reviewedBy: reviewed.reviewedBy,
+      reviewedAt: reviewed.reviewedAt
+    }
+  });
+}
+
+// 검토 대기 메시지 승인 API
+app.post('/api/moderation/:messageId/approve', requireSession, async (req, res) => {
+  try {
+    await reviewHeldMessage(req, res, 'approved');
+  } catch (error) {
+    logger.error('메시지 승인 실패', { error });
+    res.status(500).json({ success: false, message: '메시지 승인 실패' });
+  }
+});
+
+// 검토 대기 메시지 거절 API
+app.post('/api/moderation/:messageId/reject', requireSession, async (req, res) => {
+  try {
+    await reviewHeldMessage(req, res, 'rejected');
+  } catch (error) {
+    logger.error('메시지 거절 실패', { error });
+    res.status(500).json({ success: false, message: '메시지 거절 실패' });
+  }
+});
+
+// 보안 통계 조회 API
+app.get('/api/security/stats', requireSecurityLogAccess, async (req, res) => {
+  try {
+    // roomId, userId, threatType, action, threatLevel, startDate, endDate로 필터링
+    // interval(hour, day)로 시계열 버킷 단위, page와 limit으로 상위 키워드/사용자/방 목록 페이지 지정
+    const filter = logAnalytics.parseLogFilter(req.query);
+    const { errors, options } = logAnalytics.parseStatsOptions(req.query, filter.match);
+    if (filter.errors.length > 0 || errors.length > 0) {
+      return res.status(400).json({ success: false, code: 'invalid_query', message: [...filter.errors, ...errors].join(' ') });
+    }
+
+    const stats = await logAnalytics.getSecurityStats(SecurityLog, filter.match, options);
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    logger.error('보안 통계 조회 실패', { error });
+    res.status(500).json({ success: false, message: '보안 통계 조회 실패' });
+  }
+});
+
+// 보안 로그 내보내기 API (모더레이터 또는 관리자 API 키, format=csv|json)
+// 통계와 같은 필터를 쓰고, 커서로 한 건씩 읽어 응답에 바로 써서 로그가 많아도 메모리에 모으지 않는다.
+app.get('/api/security/logs/export', requireSecurityLogAccess, logAnalytics.createExportHandler(SecurityLog));
+
+// URL 평판 제공자 상태 조회 API
+app.get('/api/security/url-providers', requireAdminKey('config:read'), async (req, res) => {
+  try {
+    const blocklistSize = await UrlBlocklist.estimatedDocumentCount();
+    const feeds = await UrlBlocklist.distinct('feed');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        providers: urlReputation.describeProviders(),
+        defaults: urlReputation.resolveOptions(),
+        localBlocklist: {
+          size: blocklistSize,
+          feeds
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('URL 평판 제공자 상태 조회 실패', { error });
+    res.status(500).json({ success: false, message: 'URL 평판 제공자 상태 조회 실패' });
+  }
+});
+
+// PhishTank 상태 확인 API
+app.get('/api/security/phishtank/status', requireAdminKey('stats:read'), async (req, res) => {
+  try {
+    // 캐시 통계
+    const cacheCount = await PhishTankCache.countDocuments();
+    const expiredCount = await PhishTankCache.countDocuments({
+      expiresAt: { $lt: new Date() }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cacheSize: cacheCount,
+        expiredEntries: expiredCount,
+        activeEntries: cacheCount - expiredCount
+      }
+    });
+  } catch (error) {
+    logger.error('PhishTank 상태 확인 실패', { error });
+    res.status(500).json({ success: false, message: 'PhishTank 상태 확인 실패' });
+  }
+});
+
+// PhishTank 캐시 초기화 API
+app.delete('/api/security/phishtank/cache', requireAdminKey('cache:write'), async (req, res) => {
+  try {
+    const result = await PhishTankCache.deleteMany({});
+    logger.info(`PhishTank 캐시 초기화 완료: ${result.deletedCount}개, 관리자 키 ${req.adminKey.keyId}`);
+    res.locals.audit = { action: 'phishtank.cache.clear', details: { deletedCount: result.deletedCount } };
+
+    res.status(200).json({
+      success: true,
+      message: 'PhishTank 캐시가 초기화되었습니다'
+    });
+  } catch (error) {
+    logger.error('PhishTank 캐시 초기화 실패', { error });
+    res.status(500).json({ success: false, message: 'PhishTank 캐시 초기화 실패' });
+  }
+});
+
+// 보안 데이터셋 상태 조회 API
+app.get('/api/security/datasets', requireAdminKey('config:read'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: datasetDetector.getDatasetStats()
+  });
+});
+
+// 보안 데이터셋 다시 로드 API
+app.post('/api/security/datasets/reload', requireAdminKey('config:write'), (req, res) => {
+  const reloaded = datasetDetector.loadDatasets() && attachmentScanner.loadHashBlocklist();
+  if (!reloaded) {
+    return res.status(500).json({ success: false, message: '데이터셋 다시 로드 실패 (기존 데이터셋 유지)' });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: '데이터셋을 다시 로드했습니다',
+    data: datasetDetector.getDatasetStats()
+  });
+});
+
+// 관리자 API 목록 페이지 크기
+const ADMIN_LIST_DEFAULT_LIMIT = 50;
+const ADMIN_LIST_MAX_LIMIT = 200;
+
+function parseAdminPage(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || ADMIN_LIST_DEFAULT_LIMIT, 1), ADMIN_LIST_MAX_LIMIT);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 사용자 메시지 일괄 삭제 - 방마다 messages_purged로 삭제된 메시지 ID 전달
+async function purgeUserMessages(userId) {
+  const messages = await Message.find({ sender: userId }).select('messageId roomId threadId').lean();
+  if (messages.length === 0) return { deletedCount: 0, roomIds: [] };
+
+  const result = await Message.deleteMany({ sender: userId });
+
+  // 삭제된 메시지를 인용한 답장의 미리보기를 지우고, 삭제된 답장이 있던 스레드의 답장 수 갱신
+  await threadService.hideReplyPreviews(messages.map(message => message.messageId));
+  const threads = new Map(messages.filter(message => message.threadId).map(message => [message.threadId, message]));
+  for (const reply of threads.values()) {
+    await threadService.handleReplyChange(reply);
+  }
+
+  const byRoom = new Map();
+  for (const message of messages) {
+    if (!byRoom.has(message.roomId)) byRoom.set(message.roomId, []);
+    byRoom.get(message.roomId).push(message.messageId);
+  }
+  for (const [roomId, messageIds] of byRoom) {
+    io.to(roomId).emit('messages_purged', { roomId, messageIds, reason: 'admin' });
+  }
+
+  return { deletedCount: result.deletedCount, roomIds: [...byRoom.keys()] };
+}
+
+// 관리자 API 키 목록 조회
+app.get('/api/admin/keys', requireAdminKey('keys:write'), async (req, res) => {
+  try {
+    const keys = await adminKeys.AdminApiKey.find().sort({ createdAt: -1 });
+    res.status(200).json({ success: true, data: keys.map(adminKeys.describeApiKey) });
+  } catch (error) {
+    logger.error('관리자 API 키 목록 조회 실패', { error });
+    res.status(500).json({ success: false, message: '관리자 API 키 목록 조회 실패' });
+  }
+});
+
+// 관리자 API 키 발급 (자신에게 없는 범위는 부여할 수 없음)
+app.post('/api/admin/keys', requireAdminKey('keys:write'), validateBody(schemas.rest.createAdminKey), async (req, res) => {
+  try {
+    const options = adminKeys.parseKeyOptions(req.body);
+    if (options.errors.length > 0) {
+      return res.status(400).json({ success: false, code: 'invalid_key_options', message: options.errors.join(' ') });
+    }
+
+    const ownScopes = req.adminKey.scopes;
+    if (!ownScopes.includes(adminKeys.ALL_SCOPES) && options.scopes.some(scope => !ownScopes.includes(scope))) {
+      return res.status(403).json({ success: false, code: 'scope_not_allowed', message: '자신에게 없는 범위는 부여할 수 없습니다.' });
+    }
+
+    const { key, token } = await adminKeys.createApiKey({ ...options, createdBy: req.adminKey.keyId });
+    logger.info(`관리자 API 키 발급: ${key.keyId} (${key.name}), 발급자 ${req.adminKey.keyId}`);
+    res.locals.audit = { action: 'keys.create', targetType: 'key', targetId: key.keyId, details: { name: key.name, scopes: key.scopes } };
+
+    res.status(201).json({
+      success: true,
+      message: '관리자 API 키가 발급되었습니다. 키는 다시 볼 수 없으니 안전한 곳에 보관하세요.',
+      data: { ...adminKeys.describeApiKey(key), token }
+    });
+  } catch (error) {
+    logger.error('관리자 API 키 발급 실패', { error });
+    res.status(500).json({ success: false, message: '관리자 API 키 발급 실패' });
+  }
+});
+
+// 관리자 API 키 폐기
+app.delete('/api/admin/keys/:keyId', requireAdminKey('keys:write'), async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const key = await adminKeys.AdminApiKey.findOneAndUpdate(
+      { keyId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!key) {
+      return res.status(404).json({ success: false, code: 'admin_key_not_found', message: '유효한 관리자 API 키를 찾을 수 없습니다.' });
+    }
+
+    logger.info(`관리자 API 키 폐기: ${keyId}, 폐기자 ${req.adminKey.keyId}`);
+    res.locals.audit = { action: 'keys.revoke', targetType: 'key', targetId: keyId };
+    res.status(200).json({ success: true, data: adminKeys.describeApiKey(key) });
+  } catch (error) {
+    logger.error('관리자 API 키 폐기 실패', { error });
+    res.status(500).json({ success: false, message: '관리자 API 키 폐기 실패' });
+  }
+});
+
+// 관리자 감사 로그 조회 (keyId, action, targetId로 필터링)
+app.get('/api/admin/audit', requireAdminKey('audit:read'), async (req, res) => {
+  try {
+    const { page, limit, skip } = parseAdminPage(req.query);
+    const query = {};
+    for (const field of ['keyId', 'action', 'targetId']) {
+      if (typeof req.query[field] === 'string' && req.query[field]) query[field] = req.query[field];
+    }
+
+    const [entries, total] = await Promise.all([
+      adminKeys.AdminAuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      adminKeys.AdminAuditLog.countDocuments(query)
+    ]);
+
+    res.status(200).json({ success: true, data: { entries, total, page, limit, hasMore: skip + entries.length < total } });
+  } catch (error) {
+    logger.error('관리자 감사 로그 조회 실패', { error });
+    res.status(500).json({ success: false, message: '관리자 감사 로그 조회 실패' });
+  }
+});
+
+// 사용자 목록 조회 (search: userId 또는 tempId 일치, 닉네임 부분 일치)
+app.get('/api/admin/users', requireAdminKey('users:read'), async (req, res) => {
+  try {
+    const { page, limit, skip } = parseAdminPage(req.query);
+    const query = {};
+    if (typeof req.query.search === 'string' && req.query.search) {
+      const search = req.query.search.slice(0, 100);
+      query.$or = [
+        { userId: search },
+        { tempId: search },
+        { nickname: { $regex: escapeRegex(search), $options: 'i' } }
+      ];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('userId nickname anonymousId strikeCount lastStrikeAt createdAt') // tempId는 로그인에 쓰이므로 제외
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    res.status(200).json({ success: true, data: { users, total, page, limit, hasMore: skip + users.length < total } });
+  } catch (error) {
+    logger.error('사용자 목록 조회 실패', { error });
+    res.status(500).json({ success: false, message: '사용자 목록 조회 실패' });
+  }
+});
+
+// 사용자 삭제 (연결 종료, 참가한 방과 첨부 파일 업로더 목록에서 제거, purgeMessages=true면 메시지도 삭제)
+app.delete('/api/admin/users/:userId', requireAdminKey('users:write'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = await User.findOne({ userId });
+    if (!user) {
+      return res.status(404).json({ success: false, code: 'user_not_found', message: '사용자를 찾을 수 없습니다.' });
     }
 
+    io.in(userRoom(userId)).disconnectSockets(true);
+    await Promise.all([
+      Room.updateMany(
+        { $or: [{ participants: user.tempId }, { moderatorTempIds: user.tempId }] },
+        { $pull: { participants: user.tempId, moderatorTempIds: user.tempId } }
+      ),
+      Attachment.updateMany({ uploaders: userId }, { $pull: { uploaders: userId } }),
+      User.deleteOne({ userId })
+    ]);
+
+    const purged = req.query.purgeMessages === 'true' ? await purgeUserMessages(userId) : null;
+
+    logger.info(`관리자 사용자 삭제: ${userId}, 관리자 키 ${req.adminKey.keyId}`);
+    res.locals.audit = {
+      action: 'users.delete',
+      targetType: 'user',
+      targetId: userId,
+      details: { purgedMessages: purged ? purged.deletedCount : 0 }
+    };
     res.status(200).json({
       success: true,
-      message: '채팅방 참가 성공',
-      roomInfo: {
-        securityEnabled: room.securityEnabled,
-        securityLevel: room.securityLevel
-      }
+      data: { userId, purgedMessages: purged ? purged.deletedCount : 0 }
     });
   } catch (error) {
-    console.error('채팅방 참가 실패:', error);
-    res.status(500).json({ success: false, message: '채팅방 참가 실패' });
+    logger.error('사용자 삭제 실패', { error });
+    res.status(500).json({ success: false, message: '사용자 삭제 실패' });
   }
 });
 
-// 보안 통계 조회 API
-app.get('/api/security/stats', async (req, res) => {
-  try {
-    const { roomId, userId, startDate, endDate } = req.query;
-
-    let query = {};
-    if (roomId) query.roomId = roomId;
-    if (userId) query.userId = userId;
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) query.timestamp.$gte = new Date(startDate);
-      if (endDate) query.timestamp.$lte = new Date(endDate);
-    }
-
-    const logs = await SecurityLog.find(query);
-
-    const stats = {
-      totalChecks: logs.length,
-      threatsDetected: logs.filter(log => log.threatDetected).length,
-      threatsByLevel: {
-        safe: logs.filter(log => log.threatLevel === 'safe').length,
-        low: logs.filter(log => log.threatLevel === 'low').length,
-        medium: logs.filter(log => log.threatLevel === 'medium').length,
-        high: logs.filter(log => log.threatLevel === 'high').length,
-        critical: logs.filter(log => log.threatLevel === 'critical').length
-      },
-      actionsTaken: {
-        allow: logs.filter(log => log.action === 'allow').length,
-        warn: logs.filter(log => log.action === 'warn').length,
-        block: logs.filter(log => log.action === 'block').length
-      }
+// 사용자 메시지 일괄 삭제
+app.delete('/api/admin/users/:userId/messages', requireAdminKey('users:write'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const result = await purgeUserMessages(userId);
+
+    logger.info(`관리자 메시지 일괄 삭제: ${userId}, ${result.deletedCount}개, 관리자 키 ${req.adminKey.keyId}`);
+    res.locals.audit = {
+      action: 'users.messages.purge',
+      targetType: 'user',
+      targetId: userId,
+      details: result
     };
-
-    res.status(200).json({
-      success: true,
-      data: stats
-    });
+    res.status(200).json({ success: true, data: { userId, ...result } });
   } catch (error) {
-    console.error('보안 통계 조회 실패:', error);
-    res.status(500).json({ success: false, message: '보안 통계 조회 실패' });
+    logger.error('메시지 일괄 삭제 실패', { error });
+    res.status(500).json({ success: false, message: '메시지 일괄 삭제 실패' });
   }
 });
 
-// PhishTank 상태 확인 API
-app.get('/api/security/phishtank/status', async (req, res) => {
+// 채팅방 목록 조회 (search: roomId 일치 또는 이름 부분 일치, visibility로 필터링)
+app.get('/api/admin/rooms', requireAdminKey('rooms:read'), async (req, res) => {
   try {
-    // 캐시 통계
-    const cacheCount = await PhishTankCache.countDocuments();
-    const expiredCount = await PhishTankCache.countDocuments({
-      expiresAt: { $lt: new Date() }
-    });
+    const { page, limit, skip } = parseAdminPage(req.query);
+    const query = {};
+    if (typeof req.query.search === 'string' && req.query.search) {
+      const search = req.query.search.slice(0, 100);
+      query.$or = [{ roomId: search }, { name: { $regex: escapeRegex(search), $options: 'i' } }];
+    }
+    if (roomAccess.VISIBILITIES.includes(req.query.visibility)) {
+      query.visibility = req.query.visibility;
+    }
+
+    const [rooms, total] = await Promise.all([
+      Room.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Room.countDocuments(query)
+    ]);
 
     res.status(200).json({
       success: true,
       data: {
-        cacheSize: cacheCount,
-        expiredEntries: expiredCount,
-        activeEntries: cacheCount - expiredCount
+        rooms: rooms.map(room => ({
+          roomId: room.roomId,
+          name: room.name,
+          createdAt: room.createdAt,
+          ownerTempId: room.ownerTempId || room.creatorTempId,
+          visibility: room.visibility || 'public',
+          e2ee: room.e2ee,
+          securityLevel: room.securityLevel,
+          participantCount: (room.participants || []).length,
+          messageSeq: room.messageSeq
+        })),
+        total,
+        page,
+        limit,
+        hasMore: skip + rooms.length < total
       }
     });
   } catch (error) {
-    console.error('PhishTank 상태 확인 실패:', error);
-    res.status(500).json({ success: false, message: 'PhishTank 상태 확인 실패' });
+    logger.error('채팅방 목록 조회 실패', { error });
+    res.status(500).json({ success: false, message: '채팅방 목록 조회 실패' });
   }
 });
 
-// PhishTank 캐시 초기화 API
-app.delete('/api/security/phishtank/cache', async (req, res) => {
+// 채팅방 삭제 (메시지와 초대 코드 포함)
+app.delete('/api/admin/rooms/:roomId', requireAdminKey('rooms:write'), async (req, res) => {
   try {
-    await PhishTankCache.deleteMany({});
-    console.log('PhishTank 캐시 초기화 완료');
+    const room = await Room.findOne({ roomId: req.params.roomId });
+    if (!room) {
+      return res.status(404).json({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.' });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'PhishTank 캐시가 초기화되었습니다'
+    const result = await roomCommandService.deleteRoom(room, '관리자가 채팅방을 삭제했습니다.', {
+      command: 'delete',
+      actor: 'admin'
     });
+
+    logger.info(`관리자 채팅방 삭제: ${room.roomId}, 관리자 키 ${req.adminKey.keyId}`);
+    res.locals.audit = { action: 'rooms.delete', targetType: 'room', targetId: room.roomId, details: { name: room.name } };
+    res.status(200).json({ success: true, data: result.data });
   } catch (error) {
-    console.error('PhishTank 캐시 초기화 실패:', error);
-    res.status(500).json({ success: false, message: 'PhishTank 캐시 초기화 실패' });
+    logger.error('채팅방 삭제 실패', { error });
+    res.status(500).json({ success: false, message: '채팅방 삭제 실패' });
+  }
+});
+
+// 데이터셋과 URL 평판 제공자 설정 조회
+function describeSecurityConfig() {
+  return {
+    datasets: datasetDetector.getDatasetStats(),
+    urlReputation: {
+      providers: urlReputation.describeProviders(),
+      defaults: urlReputation.getDefaults()
+    },
+    phishtank: phishTankProvider.describeConfig()
+  };
+}
+
+app.get('/api/admin/config', requireAdminKey('config:read'), (req, res) => {
+  res.status(200).json({ success: true, data: describeSecurityConfig() });
+});
+
+// 데이터셋 교체 (datasetDir을 지정하면 그 디렉터리에서, 없으면 현재 디렉터리에서 다시 로드)
+app.post('/api/admin/config/datasets/reload', requireAdminKey('config:write'), validateBody(schemas.rest.reloadDatasets), (req, res) => {
+  const { datasetDir } = req.body;
+
+  const previousDir = datasetDetector.getDatasetStats().datasetDir;
+  const reloaded = datasetDetector.loadDatasets(datasetDir) && attachmentScanner.loadHashBlocklist();
+  res.locals.audit = {
+    action: 'config.datasets.reload',
+    targetType: 'config',
+    targetId: 'datasets',
+    details: { previousDir, datasetDir: datasetDir || previousDir, reloaded }
+  };
+  if (!reloaded) {
+    return res.status(500).json({ success: false, message: '데이터셋 다시 로드 실패 (기존 데이터셋 유지)' });
+  }
+
+  logger.info(`관리자 데이터셋 교체: ${datasetDir || previousDir}, 관리자 키 ${req.adminKey.keyId}`);
+  res.status(200).json({ success: true, data: describeSecurityConfig() });
+});
+
+// URL 평판 배포 기본값 변경 (이 인스턴스에만 적용, 재시작하면 환경 변수 값으로 돌아감)
+app.put('/api/admin/config/url-reputation', requireAdminKey('config:write'), validateBody(schemas.rest.updateUrlReputation), (req, res) => {
+  const previous = urlReputation.getDefaults();
+  const error = urlReputation.setDefaults(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, code: 'invalid_config', message: error });
   }
+
+  const current = urlReputation.getDefaults();
+  logger.info(`관리자 URL 평판 기본값 변경: ${current.providers.join(', ')} (${current.failMode}), 관리자 키 ${req.adminKey.keyId}`);
+  res.locals.audit = { action: 'config.url_reputation.update', targetType: 'config', targetId: 'url-reputation', details: { previous, current } };
+  res.status(200).json({ success: true, data: describeSecurityConfig() });
+});
+
+// PhishTank API 키 교체 (apiKey가 null이면 키 없이 호출, 이 인스턴스에만 적용)
+app.put('/api/admin/config/providers/phishtank', requireAdminKey('config:write'), validateBody(schemas.rest.updatePhishTank), (req, res) => {
+  const { apiKey } = req.body;
+  phishTankProvider.setApiKey(apiKey);
+  const config = phishTankProvider.describeConfig();
+  logger.info(`관리자 PhishTank API 키 교체: ${config.apiKeyHint || '없음'}, 관리자 키 ${req.adminKey.keyId}`);
+  // 감사 로그에는 키 값 대신 끝 4자만 기록
+  res.locals.audit = { action: 'config.phishtank.rotate_key', targetType: 'config', targetId: 'phishtank', details: config };
+  res.status(200).json({ success: true, data: describeSecurityConfig() });
 });
 
 // Socket.io 연결 처리
 io.on('connection', (socket) => {
-  console.log('새로운 클라이언트 연결:', socket.id);
+  const { user } = socket.data;
+  logger.info(`새로운 클라이언트 연결: ${socket.id}, 사용자 ${user.userId}`);
+
+  // 사용자 개별 알림용 룸 입장
+  socket.join(userRoom(user.userId));
+  presence.attach(socket, user);
+
+  // 모든 이벤트에 속도 제한 및 도배 검사 적용 (거부된 이벤트는 처리하지 않음)
+  socket.use((packet, next) => {
+    const [event, data] = packet;
+    const payload = data && typeof data === 'object' ? data : { roomId: typeof data === 'string' ? data : undefined };
+    let result;
+    try {
+      result = floodGuard.check({
+        userId: user.userId,
+        event,
+        roomId: typeof payload.roomId === 'string' ? payload.roomId : undefined,
+        content: payload.content,
+        messageId: typeof payload.messageId === 'string' ? payload.messageId : undefined
+      });
+    } catch (error) {
+      // 미들웨어에서 예외가 나면 프로세스가 종료되므로 이벤트만 거부
+      logger.error('도배 검사 실패', { error, event });
+      return next(error);
+    }
+    // 허용된 이벤트의 처리 로그에는 소켓과 이벤트 정보가 붙음
+    if (result.allowed) return runWithContext({ socketId: socket.id, userId: user.userId, event }, next);
+
+    logger.info(`도배 방지: 사용자 ${user.userId}, 이벤트 ${event}, 사유 ${result.reason}`);
+    const limited = {
+      event,
+      reason: result.reason,
+      message: FLOOD_MESSAGES[result.reason],
+      messageId: payload.messageId,
+      retryAfter: Math.ceil(result.retryAfterMs / 1000) // 초
+    };
+    socket.emit('rate_limited', limited);
+
+    // ack를 기다리는 이벤트에는 거부 응답
+    const ack = packet[packet.length - 1];
+    if (typeof ack === 'function') {
+      ack({ success: false, code: 'rate_limited', ...limited });
+    }
+    saveFloodLog(user.userId, event, payload, result);
+
+    if (result.disconnect) {
+      io.in(userRoom(user.userId)).disconnectSockets(true);
+    }
+  });
 
   // 소켓 연결 오류 처리
   socket.on('error', (error) => {
-    console.error('소켓 오류:', error);
+    logger.error('소켓 오류', { error });
   });
 
   // 채팅방 입장
+  // REST API(/api/rooms/:roomId/join)로 참가한 방만 입장 가능 (비밀번호, 초대 코드 확인은 참가 시 수행)
   socket.on('join_room', async (roomId) => {
-    socket.join(roomId);
-    console.log(`클라이언트 ${socket.id}가 채팅방 ${roomId}에 입장했습니다.`);
-
-    // 방 정보 전송 (보안 설정 포함)
     try {
+      const { errors } = validate(schemas.socket.room, { roomId });
+      if (errors.length > 0) {
+        const { code, message, details } = validationError(errors);
+        socket.emit('join_denied', { code, reason: message, details });
+        return;
+      }
+
+      // 존재하지 않는 방과 참가하지 않은 방은 같은 응답으로 거부 (비공개 방 존재 여부 노출 방지)
       const room = await Room.findOne({ roomId });
-      if (room) {
-        socket.emit('room_info', {
-          securityEnabled: room.securityEnabled,
-          securityLevel: room.securityLevel
-        });
+      if (!room || !room.participants.includes(user.tempId)) {
+        socket.emit('join_denied', { roomId, code: 'not_participant', reason: '채팅방에 먼저 참가해야 합니다.' });
+        return;
+      }
+
+      // 강퇴 또는 차단된 사용자는 입장 불가
+      const sanction = await sanctionService.findBlockingSanction(user.userId, roomId, 'join');
+      if (sanction) {
+        socket.emit('join_denied', { roomId, ...describeSanction(sanction) });
+        return;
       }
+
+      await presence.join(socket, roomId);
+      logger.info(`클라이언트 ${socket.id}가 채팅방 ${roomId}에 입장했습니다.`);
+
+      // 방 정보 전송 (보안 설정 포함)
+      socket.emit('room_info', {
+        securityEnabled: room.securityEnabled,
+        securityLevel: room.securityLevel,
+        securityPolicy: moderationPolicy.resolveRoomPolicy(room),
+        retentionHours: room.retentionHours,
+        e2ee: room.e2ee,
+        visibility: room.visibility,
+        role: roomCommands.getRoomRole(room, user.tempId)
+      });
     } catch (error) {
-      console.error('방 정보 조회 실패:', error);
+      logger.error('채팅방 입장 처리 실패', { error });
     }
   });
 
   // 채팅방 퇴장
-  socket.on('leave_room', (roomId) => {
-    socket.leave(roomId);
-    console.log(`클라이언트 ${socket.id}가 채팅방 ${roomId}에서 퇴장했습니다.`);
+  socket.on('leave_room', async (roomId) => {
+    try {
+      if (validate(schemas.socket.room, { roomId }).errors.length > 0) return;
+
+      await presence.leave(socket, roomId);
+      logger.info(`클라이언트 ${socket.id}가 채팅방 ${roomId}에서 퇴장했습니다.`);
+    } catch (error) {
+      logger.error('채팅방 퇴장 처리 실패', { error });
+    }
+  });
+
+  // 입력 중 표시 (typing_stop이 오지 않아도 일정 시간 뒤 자동 종료)
+  // 형식이 잘못된 데이터는 응답 없이 무시
+  socket.on('typing_start', (data) => {
+    const { value, errors } = validate(schemas.socket.room, data);
+    if (errors.length === 0) presence.startTyping(socket, value.roomId);
+  });
+
+  socket.on('typing_stop', (data) => {
+    const { value, errors } = validate(schemas.socket.room, data);
+    if (errors.length === 0) presence.stopTyping(socket, value.roomId);
   });
 
   // 메시지 수신 및 브로드캐스팅
-  socket.on('send_message', async (messageData) => {
+  // ack 콜백으로 저장 결과 { success, status, duplicate, data } 또는 { success: false, code, message } 반환
+  // 데이터는 schemas.socket.sendMessage로 검증하고 스키마에 없는 필드는 버림
+  socket.on('send_message', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const { value: messageData, errors } = validate(schemas.socket.sendMessage, payload);
+
+    // 오류 응답 (기존 message_error 이벤트와 ack를 함께 전송)
+    const fail = (code, message, extra = {}) => {
+      socket.emit('message_error', { message, code, ...extra, messageData });
+      respond({ success: false, code, message, messageId: messageData.messageId, ...extra });
+    };
+
+    if (errors.length > 0) {
+      const { code, message, details } = validationError(errors);
+      return fail(code, message, { details });
+    }
+
     try {
-      console.log('메시지 수신:', messageData);
-      const { messageId: clientMessageId, roomId, sender, content, senderAnonymousId, senderNickname, senderUniqueId } = messageData;
+      logger.debug('메시지 수신', { roomId: messageData.roomId, messageId: messageData.messageId });
+      const { messageId: clientMessageId, roomId, content } = messageData;
+
+      // 보낸 사람 정보는 클라이언트 값이 아닌 세션의 User 기록에서 채움
+      const sender = user.userId;
+      const senderAnonymousId = user.anonymousId;
+      const senderNickname = user.nickname;
+      const senderUniqueId = user.uniqueIdentifier;
 
       // 메시지 ID 사용 또는 생성
       const messageId = clientMessageId || uuidv4();
 
+      // 같은 messageId 재전송은 이미 처리된 결과를 그대로 돌려줌 (재연결 후 재시도 대비)
+      const previous = await findPreviousSend(messageId, sender, roomId);
+      if (previous) {
+        if (previous.conflict) {
+          return fail('message_id_conflict', '이미 다른 메시지에 사용된 ID입니다.');
+        }
+        logger.info(`중복 전송 무시: ${messageId}`);
+        return respond(previous.response);
+      }
+
       // 채팅방 존재 여부 및 보안 설정 확인
       const room = await Room.findOne({ roomId });
       if (!room) {
-        console.error(`메시지 전송 실패: 채팅방 ${roomId}를 찾을 수 없음`);
-        socket.emit('message_error', {
-          message: '채팅방을 찾을 수 없습니다.',
-          messageData
-        });
-        return;
+        logger.error(`메시지 전송 실패: 채팅방 ${roomId}를 찾을 수 없음`);
+        return fail('room_not_found', '채팅방을 찾을 수 없습니다.');
       }
 
-      // 보안 검사 수행
-      let securityResult = {
-        isThreat: false,
-        threatLevel: 'safe',
-        threatType: 'safe',
-        confidenceScore: 0,
-        detectedKeywords: [],
-        reason: '안전한 메시지입니다.'
-      };
+      // 참가하지 않은 방에는 전송 불가
+      if (!room.participants.includes(user.tempId)) {
+        logger.error(`메시지 전송 거부: 사용자 ${sender}는 채팅방 ${roomId}의 참가자가 아님`);
+        return fail('not_participant', '채팅방에 참가한 사용자만 메시지를 보낼 수 있습니다.');
+      }
+
+      // 뮤트, 강퇴, 차단 제재 확인
+      const sanction = await sanctionService.findBlockingSanction(sender, roomId, 'send');
+      if (sanction) {
+        logger.info(`메시지 전송 거부: 사용자 ${sender} 제재 중 (${sanction.type})`);
+        return fail('sanctioned', sanction.reason, { sanction: describeSanction(sanction) });
+      }
+
+      // 메시지를 보냈으므로 입력 중 표시 종료
+      presence.stopTyping(socket, roomId);
+
+      // 답장이면 같은 방의 대상 메시지를 확인해 인용 요약을 저장 (답장 내용도 아래 보안 검사를 그대로 거침)
+      let reply = {};
+      if (messageData.replyTo) {
+        reply = await threadService.resolveReplyTarget(roomId, messageData.replyTo);
+        if (reply.error) {
+          return fail(reply.error.code, reply.error.message);
+        }
+      }
+
+      // E2EE 방은 서버가 내용을 볼 수 없으므로 키워드 검사 대신 클라이언트 검사 증명을 기록
+      let envelope;
+      let attachments = [];
+      if (room.e2ee) {
+        if (messageData.attachments !== undefined) {
+          return fail('invalid_attachments', 'E2EE 방에는 첨부 파일을 보낼 수 없습니다.');
+        }
+        const prepared = await prepareEncryptedMessage(user, room, messageId, messageData);
+        if (prepared.error) {
+          return fail(prepared.error.code, prepared.error.message);
+        }
+        envelope = prepared.envelope;
+        if (prepared.attestation) {
+          await saveAttestationLog(messageId, room, sender, prepared.attestation);
+        }
+      } else {
+        const resolved = await resolveMessageAttachments(user, messageData.attachments);
+        if (resolved.error) {
+          return fail(resolved.error.code, resolved.error.message);
+        }
+        attachments = resolved.attachments;
 
-      if (room.securityEnabled) {
-        console.log(`보안 검사 수행: 모드=${room.securityLevel}, 내용=${content.substring(0, 50)}...`);
-        securityResult = await performSecurityCheck(content, room.securityLevel);
-
-        // 보안 로그 저장
-        const action = securityResult.isThreat ?
-          (securityResult.threatLevel === 'critical' || securityResult.threatLevel === 'high' ? 'block' : 'warn') :
-          'allow';
-
-        await saveSecurityLog(messageId, roomId, sender, securityResult, action);
-
-        // 위험한 메시지 차단 (설정에 따라)
-        if (securityResult.isThreat && securityResult.confidenceScore >= 0.7) {
-          console.log(`메시지 차단됨: ${messageId}, 위험도: ${securityResult.confidenceScore}`);
-          socket.emit('message_blocked', {
-            messageId,
-            reason: securityResult.reason,
-            threatLevel: securityResult.threatLevel,
-            detectedKeywords: securityResult.detectedKeywords
+        // 첨부 파일이 있으면 내용 없이 보낼 수 있음
+        const hasText = typeof content === 'string' && content.trim() !== '';
+        const attachmentOnly = attachments.length > 0 && (content === undefined || content === '');
+        if (!hasText && !attachmentOnly) {
+          return fail('invalid_message', '메시지 형식이 올바르지 않습니다.');
+        }
+      }
+
+      // 보안 검사 수행 및 방 정책에 따른 최종 조치 결정 (로그와 실제 처리에 같은 값을 사용)
+      const serverChecked = room.securityEnabled && !room.e2ee;
+      const { action, securityResult, storedContent, pending } = room.e2ee
+        ? { action: 'allow', securityResult: { isThreat: false }, storedContent: undefined, pending: null }
+        : await moderateMessageContent(room, content || '', attachments);
+
+      if (serverChecked) {
+        // 보안 로그 저장 (URL 검사를 기다리는 메시지는 최종 결과가 나올 때 저장)
+        if (!pending) {
+          await saveSecurityLog(messageId, roomId, sender, securityResult, action, {
+            expiresAt: getSecurityLogExpiry(room)
           });
+        }
+
+        // 위험한 메시지 차단 (방 정책에 따라)
+        if (action === 'block') {
+          logger.info(`메시지 차단됨: ${messageId}, 위험도: ${securityResult.confidenceScore}`);
+          messagesTotal.inc({ action });
+          const blocked = buildBlockedNotice(messageId, securityResult);
+          socket.emit('message_blocked', blocked);
+          respond({ success: false, code: 'message_blocked', message: blocked.reason, ...blocked });
           return; // 메시지 전송 중단
         }
       }
 
-      // 메시지 저장
+      // 메시지 저장 (순번을 받는 사이에 방이 삭제되었으면 중단)
+      const moderationStatus = action === 'hold' ? 'held' : (action === 'redact' ? 'redacted' : 'visible');
+      const seq = action === 'hold' ? undefined : await nextMessageSeq(roomId);
+      if (seq === null) {
+        logger.warn(`메시지 전송 실패: 채팅방 ${roomId}가 삭제됨`);
+        return fail('room_not_found', '채팅방을 찾을 수 없습니다.');
+      }
       const newMessage = new Message({
         messageId,
         roomId,
         sender,
-        content,
+        content: storedContent,
+        envelope,
+        attachments,
+        replyTo: reply.replyTo,
+        threadId: reply.threadId,
         senderAnonymousId,
         senderNickname,
         senderUniqueId,
-        securityChecked: room.securityEnabled,
-        securityResult: room.securityEnabled ? securityResult : undefined
+        securityChecked: serverChecked,
+        moderationStatus,
+        moderationAction: action,
+        securityResult: serverChecked ? securityResult : undefined,
+        seq,
+        expiresAt: getMessageExpiry(room)
       });
 
-      console.log('메시지 저장 시도:', {
+      logger.debug('메시지 저장 시도', {
         messageId,
         roomId,
-        sender: sender.substring(0, 10) + '...',  // 개인정보 일부만 로그
-        contentLength: content.length,
-        securityChecked: room.securityEnabled,
+        contentLength: envelope ? envelope.ciphertext.length : storedContent.length,
+        attachmentCount: attachments.length,
+        securityChecked: serverChecked,
         threatDetected: securityResult.isThreat
       });
 
-      const savedMessage = await newMessage.save();
-      console.log(`메시지 저장 성공: ID ${messageId}, 방 ID ${roomId}`);
+      let savedMessage;
+      try {
+        savedMessage = await newMessage.save();
+      } catch (error) {
+        // 같은 messageId가 동시에 두 번 도착한 경우 먼저 저장된 결과를 돌려줌
+        if (error.code === 11000) {
+          const duplicate = await findPreviousSend(messageId, sender, roomId);
+          if (duplicate && !duplicate.conflict) return respond(duplicate.response);
+          return fail('message_id_conflict', '이미 다른 메시지에 사용된 ID입니다.');
+        }
+        throw error;
+      }
+      logger.info(`메시지 저장 성공: ID ${messageId}, 방 ID ${roomId}`);
+      messagesTotal.inc({ action });
 
-      // 같은 방에 있는 모든 클라이언트에게 메시지 전송
-      const messageToSend = {
-        messageId,
-        roomId,
-        sender,
-        content,
-        senderAnonymousId,
-        senderNickname,
-        senderUniqueId,
-        createdAt: savedMessage.createdAt,
-        securityInfo: room.securityEnabled ? {
-          checked: true,
-          isThreat: securityResult.isThreat,
+      // URL 검사가 끝나지 않은 메시지는 먼저 전달하고 결과가 나오면 반영
+      if (pending) {
+        scheduleDeferredSecurityResult(savedMessage, room, pending);
+      }
+
+      // 검토 대기 메시지는 브로드캐스트하지 않고 보낸 사람에게만 알림
+      if (action === 'hold') {
+        logger.info(`메시지 검토 대기: ${messageId}`);
+        socket.emit('message_held', {
+          messageId,
+          reason: securityResult.reason,
           threatLevel: securityResult.threatLevel,
-          hasWarning: securityResult.isThreat && securityResult.confidenceScore < 0.7
-        } : { checked: false }
-      };
+          threatType: securityResult.threatType,
+          keywordSpans: securityResult.keywordSpans || []
+        });
+        respond(buildSendAck(savedMessage, false));
+        return;
+      }
+
+      // 같은 방에 있는 모든 클라이언트에게 메시지 전송
+      const messageToSend = buildClientMessage(savedMessage);
 
-      console.log(`메시지 브로드캐스팅: 방 ID ${roomId}, 메시지 ID ${messageId}`);
+      logger.info(`메시지 브로드캐스팅: 방 ID ${roomId}, 메시지 ID ${messageId}`);
       io.to(roomId).emit('receive_message', messageToSend);
+      respond(buildSendAck(savedMessage, false));
+      await threadService.handleReplyChange(savedMessage);
+
+      logger.info(`메시지가 채팅방 ${roomId}에 전송됨`);
+    } catch (error) {
+      logger.error('메시지 전송 실패', { error });
+      fail('internal_error', '메시지 전송 실패');
+    }
+  });
+
+  // 메시지 수정 (보낸 사람만) - 수정된 내용으로 보안 검사를 다시 수행
+  socket.on('edit_message', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const { value: data, errors } = validate(schemas.socket.editMessage, payload);
+    const fail = (code, message, extra = {}) => {
+      socket.emit('message_error', { message, code, messageId: data.messageId, ...extra });
+      respond({ success: false, code, message, messageId: data.messageId, ...extra });
+    };
+
+    if (errors.length > 0) {
+      const { code, message, details } = validationError(errors);
+      return fail(code, message, { details });
+    }
+
+    try {
+      const { messageId, content } = data;
+
+      const message = await Message.findOne({ messageId });
+      if (!message) {
+        return fail('message_not_found', '메시지를 찾을 수 없습니다.');
+      }
+      if (message.sender !== user.userId) {
+        return fail('not_sender', '보낸 사람만 메시지를 수정할 수 있습니다.');
+      }
+      if (!['visible', 'redacted'].includes(message.moderationStatus)) {
+        return fail('not_editable', '검토 중이거나 거절된 메시지는 수정할 수 없습니다.');
+      }
+
+      const room = await Room.findOne({ roomId: message.roomId });
+      if (!room) {
+        return fail('room_not_found', '채팅방을 찾을 수 없습니다.');
+      }
+
+      const sanction = await sanctionService.findBlockingSanction(user.userId, room.roomId, 'send');
+      if (sanction) {
+        return fail('sanctioned', sanction.reason);
+      }
+
+      // E2EE 방은 새 봉투와 증명으로 수정
+      let envelope;
+      if (room.e2ee) {
+        const prepared = await prepareEncryptedMessage(user, room, messageId, data);
+        if (prepared.error) {
+          return fail(prepared.error.code, prepared.error.message);
+        }
+        envelope = prepared.envelope;
+        if (prepared.attestation) {
+          await saveAttestationLog(messageId, room, user.userId, prepared.attestation);
+        }
+      } else if (typeof content !== 'string' || content.trim() === '') {
+        return fail('invalid_message', '메시지 형식이 올바르지 않습니다.');
+      }
+
+      // 첨부 파일은 수정할 수 없지만 새 내용과 함께 다시 검사
+      const serverChecked = room.securityEnabled && !room.e2ee;
+      const { action, securityResult, storedContent, pending } = room.e2ee
+        ? { action: 'allow', securityResult: { isThreat: false }, storedContent: undefined, pending: null }
+        : await moderateMessageContent(room, content, message.attachments || []);
+
+      if (serverChecked) {
+        if (!pending) {
+          await saveSecurityLog(messageId, room.roomId, user.userId, securityResult, action, {
+            expiresAt: getSecurityLogExpiry(room)
+          });
+        }
+
+        // 차단되면 기존 내용 유지
+        if (action === 'block') {
+          logger.info(`메시지 수정 차단됨: ${messageId}`);
+          const blocked = buildBlockedNotice(messageId, securityResult);
+          socket.emit('message_blocked', blocked);
+          return respond({ success: false, code: 'message_blocked', message: blocked.reason, ...blocked });
+        }
+      }
+
+      // 수정된 메시지는 새 순번을 받아 재접속한 클라이언트의 sync_room에도 포함됨
+      const moderationStatus = action === 'hold' ? 'held' : (action === 'redact' ? 'redacted' : 'visible');
+      const seq = action === 'hold' ? undefined : await nextMessageSeq(room.roomId);
+      if (seq === null) {
+        logger.warn(`메시지 수정 실패: 채팅방 ${room.roomId}가 삭제됨`);
+        return fail('room_not_found', '채팅방을 찾을 수 없습니다.');
+      }
+      const updated = await Message.findOneAndUpdate(
+        { messageId, sender: user.userId, moderationStatus: { $in: ['visible', 'redacted'] } },
+        {
+          content: storedContent,
+          envelope,
+          editedAt: new Date(),
+          moderationStatus,
+          moderationAction: action,
+          securityResult: serverChecked ? securityResult : undefined,
+          seq
+        },
+        { new: true }
+      );
+      if (!updated) {
+        return fail('not_editable', '검토 중이거나 거절된 메시지는 수정할 수 없습니다.');
+      }
+      if (pending) {
+        scheduleDeferredSecurityResult(updated, room, pending);
+      }
+
+      // 검토 대기로 바뀐 메시지는 승인 전까지 다른 사용자에게서 숨김
+      if (action === 'hold') {
+        logger.info(`수정된 메시지 검토 대기: ${messageId}`);
+        await threadService.hideReplyPreviews([messageId]);
+        await threadService.handleReplyChange(updated);
+        socket.to(room.roomId).emit('message_deleted', { messageId, roomId: room.roomId, reason: 'held' });
+        socket.emit('message_held', {
+          messageId,
+          reason: securityResult.reason,
+          threatLevel: securityResult.threatLevel,
+          threatType: securityResult.threatType,
+          keywordSpans: securityResult.keywordSpans || []
+        });
+        return respond(buildSendAck(updated, false));
+      }
+
+      logger.info(`메시지 수정됨: ${messageId}`);
+      await threadService.refreshReplyPreviews(updated);
+      io.to(room.roomId).emit('message_updated', buildClientMessage(updated));
+      respond(buildSendAck(updated, false));
+    } catch (error) {
+      logger.error('메시지 수정 실패', { error });
+      fail('internal_error', '메시지 수정 실패');
+    }
+  });
+
+  // 메시지 삭제 (보낸 사람만)
+  socket.on('delete_message', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const { value: data, errors } = validate(schemas.socket.deleteMessage, payload);
+    const fail = (code, message, extra = {}) => {
+      socket.emit('message_error', { message, code, messageId: data.messageId, ...extra });
+      respond({ success: false, code, message, messageId: data.messageId, ...extra });
+    };
+
+    if (errors.length > 0) {
+      const { code, message, details } = validationError(errors);
+      return fail(code, message, { details });
+    }
+
+    try {
+      const { messageId } = data;
+
+      const message = await Message.findOne({ messageId });
+      if (!message) {
+        return fail('message_not_found', '메시지를 찾을 수 없습니다.');
+      }
+      if (message.sender !== user.userId) {
+        return fail('not_sender', '보낸 사람만 메시지를 삭제할 수 있습니다.');
+      }
+
+      await Message.deleteOne({ messageId, sender: user.userId });
+      logger.info(`메시지 삭제됨: ${messageId}`);
+
+      // 검토 대기 중이던 메시지는 다른 사용자에게 전달된 적이 없으므로 알리지 않음
+      if (message.moderationStatus !== 'held' && message.moderationStatus !== 'rejected') {
+        io.to(message.roomId).emit('message_deleted', { messageId, roomId: message.roomId, reason: 'deleted' });
+        await threadService.hideReplyPreviews([messageId]);
+        await threadService.handleReplyChange(message);
+      }
+
+      respond({ success: true, messageId });
+    } catch (error) {
+      logger.error('메시지 삭제 실패', { error });
+      fail('internal_error', '메시지 삭제 실패');
+    }
+  });
+
+  // 메시지 반응 { messageId, emoji, action: 'add' | 'remove' } - 바뀐 반응은 방 전체에 reaction_updated로 전송
+  // ack 콜백으로 { success, data: { roomId, messageId, reactions } } 또는 { success: false, code, message } 반환
+  socket.on('react_message', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : result => socket.emit('reaction_result', result);
+    const { value: data, errors } = validate(schemas.socket.reactMessage, payload);
+    if (errors.length > 0) {
+      return respond({ ...validationError(errors), messageId: data.messageId });
+    }
+
+    try {
+      const { status, ...result } = await reactionService.react(user, data);
+      respond({ ...result, messageId: data.messageId });
+    } catch (error) {
+      logger.error('메시지 반응 처리 실패', { error });
+      respond({ success: false, code: 'internal_error', message: '메시지 반응 처리 실패', messageId: data.messageId });
+    }
+  });
+
+  // 방 관리 명령 { roomId, command, ...params } (promote, kick, mute, ban, pin, rename, delete)
+  // ack 콜백으로 { success, data } 또는 { success: false, code, message } 반환
+  socket.on('room_command', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : result => socket.emit('room_command_result', result);
+    const { value: data, errors } = validate(schemas.socket.roomCommand, payload);
+    if (errors.length > 0) {
+      return respond({ ...validationError(errors), roomId: data.roomId, command: data.command });
+    }
+
+    try {
+      const { roomId, command, ...params } = data;
+      const { status, ...result } = await roomCommandService.execute(user, roomId, command, params);
+      respond({ ...result, roomId, command });
+    } catch (error) {
+      logger.error('방 관리 명령 처리 실패', { error });
+      respond({ success: false, code: 'internal_error', message: '방 관리 명령 처리 중 오류가 발생했습니다.', roomId: data.roomId, command: data.command });
+    }
+  });
+
+  // 재접속 후 놓친 메시지 동기화 - { roomId, lastMessageId } 이후에 전달된 메시지를 순번 순서로 반환
+  // lastMessageId가 없으면 최근 메시지 반환, hasMore가 true이면 마지막 메시지 ID로 다시 요청
+  socket.on('sync_room', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : result => socket.emit('room_synced', result);
+    const { value: data, errors } = validate(schemas.socket.syncRoom, payload);
+    if (errors.length > 0) {
+      return respond({ ...validationError(errors), roomId: data.roomId });
+    }
+
+    try {
+      const { roomId, lastMessageId } = data;
+      const room = await Room.findOne({ roomId });
+      if (!room) {
+        return respond({ success: false, code: 'room_not_found', message: '채팅방을 찾을 수 없습니다.', roomId });
+      }
 
-      console.log(`메시지가 채팅방 ${roomId}에 전송됨`);
+      if (!room.participants.includes(user.tempId)) {
+        return respond({ success: false, code: 'not_participant', message: '채팅방에 참가한 사용자만 메시지를 볼 수 있습니다.', roomId });
+      }
+
+      const filter = { roomId, moderationStatus: { $nin: ['held', 'rejected'] }, expiresAt: { $not: { $lte: new Date() } } };
+      if (lastMessageId) {
+        const cursor = await Message.findOne({ roomId, messageId: lastMessageId }).select('seq createdAt');
+        if (!cursor) {
+          return respond({ success: false, code: 'cursor_not_found', message: '기준 메시지를 찾을 수 없습니다.', roomId });
+        }
+
+        if (cursor.seq) {
+          filter.seq = { $gt: cursor.seq };
+        } else {
+          // 순번이 없는 이전 메시지는 작성 시각 기준
+          filter.$or = [
+            { createdAt: { $gt: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { $gt: cursor._id } }
+          ];
+        }
+      }
+
+      // 기준이 있으면 오래된 순, 없으면 최신 순으로 읽어 뒤집음 (순번이 없는 이전 메시지가 먼저 정렬됨)
+      const direction = lastMessageId ? 1 : -1;
+      const page = await Message.find(filter)
+        .sort({ seq: direction, createdAt: direction, _id: direction })
+        .limit(SYNC_MAX_MESSAGES + 1)
+        .lean();
+
+      const hasMore = lastMessageId ? page.length > SYNC_MAX_MESSAGES : false;
+      if (page.length > SYNC_MAX_MESSAGES) page.pop();
+      if (!lastMessageId) page.reverse();
+
+      const policy = room.securityEnabled ? moderationPolicy.resolveRoomPolicy(room) : null;
+      const messages = page
+        .map(message => moderationPolicy.presentStoredMessage(policy, message))
+        .filter(Boolean)
+        .map(buildClientMessage);
+
+      logger.info(`메시지 동기화: 방 ID ${roomId}, 기준 ${lastMessageId || '없음'}, ${messages.length}개`);
+      respond({
+        success: true,
+        roomId,
+        data: messages,
+        hasMore,
+        lastMessageId: page.length > 0 ? page[page.length - 1].messageId : (lastMessageId || null)
+      });
     } catch (error) {
-      console.error('메시지 전송 실패:', error);
-      socket.emit('message_error', {
-        message: '메시지 전송 실패',
-        error: error.toString(),
-        messageData
+      logger.error('메시지 동기화 실패', { error });
+      respond({ success: false, code: 'internal_error', message: '메시지 동기화 실패', roomId: data.roomId });
+    }
+  });
+
+  // 메시지/사용자 신고
+  socket.on('report_message', async (payload) => {
+    const { value: data, errors } = validate(schemas.socket.report, payload);
+    if (errors.length > 0) {
+      socket.emit('report_error', { ...validationError(errors), messageId: data.messageId });
+      return;
+    }
+
+    try {
+      const result = await submitReport(user, data);
+      if (!result.report) {
+        socket.emit('report_error', { code: result.code, message: result.message, messageId: data.messageId });
+        return;
+      }
+
+      socket.emit('report_received', {
+        reportId: result.report.reportId,
+        messageId: result.report.messageId,
+        status: result.report.status
       });
+    } catch (error) {
+      logger.error('신고 처리 실패', { error });
+      socket.emit('report_error', { code: 'internal_error', message: '신고 처리 실패', messageId: data.messageId });
     }
   });
 
   // 보안 검사 요청 (실시간)
-  socket.on('security_check', async (data) => {
+  socket.on('security_check', async (payload) => {
+    const { value: data, errors } = validate(schemas.socket.securityCheck, payload);
+    if (errors.length > 0) {
+      socket.emit('security_error', validationError(errors));
+      return;
+    }
+
     try {
       const { content, securityMode = 'basic' } = data;
-      console.log(`실시간 보안 검사 요청: ${content.substring(0, 50)}...`);
+      logger.debug('실시간 보안 검사 요청', { contentLength: content.length });
 
       const result = await performSecurityCheck(content, securityMode);
 
@@ -773,22 +3475,70 @@ io.on('connection', (socket) => {
         timestamp: new Date()
       });
     } catch (error) {
-      console.error('실시간 보안 검사 실패:', error);
-      socket.emit('security_error', {
-        message: '보안 검사 실패',
-        error: error.toString()
-      });
+      logger.error('실시간 보안 검사 실패', { error });
+      socket.emit('security_error', { success: false, code: 'internal_error', message: '보안 검사 실패' });
     }
   });
 
+  // 연결 해제 직전 접속 상태 정리 (방 목록이 남아 있는 disconnecting 단계에서 처리)
+  socket.on('disconnecting', () => {
+    presence.handleDisconnecting(socket, [userRoom(user.userId)]);
+  });
+
   // 연결 해제
   socket.on('disconnect', (reason) => {
-    console.log(`클라이언트 연결 해제: ${socket.id}, 이유: ${reason}`);
+    logger.info(`클라이언트 연결 해제: ${socket.id}, 이유: ${reason}`);
   });
 });
 
-// 서버 상태 체크 API 추가
-app.get('/api/status', async (req, res) => {
+// 헬스 체크 API (인증 없이 동작 여부만)
+app.get('/api/health', (req, res) => {
+  res.status(200).json({
+    success: true,
+    time: new Date().toISOString(),
+    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
+  });
+});
+
+// 소켓과 채팅방, MongoDB 상태 지표 (이 인스턴스 기준)
+metrics.gauge({
+  name: 'treehideout_active_sockets',
+  help: 'Socket.io connections on this instance.',
+  collect: () => io.engine.clientsCount
+});
+metrics.gauge({
+  name: 'treehideout_active_rooms',
+  help: 'Chat rooms with at least one connected socket on this instance.',
+  // 어댑터의 룸 목록에는 소켓 ID와 사용자별 룸도 있으므로 제외
+  collect: () => [...io.of('/').adapter.rooms.keys()]
+    .filter(name => !name.startsWith('user:') && !io.of('/').sockets.has(name))
+    .length
+});
+metrics.gauge({
+  name: 'treehideout_mongo_ready',
+  help: 'Whether the MongoDB connection is ready (1) or not (0).',
+  collect: () => (mongoose.connection.readyState === 1 ? 1 : 0)
+});
+
+// 지표 API (Prometheus 수집용, METRICS_TOKEN을 설정하면 Authorization: Bearer 토큰 필요)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN) {
+    const token = session.extractBearerToken(req.headers.authorization) || '';
+    const expected = crypto.createHash('sha256').update(METRICS_TOKEN).digest();
+    const actual = crypto.createHash('sha256').update(token).digest();
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return res.status(401).json({ success: false, code: 'unauthorized', message: '유효한 지표 토큰이 필요합니다.' });
+    }
+  }
+
+  res.setHeader('Content-Type', metrics.CONTENT_TYPE);
+  res.status(200).send(metrics.registry.render());
+});
+
+// 서버 상태 체크 API (관리자)
+app.get('/api/status', requireAdminKey('status:read'), async (req, res) => {
   try {
     // 데이터베이스 연결 상태 확인
     const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
@@ -804,7 +3554,9 @@ app.get('/api/status', async (req, res) => {
       message: '서버가 정상적으로 동작 중입니다.',
       time: new Date().toISOString(),
       database: dbStatus,
-      socketConnections: io.engine.clientsCount,
+      socketConnections: io.engine.clientsCount, // 이 인스턴스에 연결된 소켓 수
+      socketAdapter: socketAdapter.SOCKET_ADAPTER,
+      rateLimitStore: RATE_LIMIT_STORE,
       statistics: {
         users: userCount,
         rooms: roomCount,
@@ -813,15 +3565,15 @@ app.get('/api/status', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('서버 상태 확인 실패:', error);
-    res.status(500).json({
-      success: false,
-      message: '서버 상태 확인 실패',
-      error: error.message
-    });
+    logger.error('서버 상태 확인 실패', { error });
+    res.status(500).json({ success: false, message: '서버 상태 확인 실패' });
   }
 });
 
+// 일치하는 라우트가 없는 API 요청과 처리되지 않은 오류 (본문 JSON 파싱 오류 포함)
+app.use('/api', apiErrors.notFoundHandler);
+app.use(apiErrors.errorHandler);
+
 // 정기적으로 만료된 PhishTank 캐시 정리
 setInterval(async () => {
   try {
@@ -829,18 +3581,25 @@ setInterval(async () => {
       expiresAt: { $lt: new Date() }
     });
     if (result.deletedCount > 0) {
-      console.log(`만료된 PhishTank 캐시 ${result.deletedCount}개 삭제됨`);
+      logger.info(`만료된 PhishTank 캐시 ${result.deletedCount}개 삭제됨`);
     }
   } catch (error) {
-    console.error('PhishTank 캐시 정리 실패:', error);
+    logger.error('PhishTank 캐시 정리 실패', { error });
   }
 }, 60 * 60 * 1000); // 1시간마다 실행
 
-// 서버 시작
+// 서버 시작 (다중 인스턴스용 어댑터는 연결을 받기 전에 적용)
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`서버가 포트 ${PORT}에서 실행 중입니다.`);
-  console.log(`소켓 서버가 포트 ${PORT}에서 실행 중입니다.`);
-  console.log('AI 보안 검열 시스템이 활성화되었습니다.');
-  console.log('PhishTank 통합 지원이 활성화되었습니다.');
-});
\ No newline at end of file
+socketAdapter.attachSocketAdapter(io, mongoose.connection)
+  .then((adapter) => {
+    server.listen(PORT, () => {
+      logger.info(`서버가 포트 ${PORT}에서 실행 중입니다.`);
+      logger.info(`소켓 서버가 포트 ${PORT}에서 실행 중입니다. (어댑터: ${adapter}, 요청 제한 저장소: ${RATE_LIMIT_STORE})`);
+      logger.info('AI 보안 검열 시스템이 활성화되었습니다.');
+      logger.info('PhishTank 통합 지원이 활성화되었습니다.');
+    });
+  })
+  .catch((error) => {
+    logger.error('Socket.io 어댑터 연결 실패', { error });
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const datasetDetector = require('../security/datasetDetector');
+
+const DATASET_FILES = ['vocabulary.json', 'phishing_keywords.json', 'malware_patterns.json', 'scam_keywords.json'];
+
+// 저장소의 키워드 목록을 복사한 임시 데이터셋 디렉터리
+function createDatasetDir(t, modelContent) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'datasets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const file of DATASET_FILES) {
+    fs.copyFileSync(path.join(datasetDetector.DATASET_DIR, file), path.join(dir, file));
+  }
+  if (modelContent !== undefined) {
+    fs.writeFileSync(path.join(dir, 'text_classifier.json'), modelContent);
+  }
+  return dir;
+}
+
+test('loadDatasets - 저장소 데이터셋과 분류 모델 로드', () => {
+  assert.equal(datasetDetector.loadDatasets(datasetDetector.DATASET_DIR), true);
+  const stats = datasetDetector.getDatasetStats();
+  assert.ok(stats.loadedAt instanceof Date);
+  assert.ok(stats.phishing_keywords > 0);
+  assert.ok(stats.classifier);
+});
+
+test('loadDatasets - 분류 모델이 잘못되어도 키워드 검사는 로드', async (t) => {
+  const models = {
+    'JSON 오류': '{',
+    '형식 불일치': JSON.stringify({ type: 'unknown', version: 1 }),
+    '필드 누락': JSON.stringify({ type: 'char_ngram_naive_bayes', version: 1, labels: ['safe', 'phishing'] })
+  };
+
+  for (const [name, content] of Object.entries(models)) {
+    await t.test(name, (t) => {
+      const dir = createDatasetDir(t, content);
+      assert.equal(datasetDetector.loadDatasets(dir), true);
+
+      const stats = datasetDetector.getDatasetStats();
+      assert.equal(stats.datasetDir, dir);
+      assert.equal(stats.classifier, null);
+      const result = datasetDetector.detectThreat('계정 확인 부탁드립니다');
+      assert.ok(result.detectedKeywords.includes('계정 확인'));
+      assert.equal(result.categories.classifier.score, 0);
+    });
+  }
+});
+
+test('loadDatasets - 분류 모델 파일이 없으면 키워드 검사만 사용', (t) => {
+  const dir = createDatasetDir(t);
+  assert.equal(datasetDetector.loadDatasets(dir), true);
+  assert.equal(datasetDetector.getDatasetStats().classifier, null);
+});
+
+test('loadDatasets - 키워드 목록을 읽지 못하면 이전 데이터셋 유지', (t) => {
+  assert.equal(datasetDetector.loadDatasets(datasetDetector.DATASET_DIR), true);
+  const before = datasetDetector.getDatasetStats();
+
+  const dir = createDatasetDir(t);
+  fs.writeFileSync(path.join(dir, 'scam_keywords.json'), '{');
+  assert.equal(datasetDetector.loadDatasets(dir), false);
+
+  assert.deepEqual(datasetDetector.getDatasetStats(), before);
+  assert.ok(datasetDetector.detectThreat('계정 확인 부탁드립니다').detectedKeywords.includes('계정 확인'));
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const floodGuard = require('../moderation/floodGuard');
+
+// 환경 변수 기본값에 영향받지 않도록 옵션을 모두 지정하고, 시각(now)은 직접 넘김
+const OPTIONS = {
+  userBurst: 3,
+  userRatePerSecond: 1,
+  roomBurst: 100,
+  roomRatePerSecond: 10,
+  duplicateWindowMs: 30000,
+  duplicateLimit: 2,
+  similarityThreshold: 0.85,
+  violationWindowMs: 60000,
+  disconnectAfter: 100,
+  disconnectMs: 60000,
+  idleMs: 600000
+};
+
+function createGuard(overrides = {}) {
+  return floodGuard.createFloodGuard({ ...OPTIONS, ...overrides });
+}
+
+test('normalizeForComparison, similarity - 대소문자, 문장 부호, 반복 문자 무시한 다이스 계수', () => {
+  assert.equal(floodGuard.normalizeForComparison('Hello!!! ㅋㅋㅋㅋㅋ'), 'helloㅋㅋ');
+  assert.equal(floodGuard.normalizeForComparison(undefined), '');
+  assert.equal(floodGuard.similarity('abcd', 'abcd'), 1);
+  assert.equal(floodGuard.similarity('ab', 'cd'), 0);
+  assert.equal(floodGuard.similarity('a', 'a'), 1);
+  assert.equal(floodGuard.similarity('a', 'b'), 0);
+  assert.equal(floodGuard.similarity('night', 'nacht'), 0.25);
+});
+
+test('토큰 버킷 - 연속 허용량을 넘으면 user_rate, 시간이 지나면 회복', () => {
+  const guard = createGuard();
+  const join = { userId: 'u1', event: 'join_room', roomId: 'r1' };
+
+  for (let i = 0; i < 3; i++) {
+    assert.deepEqual(guard.check(join, 0), { allowed: true });
+  }
+  assert.deepEqual(guard.check(join, 0), { allowed: false, reason: 'user_rate', retryAfterMs: 1000, disconnect: false });
+  assert.equal(guard.check(join, 500).retryAfterMs, 500);
+  assert.equal(guard.check(join, 1000).allowed, true);
+
+  // 다른 사용자는 따로 계산, 제한 없는 이벤트는 항상 허용
+  assert.equal(guard.check({ ...join, userId: 'u2' }, 1000).allowed, true);
+  assert.deepEqual(guard.check({ userId: 'u1', event: 'typing_start', roomId: 'r1' }, 1000), { allowed: true });
+});
+
+test('토큰 버킷 - 방별 메시지 제한은 사용자와 관계없이 적용', () => {
+  const guard = createGuard({ roomBurst: 2, roomRatePerSecond: 1 });
+  const send = (userId, content) => guard.check({ userId, event: 'send_message', roomId: 'r1', content }, 0);
+
+  assert.equal(send('u1', '안녕하세요').allowed, true);
+  assert.equal(send('u2', '반가워요').allowed, true);
+  const denied = send('u3', '오늘 날씨 좋네요');
+  assert.equal(denied.reason, 'room_rate');
+  assert.equal(denied.retryAfterMs, 1000);
+  assert.equal(guard.check({ userId: 'u3', event: 'send_message', roomId: 'r2', content: '오늘 날씨 좋네요' }, 0).allowed, true);
+});
+
+test('중복 메시지 - 같거나 거의 같은 메시지를 기간 안에 반복하면 duplicate', () => {
+  const guard = createGuard({ userBurst: 100 });
+  const send = (content, now, messageId) => guard.check({ userId: 'u1', event: 'send_message', roomId: 'r1', content, messageId }, now);
+
+  assert.equal(send('buy cheap coins now', 0, 'm1').allowed, true);
+  assert.equal(send('Buy cheap coins now!!', 1000, 'm2').allowed, true);
+
+  // 한 글자만 다른 메시지도 비슷한 메시지로 판단 (다이스 계수 28/30)
+  assert.deepEqual(send('buy cheap coins nov', 2000, 'm3'), {
+    allowed: false,
+    reason: 'duplicate',
+    retryAfterMs: 28000,
+    disconnect: false
+  });
+
+  // 다른 내용, 같은 messageId 재전송은 허용
+  assert.equal(send('회의 몇 시에 시작해요?', 2000, 'm4').allowed, true);
+  assert.equal(send('buy cheap coins now', 3000, 'm2').allowed, true);
+
+  // 첫 메시지가 기간을 벗어나면 다시 보낼 수 있음
+  assert.equal(send('buy cheap coins now', 30000, 'm5').allowed, true);
+});
+
+test('위반 누적 - 기간 안에 disconnectAfter번 위반하면 연결 해제', () => {
+  const guard = createGuard({ userBurst: 1, disconnectAfter: 3, violationWindowMs: 10000 });
+  const ping = now => guard.check({ userId: 'u1', event: 'join_room', roomId: 'r1' }, now);
+
+  assert.equal(ping(0).allowed, true);
+  assert.equal(ping(0).disconnect, false);
+  assert.equal(ping(0).disconnect, false);
+  assert.deepEqual(ping(0), { allowed: false, reason: 'user_rate', retryAfterMs: 60000, disconnect: true });
+
+  // 연결 해제 기간에는 모든 이벤트 거부
+  assert.deepEqual(ping(1000), { allowed: false, reason: 'disconnected', retryAfterMs: 59000, disconnect: true });
+  assert.equal(guard.getDisconnectRemaining('u1', 1000), 59000);
+  assert.equal(guard.getDisconnectRemaining('u2', 1000), 0);
+
+  // 해제 기간이 끝나면 다시 허용
+  assert.equal(ping(60000).allowed, true);
+  assert.equal(guard.getDisconnectRemaining('u1', 60000), 0);
+});
+
+test('위반 누적 - 기간이 지난 위반은 세지 않음', () => {
+  const guard = createGuard({ userBurst: 1, disconnectAfter: 3, violationWindowMs: 10000 });
+  const ping = now => guard.check({ userId: 'u1', event: 'join_room', roomId: 'r1' }, now);
+
+  ping(0);
+  assert.equal(ping(0).disconnect, false);
+  assert.equal(ping(0).disconnect, false);
+
+  assert.equal(ping(20000).allowed, true);
+  assert.equal(ping(20000).disconnect, false);
+  assert.equal(ping(20000).disconnect, false);
+  assert.equal(ping(20000).disconnect, true);
+});
+
+test('prune - 오래 활동이 없는 상태는 지우되 연결 해제 중인 사용자는 유지', () => {
+  // 토큰이 거의 회복되지 않게 해서 prune으로 상태가 지워졌는지 확인
+  const guard = createGuard({ userBurst: 1, userRatePerSecond: 0.0001, disconnectAfter: 1, idleMs: 1000 });
+
+  guard.check({ userId: 'idle', event: 'join_room' }, 0);
+  guard.check({ userId: 'blocked', event: 'join_room' }, 0);
+  assert.equal(guard.check({ userId: 'blocked', event: 'join_room' }, 0).disconnect, true);
+
+  guard.prune(5000);
+  assert.equal(guard.getDisconnectRemaining('blocked', 5000), 55000);
+  // 지워진 사용자는 버킷이 가득 찬 상태로 다시 시작
+  assert.equal(guard.check({ userId: 'idle', event: 'join_room' }, 5000).allowed, true);
+});
@@ -0,0 +1,195 @@
+// 보안 로그 통계 조건 파싱과 집계
+// 집계 파이프라인은 MongoDB에서 실행되므로 실제 집계 결과는 TEST_MONGODB_URI가 있을 때만 확인하고,
+// 그 외에는 파이프라인 구성과 집계 결과를 응답으로 바꾸는 부분을 확인한다.
+//   예: TEST_MONGODB_URI="mongodb://localhost:27017/treehideout-test" npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const logAnalytics = require('../security/logAnalytics');
+
+const MONGODB_URI = process.env.TEST_MONGODB_URI;
+const NOW = new Date('2024-05-10T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+test('parseLogFilter - 조회 조건을 $match로 변환', () => {
+  assert.deepEqual(logAnalytics.parseLogFilter({
+    roomId: 'room-1',
+    action: 'block',
+    threatLevel: 'high',
+    startDate: '2024-05-01T00:00:00Z',
+    endDate: '2024-05-02T00:00:00Z',
+    ignored: 'x'
+  }), {
+    errors: [],
+    match: {
+      roomId: 'room-1',
+      action: 'block',
+      threatLevel: 'high',
+      timestamp: { $gte: new Date('2024-05-01T00:00:00Z'), $lte: new Date('2024-05-02T00:00:00Z') }
+    }
+  });
+  assert.deepEqual(logAnalytics.parseLogFilter(), { errors: [], match: {} });
+});
+
+test('parseLogFilter - 잘못된 조건은 모두 오류로 모음', () => {
+  const { errors } = logAnalytics.parseLogFilter({
+    userId: '',
+    roomId: ['a', 'b'],
+    action: 'delete',
+    threatLevel: 'severe',
+    startDate: 'yesterday'
+  });
+  assert.equal(errors.length, 5);
+
+  const reversed = logAnalytics.parseLogFilter({ startDate: '2024-05-02', endDate: '2024-05-01' });
+  assert.deepEqual(reversed.errors, ['startDate는 endDate보다 앞서야 합니다.']);
+});
+
+test('parseStatsOptions - 기본값과 시계열 기간', () => {
+  assert.deepEqual(logAnalytics.parseStatsOptions({}, {}, NOW), {
+    errors: [],
+    options: { interval: 'hour', page: 1, limit: 10, seriesStart: new Date(NOW.getTime() - 48 * HOUR_MS), seriesEnd: NOW }
+  });
+
+  // 지정한 기간이 interval 최대 범위를 넘으면 끝에서부터 최대 범위만 사용
+  const { match } = logAnalytics.parseLogFilter({ startDate: '2023-01-01T00:00:00Z', endDate: '2024-05-10T00:00:00Z' });
+  const { options } = logAnalytics.parseStatsOptions({ interval: 'hour', limit: '500', page: '3' }, match, NOW);
+  assert.equal(options.limit, 100);
+  assert.equal(options.page, 3);
+  assert.deepEqual(options.seriesEnd, new Date('2024-05-10T00:00:00Z'));
+  assert.deepEqual(options.seriesStart, new Date('2024-04-09T00:00:00Z'));
+});
+
+test('parseStatsOptions - 잘못된 interval, page, limit', () => {
+  const result = logAnalytics.parseStatsOptions({ interval: 'week', page: '0', limit: 'many' }, {}, NOW);
+  assert.equal(result.options, null);
+  assert.equal(result.errors.length, 3);
+});
+
+test('buildStatsPipeline - 조회 조건, 시계열 기간, 페이지 적용', () => {
+  const match = { roomId: 'room-1' };
+  const { options } = logAnalytics.parseStatsOptions({ interval: 'day', page: '2', limit: '5' }, match, NOW);
+  const pipeline = logAnalytics.buildStatsPipeline(match, options);
+
+  assert.deepEqual(pipeline[0], { $match: match });
+  const { $facet: facet } = pipeline[1];
+  assert.deepEqual(facet.timeSeries[0], { $match: { timestamp: { $gte: options.seriesStart, $lte: options.seriesEnd } } });
+  assert.equal(facet.timeSeries[1].$group._id.$dateToString.format, '%Y-%m-%dT00:00:00.000Z');
+  assert.deepEqual(facet.topUsers.at(-1).$project.items, { $slice: ['$items', 5, 5] });
+  assert.deepEqual(facet.topKeywords[0], { $unwind: '$detectedKeywords' });
+});
+
+test('buildStatsPipeline - $facet 안에 $facet을 쓰지 않음 (MongoDB에서 허용하지 않음)', () => {
+  const { options } = logAnalytics.parseStatsOptions({}, {}, NOW);
+  const [, { $facet: facet }] = logAnalytics.buildStatsPipeline({}, options);
+  for (const [name, stages] of Object.entries(facet)) {
+    for (const stage of stages) {
+      assert.ok(!('$facet' in stage), `${name}에 $facet 사용`);
+    }
+  }
+});
+
+test('getSecurityStats - 집계 결과를 응답 형식으로 변환', async () => {
+  const { options } = logAnalytics.parseStatsOptions({ limit: '2' }, {}, NOW);
+  let pipeline = null;
+  const SecurityLog = {
+    aggregate: async (stages) => {
+      pipeline = stages;
+      return [{
+        totals: [{ _id: null, totalChecks: 5, threatsDetected: 3 }],
+        byLevel: [{ _id: 'safe', count: 2 }, { _id: 'high', count: 3 }],
+        byAction: [{ _id: 'allow', count: 2 }, { _id: 'block', count: 3 }],
+        byThreatType: [{ _id: 'phishing', count: 2 }, { _id: 'scam', count: 1 }],
+        timeSeries: [{ _id: '2024-05-10T11:00:00.000Z', total: 5, threats: 3, blocked: 3 }],
+        topKeywords: [{ total: 3, items: [{ _id: '계정 확인', count: 2 }, { _id: '송금', count: 1 }] }],
+        topUsers: [{ total: 2, items: [{ _id: 'user-1', count: 2 }, { _id: 'user-2', count: 1 }] }],
+        topRooms: []
+      }];
+    }
+  };
+
+  const stats = await logAnalytics.getSecurityStats(SecurityLog, {}, options);
+  assert.deepEqual(pipeline, logAnalytics.buildStatsPipeline({}, options));
+  assert.equal(stats.totalChecks, 5);
+  assert.equal(stats.threatsDetected, 3);
+  assert.deepEqual(stats.threatsByLevel, { safe: 2, low: 0, medium: 0, high: 3, critical: 0 });
+  assert.deepEqual(stats.actionsTaken, { allow: 2, warn: 0, hold: 0, redact: 0, block: 3, throttle: 0, disconnect: 0 });
+  assert.deepEqual(stats.threatsByType, { phishing: 2, scam: 1 });
+  assert.deepEqual(stats.timeSeries.buckets, [{ bucket: new Date('2024-05-10T11:00:00.000Z'), total: 5, threats: 3, blocked: 3 }]);
+  assert.deepEqual(stats.topKeywords, {
+    items: [{ keyword: '계정 확인', count: 2 }, { keyword: '송금', count: 1 }],
+    total: 3,
+    page: 1,
+    limit: 2,
+    hasMore: true
+  });
+  assert.equal(stats.topUsers.hasMore, false);
+  assert.deepEqual(stats.topRooms, { items: [], total: 0, page: 1, limit: 2, hasMore: false });
+});
+
+test('getSecurityStats - 로그가 없으면 0으로 채움', async () => {
+  const { options } = logAnalytics.parseStatsOptions({}, {}, NOW);
+  const empty = { totals: [], byLevel: [], byAction: [], byThreatType: [], timeSeries: [], topKeywords: [], topUsers: [], topRooms: [] };
+  const stats = await logAnalytics.getSecurityStats({ aggregate: async () => [empty] }, {}, options);
+  assert.equal(stats.totalChecks, 0);
+  assert.equal(stats.threatsDetected, 0);
+  assert.equal(stats.threatsByLevel.critical, 0);
+  assert.deepEqual(stats.threatsByType, {});
+  assert.deepEqual(stats.topKeywords.items, []);
+});
+
+test('toCsvCell - 배열, 날짜, 따옴표, 수식 주입 방지', () => {
+  assert.equal(logAnalytics.toCsvCell(null), '');
+  assert.equal(logAnalytics.toCsvCell(['계정 확인', '송금']), '계정 확인|송금');
+  assert.equal(logAnalytics.toCsvCell(new Date('2024-05-01T00:00:00Z')), '2024-05-01T00:00:00.000Z');
+  assert.equal(logAnalytics.toCsvCell('a,"b"'), '"a,""b"""');
+  assert.equal(logAnalytics.toCsvCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+  assert.equal(logAnalytics.toCsvCell('-1'), "'-1");
+  assert.equal(logAnalytics.toCsvCell(true), 'true');
+});
+
+test('getSecurityStats - 실제 집계 (MongoDB)', { skip: !MONGODB_URI && 'TEST_MONGODB_URI가 없어 건너뜀' }, async (t) => {
+  const connection = await mongoose.createConnection(MONGODB_URI).asPromise();
+  const SecurityLog = connection.model(`SecurityLogTest${process.pid}`, new mongoose.Schema({
+    timestamp: Date,
+    roomId: String,
+    userId: String,
+    threatDetected: Boolean,
+    threatLevel: String,
+    threatType: String,
+    action: String,
+    detectedKeywords: [String]
+  }));
+  t.after(async () => {
+    await SecurityLog.collection.drop().catch(() => {});
+    await connection.close();
+  });
+
+  const at = hoursAgo => new Date(NOW.getTime() - hoursAgo * HOUR_MS);
+  await SecurityLog.create([
+    { timestamp: at(1), roomId: 'room-1', userId: 'user-1', threatDetected: true, threatLevel: 'high', threatType: 'phishing', action: 'block', detectedKeywords: ['계정 확인', '송금'] },
+    { timestamp: at(1), roomId: 'room-1', userId: 'user-1', threatDetected: true, threatLevel: 'medium', threatType: 'phishing', action: 'hold', detectedKeywords: ['계정 확인'] },
+    { timestamp: at(2), roomId: 'room-2', userId: 'user-2', threatDetected: true, threatLevel: 'high', threatType: 'scam', action: 'block', detectedKeywords: ['송금'] },
+    { timestamp: at(2), roomId: 'room-2', userId: 'user-3', threatDetected: false, threatLevel: 'safe', threatType: 'safe', action: 'allow', detectedKeywords: [] },
+    { timestamp: at(100), roomId: 'room-1', userId: 'user-1', threatDetected: true, threatLevel: 'low', threatType: 'scam', action: 'warn', detectedKeywords: ['대출'] }
+  ]);
+
+  const { options } = logAnalytics.parseStatsOptions({ limit: '1', page: '2' }, {}, NOW);
+  const stats = await logAnalytics.getSecurityStats(SecurityLog, {}, options);
+
+  assert.equal(stats.totalChecks, 5);
+  assert.equal(stats.threatsDetected, 4);
+  assert.deepEqual(stats.threatsByLevel, { safe: 1, low: 1, medium: 1, high: 2, critical: 0 });
+  assert.equal(stats.actionsTaken.block, 2);
+  assert.deepEqual(stats.threatsByType, { phishing: 2, scam: 2 });
+  // 시계열은 최근 48시간만 (100시간 전 로그 제외)
+  assert.deepEqual(stats.timeSeries.buckets.map(bucket => [bucket.bucket.toISOString(), bucket.total, bucket.threats, bucket.blocked]), [
+    ['2024-05-10T10:00:00.000Z', 2, 1, 1],
+    ['2024-05-10T11:00:00.000Z', 2, 2, 1]
+  ]);
+  // 키워드 순위: 계정 확인 2, 송금 2, 대출 1 → 2페이지(1개씩)는 송금
+  assert.deepEqual(stats.topKeywords, { items: [{ keyword: '송금', count: 2 }], total: 3, page: 2, limit: 1, hasMore: true });
+  assert.deepEqual(stats.topUsers.items, [{ userId: 'user-2', count: 1 }]);
+  assert.equal(stats.topUsers.total, 2);
+  assert.equal(stats.topRooms.hasMore, false);
+});
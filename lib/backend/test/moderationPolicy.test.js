@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const moderationPolicy = require('../security/moderationPolicy');
+
+const { createPolicy, mergePolicy, evaluatePolicy, redactContent, presentStoredMessage } = moderationPolicy;
+
+// 키워드 검사 결과 (datasetDetector.detectThreat와 같은 형태)
+const SAFE_RESULT = {
+  isThreat: false,
+  threatLevel: 'safe',
+  threatType: 'safe',
+  confidenceScore: 0,
+  detectedKeywords: [],
+  reason: '안전한 메시지입니다.'
+};
+
+function threatResult(overrides = {}) {
+  return {
+    isThreat: true,
+    threatLevel: 'high',
+    threatType: 'phishing',
+    confidenceScore: 0.7,
+    detectedKeywords: ['계정 확인'],
+    reason: '피싱 키워드 탐지.',
+    ...overrides
+  };
+}
+
+test('evaluatePolicy - 거부 키워드는 안전한 검사 결과보다 우선', () => {
+  const policy = mergePolicy(createPolicy('basic'), { denyKeywords: ['스포일러'], denyAction: 'redact' });
+
+  const decision = evaluatePolicy(policy, SAFE_RESULT, '어제 본 영화 스 포 일 러 있음');
+  assert.equal(decision.action, 'redact');
+  assert.equal(decision.isThreat, true);
+  assert.equal(decision.threatType, 'custom_keyword');
+  assert.deepEqual(decision.detectedKeywords, ['스포일러']);
+
+  assert.equal(evaluatePolicy(policy, SAFE_RESULT, '어제 본 영화 재밌었어').action, 'allow');
+});
+
+test('evaluatePolicy - 허용 키워드로만 탐지되면 allow', () => {
+  const policy = mergePolicy(createPolicy('basic'), { allowKeywords: ['계정 확인'] });
+
+  const decision = evaluatePolicy(policy, threatResult(), '학교 포털 계정 확인했어');
+  assert.equal(decision.action, 'allow');
+  assert.equal(decision.isThreat, false);
+  assert.equal(decision.threatType, 'safe');
+  assert.deepEqual(decision.detectedKeywords, []);
+
+  // 허용하지 않은 키워드가 같이 있으면 검사 결과대로 처리
+  const mixed = evaluatePolicy(policy, threatResult({ detectedKeywords: ['계정 확인', '비밀번호 변경'] }), '');
+  assert.equal(mixed.action, 'block');
+  assert.deepEqual(mixed.detectedKeywords, ['비밀번호 변경']);
+});
+
+test('evaluatePolicy - phishing_url은 허용 키워드로 풀리지 않음', () => {
+  const url = 'http://login-verify.example';
+  const policy = mergePolicy(createPolicy('basic'), { allowKeywords: [url] });
+
+  const decision = evaluatePolicy(policy, threatResult({
+    threatLevel: 'critical',
+    threatType: 'phishing_url',
+    confidenceScore: 1,
+    detectedKeywords: [url],
+    reason: 'PhishTank 피싱 URL.'
+  }), url);
+  assert.equal(decision.action, 'block');
+  assert.equal(decision.isThreat, true);
+  assert.equal(decision.threatType, 'phishing_url');
+});
+
+test('evaluatePolicy - 위협 유형별 임계값', () => {
+  const policy = mergePolicy(createPolicy('basic'), { thresholds: { scam: 0.8 } });
+
+  // scam은 0.8 미만이면 허용, 다른 유형은 기본 임계값(0.3) 적용
+  const scam = evaluatePolicy(policy, threatResult({ threatType: 'scam' }), '');
+  assert.equal(scam.action, 'allow');
+  assert.equal(scam.isThreat, false);
+  assert.equal(scam.threatType, 'scam');
+  assert.equal(evaluatePolicy(policy, threatResult({ threatType: 'scam', confidenceScore: 0.85, threatLevel: 'critical' }), '').action, 'block');
+  assert.equal(evaluatePolicy(policy, threatResult(), '').action, 'block');
+
+  // 같은 결과라도 strict(기본 0.2, low → hold)에서는 검토 대기
+  const low = threatResult({ threatLevel: 'low', confidenceScore: 0.25 });
+  assert.equal(evaluatePolicy(createPolicy('basic'), low, '').action, 'allow');
+  assert.equal(evaluatePolicy(createPolicy('strict'), low, '').action, 'hold');
+});
+
+test('redactContent - 겹치거나 포함된 구간은 하나로 마스킹', () => {
+  assert.equal(redactContent('지금 계정 확인 요청 드립니다', ['계정 확인', '확인 요청']), '지금 *** 드립니다');
+  assert.equal(redactContent('계정확인 필요', ['계정 확인', '정확']), '*** 필요');
+  assert.equal(redactContent('계정 확인 후 비밀번호 변경', ['계정 확인', '비밀번호 변경']), '*** 후 ***');
+  assert.equal(redactContent('오늘 저녁 뭐 먹을래', ['계정 확인']), '오늘 저녁 뭐 먹을래');
+});
+
+test('presentStoredMessage - 검토가 끝난 메시지는 그대로 표시', () => {
+  const policy = createPolicy('strict');
+  const stored = {
+    content: '계정 확인 부탁드립니다',
+    securityChecked: true,
+    securityResult: threatResult({ threatLevel: 'critical', confidenceScore: 0.9 }),
+    moderationStatus: 'approved',
+    reviewedAt: new Date('2026-01-01T00:00:00Z')
+  };
+  assert.equal(presentStoredMessage(policy, stored), stored);
+
+  // 검토하지 않은 메시지에는 현재 정책 적용
+  const { reviewedAt, ...unreviewed } = stored;
+  assert.equal(presentStoredMessage(policy, unreviewed), null);
+
+  const redactPolicy = mergePolicy(policy, { levelActions: { critical: 'redact' } });
+  const redacted = presentStoredMessage(redactPolicy, unreviewed);
+  assert.equal(redacted.content, '*** 부탁드립니다');
+  assert.equal(redacted.moderationStatus, 'redacted');
+});
+
+test('validatePolicyUpdate - 알 수 없는 유형, 범위를 벗어난 임계값, 조치 거부', () => {
+  assert.deepEqual(moderationPolicy.validatePolicyUpdate({ thresholds: { scam: 0.5 }, denyAction: 'hold' }), []);
+  const errors = moderationPolicy.validatePolicyUpdate({
+    thresholds: { spam: 0.5, scam: 2 },
+    levelActions: { high: 'delete' },
+    allowKeywords: [1]
+  });
+  assert.equal(errors.length, 4);
+});
@@ -0,0 +1,117 @@
+// 방 비밀번호와 초대 코드 규칙
+// 초대 코드 사용 조건은 MongoDB 쿼리로 적용되므로 실제 동작은 TEST_MONGODB_URI가 있을 때만 확인한다.
+//   예: TEST_MONGODB_URI="mongodb://localhost:27017/treehideout-test" npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const roomAccess = require('../auth/roomAccess');
+
+const MONGODB_URI = process.env.TEST_MONGODB_URI;
+const HOUR_MS = 60 * 60 * 1000;
+
+test('validatePassword - 길이 제한', () => {
+  assert.equal(roomAccess.validatePassword('1234'), null);
+  assert.equal(roomAccess.validatePassword('a'.repeat(128)), null);
+  assert.match(roomAccess.validatePassword('123'), /4~128자/);
+  assert.match(roomAccess.validatePassword('a'.repeat(129)), /4~128자/);
+  assert.match(roomAccess.validatePassword(1234), /4~128자/);
+});
+
+test('hashPassword, verifyPassword - scrypt 해시 생성과 확인', async () => {
+  const hash = await roomAccess.hashPassword('방 비밀번호');
+  assert.match(hash, /^scrypt\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  assert.notEqual(await roomAccess.hashPassword('방 비밀번호'), hash, '같은 비밀번호도 솔트가 달라야 함');
+
+  assert.equal(await roomAccess.verifyPassword('방 비밀번호', hash), true);
+  assert.equal(await roomAccess.verifyPassword('방 비밀번호!', hash), false);
+  assert.equal(await roomAccess.verifyPassword('', hash), false);
+});
+
+test('verifyPassword - 잘못된 입력이나 해시는 false', async () => {
+  const hash = await roomAccess.hashPassword('1234');
+  const [, salt, derived] = hash.split('$');
+
+  assert.equal(await roomAccess.verifyPassword(1234, hash), false);
+  assert.equal(await roomAccess.verifyPassword('a'.repeat(129), hash), false);
+  assert.equal(await roomAccess.verifyPassword('1234', null), false);
+  assert.equal(await roomAccess.verifyPassword('1234', `bcrypt$${salt}$${derived}`), false);
+  assert.equal(await roomAccess.verifyPassword('1234', `scrypt$${salt}`), false);
+});
+
+test('generateInviteCode - base64url 12자', () => {
+  const codes = new Set();
+  for (let i = 0; i < 20; i++) {
+    const code = roomAccess.generateInviteCode();
+    assert.match(code, /^[A-Za-z0-9_-]{12}$/);
+    codes.add(code);
+  }
+  assert.equal(codes.size, 20);
+});
+
+test('parseInviteOptions - 기본값과 만료 시간, 사용 횟수 범위', () => {
+  assert.deepEqual(roomAccess.parseInviteOptions(), { errors: [], expiresInHours: 24, maxUses: 1 });
+  assert.deepEqual(roomAccess.parseInviteOptions({ expiresInHours: 720, maxUses: null }), { errors: [], expiresInHours: 720, maxUses: null });
+  assert.deepEqual(roomAccess.parseInviteOptions({ expiresInHours: 1, maxUses: 1000 }).errors, []);
+
+  for (const expiresInHours of [0, 721, 1.5, '24']) {
+    assert.equal(roomAccess.parseInviteOptions({ expiresInHours }).errors.length, 1, `expiresInHours ${expiresInHours}`);
+  }
+  for (const maxUses of [0, 1001, 2.5, '1']) {
+    assert.equal(roomAccess.parseInviteOptions({ maxUses }).errors.length, 1, `maxUses ${maxUses}`);
+  }
+  assert.equal(roomAccess.parseInviteOptions({ expiresInHours: 0, maxUses: 0 }).errors.length, 2);
+});
+
+test('usableInviteFilter - 방, 만료 시각, 남은 사용 횟수 조건', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  assert.deepEqual(roomAccess.usableInviteFilter('code1', 'room1', now), {
+    code: 'code1',
+    roomId: 'room1',
+    expiresAt: { $gt: now },
+    $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+  });
+});
+
+test('초대 코드 사용 - 만료, 사용 횟수 제한 (MongoDB)', { skip: !MONGODB_URI && 'TEST_MONGODB_URI가 없어 건너뜀' }, async (t) => {
+  const connection = await mongoose.createConnection(MONGODB_URI).asPromise();
+  const RoomInvite = connection.model(`RoomInviteTest${process.pid}`, new mongoose.Schema({
+    code: String,
+    roomId: String,
+    maxUses: { type: Number, default: null },
+    uses: { type: Number, default: 0 },
+    expiresAt: Date
+  }));
+  t.after(async () => {
+    await RoomInvite.collection.drop().catch(() => {});
+    await connection.close();
+  });
+
+  // server.js의 consumeInvite와 같은 방식으로 사용
+  const consume = (code, roomId, now) => RoomInvite.findOneAndUpdate(
+    roomAccess.usableInviteFilter(code, roomId, now), { $inc: { uses: 1 } }, { new: true }
+  );
+
+  const now = new Date();
+  await RoomInvite.create([
+    { code: 'once', roomId: 'room1', maxUses: 1, expiresAt: new Date(now.getTime() + HOUR_MS) },
+    { code: 'twice', roomId: 'room1', maxUses: 2, expiresAt: new Date(now.getTime() + HOUR_MS) },
+    { code: 'unlimited', roomId: 'room1', maxUses: null, expiresAt: new Date(now.getTime() + HOUR_MS) },
+    { code: 'expired', roomId: 'room1', maxUses: null, expiresAt: new Date(now.getTime() - 1) }
+  ]);
+
+  assert.equal((await consume('once', 'room1', now)).uses, 1);
+  assert.equal(await consume('once', 'room1', now), null);
+
+  assert.equal((await consume('twice', 'room1', now)).uses, 1);
+  assert.equal((await consume('twice', 'room1', now)).uses, 2);
+  assert.equal(await consume('twice', 'room1', now), null);
+
+  for (let i = 1; i <= 3; i++) {
+    assert.equal((await consume('unlimited', 'room1', now)).uses, i);
+  }
+  assert.equal(await consume('unlimited', 'room2', now), null, '다른 방의 초대 코드');
+  assert.equal(await consume('unlimited', 'room1', new Date(now.getTime() + HOUR_MS)), null, '만료 시각이 지난 뒤');
+
+  assert.equal(await consume('expired', 'room1', now), null);
+  assert.equal((await RoomInvite.findOne({ code: 'expired' })).uses, 0);
+});
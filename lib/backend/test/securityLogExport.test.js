@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const adminKeys = require('../auth/adminKeys');
+const logAnalytics = require('../security/logAnalytics');
+
+// 커서로 읽을 보안 로그 (SecurityLog.find().sort().limit().lean().cursor() 흉내)
+const LOGS = [
+  { logId: 'log-1', timestamp: new Date('2024-05-01T00:00:00Z'), roomId: 'room-1', userId: 'user-1', action: 'block', detectedKeywords: ['계정 확인'] },
+  { logId: 'log-2', timestamp: new Date('2024-05-02T00:00:00Z'), roomId: 'room-1', userId: 'user-2', action: 'allow', detectedKeywords: [] }
+];
+
+function createFakeSecurityLog(logs) {
+  const query = {
+    sort: () => query,
+    limit: (count) => {
+      query.count = count;
+      return query;
+    },
+    lean: () => query,
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* logs.slice(0, query.count);
+      },
+      close: async () => {}
+    })
+  };
+  return { find: () => query };
+}
+
+function createRecordingLogger() {
+  const entries = { info: [], error: [] };
+  return {
+    entries,
+    info: (message) => entries.info.push(message),
+    error: (message, meta) => entries.error.push({ message, meta })
+  };
+}
+
+// 실제 라우트와 같은 구성 (키 확인, 세션, 모더레이터 확인은 요청 주체만 설정하는 미들웨어로 대신함)
+async function startApp(logger, calls) {
+  const app = express();
+  const stubAdminKey = (req, res, next) => {
+    calls.push('adminKey');
+    req.adminKey = { keyId: '0123456789abcdef' };
+    next();
+  };
+  const stubSession = (req, res, next) => {
+    calls.push('session');
+    req.user = { userId: 'moderator-1' };
+    next();
+  };
+  const stubModerator = (req, res, next) => {
+    calls.push('moderator');
+    next();
+  };
+  app.get('/api/security/logs/export',
+    adminKeys.requireAdminKeyOr(stubAdminKey, stubSession, stubModerator),
+    logAnalytics.createExportHandler(createFakeSecurityLog(LOGS), { logger }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('보안 로그 내보내기 - 관리자 API 키', async (t) => {
+  const logger = createRecordingLogger();
+  const calls = [];
+  const { server, base } = await startApp(logger, calls);
+  t.after(() => server.close());
+
+  const response = await fetch(`${base}/api/security/logs/export?format=csv`, {
+    headers: { [adminKeys.ADMIN_KEY_HEADER]: 'tha_0123456789abcdef_secret' }
+  });
+  const body = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  const lines = body.trim().split('\r\n');
+  assert.equal(lines.length, 3); // 머리글 + 로그 2건
+  assert.ok(lines[1].startsWith('log-1,2024-05-01T00:00:00.000Z,room-1,user-1'));
+
+  // 키로 인증한 요청은 세션 확인을 거치지 않고, 요청 주체는 키 ID로 기록
+  assert.deepEqual(calls, ['adminKey']);
+  assert.deepEqual(logger.entries.error, []);
+  assert.deepEqual(logger.entries.info, ['보안 로그 내보내기: admin_key:0123456789abcdef, csv, 2건']);
+});
+
+test('보안 로그 내보내기 - 모더레이터 세션', async (t) => {
+  const logger = createRecordingLogger();
+  const calls = [];
+  const { server, base } = await startApp(logger, calls);
+  t.after(() => server.close());
+
+  const response = await fetch(`${base}/api/security/logs/export?format=json&limit=1`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.length, 1);
+  assert.equal(body[0].logId, 'log-1');
+  assert.deepEqual(calls, ['session', 'moderator']);
+  assert.deepEqual(logger.entries.info, ['보안 로그 내보내기: user:moderator-1, json, 1건']);
+});
+
+test('보안 로그 내보내기 - 잘못된 형식은 내보내기 전에 400', async (t) => {
+  const logger = createRecordingLogger();
+  const { server, base } = await startApp(logger, []);
+  t.after(() => server.close());
+
+  const response = await fetch(`${base}/api/security/logs/export?format=xml`);
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).code, 'invalid_query');
+});
+
+test('requireAdminKeyOr - 앞 미들웨어가 응답하면 다음 미들웨어를 실행하지 않음', () => {
+  const calls = [];
+  const reject = (req, res) => calls.push('rejected');
+  const never = () => calls.push('never');
+  const middleware = adminKeys.requireAdminKeyOr(never, reject, never);
+  middleware({ headers: {} }, {}, () => calls.push('next'));
+  assert.deepEqual(calls, ['rejected']);
+});
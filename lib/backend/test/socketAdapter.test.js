@@ -0,0 +1,106 @@
+// 다중 인스턴스 브로드캐스트 확인
+// 서로 다른 포트에서 MongoDB 어댑터를 붙인 Socket.io 서버 두 개를 띄우고, 한 서버의 io.to(roomId).emit이
+// 다른 서버에 연결된 클라이언트에 도착하는지 확인한다.
+// MongoDB 어댑터는 change stream을 쓰므로 레플리카 셋이 필요하다. TEST_MONGODB_URI가 없으면 건너뛴다.
+//   예: TEST_MONGODB_URI="mongodb://localhost:27017/treehideout-test?replicaSet=rs0" npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+
+const MONGODB_URI = process.env.TEST_MONGODB_URI;
+// 운영 이벤트 컬렉션과 섞이지 않도록 테스트 전용 컬렉션 사용 (모듈을 불러오기 전에 지정)
+process.env.SOCKET_ADAPTER_COLLECTION = `socket_io_adapter_test_${process.pid}`;
+const socketAdapter = require('../scaling/socketAdapter');
+
+const ROOM_ID = 'adapter-test-room';
+
+// 어댑터를 붙인 서버 인스턴스 시작 - 클라이언트는 join 이벤트로 방에 들어감
+async function startInstance() {
+  const connection = mongoose.createConnection(MONGODB_URI);
+  const server = http.createServer();
+  const io = new Server(server);
+  await socketAdapter.attachSocketAdapter(io, connection, 'mongo');
+
+  io.on('connection', (socket) => {
+    socket.on('join', (roomId, ack) => {
+      socket.join(roomId);
+      ack();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { io, server, connection, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function stopInstance({ io, connection }) {
+  await new Promise(resolve => io.close(() => resolve()));
+  await connection.close();
+}
+
+// 클라이언트 연결 후 방 참가
+async function connectToRoom(url, roomId) {
+  const client = connectClient(url, { transports: ['websocket'], reconnection: false });
+  await new Promise((resolve, reject) => {
+    client.once('connect', resolve);
+    client.once('connect_error', reject);
+  });
+  await new Promise(resolve => client.emit('join', roomId, resolve));
+  return client;
+}
+
+// 이벤트가 올 때까지 주기적으로 다시 보냄 (change stream이 열리기 전에 보낸 이벤트는 전달되지 않음)
+function waitForBroadcast(client, emit, timeoutMs = 15000) {
+  return new Promise((resolve, reject) => {
+    const interval = setInterval(emit, 250);
+    const timer = setTimeout(() => {
+      clearInterval(interval);
+      reject(new Error(`${timeoutMs}ms 안에 다른 인스턴스의 이벤트를 받지 못했습니다.`));
+    }, timeoutMs);
+    client.once('adapter_test', (payload) => {
+      clearInterval(interval);
+      clearTimeout(timer);
+      resolve(payload);
+    });
+    emit();
+  });
+}
+
+test('MongoDB 어댑터 - 다른 인스턴스의 방 브로드캐스트 수신', { skip: !MONGODB_URI && 'TEST_MONGODB_URI가 설정되지 않음' }, async (t) => {
+  const first = await startInstance();
+  const second = await startInstance();
+  assert.notEqual(first.url, second.url);
+
+  const clients = [];
+  t.after(async () => {
+    clients.forEach(client => client.close());
+    await first.connection.db.dropCollection(process.env.SOCKET_ADAPTER_COLLECTION).catch(() => {});
+    await stopInstance(first);
+    await stopInstance(second);
+  });
+
+  const onSecond = await connectToRoom(second.url, ROOM_ID);
+  const onFirst = await connectToRoom(first.url, ROOM_ID);
+  clients.push(onSecond, onFirst);
+
+  await t.test('첫 번째 인스턴스에서 보낸 이벤트가 두 번째 인스턴스의 클라이언트에 도착', async () => {
+    const payload = await waitForBroadcast(onSecond, () => first.io.to(ROOM_ID).emit('adapter_test', { from: 'first' }));
+    assert.deepEqual(payload, { from: 'first' });
+  });
+
+  await t.test('두 번째 인스턴스에서 보낸 이벤트가 첫 번째 인스턴스의 클라이언트에 도착', async () => {
+    const payload = await waitForBroadcast(onFirst, () => second.io.to(ROOM_ID).emit('adapter_test', { from: 'second' }));
+    assert.deepEqual(payload, { from: 'second' });
+  });
+
+  await t.test('방에 없는 클라이언트에는 전달되지 않음', async () => {
+    const outsider = await connectToRoom(second.url, 'other-room');
+    clients.push(outsider);
+    let received = false;
+    outsider.on('adapter_test', () => { received = true; });
+    await waitForBroadcast(onSecond, () => first.io.to(ROOM_ID).emit('adapter_test', { from: 'first' }));
+    assert.equal(received, false);
+  });
+});
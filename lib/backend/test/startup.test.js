@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 보안 데이터셋을 읽지 못하면 검사 없이 메시지를 전달하지 않도록 서버가 시작을 중단해야 함
+test('서버 시작 - 데이터셋을 읽지 못하면 종료 코드 1로 종료', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'empty-datasets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, DATASET_DIR: dir, PORT: '0', MONGODB_URI: 'mongodb://127.0.0.1:1/startup-test' },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+
+  assert.equal(result.status, 1, result.stderr);
+  assert.match(result.stderr, /보안 데이터셋을 읽지 못해 서버를 시작하지 않습니다/);
+});
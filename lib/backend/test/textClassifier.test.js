@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const textClassifier = require('../security/textClassifier');
+const { DATASET_DIR } = require('../security/datasetDetector');
+
+// 작은 학습 데이터 - 특징이 한 번만 나와도 쓰도록 minCount 1, 기준 확률 0.5로 학습
+const EXAMPLES = [
+  { text: '계정 잠금 해제하려면 비밀번호 입력', label: 'phishing' },
+  { text: '계정이 정지되었습니다 비밀번호 다시 입력하세요', label: 'phishing' },
+  { text: '본인 인증 안 하면 계정 삭제 비밀번호 확인', label: 'phishing' },
+  { text: '원금 보장 고수익 투자 지금 입금', label: 'scam' },
+  { text: '입금하면 두 배 수익 보장 투자', label: 'scam' },
+  { text: '오늘 저녁 뭐 먹을래', label: 'safe' },
+  { text: '내일 회의 몇 시야', label: 'safe' },
+  { text: '주말에 영화 보러 가자', label: 'safe' },
+  { text: '저녁에 치킨 먹을래', label: 'safe' }
+];
+const OPTIONS = { minCount: 1, threshold: 0.5 };
+
+test('extractFeatures - 띄어 쓴 메시지와 붙여 쓴 메시지의 특징이 같음', () => {
+  assert.equal(textClassifier.compactText('계 정. 확 인!'), '계정확인');
+  assert.deepEqual(
+    textClassifier.extractFeatures('계 정 확 인'),
+    textClassifier.extractFeatures('계정확인')
+  );
+  // 초성 n-gram으로 받침을 바꾼 오타와도 특징이 겹침
+  const typo = textClassifier.extractFeatures('게정');
+  assert.ok([...textClassifier.extractFeatures('계정')].some(feature => feature.startsWith('c:') && typo.has(feature)));
+});
+
+test('train - 라벨, 메시지 수, 사전 확률', () => {
+  const model = textClassifier.train(EXAMPLES, OPTIONS);
+  assert.equal(model.type, textClassifier.MODEL_TYPE);
+  assert.equal(model.version, textClassifier.MODEL_VERSION);
+  assert.deepEqual(model.labels, ['phishing', 'safe', 'scam']);
+  assert.deepEqual(model.examples, [3, 4, 2]);
+  assert.equal(model.options.threshold, 0.5);
+  assert.ok(Object.keys(model.features).length > 0);
+  for (const logProbs of Object.values(model.features)) {
+    assert.equal(logProbs.length, model.labels.length);
+  }
+});
+
+test('train - safe 라벨이나 위협 라벨이 없으면 예외', () => {
+  assert.throws(() => textClassifier.train(EXAMPLES.filter(example => example.label !== 'safe'), OPTIONS));
+  assert.throws(() => textClassifier.train(EXAMPLES.filter(example => example.label === 'safe'), OPTIONS));
+});
+
+test('train - minCount, maxFeatures로 특징 수 제한', () => {
+  const all = Object.keys(textClassifier.train(EXAMPLES, OPTIONS).features).length;
+  const frequent = Object.keys(textClassifier.train(EXAMPLES, { ...OPTIONS, minCount: 3 }).features).length;
+  assert.ok(frequent < all);
+  assert.equal(Object.keys(textClassifier.train(EXAMPLES, { ...OPTIONS, maxFeatures: 10 }).features).length, 10);
+});
+
+test('predict - 위협 라벨과 위협 확률', () => {
+  const classifier = textClassifier.createClassifier(textClassifier.train(EXAMPLES, OPTIONS));
+
+  const phishing = classifier.predict('계 정 정 지, 비 밀 번 호 입 력');
+  assert.equal(phishing.label, 'phishing');
+  assert.ok(phishing.probability >= 0.5);
+
+  const scam = classifier.predict('수익 보장 투자 입금');
+  assert.equal(scam.label, 'scam');
+
+  const safe = classifier.predict('저녁에 영화 보자');
+  assert.equal(safe.label, 'safe');
+  assert.ok(safe.probability < 0.5);
+
+  const sum = Object.values(safe.probabilities).reduce((total, value) => total + value, 0);
+  assert.ok(Math.abs(sum - 1) < 1e-9);
+});
+
+test('predict - 위협 확률이 기준 확률보다 낮으면 safe', () => {
+  const model = textClassifier.train(EXAMPLES, { ...OPTIONS, threshold: 0.999999 });
+  const classifier = textClassifier.createClassifier(model);
+  const result = classifier.predict('계정');
+  assert.ok(result.probability < 0.999999);
+  assert.equal(result.label, 'safe');
+});
+
+test('createClassifier - 지원하지 않는 모델 형식은 예외', () => {
+  const model = textClassifier.train(EXAMPLES, OPTIONS);
+  assert.throws(() => textClassifier.createClassifier(null));
+  assert.throws(() => textClassifier.createClassifier({ ...model, type: 'unknown' }));
+  assert.throws(() => textClassifier.createClassifier({ ...model, version: textClassifier.MODEL_VERSION + 1 }));
+  assert.throws(() => textClassifier.createClassifier({ ...model, features: undefined }));
+  assert.throws(() => textClassifier.createClassifier({ ...model, priors: model.priors.slice(1) }));
+  assert.throws(() => textClassifier.createClassifier({ ...model, labels: ['phishing', 'scam', 'malware'] }));
+});
+
+test('모델 저장 후 다시 읽어도 같은 결과', (t) => {
+  const model = textClassifier.train(EXAMPLES, OPTIONS);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'text-classifier-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const file = path.join(dir, 'model.json');
+  fs.writeFileSync(file, JSON.stringify(model));
+  const loaded = textClassifier.loadModelFile(file);
+  assert.deepEqual(loaded, model);
+
+  const original = textClassifier.createClassifier(model);
+  const restored = textClassifier.createClassifier(loaded);
+  for (const text of ['계정 비밀번호 입력', '투자 수익 보장', '오늘 저녁 뭐 먹을래', '']) {
+    assert.deepEqual(restored.predict(text), original.predict(text));
+  }
+
+  assert.equal(textClassifier.loadModelFile(path.join(dir, 'missing.json')), null);
+  fs.writeFileSync(file, '{');
+  assert.throws(() => textClassifier.loadModelFile(file), SyntaxError);
+});
+
+test('evaluate - 위협 판정과 라벨별 정밀도, 재현율', () => {
+  const classifier = textClassifier.createClassifier(textClassifier.train(EXAMPLES, OPTIONS));
+  const evaluation = textClassifier.evaluate(classifier, [
+    { text: '계정 비밀번호 입력', label: 'phishing' },
+    { text: '수익 보장 투자', label: 'scam' },
+    { text: '오늘 저녁 뭐 먹을래', label: 'safe' }
+  ]);
+  assert.equal(evaluation.total, 3);
+  assert.equal(evaluation.threshold, 0.5);
+  assert.deepEqual(
+    { tp: evaluation.threat.tp, fp: evaluation.threat.fp, fn: evaluation.threat.fn, tn: evaluation.threat.tn },
+    { tp: 2, fp: 0, fn: 0, tn: 1 }
+  );
+  assert.equal(evaluation.threat.precision, 1);
+  assert.equal(evaluation.threat.recall, 1);
+  assert.equal(evaluation.accuracy, 1);
+  assert.equal(evaluation.labels.phishing.support, 1);
+});
+
+test('배포된 모델 - 형식과 평가 결과 포함', () => {
+  const model = textClassifier.loadModelFile(path.join(DATASET_DIR, 'text_classifier.json'));
+  assert.ok(model, 'text_classifier.json이 없습니다. npm run train-classifier로 생성하세요.');
+  const classifier = textClassifier.createClassifier(model);
+  assert.deepEqual(classifier.labels, ['malware', 'phishing', 'safe', 'scam']);
+  assert.equal(classifier.threshold, textClassifier.DEFAULT_OPTIONS.threshold);
+  assert.ok(model.evaluation.total > 0);
+  assert.equal(model.evaluation.seed, 42);
+  assert.equal(classifier.predict('오늘 저녁 뭐 먹을래').label, 'safe');
+});
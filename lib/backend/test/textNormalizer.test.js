@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const textNormalizer = require('../security/textNormalizer');
+const datasetDetector = require('../security/datasetDetector');
+const { redactContent } = require('../security/moderationPolicy');
+
+// 저장소의 assets/datasets 키워드 목록으로 검사 ("계정 확인", "비밀번호 변경"은 phishing_keywords.json에 있음)
+datasetDetector.loadDatasets();
+
+test('normalizeText - 한 글자씩 띄어 쓴 글자, 전각 문자, 리트 문자, 자모 분리', () => {
+  assert.equal(textNormalizer.normalizeText('계 정 확 인').text, '계정확인');
+  assert.equal(textNormalizer.normalizeText('ＶＥＲＩＦＹ').text, 'verify');
+  assert.equal(textNormalizer.normalizeText('v3rify acc0unt').text, 'verify account');
+  assert.equal(textNormalizer.normalizeText('ㄱㅖㅈㅓㅇ').text, '계정');
+  assert.equal(textNormalizer.normalizeText('p\u200bay\u200dpal').text, 'paypal');
+  // 한글 옆의 숫자는 그대로 둠
+  assert.equal(textNormalizer.normalizeText('100만원').text, '100만원');
+});
+
+test('compactKeyword - 글자와 공백으로만 된 키워드만 구분 문자 없이 비교', () => {
+  assert.equal(textNormalizer.compactKeyword('계정 확인'), '계정확인');
+  assert.equal(textNormalizer.compactKeyword('비밀번호 변경'), '비밀번호변경');
+  assert.equal(textNormalizer.compactKeyword('.exe'), '');
+  assert.equal(textNormalizer.compactKeyword('bit.ly'), '');
+});
+
+test('detectThreat - 띄어쓰기, 기호로 나누거나 붙여 쓴 키워드 탐지', async (t) => {
+  const cases = [
+    { content: '계 정 확 인', keyword: '계정 확인', span: { start: 0, end: 7 } },
+    { content: '계.정 확.인', keyword: '계정 확인', span: { start: 0, end: 7 } },
+    { content: '비 밀 번 호 변 경', keyword: '비밀번호 변경', span: { start: 0, end: 11 } },
+    { content: '계정확인', keyword: '계정 확인', span: { start: 0, end: 4 } },
+    { content: '지금 계정확인 해주세요', keyword: '계정 확인', span: { start: 3, end: 7 } }
+  ];
+
+  for (const { content, keyword, span } of cases) {
+    await t.test(content, () => {
+      const result = datasetDetector.detectThreat(content);
+      assert.ok(result.detectedKeywords.includes(keyword), `${keyword} 미탐지: ${result.detectedKeywords}`);
+      assert.deepEqual(result.keywordSpans.find(item => item.keyword === keyword), { keyword, ...span });
+    });
+  }
+});
+
+test('detectThreat - 단어 경계를 넘는 오탐 없음', () => {
+  assert.deepEqual(datasetDetector.detectThreat('회계 정산 확인 부탁드립니다').detectedKeywords, []);
+  assert.deepEqual(datasetDetector.detectThreat('execute the build script').detectedKeywords, []);
+});
+
+test('findKeywordSpans / redactContent - 정규화 결과를 원문 구간으로 되돌려 마스킹', () => {
+  assert.deepEqual(textNormalizer.findKeywordSpans('계.정 확.인 하세요', ['계정 확인']), [{ keyword: '계정 확인', start: 0, end: 7 }]);
+  assert.equal(redactContent('계 정 확 인', ['계정 확인']), '***');
+  assert.equal(redactContent('계.정 확.인 하세요', ['계정 확인']), '*** 하세요');
+  assert.equal(redactContent('비 밀 번 호 변 경 링크', ['비밀번호 변경']), '*** 링크');
+  assert.equal(redactContent('오늘 계정확인 필요', ['계정 확인']), '오늘 *** 필요');
+});
+
+test('createMatcher - 원문, 정규화, 구분 문자 제거 결과에서 찾은 구간 중복 제거', () => {
+  const matcher = textNormalizer.createMatcher('계정 확인');
+  assert.equal(matcher.has('계정 확인'), true);
+  assert.deepEqual(matcher.find('계정 확인'), [{ start: 0, end: 5 }]);
+  assert.equal(matcher.compact, '계정확인');
+  assert.equal(matcher.has(''), false);
+});
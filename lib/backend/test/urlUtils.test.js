@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const urlUtils = require('../security/urlUtils');
+
+// 단축 URL 서비스를 흉내 내는 로컬 HTTP 서버
+// 127.0.0.1을 단축 서비스 호스트로 지정해 resolveRedirects가 실제 네트워크 대신 이 서버를 따라가게 한다.
+const SHORTENERS = new Set(['127.0.0.1']);
+
+function startStubServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url });
+    const redirect = (status, location) => {
+      res.writeHead(status, { Location: location });
+      res.end();
+    };
+
+    const hop = req.url.match(/^\/hop\/(\d+)$/);
+    if (hop) return redirect(302, `/hop/${Number(hop[1]) + 1}`);
+
+    switch (req.url) {
+      case '/chain': return redirect(301, '/chain/2');
+      case '/chain/2': return redirect(302, '/chain/3');
+      case '/chain/3': return redirect(307, 'https://Example.COM:443/landing#top');
+      case '/loop/a': return redirect(302, '/loop/b');
+      case '/loop/b': return redirect(302, '/loop/a');
+      case '/no-location': res.writeHead(302); return res.end();
+      case '/bad-scheme': return redirect(302, 'javascript:alert(1)');
+      case '/slow': return; // 응답하지 않음 (시간 초과 확인용)
+      default: res.writeHead(200); return res.end();
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, base, requests });
+    });
+  });
+}
+
+test('resolveRedirects - 로컬 서버 리다이렉트 추적', async (t) => {
+  const { server, base, requests } = await startStubServer();
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const fetcher = urlUtils.createHttpFetcher({ timeoutMs: 200 });
+  const resolve = (path, options = {}) => urlUtils.resolveRedirects(`${base}${path}`, { fetcher, shorteners: SHORTENERS, ...options });
+
+  await t.test('리다이렉트 체인을 따라가고 목적지 URL을 정규화', async () => {
+    requests.length = 0;
+    const result = await resolve('/chain');
+    assert.equal(result.resolved, true);
+    assert.equal(result.error, null);
+    assert.equal(result.finalUrl, 'https://example.com/landing');
+    assert.deepEqual(result.chain, [`${base}/chain`, `${base}/chain/2`, `${base}/chain/3`, 'https://example.com/landing']);
+    // 단축 서비스 호스트에만 HEAD 요청을 보내고 목적지에는 요청하지 않음
+    assert.deepEqual(requests, [
+      { method: 'HEAD', url: '/chain' },
+      { method: 'HEAD', url: '/chain/2' },
+      { method: 'HEAD', url: '/chain/3' }
+    ]);
+  });
+
+  await t.test('리다이렉트가 아닌 응답이면 현재 URL이 목적지', async () => {
+    const result = await resolve('/landing');
+    assert.equal(result.resolved, true);
+    assert.equal(result.finalUrl, `${base}/landing`);
+    assert.deepEqual(result.chain, [`${base}/landing`]);
+
+    const missing = await resolve('/no-location');
+    assert.equal(missing.resolved, true);
+    assert.equal(missing.finalUrl, `${base}/no-location`);
+  });
+
+  await t.test('리다이렉트 순환 감지', async () => {
+    const result = await resolve('/loop/a');
+    assert.equal(result.resolved, false);
+    assert.equal(result.error, '리다이렉트 순환');
+    assert.deepEqual(result.chain, [`${base}/loop/a`, `${base}/loop/b`]);
+  });
+
+  await t.test('최대 리다이렉트 횟수 초과', async () => {
+    requests.length = 0;
+    const result = await resolve('/hop/0', { maxHops: 3 });
+    assert.equal(result.resolved, false);
+    assert.equal(result.error, '리다이렉트 횟수 초과');
+    assert.equal(result.finalUrl, `${base}/hop/3`);
+    assert.equal(result.chain.length, 4);
+    assert.equal(requests.length, 3);
+  });
+
+  await t.test('지원하지 않는 스킴으로 리다이렉트하면 중단', async () => {
+    const result = await resolve('/bad-scheme');
+    assert.equal(result.resolved, false);
+    assert.equal(result.error, '지원하지 않는 리다이렉트 주소');
+    assert.equal(result.finalUrl, `${base}/bad-scheme`);
+  });
+
+  await t.test('응답이 없으면 시간 초과로 중단', async () => {
+    const started = Date.now();
+    const result = await resolve('/slow');
+    assert.equal(result.resolved, false);
+    assert.equal(result.error, '리다이렉트 조회 시간 초과');
+    assert.equal(result.finalUrl, `${base}/slow`);
+    assert.ok(Date.now() - started < 2000);
+  });
+
+  await t.test('단축 서비스가 아닌 호스트에는 요청하지 않음', async () => {
+    requests.length = 0;
+    const result = await urlUtils.resolveRedirects(`${base}/chain`, { fetcher, shorteners: new Set(['bit.ly']) });
+    assert.equal(result.resolved, true);
+    assert.equal(result.finalUrl, `${base}/chain`);
+    assert.equal(requests.length, 0);
+  });
+});
+
+test('normalizeUrl - 스킴/호스트 소문자, 기본 포트, 프래그먼트, IPv4 표기, IDN', () => {
+  assert.equal(urlUtils.normalizeUrl('HTTP://WWW.Example.COM:80/#section'), 'http://www.example.com');
+  assert.equal(urlUtils.normalizeUrl('https://example.com:443/path/?q=1#x'), 'https://example.com/path/?q=1');
+  assert.equal(urlUtils.normalizeUrl('example.com.'), 'http://example.com');
+  assert.equal(urlUtils.normalizeUrl('http://0x7f.1/'), 'http://127.0.0.1');
+  assert.equal(urlUtils.normalizeUrl('http://2130706433/login'), 'http://127.0.0.1/login');
+  assert.equal(urlUtils.normalizeUrl('http://한국.kr/'), 'http://xn--3e0b707e.kr');
+  assert.equal(urlUtils.normalizeUrl('ftp://example.com'), null);
+  assert.equal(urlUtils.normalizeUrl(''), null);
+});
+
+test('extractUrls - 문장 부호, 괄호, 한글 조사 제거', () => {
+  assert.deepEqual(urlUtils.extractUrls('여기 (https://example.com/a) 확인하세요.'), ['https://example.com/a']);
+  assert.deepEqual(urlUtils.extractUrls('naver.com에서 로그인'), ['http://naver.com']);
+  assert.deepEqual(urlUtils.extractUrls('메일은 user@example.com 으로, 파일은 app.js 참고'), []);
+  assert.deepEqual(urlUtils.extractUrls('점수 1.5 와 192.168.0.1:8080/admin'), ['http://192.168.0.1:8080/admin']);
+});
+
+test('analyzeUrl - IDN 유사 문자 도메인', () => {
+  const cyrillic = urlUtils.analyzeUrl('http://раураl.com');
+  assert.equal(cyrillic.hostname, 'xn--l-7sba6dbr.com');
+  assert.equal(cyrillic.unicodeHostname, 'раураl.com');
+  assert.equal(cyrillic.isPunycode, true);
+  assert.equal(cyrillic.mixedScript, true);
+  assert.equal(cyrillic.lookalikeOf, 'paypal');
+
+  // 퓨니코드로 적힌 주소도 유니코드로 바꿔 비교
+  const punycode = urlUtils.analyzeUrl('https://xn--pypal-4ve.com/login');
+  assert.equal(punycode.unicodeHostname, 'pаypal.com');
+  assert.equal(punycode.lookalikeOf, 'paypal');
+
+  // 한글 도메인은 문자 체계 혼용으로 보지 않음
+  const hangul = urlUtils.analyzeUrl('http://한국.kr');
+  assert.equal(hangul.isPunycode, true);
+  assert.equal(hangul.mixedScript, false);
+  assert.equal(hangul.lookalikeOf, null);
+});
+
+test('analyzeUrl - 라틴 문자 치환 유사 도메인과 정상 도메인', () => {
+  assert.equal(urlUtils.analyzeUrl('https://rnicrosoft.com').lookalikeOf, 'microsoft');
+  assert.equal(urlUtils.analyzeUrl('https://g00gle.com').lookalikeOf, 'google');
+  assert.equal(urlUtils.analyzeUrl('https://login.paypa1.co.kr').lookalikeOf, 'paypal');
+
+  const genuine = urlUtils.analyzeUrl('https://www.paypal.com');
+  assert.equal(genuine.lookalikeOf, null);
+  assert.equal(genuine.mixedScript, false);
+  assert.equal(genuine.isPunycode, false);
+});
+
+test('analyzeUrl - IP 주소 호스트와 단축 URL', () => {
+  const ip = urlUtils.analyzeUrl('http://0xC0.0xA8.0.1/login');
+  assert.equal(ip.isIpLiteral, true);
+  assert.equal(ip.ipVersion, 4);
+  assert.equal(ip.hostname, '192.168.0.1');
+  assert.equal(ip.lookalikeOf, null);
+
+  assert.equal(urlUtils.analyzeUrl('http://[::1]:8080/').ipVersion, 6);
+  assert.equal(urlUtils.analyzeUrl('https://bit.ly/abc').isShortener, true);
+  assert.equal(urlUtils.analyzeUrl('https://m.naver.me/x').isShortener, true);
+  assert.equal(urlUtils.analyzeUrl('https://notbit.ly/abc').isShortener, false);
+  assert.equal(urlUtils.analyzeUrl('not a url'), null);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { validate, validationError, validateBody, VALIDATION_FAILED, FIELD_ERRORS } = require('../validation/validator');
+const { createSchemas } = require('../validation/schemas');
+
+const schemas = createSchemas({ reportReasons: ['spam', 'phishing'], maxRetentionHours: 168 });
+
+test('validate - 스키마에 없는 필드는 버림', () => {
+  const { value, errors } = validate(schemas.rest.createRoom, {
+    name: '  스터디 모임  ',
+    visibility: 'private',
+    isAdmin: true,
+    participants: ['someone']
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { name: '스터디 모임', visibility: 'private' });
+});
+
+test('validate - 중첩 객체와 배열 요소의 알 수 없는 필드도 버림', () => {
+  const { value, errors } = validate(schemas.socket.sendMessage, {
+    roomId: 'room-1',
+    content: '안녕하세요',
+    attachments: [{ attachmentId: 'att-1', name: 'photo.png', url: 'http://example.com/x', size: 10 }],
+    senderId: 'spoofed'
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, {
+    roomId: 'room-1',
+    content: '안녕하세요',
+    attachments: [{ attachmentId: 'att-1', name: 'photo.png' }]
+  });
+
+  // allowUnknown이면 중첩 객체의 다른 필드 유지
+  const schema = { meta: { type: 'object', properties: { kind: { type: 'string' } }, allowUnknown: true } };
+  assert.deepEqual(validate(schema, { meta: { kind: 'a', extra: 1 } }).value, { meta: { kind: 'a', extra: 1 } });
+});
+
+test('validate - 모든 필드의 오류를 { field, code, message }로 모음', () => {
+  const { value, errors } = validate(schemas.socket.sendMessage, {
+    roomId: '',
+    content: 42,
+    attachments: [{ name: 'a'.repeat(201) }],
+    replyTo: 'r'.repeat(101)
+  });
+
+  assert.deepEqual(errors.map(({ field, code }) => ({ field, code })), [
+    { field: 'roomId', code: FIELD_ERRORS.required },
+    { field: 'content', code: FIELD_ERRORS.invalidType },
+    { field: 'attachments[0].attachmentId', code: FIELD_ERRORS.required },
+    { field: 'attachments[0].name', code: FIELD_ERRORS.tooLong },
+    { field: 'replyTo', code: FIELD_ERRORS.tooLong }
+  ]);
+  for (const error of errors) {
+    assert.equal(typeof error.message, 'string');
+    assert.ok(error.message.includes(error.field));
+  }
+  assert.equal(value.roomId, undefined);
+});
+
+test('validate - 형식별 오류 코드', () => {
+  const schema = {
+    name: { type: 'string', trim: true, minLength: 1 },
+    code: { type: 'string', minLength: 4, pattern: /^[a-z]+$/ },
+    level: { type: 'string', enum: ['basic', 'strict'] },
+    count: { type: 'integer', min: 1, max: 10 },
+    tags: { type: 'array', maxItems: 2 },
+    flag: { type: 'boolean' }
+  };
+
+  const cases = [
+    [{ name: '   ' }, 'name', FIELD_ERRORS.required],
+    [{ code: 'abc' }, 'code', FIELD_ERRORS.tooShort],
+    [{ code: 'ABCD' }, 'code', FIELD_ERRORS.invalidFormat],
+    [{ level: 'custom' }, 'level', FIELD_ERRORS.invalidValue],
+    [{ count: 1.5 }, 'count', FIELD_ERRORS.invalidType],
+    [{ count: 11 }, 'count', FIELD_ERRORS.outOfRange],
+    [{ tags: [1, 2, 3] }, 'tags', FIELD_ERRORS.tooManyItems],
+    [{ flag: 'true' }, 'flag', FIELD_ERRORS.invalidType]
+  ];
+  for (const [input, field, code] of cases) {
+    assert.deepEqual(validate(schema, input).errors.map(error => [error.field, error.code]), [[field, code]], JSON.stringify(input));
+  }
+});
+
+test('validate - nullable, 필수 필드, 객체가 아닌 입력', () => {
+  assert.deepEqual(validate(schemas.rest.createInvite, { maxUses: null }), { value: { maxUses: null }, errors: [] });
+  assert.equal(validate(schemas.rest.createInvite, { expiresInHours: null }).errors[0].code, FIELD_ERRORS.invalidType);
+
+  const missing = validate(schemas.rest.updateRole, {});
+  assert.deepEqual(missing.errors.map(error => [error.field, error.code]), [['role', FIELD_ERRORS.required]]);
+
+  for (const input of [null, [], 'text', 1]) {
+    assert.deepEqual(validate(schemas.rest.updateRole, input), {
+      value: {},
+      errors: [{ field: '', code: FIELD_ERRORS.invalidType, message: '입력값은 객체여야 합니다.' }]
+    });
+  }
+});
+
+test('validationError - 공통 오류 응답 형식', () => {
+  const details = [{ field: 'role', code: FIELD_ERRORS.required, message: 'role을(를) 입력해주세요.' }];
+  assert.deepEqual(validationError(details), {
+    success: false,
+    code: VALIDATION_FAILED,
+    message: '입력값이 올바르지 않습니다.',
+    details
+  });
+});
+
+test('validateBody - 실패하면 400과 오류 목록, 통과하면 검증한 값으로 req.body 교체', async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/rooms', validateBody(schemas.rest.createRoom), (req, res) => {
+    res.status(200).json({ success: true, data: req.body });
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => server.close());
+  const post = body => fetch(`http://127.0.0.1:${server.address().port}/rooms`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const accepted = await post({ name: ' 방 ', e2ee: true, ownerId: 'spoofed' });
+  assert.equal(accepted.status, 200);
+  assert.deepEqual(await accepted.json(), { success: true, data: { name: '방', e2ee: true } });
+
+  const rejected = await post({ visibility: 'secret' });
+  assert.equal(rejected.status, 400);
+  const body = await rejected.json();
+  assert.equal(body.success, false);
+  assert.equal(body.code, VALIDATION_FAILED);
+  assert.deepEqual(body.details.map(error => [error.field, error.code]), [
+    ['name', FIELD_ERRORS.required],
+    ['visibility', FIELD_ERRORS.invalidValue]
+  ]);
+
+  // 본문이 없으면 빈 객체로 검증
+  const empty = await fetch(`http://127.0.0.1:${server.address().port}/rooms`, { method: 'POST' });
+  assert.equal(empty.status, 400);
+  assert.equal((await empty.json()).details[0].field, 'name');
+});
@@ -0,0 +1,80 @@
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger({ module: 'errors' });
+
+// 오류 응답 형식
+// 모든 실패 응답은 { success: false, code, message } 형식이며, code는 클라이언트가 번역에 사용하는 고정 문자열이다.
+// message는 사람이 읽을 수 있는 한국어 설명으로 바뀔 수 있으므로 클라이언트 분기에 사용하지 않는다.
+
+// 상태 코드별 기본 오류 코드 (라우트에서 code를 지정하지 않은 경우)
+const DEFAULT_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'service_unavailable'
+};
+
+function defaultCode(status) {
+  return DEFAULT_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+}
+
+// 오류 응답 본문
+function errorBody(code, message, extra = {}) {
+  return { success: false, code, message, ...extra };
+}
+
+// res.json을 감싸 code가 없는 실패 응답에 상태 코드별 기본 코드를 붙임
+function ensureErrorCode(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.success === false && !body.code) {
+      return json({ success: false, code: defaultCode(res.statusCode), ...body });
+    }
+    return json(body);
+  };
+  next();
+}
+
+// 일치하는 라우트가 없는 API 요청
+function notFoundHandler(req, res) {
+  res.status(404).json(errorBody('not_found', '요청한 API를 찾을 수 없습니다.'));
+}
+
+// 마지막 오류 처리 미들웨어 - 본문 파싱 오류 등 라우트 밖에서 발생한 오류도 같은 형식으로 응답
+// next는 쓰지 않지만 Express는 인자가 4개인 함수만 오류 처리 미들웨어로 인식하므로 남겨 둔다.
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(errorBody('invalid_json', '요청 본문이 올바른 JSON이 아닙니다.'));
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json(errorBody('payload_too_large', '요청 본문이 너무 큽니다.'));
+  }
+
+  const status = error.status || error.statusCode;
+  if (status >= 400 && status < 500) {
+    return res.status(status).json(errorBody(defaultCode(status), '요청을 처리할 수 없습니다.'));
+  }
+
+  logger.error('처리되지 않은 요청 오류', { error });
+  res.status(500).json(errorBody('internal_error', '서버 내부 오류가 발생했습니다.'));
+}
+
+module.exports = {
+  DEFAULT_CODES,
+  defaultCode,
+  errorBody,
+  ensureErrorCode,
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,181 @@
+const moderationPolicy = require('../security/moderationPolicy');
+const roomAccess = require('../auth/roomAccess');
+const roomCommands = require('../moderation/roomCommands');
+const reactions = require('../messages/reactions');
+
+// REST 요청 본문과 소켓 이벤트 데이터 스키마
+// 형식과 길이 제한만 확인하고, 비밀번호 규칙, 초대 코드 설정, 보안 정책 내용 등 도메인 규칙은 각 모듈에서 검사한다.
+
+const LIMITS = {
+  ID_MAX_LENGTH: 100, // roomId, messageId, userId 등
+  NICKNAME_MAX_LENGTH: 30,
+  UNIQUE_IDENTIFIER_MAX_LENGTH: 64,
+  TEMP_ID_MAX_LENGTH: 64,
+  PUBLIC_KEY_MAX_LENGTH: 4096,
+  ROOM_NAME_MAX_LENGTH: roomCommands.MAX_ROOM_NAME_LENGTH,
+  MESSAGE_MAX_LENGTH: parseInt(process.env.MESSAGE_MAX_LENGTH) || 4000,
+  REASON_MAX_LENGTH: 200, // 제재 사유
+  REPORT_DESCRIPTION_MAX_LENGTH: 500,
+  PASSWORD_MAX_LENGTH: 128,
+  INVITE_CODE_MAX_LENGTH: 64,
+  ATTACHMENT_NAME_MAX_LENGTH: 200,
+  ADMIN_KEY_NAME_MAX_LENGTH: 100,
+  PHISHTANK_API_KEY_MAX_LENGTH: 200,
+  PATH_MAX_LENGTH: 1024
+};
+
+const SECURITY_CHECK_MODES = ['basic', 'phishtank', 'hybrid'];
+
+const id = (required = false) => ({ type: 'string', required, minLength: 1, maxLength: LIMITS.ID_MAX_LENGTH });
+const password = { type: 'string', nullable: true, maxLength: LIMITS.PASSWORD_MAX_LENGTH };
+const roomName = { type: 'string', trim: true, minLength: 1, maxLength: LIMITS.ROOM_NAME_MAX_LENGTH };
+const sanctionParams = {
+  durationMinutes: { type: 'integer', nullable: true },
+  reason: { type: 'string', maxLength: LIMITS.REASON_MAX_LENGTH }
+};
+
+// 서버 설정에 따라 달라지는 값은 인자로 받음
+// options: { reportReasons, maxRetentionHours }
+function createSchemas({ reportReasons, maxRetentionHours }) {
+  const retentionHours = { type: 'integer', nullable: true, min: 1, max: maxRetentionHours };
+  const report = {
+    messageId: id(),
+    targetUserId: id(),
+    roomId: id(),
+    reason: { type: 'string', required: true, enum: reportReasons },
+    description: { type: 'string', maxLength: LIMITS.REPORT_DESCRIPTION_MAX_LENGTH }
+  };
+  const messageContent = { type: 'string', maxLength: LIMITS.MESSAGE_MAX_LENGTH };
+
+  const rest = {
+    createUser: {
+      nickname: { type: 'string', trim: true, maxLength: LIMITS.NICKNAME_MAX_LENGTH },
+      uniqueIdentifier: { type: 'string', trim: true, maxLength: LIMITS.UNIQUE_IDENTIFIER_MAX_LENGTH }
+    },
+    createSession: {
+      tempId: { type: 'string', required: true, minLength: 1, maxLength: LIMITS.TEMP_ID_MAX_LENGTH }
+    },
+    updateKeys: {
+      publicKey: { type: 'string', required: true, maxLength: LIMITS.PUBLIC_KEY_MAX_LENGTH },
+      signingKey: { type: 'string', required: true, maxLength: LIMITS.PUBLIC_KEY_MAX_LENGTH }
+    },
+    createRoom: {
+      name: { ...roomName, required: true },
+      securityEnabled: { type: 'boolean' },
+      securityLevel: { type: 'string', enum: moderationPolicy.SECURITY_LEVELS },
+      retentionHours,
+      e2ee: { type: 'boolean' },
+      visibility: { type: 'string', enum: roomAccess.VISIBILITIES },
+      password
+    },
+    joinRoom: {
+      password: { type: 'string', maxLength: LIMITS.PASSWORD_MAX_LENGTH },
+      inviteCode: { type: 'string', maxLength: LIMITS.INVITE_CODE_MAX_LENGTH }
+    },
+    createInvite: {
+      expiresInHours: { type: 'integer' },
+      maxUses: { type: 'integer', nullable: true }
+    },
+    updateAccess: {
+      visibility: { type: 'string', enum: roomAccess.VISIBILITIES },
+      password
+    },
+    updateSecurity: {
+      securityEnabled: { type: 'boolean' },
+      securityLevel: { type: 'string', enum: moderationPolicy.SECURITY_LEVELS },
+      policy: { type: 'object' }
+    },
+    updateRetention: {
+      retentionHours: { ...retentionHours, required: true }
+    },
+    updateRole: {
+      role: { type: 'string', required: true, enum: roomCommands.ROLES }
+    },
+    sanction: sanctionParams,
+    renameRoom: {
+      name: { ...roomName, required: true }
+    },
+    createReport: report,
+    createAdminKey: {
+      name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: LIMITS.ADMIN_KEY_NAME_MAX_LENGTH },
+      scopes: { type: 'array', required: true, items: { type: 'string', maxLength: LIMITS.ID_MAX_LENGTH } },
+      expiresInDays: { type: 'integer', nullable: true }
+    },
+    reloadDatasets: {
+      datasetDir: { type: 'string', minLength: 1, maxLength: LIMITS.PATH_MAX_LENGTH }
+    },
+    updateUrlReputation: {
+      providers: { type: 'array', items: { type: 'string', maxLength: LIMITS.ID_MAX_LENGTH } },
+      failMode: { type: 'string' }
+    },
+    updatePhishTank: {
+      apiKey: { type: 'string', required: true, nullable: true, trim: true, minLength: 1, maxLength: LIMITS.PHISHTANK_API_KEY_MAX_LENGTH }
+    }
+  };
+
+  const socket = {
+    room: {
+      roomId: id(true)
+    },
+    sendMessage: {
+      messageId: id(),
+      roomId: id(true),
+      content: messageContent,
+      // 개수 제한은 첨부 파일 확인 단계에서 검사
+      attachments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            attachmentId: id(true),
+            name: { type: 'string', maxLength: LIMITS.ATTACHMENT_NAME_MAX_LENGTH }
+          }
+        }
+      },
+      envelope: { type: 'object' },
+      attestation: { type: 'object' },
+      replyTo: id() // 답장할 메시지 ID
+    },
+    editMessage: {
+      messageId: id(true),
+      content: messageContent,
+      envelope: { type: 'object' },
+      attestation: { type: 'object' }
+    },
+    deleteMessage: {
+      messageId: id(true)
+    },
+    reactMessage: {
+      messageId: id(true),
+      emoji: { type: 'string', required: true, minLength: 1, maxLength: reactions.MAX_EMOJI_LENGTH },
+      action: { type: 'string', required: true, enum: reactions.REACTION_ACTIONS }
+    },
+    roomCommand: {
+      roomId: id(true),
+      command: { type: 'string', required: true, enum: roomCommands.COMMANDS },
+      targetUserId: id(),
+      role: { type: 'string', enum: roomCommands.ROLES },
+      ...sanctionParams,
+      messageId: id(),
+      pinned: { type: 'boolean' },
+      name: roomName
+    },
+    syncRoom: {
+      roomId: id(true),
+      lastMessageId: { ...id(), nullable: true }
+    },
+    report,
+    securityCheck: {
+      content: { ...messageContent, required: true },
+      securityMode: { type: 'string', enum: SECURITY_CHECK_MODES }
+    }
+  };
+
+  return { rest, socket };
+}
+
+module.exports = {
+  LIMITS,
+  SECURITY_CHECK_MODES,
+  createSchemas
+};
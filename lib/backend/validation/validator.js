@@ -0,0 +1,176 @@
+// 입력 검증
+// 스키마는 필드 이름 → 규칙 객체이며, 규칙은 다음 속성을 가진다.
+//   type: 'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object' | 'any'
+//   required, nullable, trim, minLength, maxLength, pattern, enum, min, max,
+//   maxItems, items(배열 요소 규칙), properties(중첩 객체 스키마), allowUnknown(중첩 객체의 알 수 없는 필드 유지)
+// 스키마에 없는 필드는 버리고, 검증한 값만 돌려준다. 오류는 클라이언트가 번역할 수 있도록
+// { field, code, message } 형식으로 모든 필드에 대해 모아서 반환한다.
+
+const VALIDATION_FAILED = 'validation_failed';
+
+// 필드 오류 코드
+const FIELD_ERRORS = {
+  required: 'required',
+  invalidType: 'invalid_type',
+  tooShort: 'too_short',
+  tooLong: 'too_long',
+  outOfRange: 'out_of_range',
+  invalidValue: 'invalid_value',
+  invalidFormat: 'invalid_format',
+  tooManyItems: 'too_many_items'
+};
+
+const TYPE_LABELS = {
+  string: '문자열',
+  integer: '정수',
+  number: '숫자',
+  boolean: 'true 또는 false',
+  array: '배열',
+  object: '객체'
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    default: return true;
+  }
+}
+
+function fieldError(field, code, message) {
+  return { field, code, message };
+}
+
+// 값 하나 검증 - 오류는 errors에 추가하고 정리된 값을 반환
+function checkValue(rule, value, field, errors) {
+  if (value === null && rule.nullable) return null;
+
+  if (!matchesType(rule.type, value)) {
+    const label = TYPE_LABELS[rule.type];
+    errors.push(fieldError(field, FIELD_ERRORS.invalidType, `${field}은(는) ${label}${rule.nullable ? ' 또는 null' : ''}이어야 합니다.`));
+    return undefined;
+  }
+
+  if (rule.type === 'string') {
+    const text = rule.trim ? value.trim() : value;
+    if (rule.minLength !== undefined && text.length < rule.minLength) {
+      errors.push(fieldError(field, rule.minLength === 1 ? FIELD_ERRORS.required : FIELD_ERRORS.tooShort,
+        rule.minLength === 1 ? `${field}을(를) 입력해주세요.` : `${field}은(는) ${rule.minLength}자 이상이어야 합니다.`));
+      return undefined;
+    }
+    if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+      errors.push(fieldError(field, FIELD_ERRORS.tooLong, `${field}은(는) ${rule.maxLength}자 이하여야 합니다.`));
+      return undefined;
+    }
+    if (rule.pattern && !rule.pattern.test(text)) {
+      errors.push(fieldError(field, FIELD_ERRORS.invalidFormat, `${field} 형식이 올바르지 않습니다.`));
+      return undefined;
+    }
+    if (rule.enum && !rule.enum.includes(text)) {
+      errors.push(fieldError(field, FIELD_ERRORS.invalidValue, `${field}은(는) ${rule.enum.join(', ')} 중 하나여야 합니다.`));
+      return undefined;
+    }
+    return text;
+  }
+
+  if (rule.type === 'integer' || rule.type === 'number') {
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      const range = rule.min === undefined
+        ? `${rule.max} 이하`
+        : (rule.max === undefined ? `${rule.min} 이상` : `${rule.min}에서 ${rule.max} 사이`);
+      errors.push(fieldError(field, FIELD_ERRORS.outOfRange, `${field}은(는) ${range}여야 합니다.`));
+      return undefined;
+    }
+    return value;
+  }
+
+  if (rule.type === 'array') {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push(fieldError(field, FIELD_ERRORS.tooManyItems, `${field}은(는) 최대 ${rule.maxItems}개까지 가능합니다.`));
+      return undefined;
+    }
+    if (!rule.items) return value;
+    return value.map((item, index) => checkValue(rule.items, item, `${field}[${index}]`, errors));
+  }
+
+  if (rule.type === 'object' && rule.properties) {
+    return checkObject(rule.properties, value, `${field}.`, errors, rule.allowUnknown);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(fieldError(field, FIELD_ERRORS.invalidValue, `${field}은(는) ${rule.enum.join(', ')} 중 하나여야 합니다.`));
+    return undefined;
+  }
+
+  return value;
+}
+
+function checkObject(schema, input, prefix, errors, allowUnknown = false) {
+  const value = allowUnknown ? { ...input } : {};
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = `${prefix}${name}`;
+    const raw = input[name];
+
+    if (raw === undefined) {
+      if (rule.required) {
+        errors.push(fieldError(field, FIELD_ERRORS.required, `${field}을(를) 입력해주세요.`));
+      }
+      continue;
+    }
+
+    const checked = checkValue(rule, raw, field, errors);
+    if (checked !== undefined) value[name] = checked;
+  }
+
+  return value;
+}
+
+// 입력 검증 - 결과: { value, errors } (errors가 비어 있으면 통과)
+function validate(schema, input) {
+  const errors = [];
+  if (!isPlainObject(input)) {
+    errors.push(fieldError('', FIELD_ERRORS.invalidType, '입력값은 객체여야 합니다.'));
+    return { value: {}, errors };
+  }
+  const value = checkObject(schema, input, '', errors);
+  return { value, errors };
+}
+
+// 검증 실패 응답 본문 (REST 응답과 소켓 오류 이벤트에서 함께 사용)
+function validationError(errors) {
+  return {
+    success: false,
+    code: VALIDATION_FAILED,
+    message: '입력값이 올바르지 않습니다.',
+    details: errors
+  };
+}
+
+// 요청 본문 검증 미들웨어 - 통과하면 req.body를 검증한 값으로 교체
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body === undefined ? {} : req.body);
+    if (errors.length > 0) {
+      return res.status(400).json(validationError(errors));
+    }
+    req.body = value;
+    next();
+  };
+}
+
+module.exports = {
+  VALIDATION_FAILED,
+  FIELD_ERRORS,
+  validate,
+  validationError,
+  validateBody
+};
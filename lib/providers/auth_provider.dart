@@ -13,7 +13,9 @@ class AuthProvider with ChangeNotifier {
   String? _tempId;
   int? _anonymousId;
   String? _uniqueIdentifier; // 고유 식별 번호
+  String? _sessionToken; // 서버 세션 토큰
   bool _isAuthenticated = false;
+  Future<String?>? _refreshing; // 진행 중인 세션 재발급 (동시에 여러 번 요청하지 않도록 공유)
 
   final _storage = const FlutterSecureStorage();
   final _deviceInfoPlugin = DeviceInfoPlugin();
@@ -24,6 +26,7 @@ class AuthProvider with ChangeNotifier {
   String? get tempId => _tempId;
   int? get anonymousId => _anonymousId;
   String? get uniqueIdentifier => _uniqueIdentifier;
+  String? get sessionToken => _sessionToken;
 
   // 앱 시작 시 저장된 사용자 정보 확인
   Future<void> checkAuthentication() async {
@@ -31,6 +34,7 @@ class AuthProvider with ChangeNotifier {
     final nickname = await _storage.read(key: 'nickname');
     final tempId = await _storage.read(key: 'tempId');
     final anonymousIdStr = await _storage.read(key: 'anonymousId');
+    final sessionToken = await _storage.read(key: 'sessionToken');
 
     // 디바이스 기반 고유 식별자 확인 또는 생성
     String? uniqueId = await _storage.read(key: 'uniqueIdentifier');
@@ -46,11 +50,69 @@ class AuthProvider with ChangeNotifier {
       _nickname = nickname;
       _tempId = tempId;
       _anonymousId = anonymousIdStr != null ? int.parse(anonymousIdStr) : null;
+      _sessionToken = sessionToken;
       _isAuthenticated = true;
+
+      // 세션 토큰이 없거나 (이전 버전에서 등록한 사용자) 만료가 가까우면 tempId로 재발급
+      if (_needsSessionRefresh) {
+        await refreshSession();
+      }
       notifyListeners();
     }
   }
 
+  // 세션 토큰 만료 시각 (JWT의 exp 클레임, 읽을 수 없으면 null)
+  DateTime? _sessionExpiry(String token) {
+    try {
+      final parts = token.split('.');
+      if (parts.length != 3) return null;
+      final payload = json.decode(utf8.decode(base64Url.decode(base64Url.normalize(parts[1]))));
+      final exp = payload['exp'];
+      return exp is int ? DateTime.fromMillisecondsSinceEpoch(exp * 1000) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // 세션 토큰이 없거나 만료 1시간 전이 지났는지 확인
+  bool get _needsSessionRefresh {
+    if (_sessionToken == null) return true;
+    final expiry = _sessionExpiry(_sessionToken!);
+    return expiry != null && DateTime.now().isAfter(expiry.subtract(const Duration(hours: 1)));
+  }
+
+  // 저장된 tempId로 세션 토큰 재발급 (새 토큰, 실패하면 null)
+  // 만료된 토큰으로 요청이 401을 받거나 소켓 인증에 실패했을 때도 호출됨
+  Future<String?> refreshSession() {
+    return _refreshing ??= _requestSession().whenComplete(() => _refreshing = null);
+  }
+
+  Future<String?> _requestSession() async {
+    if (_tempId == null) return null;
+
+    final url = Uri.parse('$apiBaseUrl/api/sessions');
+
+    try {
+      final response = await http.post(
+        url,
+        headers: {'Content-Type': 'application/json'},
+        body: json.encode({'tempId': _tempId}),
+      );
+
+      if (response.statusCode == 200) {
+        final responseData = json.decode(response.body);
+        _sessionToken = responseData['data']['sessionToken'];
+        await _storage.write(key: 'sessionToken', value: _sessionToken);
+        return _sessionToken;
+      } else {
+        debugPrint('세션 발급 실패: ${response.statusCode}');
+      }
+    } catch (error) {
+      debugPrint('세션 발급 중 오류 발생: $error');
+    }
+    return null;
+  }
+
   // 디바이스 정보를 기반으로 고유 식별자 생성
   Future<String> _generateUniqueIdentifier() async {
     String deviceData = "";
@@ -124,6 +186,7 @@ class AuthProvider with ChangeNotifier {
         _nickname = responseData['data']['nickname'];
         _tempId = responseData['data']['tempId'];
         _anonymousId = responseData['data']['anonymousId'];
+        _sessionToken = responseData['data']['sessionToken'];
 
         // 서버에서 반환한 고유 식별자 대신 로컬에서 생성한 식별자 사용
         _uniqueIdentifier = uniqueId;
@@ -135,6 +198,7 @@ class AuthProvider with ChangeNotifier {
         await _storage.write(key: 'nickname', value: _nickname);
         await _storage.write(key: 'tempId', value: _tempId);
         await _storage.write(key: 'anonymousId', value: _anonymousId.toString());
+        await _storage.write(key: 'sessionToken', value: _sessionToken);
         await _storage.write(key: 'uniqueIdentifier', value: uniqueId);
 
         notifyListeners();
@@ -162,6 +226,7 @@ class AuthProvider with ChangeNotifier {
     _nickname = null;
     _tempId = null;
     _anonymousId = null;
+    _sessionToken = null;
     _isAuthenticated = false;
 
     notifyListeners();
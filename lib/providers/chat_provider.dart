@@ -95,6 +95,9 @@ class ChatProvider with ChangeNotifier {
   Map<String, List<SecureMessage>> _messages = {};
   io.Socket? _socket;
   String? _currentRoomId;
+  String? _sessionToken;
+  Future<String?> Function()? _sessionRefresher; // 세션 재발급 (AuthProvider.refreshSession)
+  bool _socketAuthRetried = false;
 
   // 보안 관리자
   final IntegratedSecurityManager _securityManager = IntegratedSecurityManager();
@@ -116,6 +119,47 @@ class ChatProvider with ChangeNotifier {
   int get blockedMessagesCount => _blockedMessagesCount;
   int get warningMessagesCount => _warningMessagesCount;
 
+  // 세션 토큰 설정 (REST 요청 헤더와 소켓 핸드셰이크에 사용)
+  void setSessionToken(String? token) {
+    _sessionToken = token;
+  }
+
+  // 세션 재발급 함수 설정 (토큰이 만료되어 인증에 실패하면 호출)
+  void setSessionRefresher(Future<String?> Function() refresher) {
+    _sessionRefresher = refresher;
+  }
+
+  // 인증 헤더가 포함된 요청 헤더
+  Map<String, String> get _headers => {
+    'Content-Type': 'application/json',
+    if (_sessionToken != null) 'Authorization': 'Bearer $_sessionToken',
+  };
+
+  // 세션 토큰 재발급 (성공하면 true)
+  Future<bool> _renewSession() async {
+    if (_sessionRefresher == null) return false;
+    final token = await _sessionRefresher!();
+    if (token == null) return false;
+    _sessionToken = token;
+    return true;
+  }
+
+  // 인증이 필요한 REST 요청 - 세션이 만료되어 401을 받으면 재발급 후 한 번 더 요청
+  Future<http.Response> _authorizedRequest(Future<http.Response> Function() request) async {
+    final response = await request();
+    if (response.statusCode == 401 && await _renewSession()) {
+      debugPrint('세션 재발급 후 요청 재시도');
+      return request();
+    }
+    return response;
+  }
+
+  // 소켓 인증 실패 여부 (서버는 세션이 유효하지 않으면 'unauthorized' 오류로 연결 거부)
+  bool _isSocketAuthError(dynamic data) {
+    final message = data is Map ? data['message'] : data;
+    return message?.toString() == 'unauthorized';
+  }
+
   // 보안 관리자 초기화
   Future<bool> initializeSecurity() async {
     try {
@@ -151,15 +195,30 @@ class ChatProvider with ChangeNotifier {
       'transports': ['websocket'],
       'autoConnect': true,
       'forceNew': true,  // 새 연결 강제
+      'auth': {'token': _sessionToken},
     });
 
     _socket!.onConnect((_) {
       debugPrint('소켓 연결됨: ${_socket!.id}');
       _socketInitialized = true;
+      _socketAuthRetried = false;
     });
 
-    _socket!.onConnectError((data) {
+    _socket!.onConnectError((data) async {
       debugPrint('소켓 연결 오류: $data');
+
+      // 세션이 만료되어 인증에 실패하면 재발급한 토큰으로 새로 연결 (연속 실패 시 반복하지 않음)
+      if (_isSocketAuthError(data) && !_socketAuthRetried) {
+        _socketAuthRetried = true;
+        if (await _renewSession()) {
+          debugPrint('세션 재발급 후 소켓 재연결');
+          _socketInitialized = false;
+          initSocket();
+          if (_currentRoomId != null) {
+            _socket?.emit('join_room', _currentRoomId);
+          }
+        }
+      }
     });
 
     _socket!.onDisconnect((_) {
@@ -289,7 +348,7 @@ class ChatProvider with ChangeNotifier {
 
     try {
       debugPrint('방 목록 조회 요청: $url');
-      final response = await http.get(url);
+      final response = await _authorizedRequest(() => http.get(url, headers: _headers));
 
       if (response.statusCode == 200) {
         final responseData = json.decode(response.body);
@@ -319,14 +378,14 @@ class ChatProvider with ChangeNotifier {
 
     try {
       debugPrint('채팅방 생성 요청: $url, 이름: $name');
-      final response = await http.post(
+      final response = await _authorizedRequest(() => http.post(
         url,
-        headers: {'Content-Type': 'application/json'},
+        headers: _headers,
         body: json.encode({
           'name': name,
           'creatorTempId': creatorTempId,
         }),
-      );
+      ));
 
       if (response.statusCode == 201) {
         final responseData = json.decode(response.body);
@@ -359,7 +418,7 @@ class ChatProvider with ChangeNotifier {
 
     try {
       debugPrint('메시지 이력 조회 요청: $url');
-      final response = await http.get(url);
+      final response = await _authorizedRequest(() => http.get(url, headers: _headers));
 
       if (response.statusCode == 200) {
         final responseData = json.decode(response.body);
@@ -418,11 +477,11 @@ class ChatProvider with ChangeNotifier {
 
     try {
       debugPrint('채팅방 입장 요청: $url, tempId: $tempId');
-      final response = await http.post(
+      final response = await _authorizedRequest(() => http.post(
         url,
-        headers: {'Content-Type': 'application/json'},
+        headers: _headers,
         body: json.encode({'tempId': tempId}),
-      );
+      ));
 
       if (response.statusCode == 200) {
         // 이전 방에서 나가기
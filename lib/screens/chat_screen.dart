@@ -207,7 +207,7 @@ class _ChatScreenState extends State<ChatScreen> {
               itemCount: messages.length,
               itemBuilder: (ctx, index) {
                 final message = messages[index];
-                final isMe = message.sender == authProvider.tempId;
+                final isMe = message.sender == authProvider.userId || message.sender == authProvider.tempId;
 
                 // 닉네임 또는 익명 ID와 함께 고유 식별 번호 표시
                 String displayName;
@@ -22,6 +22,10 @@ class _RoomListScreenState extends State<RoomListScreen> {
   @override
   void initState() {
     super.initState();
+    final authProvider = Provider.of<AuthProvider>(context, listen: false);
+    final chatProvider = Provider.of<ChatProvider>(context, listen: false);
+    chatProvider.setSessionToken(authProvider.sessionToken);
+    chatProvider.setSessionRefresher(authProvider.refreshSession);
     _fetchRooms();
     _initializeServices();
   }